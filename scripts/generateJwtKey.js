@@ -0,0 +1,35 @@
+// Generate a JWT signing key into JWT_KEYS_DIR (./keys by default):
+//   npm run jwt-key -- [ed25519|rsa] [kid]
+// The key id defaults to the type and today's date. Publish the key on every
+// instance before pointing JWT_SIGNING_KEY_ID at it, see "Signing keys" in the README.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../src/config');
+const { ALGORITHMS } = require('../src/utils/jwtKeys');
+const logger = require('../src/utils/logger');
+
+const [type = 'ed25519', kid = `${type}-${new Date().toISOString().slice(0, 10)}`] = process.argv.slice(2);
+const keysDir = config.jwt.keysDir || 'keys';
+
+const run = () => {
+  if (!ALGORITHMS[type] || !/^[\w.-]+$/.test(kid)) {
+    logger.error(`Usage: npm run jwt-key -- [${Object.keys(ALGORITHMS).join('|')}] [kid]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const file = path.join(keysDir, `${kid}.pem`);
+  if (fs.existsSync(file)) {
+    logger.error(`Key already exists: ${file}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { privateKey } = crypto.generateKeyPairSync(type, type === 'rsa' ? { modulusLength: 2048 } : {});
+  fs.mkdirSync(keysDir, { recursive: true });
+  fs.writeFileSync(file, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  logger.info(`${ALGORITHMS[type]} key ${kid} written to ${file}`);
+};
+
+run();
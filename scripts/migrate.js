@@ -0,0 +1,21 @@
+// Apply pending data migrations:
+//   npm run migrate
+const mongoose = require('mongoose');
+const config = require('../src/config');
+const { runMigrations } = require('../src/migrations');
+const logger = require('../src/utils/logger');
+
+const run = async () => {
+  await mongoose.connect(config.mongoURI);
+  try {
+    const ran = await runMigrations();
+    logger.info(ran.length ? `Applied migrations: ${ran.join(', ')}` : 'No pending migrations');
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  logger.error('Migration failed', { error: error.message, stack: error.stack });
+  process.exitCode = 1;
+});
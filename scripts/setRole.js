@@ -0,0 +1,35 @@
+// Assign a role to a user from the command line, e.g. to create the first admin:
+//   npm run set-role -- <username> <role>
+const mongoose = require('mongoose');
+const config = require('../src/config');
+const User = require('../src/models/userModel');
+const { ROLES } = require('../src/config/roles');
+const logger = require('../src/utils/logger');
+
+const [username, role] = process.argv.slice(2);
+
+const run = async () => {
+  if (!username || !ROLES.includes(role)) {
+    logger.error(`Usage: npm run set-role -- <username> <${ROLES.join('|')}>`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(config.mongoURI);
+  try {
+    const user = await User.findOneAndUpdate({ username }, { $set: { role } }, { new: true });
+    if (!user) {
+      logger.error(`User not found: ${username}`);
+      process.exitCode = 1;
+      return;
+    }
+    logger.info(`Role of ${username} set to ${role}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  logger.error('Failed to set role', { error: error.message, stack: error.stack });
+  process.exitCode = 1;
+});
@@ -1,9 +1,32 @@
 const app = require('./src/app')
 const config = require('./src/config');
 const logger = require('./src/utils/logger');
+const { expireReadyHolds } = require('./src/utils/holds');
+const { accrueFines } = require('./src/utils/fines');
+const { getKeyRing } = require('./src/utils/jwtKeys');
+const { getTransport } = require('./src/utils/mailer');
 
 const port = config.port
 
+// Refuse to start without usable JWT keys or a mail transport rather than failing
+// on the first login or password reset
+getKeyRing();
+getTransport();
+
 app.listen(port, () => {
   logger.info(`Server is running on port ${port}`);
-});
\ No newline at end of file
+});
+
+// Move uncollected holds on to the next member in the queue
+setInterval(() => {
+  expireReadyHolds().catch((error) => {
+    logger.error('Hold expiry sweep failed', { error: error.message, stack: error.stack });
+  });
+}, config.holds.sweepIntervalMinutes * 60 * 1000).unref();
+
+// Charge overdue fines daily even for members who do not come back
+setInterval(() => {
+  accrueFines().catch((error) => {
+    logger.error('Fine accrual sweep failed', { error: error.message, stack: error.stack });
+  });
+}, config.fines.sweepIntervalMinutes * 60 * 1000).unref();
\ No newline at end of file
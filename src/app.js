@@ -2,20 +2,43 @@ const express = require('express');
 const config = require('./config');
 const mongoose = require('mongoose')
 const v2Router = require('./routes/index');
+const wellKnownRoutes = require('./routes/wellKnownRoutes');
 const errorHandler = require('./middleware/errorHandler');
+const requestLogger = require('./middleware/requestLogger');
+const jsonBody = require('./middleware/jsonBody');
+const httpMetrics = require('./middleware/httpMetrics');
+const healthRoutes = require('./routes/healthRoutes');
+const logger = require('./utils/logger');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 const path = require('path');
 
 
 const app = express();
-app.use(express.json());
+app.set('trust proxy', config.trustProxy);
+// Probes and scrapes are left out of the access log and request metrics
+app.use(healthRoutes);
+app.use(httpMetrics);
+app.use(requestLogger);
+app.use(jsonBody);
 
-// Mongo connection
-mongoose.connect(config.mongoURI, {});
+// Mongo connection. Mongoose reconnects by itself after losing an established
+// connection but gives up if the first attempt fails, so retry until one succeeds;
+// /readyz reports not ready meanwhile.
+const MONGO_RETRY_SECONDS = 5;
+const connectMongo = () => {
+  mongoose.connect(config.mongoURI, {}).catch((error) => {
+    logger.error('MongoDB connection failed', { error: error.message, retryInSeconds: MONGO_RETRY_SECONDS });
+    setTimeout(connectMongo, MONGO_RETRY_SECONDS * 1000);
+  });
+};
+mongoose.connection.on('connected', () => logger.info('Connected to MongoDB'));
+mongoose.connection.on('disconnected', () => logger.warn('Disconnected from MongoDB'));
+connectMongo();
 
 // Routes
 app.use('/api/v2', v2Router)
+app.use('/.well-known', wellKnownRoutes)
 
 const swaggerOptions = {
     swaggerDefinition: {
@@ -36,7 +59,13 @@ const swaggerOptions = {
                     type: 'http',
                     scheme: 'bearer',
                     bearerFormat: 'JWT',
-                }
+                },
+                // Accepted wherever bearerAuth is, within the scopes of the key
+                apiKeyAuth: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-API-Key',
+                },
             }
         }
     },
@@ -1,7 +1,126 @@
 require('dotenv').config();
 
+// Integer setting from the environment. Unset or non-numeric values take the
+// default; anything else, 0 included, is used as given once it is at least `min`.
+const intFromEnv = (name, fallback, { min = 0 } = {}) => {
+  const value = parseInt(process.env[name], 10);
+  if (Number.isNaN(value)) return fallback;
+  if (value < min) {
+    throw new Error(`${name} must be at least ${min}, got ${value}`);
+  }
+  return value;
+};
+
 module.exports = {
   port: process.env.PORT || 3000,
+  // Express "trust proxy" setting, so that req.ip is the client's address behind a reverse
+  // proxy: the number of proxies in front of the API, or their addresses
+  trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '')
+    ? parseInt(process.env.TRUST_PROXY, 10)
+    : process.env.TRUST_PROXY || false,
   mongoURI: process.env.MONGODB_URI || 'mongodb://localhost/bookstore',
-  jwtSecret: process.env.JWT_SECRET || 'c632d6333761bcf6974ef8365272e01ac1bf36f819c89a32668b82045d88f8ac51d02255736f0c19b1a6b58d597aefcab025127242f8a1d151b253f58229512f',
+  logging: {
+    level: process.env.LOG_LEVEL || 'info',
+    // Further fields to hide from logs, as comma-separated dot paths into the log
+    // entry such as request.body.email; array indexes are left out of the path
+    redactPaths: (process.env.LOG_REDACT_PATHS || '').split(',').map((path) => path.trim()).filter(Boolean),
+  },
+  metrics: {
+    // When set, /metrics needs "Authorization: Bearer <token>"
+    token: process.env.METRICS_TOKEN || '',
+  },
+  jwt: {
+    // Directory of <kid>.pem keys (RSA or Ed25519); private keys sign, public keys only verify.
+    // Required in production, elsewhere a temporary key is generated at startup.
+    keysDir: process.env.JWT_KEYS_DIR || '',
+    // Key that signs new tokens, needed when the directory holds several private keys
+    signingKeyId: process.env.JWT_SIGNING_KEY_ID || '',
+    issuer: process.env.JWT_ISSUER || 'library-api',
+  },
+  accessTokenExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '1h',
+  refreshTokenTtlDays: intFromEnv('REFRESH_TOKEN_TTL_DAYS', 30, { min: 1 }),
+  rateLimit: {
+    // 'memory' keeps counters per process, 'mongo' shares them between instances
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    // Requests per minute and IP address to the authentication routes
+    authPerMinute: intFromEnv('RATE_LIMIT_AUTH_PER_MINUTE', 20, { min: 1 }),
+  },
+  login: {
+    // Failed logins are counted per username and per IP address over this window
+    failureWindowMinutes: intFromEnv('LOGIN_FAILURE_WINDOW_MINUTES', 15, { min: 1 }),
+    // Failures allowed before every further attempt has to wait, starting at
+    // backoffBaseSeconds and doubling with each failure
+    userFreeAttempts: intFromEnv('LOGIN_USER_FREE_ATTEMPTS', 3),
+    ipFreeAttempts: intFromEnv('LOGIN_IP_FREE_ATTEMPTS', 10),
+    backoffBaseSeconds: intFromEnv('LOGIN_BACKOFF_BASE_SECONDS', 1, { min: 1 }),
+    backoffMaxSeconds: intFromEnv('LOGIN_BACKOFF_MAX_SECONDS', 300, { min: 1 }),
+    // Failures for one username that lock the account
+    lockoutThreshold: intFromEnv('LOGIN_LOCKOUT_THRESHOLD', 10, { min: 1 }),
+    lockoutMinutes: intFromEnv('LOGIN_LOCKOUT_MINUTES', 15, { min: 1 }),
+  },
+  password: {
+    minLength: intFromEnv('PASSWORD_MIN_LENGTH', 8, { min: 1 }),
+    // bcrypt ignores everything past 72 bytes
+    maxLength: intFromEnv('PASSWORD_MAX_LENGTH', 72, { min: 1 }),
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE === 'true',
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE === 'true',
+    requireDigit: process.env.PASSWORD_REQUIRE_DIGIT === 'true',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    // Reject passwords that contain the username
+    rejectUsername: process.env.PASSWORD_REJECT_USERNAME !== 'false',
+    resetTokenTtlMinutes: intFromEnv('PASSWORD_RESET_TOKEN_TTL_MINUTES', 60, { min: 1 }),
+    // Page of the client that takes the reset token; the token is appended as ?token=
+    resetUrl: process.env.PASSWORD_RESET_URL || '',
+  },
+  mail: {
+    // 'console' logs messages, 'file' writes each message to outboxDir. Defaults to
+    // 'console' except in production, where it must be set.
+    transport: process.env.MAIL_TRANSPORT || '',
+    from: process.env.MAIL_FROM || 'Book Management API <no-reply@localhost>',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || 'outbox',
+  },
+  apiKeys: {
+    // Keys a user can have that are not revoked
+    maxPerUser: intFromEnv('API_KEYS_MAX_PER_USER', 20),
+  },
+  loans: {
+    periodDays: intFromEnv('LOAN_PERIOD_DAYS', 14, { min: 1 }),
+    renewalDays: intFromEnv('LOAN_RENEWAL_DAYS', 14, { min: 1 }),
+    maxRenewals: intFromEnv('LOAN_MAX_RENEWALS', 2),
+    maxActivePerUser: intFromEnv('LOAN_MAX_ACTIVE_PER_USER', 5),
+  },
+  holds: {
+    // How long a returned copy is set aside for the next member in the queue
+    pickupWindowDays: intFromEnv('HOLD_PICKUP_WINDOW_DAYS', 3, { min: 1 }),
+    sweepIntervalMinutes: intFromEnv('HOLD_SWEEP_INTERVAL_MINUTES', 15, { min: 1 }),
+  },
+  fines: {
+    // Amounts are in minor currency units (cents)
+    currency: process.env.FINE_CURRENCY || 'USD',
+    dailyRate: intFromEnv('FINE_DAILY_RATE', 25),
+    // Days after the due date before fines start to accrue
+    graceDays: intFromEnv('FINE_GRACE_DAYS', 0),
+    maxPerItem: intFromEnv('FINE_MAX_PER_ITEM', 1000),
+    // Members owing more than this cannot check out books
+    blockThreshold: intFromEnv('FINE_BLOCK_THRESHOLD', 500),
+    sweepIntervalMinutes: intFromEnv('FINE_SWEEP_INTERVAL_MINUTES', 60, { min: 1 }),
+  },
+  import: {
+    batchSize: intFromEnv('IMPORT_BATCH_SIZE', 100, { min: 1 }),
+    maxRows: intFromEnv('IMPORT_MAX_ROWS', 5000, { min: 1 }),
+    maxUploadSize: process.env.IMPORT_MAX_UPLOAD_SIZE || '2mb',
+  },
+  batch: {
+    maxOperations: intFromEnv('BATCH_MAX_OPERATIONS', 500, { min: 1 }),
+    maxUploadSize: process.env.BATCH_MAX_UPLOAD_SIZE || '1mb',
+  },
+  trash: {
+    // Days a deleted book stays restorable before an admin can purge it
+    retentionDays: intFromEnv('TRASH_RETENTION_DAYS', 30),
+  },
+  search: {
+    // 'text' uses the MongoDB text index, 'memory' ranks candidates in-process only
+    engine: process.env.SEARCH_ENGINE || 'text',
+    maxCandidates: intFromEnv('SEARCH_MAX_CANDIDATES', 500, { min: 1 }),
+  },
 };
\ No newline at end of file
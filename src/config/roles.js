@@ -0,0 +1,43 @@
+// Roles a user can have, from least to most privileged
+const ROLES = ['member', 'librarian', 'admin'];
+
+const DEFAULT_ROLE = 'member';
+
+const memberPermissions = [
+  'books:create',
+  'books:update',
+  'books:delete',
+  'loans:borrow',
+  'holds:place',
+];
+
+// Librarians maintain the whole catalog, not only the books they added
+const librarianPermissions = [
+  ...memberPermissions,
+  'books:update:any',
+  'books:delete:any',
+  'books:import',
+  'books:export',
+  'loans:manage',
+  'holds:manage',
+  'authors:manage',
+];
+
+const adminPermissions = [
+  ...librarianPermissions,
+  'users:manage',
+  'fines:manage',
+  'books:purge',
+];
+
+const PERMISSIONS = {
+  member: memberPermissions,
+  librarian: librarianPermissions,
+  admin: adminPermissions,
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+};
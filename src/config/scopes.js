@@ -0,0 +1,36 @@
+// Scopes an API key can be given, with the permissions each one grants. A key acts
+// as the user it belongs to, but only with the permissions that one of its scopes
+// and the user's role both grant. Every key can use the routes that only read.
+const SCOPES = {
+  // Read-only catalog access, including the CSV/JSON export
+  'catalog:read': [
+    'books:export',
+  ],
+  'catalog:write': [
+    'books:create',
+    'books:update',
+    'books:update:any',
+    'books:delete',
+    'books:delete:any',
+    'books:import',
+    'authors:manage',
+  ],
+  circulation: [
+    'loans:borrow',
+    'loans:manage',
+    'holds:place',
+    'holds:manage',
+  ],
+  admin: [
+    'users:manage',
+    'fines:manage',
+    'books:purge',
+  ],
+};
+
+const SCOPE_NAMES = Object.keys(SCOPES);
+
+module.exports = {
+  SCOPES,
+  SCOPE_NAMES,
+};
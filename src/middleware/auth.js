@@ -1,31 +1,122 @@
-const jwt = require('jsonwebtoken');
-const config = require('../config');
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
 const logger = require('../utils/logger');
+const { BadRequestError, ForbiddenError, UnauthorizedError } = require('../utils/errors');
+const { verifyAccessToken, findActiveSession } = require('../utils/tokens');
+const { findActiveApiKey, recordApiKeyUse } = require('../utils/apiKeys');
+const { authFailures } = require('../utils/metrics');
 
-module.exports = (req, res, next) => {
+// Authenticate a request with an API key. The user is limited to the scopes of
+// the key, which hasPermission reads from req.user.scopes.
+const authenticateApiKey = async (key, req, next) => {
+  try {
+    const apiKey = await findActiveApiKey(key);
+    if (!apiKey) {
+      authFailures.inc({ reason: 'invalid_api_key' });
+      logger.warn('Invalid, expired or revoked API key rejected', { prefix: key.slice(0, 11) });
+      return next(new UnauthorizedError('Invalid API key'));
+    }
+
+    const user = await User.findById(apiKey.user).select('-password').lean();
+    if (!user) {
+      authFailures.inc({ reason: 'unknown_user' });
+      logger.warn('API key for unknown user rejected', { apiKey: apiKey._id });
+      return next(new UnauthorizedError('User no longer exists'));
+    }
+    if (user.disabledAt) {
+      authFailures.inc({ reason: 'account_disabled' });
+      logger.warn('API key for disabled user rejected', { apiKey: apiKey._id, user: user._id });
+      return next(new ForbiddenError('Account is disabled', { code: 'account_disabled' }));
+    }
+
+    await recordApiKeyUse(apiKey, { ip: req.ip });
+    req.user = { ...user, scopes: apiKey.scopes };
+    req.apiKey = apiKey;
+    logger.info(`User authenticated with API key: ${user.username}`, { apiKey: apiKey._id });
+    next();
+  } catch (error) {
+    logger.error('API key lookup failed', { error: error.message, stack: error.stack });
+    next(error);
+  }
+};
+
+module.exports = async (req, res, next) => {
   const authHeader = req.header('Authorization');
-  logger.info(`Auth header received: ${authHeader}`);
+  const apiKey = req.header('X-API-Key');
+
+  if (apiKey && authHeader) {
+    authFailures.inc({ reason: 'conflicting_credentials' });
+    logger.warn('Both an API key and an Authorization header provided');
+    return next(new BadRequestError('Send either an API key or a Bearer token, not both'));
+  }
+  if (apiKey) {
+    return authenticateApiKey(apiKey, req, next);
+  }
 
   if (!authHeader) {
+    authFailures.inc({ reason: 'missing_token' });
     logger.warn('No Authorization header provided');
-    return res.status(401).json({ message: 'No token, authorization denied' });
+    return next(new UnauthorizedError('No token, authorization denied'));
   }
 
   // Check if the auth header starts with 'Bearer '
   if (!authHeader.startsWith('Bearer ')) {
+    authFailures.inc({ reason: 'invalid_token' });
     logger.warn('Invalid Authorization header format');
-    return res.status(401).json({ message: 'Invalid token format' });
+    return next(new UnauthorizedError('Invalid token format'));
   }
 
   const token = authHeader.split(' ')[1];
 
+  let claims;
   try {
-    const decoded = jwt.verify(token, config.jwtSecret);
-    req.user = decoded;
-    logger.info(`User authenticated: ${decoded.username}`);
-    next();
+    claims = await verifyAccessToken(token);
   } catch (error) {
+    authFailures.inc({ reason: 'invalid_token' });
     logger.error(`Token verification failed: ${error.message}`);
-    return res.status(403).json({ message: 'Token is not valid' });
+    return next(new ForbiddenError('Token is not valid'));
+  }
+
+  // Tokens must name their user and the session they were issued for
+  if (!claims.sub || !mongoose.Types.ObjectId.isValid(claims.sub) || !claims.sid || !claims.jti) {
+    authFailures.inc({ reason: 'invalid_token' });
+    logger.warn('Token with missing claims rejected', { sub: claims.sub, jti: claims.jti });
+    return next(new ForbiddenError('Token is not valid'));
+  }
+
+  try {
+    const session = await findActiveSession(claims.sid, claims.sub);
+    if (!session) {
+      authFailures.inc({ reason: 'revoked_token' });
+      logger.warn('Token for revoked session rejected', { sub: claims.sub, session: claims.sid, jti: claims.jti });
+      return next(new UnauthorizedError('Token has been revoked'));
+    }
+
+    // Load the user so handlers see current data rather than what was signed into the token
+    const user = await User.findById(claims.sub).select('-password').lean();
+    if (!user) {
+      authFailures.inc({ reason: 'unknown_user' });
+      logger.warn('Token for unknown user rejected', { sub: claims.sub, jti: claims.jti });
+      return next(new UnauthorizedError('User no longer exists'));
+    }
+    if (user.disabledAt) {
+      authFailures.inc({ reason: 'account_disabled' });
+      logger.warn('Token for disabled user rejected', { sub: claims.sub, jti: claims.jti });
+      return next(new ForbiddenError('Account is disabled', { code: 'account_disabled' }));
+    }
+
+    req.user = user;
+    req.auth = {
+      tokenId: claims.jti,
+      sessionId: session._id,
+      issuedAt: new Date(claims.iat * 1000),
+      expiresAt: new Date(claims.exp * 1000),
+    };
+    req.authSession = session;
+    logger.info(`User authenticated: ${user.username}`);
+    next();
+  } catch (error) {
+    logger.error('Authentication lookup failed', { error: error.message, stack: error.stack });
+    next(error);
   }
-};
\ No newline at end of file
+};
@@ -1,36 +1,55 @@
+const http = require('http');
 const logger = require('../utils/logger');
+const { HttpError, codeForStatus } = require('../utils/errors');
 
+// Report errors as RFC 7807 problem details (application/problem+json).
+// Client errors raised by express itself, such as malformed JSON bodies, carry a
+// status too; anything else is unexpected and reported as a 500 without details.
 module.exports = (err, req, res, next) => {
-  // Log the error
-  logger.error({
-    message: err.message,
-    error: err,
-    request: {
-      method: req.method,
-      url: req.originalUrl,
-      body: req.body,
-      params: req.params,
-      query: req.query,
-    },
-    user: req.user ? req.user.username : 'unauthenticated',
-  });
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const isClientError = err instanceof HttpError || (err.status >= 400 && err.status < 500);
+  const status = isClientError ? err.status : 500;
+  const code = err instanceof HttpError ? err.code : codeForStatus(status);
 
-  // Determine the status code
-  const statusCode = err.status || 500;
+  if (isClientError) {
+    logger.warn('Request failed', { code, reason: err.message, method: req.method, url: req.originalUrl, statusCode: status });
+  } else {
+    logger.error({
+      message: err.message,
+      error: err,
+      request: {
+        method: req.method,
+        url: req.originalUrl,
+        body: req.body,
+        params: req.params,
+        query: req.query,
+      },
+      user: req.user ? req.user.username : 'unauthenticated',
+      statusCode: status,
+    });
+  }
 
-  // Prepare the error response
-  const errorResponse = {
-    error: {
-      message: err.message || 'Internal Server Error',
-      status: statusCode,
-    },
+  const problem = {
+    type: 'about:blank',
+    title: http.STATUS_CODES[status],
+    status,
+    detail: isClientError ? err.message : 'An unexpected error occurred',
+    code,
+    instance: req.originalUrl,
+    ...(err instanceof HttpError ? err.extensions : {}),
   };
 
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   // Include stack trace in development environment
   if (process.env.NODE_ENV === 'development') {
-    errorResponse.error.stack = err.stack;
+    problem.stack = err.stack;
   }
 
-  // Send the error response
-  return res.status(statusCode).json(errorResponse);
-};
\ No newline at end of file
+  return res.status(status).type('application/problem+json').json(problem);
+};
@@ -0,0 +1,28 @@
+const { httpRequestDuration } = require('../utils/metrics');
+
+// Time every request and count it under the route pattern that handled it, such as
+// /api/v2/books/:id, so that ids in URLs do not each create a series. Requests no
+// route matched are counted as "unmatched".
+module.exports = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+  let route;
+  let routePath;
+
+  // Express assigns req.route when a route starts handling the request. The full
+  // path is taken at that moment because an error passed on to the error handler
+  // resets req.baseUrl before the response is sent.
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      routePath = `${req.baseUrl}${value.path}`;
+    },
+  });
+
+  res.once('finish', () => {
+    endTimer({ method: req.method, route: routePath || 'unmatched', status_code: res.statusCode });
+  });
+  next();
+};
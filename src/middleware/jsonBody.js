@@ -0,0 +1,13 @@
+const express = require('express');
+const config = require('../config');
+
+// JSON body parsing for the whole API. Bulk routes take bodies far larger than the
+// 100kb default, so they are parsed first with their own limit; body-parser then
+// leaves an already parsed body alone.
+const router = express.Router();
+
+router.use('/api/v2/books/import', express.json({ limit: config.import.maxUploadSize }));
+router.use('/api/v2/books/batch', express.json({ limit: config.batch.maxUploadSize }));
+router.use(express.json());
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const logger = require('../utils/logger');
+const { DEFAULT_ROLE, PERMISSIONS } = require('../config/roles');
+const { SCOPES } = require('../config/scopes');
+const { ForbiddenError, UnauthorizedError } = require('../utils/errors');
+
+// Check whether a user's role grants a permission. Users authenticated with an
+// API key carry its scopes, and one of them has to grant the permission as well.
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+  const granted = PERMISSIONS[user.role || DEFAULT_ROLE] || [];
+  if (!granted.includes(permission)) return false;
+  return !user.scopes || user.scopes.some((scope) => (SCOPES[scope] || []).includes(permission));
+};
+
+// Middleware factory: the authenticated user must have every listed permission.
+// Must run after the auth middleware.
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    logger.warn('Permission check without authenticated user', { permissions, statusCode: 401 });
+    return next(new UnauthorizedError('Authentication required'));
+  }
+
+  const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+  const role = req.user.role || DEFAULT_ROLE;
+  if (missing.length && req.user.scopes && missing.every((permission) => (PERMISSIONS[role] || []).includes(permission))) {
+    // The role allows it, but none of the scopes of the API key does
+    logger.warn('Permission denied: API key scope', { user: req.user._id, scopes: req.user.scopes, missing, statusCode: 403 });
+    return next(new ForbiddenError('The API key has no scope for this action', { code: 'insufficient_scope' }));
+  }
+  if (missing.length) {
+    logger.warn('Permission denied', { user: req.user._id, role, missing, statusCode: 403 });
+    return next(new ForbiddenError('You do not have permission to perform this action'));
+  }
+
+  next();
+};
+
+// Middleware for routes that manage the account itself (passwords, sessions, API
+// keys, payments), which need a login session rather than an API key.
+// Must run after the auth middleware.
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    logger.warn('API key used for a route that needs a login session', { user: req.user._id, apiKey: req.apiKey._id, statusCode: 403 });
+    return next(new ForbiddenError('This action needs a login session, not an API key', { code: 'session_required' }));
+  }
+  next();
+};
+
+module.exports = {
+  hasPermission,
+  requirePermission,
+  requireSession,
+};
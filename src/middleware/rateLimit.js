@@ -0,0 +1,31 @@
+const logger = require('../utils/logger');
+const { TooManyRequestsError } = require('../utils/errors');
+const { getDefaultStore } = require('../utils/rateLimitStores');
+const { secondsUntil } = require('../utils/dates');
+
+// Middleware factory: allow at most `max` requests per `windowMs` for each key, the
+// client's IP address unless keyGenerator says otherwise. Limiters sharing a store
+// need distinct names. Responses carry RateLimit-Limit, RateLimit-Remaining and
+// RateLimit-Reset headers; requests over the limit get a 429 with Retry-After.
+const rateLimit = ({ name, windowMs, max, keyGenerator = (req) => req.ip, store = null }) => async (req, res, next) => {
+  try {
+    const now = new Date();
+    const { count, resetAt } = await (store || getDefaultStore()).increment(`${name}:${keyGenerator(req)}`, windowMs, now);
+    const reset = secondsUntil(resetAt, now);
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - count)),
+      'RateLimit-Reset': String(reset),
+    });
+
+    if (count > max) {
+      logger.warn('Rate limit exceeded', { limiter: name, ip: req.ip, count, statusCode: 429 });
+      return next(new TooManyRequestsError('Too many requests, try again later', reset));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = rateLimit;
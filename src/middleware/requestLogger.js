@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { runWithRequestContext } = require('../utils/requestContext');
+
+// Ids sent by clients or proxies are kept only if they are short and plain,
+// since they are echoed back and written to every log entry
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const levelForStatus = (status) => {
+  if (status >= 500) return 'error';
+  if (status >= 400) return 'warn';
+  return 'info';
+};
+
+// Give every request an id, taken from X-Request-Id or generated, and run the rest
+// of the chain in a request context so that every logger call is tagged with it.
+// Each request gets one access log entry with its outcome and latency.
+module.exports = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.once('close', () => {
+    const entry = {
+      requestId,
+      method: req.method,
+      url: req.originalUrl,
+      statusCode: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+      contentLength: res.get('Content-Length'),
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      user: req.user ? String(req.user._id) : undefined,
+    };
+    // The client went away before the response was sent
+    if (!res.writableFinished) {
+      logger.warn('Request aborted', entry);
+      return;
+    }
+    logger.log(levelForStatus(res.statusCode), `${req.method} ${req.originalUrl} ${res.statusCode}`, entry);
+  });
+
+  runWithRequestContext({ requestId }, next);
+};
@@ -0,0 +1,16 @@
+const Book = require('../models/bookModel');
+
+// Books created before the richer schema only have a single author string.
+// List it in authors, give them an empty genre list and build the ISBN index.
+module.exports = {
+  name: '001-book-metadata',
+  up: async () => {
+    await Book.updateMany(
+      { $or: [{ authors: { $exists: false } }, { authors: { $size: 0 } }] },
+      [{ $set: { authors: ['$author'] } }]
+    );
+    await Book.updateMany({ genres: { $exists: false } }, { $set: { genres: [] } });
+    await Book.updateMany({ schemaVersion: { $exists: false } }, { $set: { schemaVersion: 2 } });
+    await Book.createIndexes();
+  },
+};
@@ -0,0 +1,21 @@
+const Author = require('../models/authorModel');
+const Book = require('../models/bookModel');
+const { resolveAuthorNames } = require('../utils/authors');
+
+// Books created before authors were records only name them. Create an author
+// for every distinct name and point the books at them. Books are only updated
+// once they have authorIds, so the migration resumes where it stopped.
+module.exports = {
+  name: '002-book-authors',
+  up: async () => {
+    // The unique name index must exist before authors are created from names
+    await Author.createIndexes();
+    await Book.createIndexes();
+
+    const cursor = Book.find({ authorIds: { $exists: false } }, 'author authors', { withDeleted: true }).cursor();
+    for await (const book of cursor) {
+      const names = book.authors && book.authors.length ? book.authors : [book.author];
+      await Book.updateOne({ _id: book._id }, { $set: await resolveAuthorNames(names) });
+    }
+  },
+};
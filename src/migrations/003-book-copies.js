@@ -0,0 +1,13 @@
+const Book = require('../models/bookModel');
+
+// Books created before copies were tracked have neither count stored. Mongoose
+// fills the defaults in on read, but queries such as checkout's availableCopies
+// filter run against what is stored, so these books could never be borrowed.
+// Like the default, each of them gets a single copy that is on the shelf.
+module.exports = {
+  name: '003-book-copies',
+  up: async () => {
+    await Book.updateMany({ totalCopies: { $exists: false } }, { $set: { totalCopies: 1 } });
+    await Book.updateMany({ availableCopies: { $exists: false } }, [{ $set: { availableCopies: '$totalCopies' } }]);
+  },
+};
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/userModel');
+const { DELETED_USERNAME } = require('../utils/accounts');
+
+const PLACEHOLDER_REASON = 'Placeholder for deleted accounts';
+
+// Create the placeholder account that books of deleted accounts are handed to. It
+// is found by its flag, not its name: a real account may have registered the name
+// before it was reserved, in which case the placeholder gets a suffixed one. A
+// placeholder created on demand by earlier versions is flagged rather than replaced.
+module.exports = {
+  name: '004-deleted-user-placeholder',
+  up: async () => {
+    // The unique placeholder index must exist before the placeholder is created
+    await User.createIndexes();
+
+    if (await User.findOne({ placeholder: true }, '_id')) return;
+    const earlier = await User.findOneAndUpdate(
+      { username: DELETED_USERNAME, disabledReason: PLACEHOLDER_REASON },
+      { $set: { placeholder: true } }
+    );
+    if (earlier) return;
+
+    const taken = await User.findOne({ username: DELETED_USERNAME }, '_id');
+    // Nobody knows the password, and the account is disabled anyway
+    const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    await User.create({
+      username: taken ? `${DELETED_USERNAME}-${crypto.randomBytes(4).toString('hex')}` : DELETED_USERNAME,
+      password,
+      placeholder: true,
+      disabledAt: new Date(),
+      disabledReason: PLACEHOLDER_REASON,
+    });
+  },
+};
@@ -0,0 +1,31 @@
+const Migration = require('../models/migrationModel');
+const logger = require('../utils/logger');
+
+// Every migration, in the order they must run. Each one is applied once and
+// must be safe to run again if it failed halfway.
+const MIGRATIONS = [
+  require('./001-book-metadata'),
+  require('./002-book-authors'),
+  require('./003-book-copies'),
+  require('./004-deleted-user-placeholder'),
+];
+
+// Apply the migrations that have not run yet, returns their names
+const runMigrations = async (migrations = MIGRATIONS) => {
+  const applied = new Set((await Migration.find({}, 'name')).map(({ name }) => name));
+  const ran = [];
+  for (const migration of migrations) {
+    if (applied.has(migration.name)) continue;
+
+    logger.info(`Running migration ${migration.name}`);
+    await migration.up();
+    await Migration.create({ name: migration.name, appliedAt: new Date() });
+    ran.push(migration.name);
+  }
+  return ran;
+};
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations,
+};
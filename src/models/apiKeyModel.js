@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { SCOPE_NAMES } = require('../config/scopes');
+
+// A long-lived credential for scripts and services, sent in the X-API-Key header.
+// Only the SHA-256 hash of the key is stored; prefix is its first characters, so
+// people can tell their keys apart.
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  prefix: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  scopes: { type: [{ type: String, enum: SCOPE_NAMES }], required: true },
+  // Who created the key: the user, or an admin on their behalf
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String, default: null },
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const authorSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // Name with case, accents, spacing and punctuation removed, so "J.K. Rowling"
+  // and "J. K. Rowling" are the same author
+  nameKey: { type: String, required: true },
+  bio: { type: String, maxlength: 5000 },
+  birthYear: { type: Number },
+  deathYear: { type: Number },
+}, { timestamps: true });
+
+authorSchema.index({ nameKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('Author', authorSchema);
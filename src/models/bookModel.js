@@ -1,10 +1,92 @@
 const mongoose = require('mongoose');
+const { isValidIsbn13 } = require('../utils/isbn');
+
+// Bumped when the shape of book documents changes; see src/migrations
+const BOOK_SCHEMA_VERSION = 2;
 
 const bookSchema = new mongoose.Schema({
   title: { type: String, required: true },
+  // Primary author, always the first entry of authors
   author: { type: String, required: true },
+  authors: { type: [String], default: undefined },
+  // Author records of the book, in the same order as authors
+  authorIds: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Author' }], default: undefined },
   publishedYear: { type: Number, required: true },
+  // Normalized ISBN-13, digits only
+  isbn: {
+    type: String,
+    validate: { validator: isValidIsbn13, message: 'ISBN must be a valid ISBN-13' },
+  },
+  genres: { type: [String], default: [] },
+  publisher: { type: String },
+  // ISO 639-1 language code, e.g. "en"
+  language: { type: String, lowercase: true, match: /^[a-z]{2}$/ },
+  pageCount: { type: Number, min: 1 },
+  description: { type: String, maxlength: 5000 },
+  coverImageUrl: { type: String },
   addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Number of physical copies owned and how many of them can currently be borrowed
+  totalCopies: { type: Number, min: 0, default: 1 },
+  availableCopies: {
+    type: Number,
+    min: 0,
+    default() { return this.totalCopies; },
+    validate: {
+      validator(value) { return this.totalCopies === undefined || value <= this.totalCopies; },
+      message: 'Available copies cannot exceed total copies',
+    },
+  },
+  schemaVersion: { type: Number, default: BOOK_SCHEMA_VERSION },
+  // Set when the book is moved to the trash; it is purged after the retention period
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
 }, { timestamps: true });
 
-module.exports = mongoose.model('Book', bookSchema);
\ No newline at end of file
+// Keep the primary author and the list of authors in step on new documents
+bookSchema.pre('validate', function (next) {
+  if (!this.author && this.authors && this.authors.length) {
+    this.author = this.authors[0];
+  }
+  if (!this.authors || !this.authors.length) {
+    this.authors = this.author ? [this.author] : [];
+  }
+  next();
+});
+
+// Books in the trash are left out of reads unless the filter mentions deletedAt
+// or the query is run with the withDeleted option
+bookSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments'], function () {
+  const { withDeleted } = this.getOptions();
+  delete this.options.withDeleted;
+  if (withDeleted || 'deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+});
+
+// Every update bumps the document version (__v) that ETags and If-Match are
+// based on. Pipeline updates are only used by migrations and keep the version.
+bookSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return;
+  update.$inc = { ...update.$inc, __v: 1 };
+});
+
+// Full-text index used by GET /books/search
+bookSchema.index(
+  { title: 'text', author: 'text' },
+  { name: 'book_text_search', weights: { title: 2, author: 1 } }
+);
+
+// Books of an author
+bookSchema.index({ authorIds: 1 });
+
+// The trash listing and the purge of expired books
+bookSchema.index({ deletedAt: 1 });
+
+// One book per ISBN; books without an ISBN are not indexed
+bookSchema.index(
+  { isbn: 1 },
+  { name: 'book_isbn_unique', unique: true, partialFilterExpression: { isbn: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Book', bookSchema);
+module.exports.BOOK_SCHEMA_VERSION = BOOK_SCHEMA_VERSION;
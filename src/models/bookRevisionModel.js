@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One change to a book: who made it, when, and the old and new value of every
+// field it touched. Revisions are numbered per book and never changed or removed.
+const REVISION_ACTIONS = ['create', 'update', 'delete', 'restore', 'revert'];
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  from: { type: mongoose.Schema.Types.Mixed, default: null },
+  to: { type: mongoose.Schema.Types.Mixed, default: null },
+}, { _id: false });
+
+const bookRevisionSchema = new mongoose.Schema({
+  book: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+  revision: { type: Number, required: true, min: 1 },
+  action: { type: String, enum: REVISION_ACTIONS, required: true },
+  changes: { type: [fieldChangeSchema], default: [] },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Revision whose field values a revert brought back
+  revertedTo: { type: Number, default: null },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// A book's history, newest first; the unique index keeps revision numbers unique
+bookRevisionSchema.index({ book: 1, revision: -1 }, { unique: true });
+
+// The history is append-only
+const rejectChange = (next) => next(new Error('Book revisions cannot be modified or deleted'));
+bookRevisionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'],
+  rejectChange
+);
+bookRevisionSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+module.exports = mongoose.model('BookRevision', bookRevisionSchema);
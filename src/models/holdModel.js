@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A place in the FIFO queue for a book with no available copies.
+// waiting -> ready (a copy is set aside until expiresAt) -> fulfilled (checked out)
+// Holds can also be cancelled by the member or expire when not picked up in time.
+const HOLD_STATUSES = ['waiting', 'ready', 'fulfilled', 'cancelled', 'expired'];
+
+const holdSchema = new mongoose.Schema({
+  book: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: HOLD_STATUSES, default: 'waiting' },
+  readyAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  closedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+// Queue order per book, a user's holds, and the pickup expiry sweep
+holdSchema.index({ book: 1, status: 1, createdAt: 1 });
+holdSchema.index({ user: 1, status: 1 });
+holdSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Hold', holdSchema);
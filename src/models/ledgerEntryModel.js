@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One line of a user's fines ledger. Fines are positive amounts, payments and
+// waivers negative, so the balance is the sum of a user's entries. Amounts are
+// in minor currency units (cents). Entries are never changed or removed.
+const ENTRY_TYPES = ['fine', 'payment', 'waiver'];
+
+const ledgerEntrySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ENTRY_TYPES, required: true },
+  amount: { type: Number, required: true, validate: Number.isInteger },
+  loan: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan', default: null },
+  reason: { type: String, default: null },
+  // Admin who waived the charge
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// A user's ledger, newest first
+ledgerEntrySchema.index({ user: 1, createdAt: -1 });
+
+// The ledger is append-only
+const rejectChange = (next) => next(new Error('Ledger entries cannot be modified or deleted'));
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'],
+  rejectChange
+);
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
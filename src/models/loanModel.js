@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const loanSchema = new mongoose.Schema({
+  book: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  checkedOutAt: { type: Date, required: true, default: Date.now },
+  dueAt: { type: Date, required: true },
+  returnedAt: { type: Date, default: null },
+  renewals: { type: Number, default: 0, min: 0 },
+  // Total fine charged to the ledger for this loan so far, in cents
+  fineAccrued: { type: Number, default: 0, min: 0 },
+}, { timestamps: true });
+
+// Active loans of a user / of a book, and the overdue sweep
+loanSchema.index({ user: 1, returnedAt: 1 });
+loanSchema.index({ book: 1, returnedAt: 1 });
+loanSchema.index({ returnedAt: 1, dueAt: 1 });
+
+module.exports = mongoose.model('Loan', loanSchema);
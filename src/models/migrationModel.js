@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Data migrations that have been applied, see src/migrations
+const migrationSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  appliedAt: { type: Date, required: true, default: Date.now },
+});
+
+module.exports = mongoose.model('Migration', migrationSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// A one-time password reset token. Only its SHA-256 hash is stored, so the token
+// itself exists nowhere but in the message sent to the user.
+const passwordResetTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A counter of the MongoDB rate limit store: hits of one key in the current window
+const rateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, required: true, min: 0 },
+  resetAt: { type: Date, required: true },
+  lastHitAt: { type: Date, required: true },
+  previousHitAt: { type: Date, default: null },
+});
+
+// Counters are removed by MongoDB once their window is over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Only the SHA-256 hash of a refresh token is stored
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  session: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'RefreshToken', default: null },
+}, { timestamps: true });
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// A login session. Every refresh token issued from one login belongs to the same
+// session (token family), so revoking the session invalidates all of them.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, enum: ['logout', 'logout-all', 'reuse-detected', 'password-change', 'password-reset', 'account-disabled', null], default: null },
+  lastUsedAt: { type: Date },
+  userAgent: { type: String },
+  ip: { type: String },
+}, { timestamps: true });
+
+// Expired sessions are removed by MongoDB once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,8 +1,33 @@
 const mongoose = require('mongoose');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
 
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   password: { type: String, required: true },
+  // Where password reset links are sent; optional, but unique when given
+  email: { type: String, trim: true, lowercase: true, unique: true, sparse: true },
+  displayName: { type: String, trim: true, maxlength: 100 },
+  preferences: {
+    // ISO 639-1 language code, e.g. "en"
+    language: { type: String, lowercase: true, match: /^[a-z]{2}$/, default: 'en' },
+    emailNotifications: { type: Boolean, default: true },
+  },
+  role: { type: String, enum: ROLES, default: DEFAULT_ROLE },
+  // Set by an admin; disabled accounts cannot log in and their tokens are refused
+  disabledAt: { type: Date, default: null },
+  disabledReason: { type: String, default: null },
+  // Touched by every checkout so concurrent checkouts of one user conflict in their transactions
+  lastCheckoutAt: { type: Date },
+  // Running total of the fines ledger in cents, kept in step with each ledger entry
+  fineBalance: { type: Number, default: 0 },
+  // Set only on the disabled account that books of deleted accounts are handed to
+  placeholder: { type: Boolean },
 });
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+// The admin user listing
+userSchema.index({ role: 1, disabledAt: 1 });
+
+// There is a single placeholder account
+userSchema.index({ placeholder: 1 }, { unique: true, partialFilterExpression: { placeholder: true } });
+
+module.exports = mongoose.model('User', userSchema);
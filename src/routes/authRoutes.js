@@ -1,11 +1,51 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/userModel');
+const ApiKey = require('../models/apiKeyModel');
+const auth = require('../middleware/auth');
+const { hasPermission, requireSession } = require('../middleware/permissions');
+const rateLimit = require('../middleware/rateLimit');
 const config = require('../config');
 const logger = require('../utils/logger');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  TooManyRequestsError,
+} = require('../utils/errors');
+const {
+  checkLoginAttempt,
+  reserveLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearLoginFailures,
+} = require('../utils/loginThrottle');
+const { passwordProblems, describeProblems, passwordRule } = require('../utils/passwordPolicy');
+const {
+  createPasswordResetToken,
+  sendPasswordResetMail,
+  findResetToken,
+  claimResetToken,
+} = require('../utils/passwordReset');
+const { RESERVED_USERNAMES } = require('../utils/accounts');
+const { createApiKey, toApiKeyInfo } = require('../utils/apiKeys');
+const { SCOPE_NAMES } = require('../config/scopes');
+const { addDays } = require('../utils/dates');
+const { authFailures } = require('../utils/metrics');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} = require('../utils/tokens');
+
+// Requests per IP address to the routes that do not need a token
+const authRateLimit = rateLimit({ name: 'auth', windowMs: 60 * 1000, max: config.rateLimit.authPerMinute });
 
 // User registration
 /**
@@ -35,6 +75,10 @@ const logger = require('../utils/logger');
  *         password:
  *           type: string
  *           description: The password of the user (hashed)
+ *         email:
+ *           type: string
+ *           description: Where password reset links are sent
+ *           unique: true
  */
 
 /**
@@ -58,19 +102,27 @@ const logger = require('../utils/logger');
  *                 minLength: 6
  *               password:
  *                 type: string
- *                 minLength: 8
+ *                 description: Must meet the password policy
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Optional, needed to reset a forgotten password
  *     responses:
  *       201:
  *         description: User registered successfully
  *       400:
- *         description: Validation error or username already exists
+ *         description: Validation error, or the username or email is already in use
+ *       429:
+ *         description: Too many requests from this address, see Retry-After
  *       500:
  *         description: Server error
  */
-router.post('/register', [
+router.post('/register', authRateLimit, [
   // Validation Middleware
   body('username').isLength({ min: 6 }).withMessage('Username must be at least 6 characters long'),
-  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters long'),
+  body('username').not().isIn(RESERVED_USERNAMES).withMessage('Username is reserved'),
+  passwordRule('password'),
+  body('email').optional().isEmail().withMessage('Email must be a valid email address'),
 ], async (req, res, next) => {
   logger.info('Registration attempt', { username: req.body.username });
   try {
@@ -78,14 +130,21 @@ router.post('/register', [
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       logger.warn('Registration failed: validation errors', { errors: errors.array(), statusCode: 400 });
-      return res.status(400).json({ errors: errors.array() });
+      return next(new ValidationError(errors.array()));
     }
 
     // Check if username already exists
     const existingUser = await User.findOne({ username: req.body.username });
     if (existingUser) {
       logger.warn('Registration failed: username already exists', { username: req.body.username, statusCode: 400 });
-      return res.status(400).json({ message: 'Username already exists' });
+      return next(new BadRequestError('Username already exists', { code: 'username_taken' }));
+    }
+
+    // Check if email is already in use
+    const email = req.body.email ? String(req.body.email).trim().toLowerCase() : undefined;
+    if (email && await User.findOne({ email })) {
+      logger.warn('Registration failed: email already in use', { username: req.body.username, statusCode: 400 });
+      return next(new BadRequestError('Email already in use', { code: 'email_taken' }));
     }
 
     // Hash the password & create new user
@@ -93,15 +152,20 @@ router.post('/register', [
     const user = new User({
       username: req.body.username,
       password: hashedPassword,
+      email,
     });
     await user.save();
     logger.info('User registered successfully', { username: req.body.username, statusCode: 201 });
     res.status(201).send('User registered successfully');
   } catch (error) {
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.email) {
+      logger.warn('Registration failed: email already in use (duplicate key)', { username: req.body.username, statusCode: 400 });
+      return next(new BadRequestError('Email already in use', { code: 'email_taken' }));
+    }
     if (error.code === 11000) {
       // MongoDB duplicate key error
       logger.warn('Registration failed: username already exists (duplicate key)', { username: req.body.username, statusCode: 400 });
-      return res.status(400).json({ message: 'Username already exists' });
+      return next(new BadRequestError('Username already exists', { code: 'username_taken' }));
     }
     logger.error('Registration error', { error: error.message, stack: error.stack, statusCode: 500 });
     next(error);
@@ -136,18 +200,30 @@ router.post('/register', [
  *           application/json:
  *             schema:
  *               type: object
- *               properties:
- *                 token:
- *                   type: string
+ *               $ref: '#/components/schemas/TokenPair'
  *       400:
  *         description: Invalid credentials
+ *       403:
+ *         description: The account is disabled (code `account_disabled`)
+ *       429:
+ *         description: >
+ *           Too many requests or failed logins (code `login_throttled`), or the account is
+ *           temporarily locked after repeated failed logins (code `account_locked`). The
+ *           Retry-After header gives the seconds to wait.
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
  *       500:
  *         description: Server error
  */
-router.post('/login', [
+router.post('/login', authRateLimit, [
   // Validation Middleware
-  body('username').notEmpty().withMessage('Username is required'),
-  body('password').notEmpty().withMessage('Password is required'),
+  // Strings only: the username keys the login throttle and the user lookup
+  body('username').isString().withMessage('Username must be a string').bail()
+    .notEmpty().withMessage('Username is required'),
+  body('password').isString().withMessage('Password must be a string').bail()
+    .notEmpty().withMessage('Password is required'),
 ], async (req, res, next) => {
   logger.info('Login attempt', { username: req.body.username });
   try {
@@ -155,18 +231,42 @@ router.post('/login', [
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       logger.warn('Login failed: validation errors', { errors: errors.array(), statusCode: 400 });
-      return res.status(400).json({ errors: errors.array() });
+      return next(new ValidationError(errors.array()));
+    }
+
+    // Back off after failed logins for this username or from this address
+    const { username, password } = req.body;
+    let attempt = await checkLoginAttempt({ username, ip: req.ip });
+    if (attempt.retryAfter === 0) {
+      // Counted before the password check so that concurrent guesses are throttled too
+      attempt = await reserveLoginAttempt({ username, ip: req.ip });
+    }
+    if (attempt.retryAfter > 0) {
+      authFailures.inc({ reason: attempt.locked ? 'account_locked' : 'login_throttled' });
+      logger.warn('Login throttled', { username, ip: req.ip, locked: attempt.locked, retryAfter: attempt.retryAfter, statusCode: 429 });
+      return next(attempt.locked
+        ? new TooManyRequestsError('Account temporarily locked after repeated failed logins', attempt.retryAfter, { code: 'account_locked' })
+        : new TooManyRequestsError('Too many failed logins, try again later', attempt.retryAfter, { code: 'login_throttled' }));
     }
 
     // Check user credentials and generate JWT on successful match
-    const user = await User.findOne({ username: req.body.username });
-    if (user && await bcrypt.compare(req.body.password, user.password)) {
-      const token = jwt.sign({ username: user.username }, config.jwtSecret, { expiresIn: '1h' });
-      logger.info('User logged in successfully', { username: req.body.username, statusCode: 200 });
-      res.json({ token });
+    const user = await User.findOne({ username });
+    if (user && await bcrypt.compare(password, user.password)) {
+      await recordLoginSuccess({ username, ip: req.ip });
+      // Only tell whether the account is disabled to someone who knows its password
+      if (user.disabledAt) {
+        authFailures.inc({ reason: 'account_disabled' });
+        logger.warn('Login failed: account disabled', { username, statusCode: 403 });
+        return next(new ForbiddenError('Account is disabled', { code: 'account_disabled' }));
+      }
+      const { token, refreshToken } = await createSession(user, { userAgent: req.get('User-Agent'), ip: req.ip });
+      logger.info('User logged in successfully', { username, statusCode: 200 });
+      res.json({ token, refreshToken });
     } else {
-      logger.warn('Login failed: invalid credentials', { username: req.body.username, statusCode: 400 });
-      res.status(400).send('Invalid credentials');
+      const locked = await recordLoginFailure({ username, failures: attempt.failures });
+      authFailures.inc({ reason: 'invalid_credentials' });
+      logger.warn('Login failed: invalid credentials', { username, locked, statusCode: 400 });
+      next(new BadRequestError('Invalid credentials', { code: 'invalid_credentials' }));
     }
   } catch (error) {
     logger.error('Login error', { error: error.message, stack: error.stack, statusCode: 500 });
@@ -174,4 +274,648 @@ router.post('/login', [
   }
 });
 
+// Refresh tokens
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     TokenPair:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Short-lived JWT access token
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use refresh token, rotated on every refresh
+ */
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: >
+ *       Refresh tokens are single use. Presenting a refresh token that was already
+ *       exchanged revokes the whole session, including all access tokens issued from it.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenPair'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Refresh token is invalid, expired, revoked or was reused, or the account is disabled
+ *       429:
+ *         description: Too many requests from this address, see Retry-After
+ *       500:
+ *         description: Server error
+ */
+router.post('/refresh', authRateLimit, [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+], async (req, res, next) => {
+  logger.info('Token refresh attempt');
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Token refresh failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    // Rotate the refresh token, reloading the user so the new access token is current.
+    // Sessions of disabled accounts end like those of deleted ones.
+    const result = await rotateRefreshToken(req.body.refreshToken, async (userId) => {
+      const user = await User.findById(userId);
+      return user && !user.disabledAt ? user : null;
+    });
+    if (result.status !== 'ok') {
+      authFailures.inc({ reason: `refresh_${result.status}` });
+      logger.warn('Token refresh failed', { reason: result.status, statusCode: 401 });
+      return next(new UnauthorizedError('Invalid refresh token'));
+    }
+
+    logger.info('Token refreshed successfully', { session: String(result.session._id), statusCode: 200 });
+    res.json({ token: result.token, refreshToken: result.refreshToken });
+  } catch (error) {
+    logger.error('Token refresh error', { error: error.message, stack: error.stack, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Logout
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     description: Revokes the session of the access token, invalidating its refresh token as well.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Missing or revoked token
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout', auth, requireSession, async (req, res, next) => {
+  logger.info('Logout attempt', { username: req.user.username });
+  try {
+    await revokeSession(req.authSession._id, 'logout');
+    logger.info('User logged out successfully', { username: req.user.username, statusCode: 200 });
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    logger.error('Logout error', { error: error.message, stack: error.stack, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Logout of every session
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out of all sessions
+ *     description: Revokes every session of the current user on every device.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Missing or revoked token
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout-all', auth, requireSession, async (req, res, next) => {
+  logger.info('Logout from all sessions attempt', { username: req.user.username });
+  try {
+    const result = await revokeAllSessions(req.user._id, 'logout-all');
+    logger.info('User logged out of all sessions', { username: req.user.username, sessions: result.modifiedCount, statusCode: 200 });
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (error) {
+    logger.error('Logout from all sessions error', { error: error.message, stack: error.stack, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Change password
+/**
+ * @swagger
+ * /auth/change-password:
+ *   post:
+ *     summary: Change the password of the current user
+ *     description: Signs out every other session of the user; the current session stays valid.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 description: Must meet the password policy
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Validation error or the current password is wrong
+ *       401:
+ *         description: Missing or revoked token
+ *       500:
+ *         description: Server error
+ */
+router.post('/change-password', auth, requireSession, [
+  body('currentPassword').isString().notEmpty().withMessage('Current password is required'),
+  passwordRule('newPassword', (req) => req.user.username),
+], async (req, res, next) => {
+  logger.info('Password change attempt', { username: req.user.username });
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Password change failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user || !await bcrypt.compare(req.body.currentPassword, user.password)) {
+      logger.warn('Password change failed: wrong current password', { username: req.user.username, statusCode: 400 });
+      return next(new BadRequestError('Current password is incorrect', { code: 'invalid_credentials' }));
+    }
+
+    user.password = await bcrypt.hash(req.body.newPassword, 10);
+    await user.save();
+    const result = await revokeAllSessions(user._id, 'password-change', { except: req.authSession._id });
+    logger.info('Password changed successfully', { username: user.username, sessions: result.modifiedCount, statusCode: 200 });
+    res.json({ message: 'Password changed' });
+  } catch (error) {
+    logger.error('Password change error', { error: error.message, stack: error.stack, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Request a password reset
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Send a password reset token to the email address of an account
+ *     description: >
+ *       The response is the same whether or not an account has this address, so it
+ *       cannot be used to find out who is registered. The token can be used once and
+ *       expires after PASSWORD_RESET_TOKEN_TTL_MINUTES; requesting another one
+ *       invalidates it.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       202:
+ *         description: A reset token was sent if an account has this address
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many requests from this address, see Retry-After
+ *       500:
+ *         description: Server error
+ */
+router.post('/forgot-password', authRateLimit, [
+  body('email').isEmail().withMessage('Email must be a valid email address'),
+], async (req, res, next) => {
+  logger.info('Password reset requested');
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Password reset request failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const user = await User.findOne({ email: String(req.body.email).trim().toLowerCase() });
+    if (user && !user.disabledAt) {
+      const token = await createPasswordResetToken(user);
+      await sendPasswordResetMail(user, token);
+      logger.info('Password reset token sent', { username: user.username, statusCode: 202 });
+    } else {
+      logger.info('Password reset requested for unknown email or disabled account', { statusCode: 202 });
+    }
+    res.status(202).json({ message: 'If an account uses this email address, a password reset token has been sent to it' });
+  } catch (error) {
+    logger.error('Password reset request error', { error: error.message, stack: error.stack, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Reset password
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Choose a new password with a reset token
+ *     description: Uses up the token and signs out every session of the user.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 description: Must meet the password policy
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Validation error, or the token is invalid, expired or used (code `invalid_reset_token`)
+ *       429:
+ *         description: Too many requests from this address, see Retry-After
+ *       500:
+ *         description: Server error
+ */
+router.post('/reset-password', authRateLimit, [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  // The username is only known once the token is looked up
+  passwordRule('newPassword', () => undefined),
+], async (req, res, next) => {
+  logger.info('Password reset attempt');
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Password reset failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const record = await findResetToken(req.body.token);
+    const user = record && await User.findById(record.user);
+    if (!user) {
+      logger.warn('Password reset failed: invalid token', { statusCode: 400 });
+      return next(new BadRequestError('Invalid or expired reset token', { code: 'invalid_reset_token' }));
+    }
+
+    const problems = passwordProblems(req.body.newPassword, { username: user.username });
+    if (problems.length > 0) {
+      logger.warn('Password reset failed: password policy', { username: user.username, statusCode: 400 });
+      return next(new ValidationError([{
+        type: 'field', msg: describeProblems(problems), path: 'newPassword', location: 'body',
+      }]));
+    }
+
+    // Claim the token atomically so it cannot be used twice
+    if (!await claimResetToken(record)) {
+      logger.warn('Password reset failed: token already used', { username: user.username, statusCode: 400 });
+      return next(new BadRequestError('Invalid or expired reset token', { code: 'invalid_reset_token' }));
+    }
+
+    user.password = await bcrypt.hash(req.body.newPassword, 10);
+    await user.save();
+    const result = await revokeAllSessions(user._id, 'password-reset');
+    await clearLoginFailures({ username: user.username });
+    logger.info('Password reset successfully', { username: user.username, sessions: result.modifiedCount, statusCode: 200 });
+    res.json({ message: 'Password reset, log in with the new password' });
+  } catch (error) {
+    logger.error('Password reset error', { error: error.message, stack: error.stack, statusCode: 500 });
+    next(error);
+  }
+});
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         prefix:
+ *           type: string
+ *           description: The first characters of the key, to tell keys apart
+ *           example: bk_Xq3f9LmA
+ *         user:
+ *           type: string
+ *           description: The user the key acts as
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [catalog:read, catalog:write, circulation, admin]
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedIp:
+ *           type: string
+ *           nullable: true
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+// Whose keys a request is about: the user named in the body or query, which takes
+// the users:manage permission unless it is the current user, or else the current user
+const keyOwnerOf = (req, requested) => {
+  if (!requested || String(requested) === String(req.user._id)) {
+    return req.user._id;
+  }
+  if (!hasPermission(req.user, 'users:manage')) {
+    throw new ForbiddenError('Only admins can manage the API keys of other users');
+  }
+  return requested;
+};
+
+// Create an API key
+/**
+ * @swagger
+ * /auth/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: >
+ *       API keys are sent in the X-API-Key header instead of a Bearer token. A key acts
+ *       as its user, but only with the permissions of its scopes; every key can use the
+ *       routes that only read. The key is only returned in this response. Admins can
+ *       create keys for other users.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               scopes:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: string
+ *                   enum: [catalog:read, catalog:write, circulation, admin]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 3650
+ *                 description: The key never expires when omitted
+ *               user:
+ *                 type: string
+ *                 description: The user the key is for (admin only); defaults to you
+ *     responses:
+ *       201:
+ *         description: The new key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or revoked token
+ *       403:
+ *         description: Creating a key for another user without being an admin, or using an API key
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user already has the maximum number of keys (code `api_key_limit`)
+ *       500:
+ *         description: Server error
+ */
+router.post('/api-keys', auth, requireSession, [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('name must be between 1 and 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('scopes must be a non-empty array'),
+  body('scopes.*').isIn(SCOPE_NAMES).withMessage(`Scopes must be among: ${SCOPE_NAMES.join(', ')}`),
+  body('expiresInDays').optional().isInt({ min: 1, max: 3650 }).withMessage('expiresInDays must be between 1 and 3650').toInt(),
+  body('user').optional().isMongoId().withMessage('Invalid user ID'),
+], async (req, res, next) => {
+  logger.info('Attempt to create API key', { user: req.user._id, for: req.body.user, scopes: req.body.scopes });
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('API key creation failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const userId = keyOwnerOf(req, req.body.user);
+    if (String(userId) !== String(req.user._id) && !await User.findById(userId)) {
+      logger.warn('API key creation failed: user not found', { for: userId, statusCode: 404 });
+      return next(new NotFoundError('User not found'));
+    }
+
+    const active = await ApiKey.countDocuments({ user: userId, revokedAt: null });
+    if (active >= config.apiKeys.maxPerUser) {
+      logger.warn('API key creation failed: limit reached', { for: userId, active, statusCode: 409 });
+      return next(new ConflictError(`A user can have at most ${config.apiKeys.maxPerUser} API keys; revoke one first`, { code: 'api_key_limit' }));
+    }
+
+    const { key, record } = await createApiKey({
+      userId,
+      name: req.body.name,
+      scopes: [...new Set(req.body.scopes)],
+      expiresAt: req.body.expiresInDays ? addDays(new Date(), req.body.expiresInDays) : null,
+      createdBy: req.user._id,
+    });
+    logger.info('API key created successfully', { apiKey: record._id, for: userId, user: req.user._id, statusCode: 201 });
+    res.status(201).json({ ...toApiKeyInfo(record), key });
+  } catch (error) {
+    if (error.status) {
+      logger.warn('API key creation failed', { reason: error.message, user: req.user._id, statusCode: error.status });
+      return next(error);
+    }
+    logger.error('API key creation error', { error: error.message, stack: error.stack, statusCode: 500 });
+    next(error);
+  }
+});
+
+// List API keys
+/**
+ * @swagger
+ * /auth/api-keys:
+ *   get:
+ *     summary: List your API keys, or those of a user (admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: The user whose keys to list (admin only); defaults to you
+ *     responses:
+ *       200:
+ *         description: The keys, newest first, including revoked ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         description: Missing or revoked token
+ *       403:
+ *         description: Listing the keys of another user without being an admin, or using an API key
+ *       500:
+ *         description: Server error
+ */
+router.get('/api-keys', auth, requireSession, [
+  query('user').optional().isMongoId().withMessage('Invalid user ID'),
+], async (req, res, next) => {
+  logger.info('Fetching API keys', { user: req.user._id, for: req.query.user });
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('API key listing failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const userId = keyOwnerOf(req, req.query.user);
+    const keys = await ApiKey.find({ user: userId }).sort({ createdAt: -1 });
+    logger.info('API keys fetched successfully', { for: userId, count: keys.length, statusCode: 200 });
+    res.json({ data: keys.map(toApiKeyInfo) });
+  } catch (error) {
+    if (error.status) {
+      logger.warn('API key listing failed', { reason: error.message, user: req.user._id, statusCode: error.status });
+      return next(error);
+    }
+    logger.error('API key listing error', { error: error.message, stack: error.stack, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Revoke an API key
+/**
+ * @swagger
+ * /auth/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Admins can revoke the keys of every user. Revoking a revoked key does nothing.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       400:
+ *         description: Invalid API key ID
+ *       401:
+ *         description: Missing or revoked token
+ *       403:
+ *         description: Using an API key
+ *       404:
+ *         description: No such key among those you can manage
+ *       500:
+ *         description: Server error
+ */
+router.delete('/api-keys/:id', auth, requireSession, [
+  param('id').isMongoId().withMessage('Invalid API key ID'),
+], async (req, res, next) => {
+  logger.info('Attempt to revoke API key', { apiKey: req.params.id, user: req.user._id });
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('API key revocation failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    // Keys of other users are reported as missing to anyone but admins
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey || (String(apiKey.user) !== String(req.user._id) && !hasPermission(req.user, 'users:manage'))) {
+      logger.warn('API key not found for revocation', { apiKey: req.params.id, user: req.user._id, statusCode: 404 });
+      return next(new NotFoundError('API key not found'));
+    }
+
+    await ApiKey.updateOne(
+      { _id: apiKey._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: req.user._id } }
+    );
+    logger.info('API key revoked successfully', { apiKey: req.params.id, user: req.user._id, statusCode: 200 });
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    logger.error('API key revocation error', { error: error.message, stack: error.stack, statusCode: 500 });
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,546 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, query, validationResult, matchedData } = require('express-validator');
+const Author = require('../models/authorModel');
+const Book = require('../models/bookModel');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const logger = require('../utils/logger');
+const { BadRequestError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+const { escapeRegex } = require('../utils/bookQuery');
+const { toNameKey, hasNameKey, renameAuthorInBooks, mergeAuthors } = require('../utils/authors');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const validatePagination = [
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be between 1 and ${MAX_LIMIT}`).toInt(),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+];
+
+const currentYear = new Date().getFullYear();
+
+// The unique nameKey index rejected a write: a concurrent request took the name
+// after the duplicate check
+const isDuplicateNameError = (error) => error.code === 11000 && Boolean((error.keyPattern || {}).nameKey);
+
+// The author holding a name, to point the client to; null if it cannot be found
+const findNameHolder = (name) => Author.findOne({ nameKey: toNameKey(name) }, '_id').catch(() => null);
+
+const validateAuthorFields = [
+  body('bio').optional().isString().isLength({ max: 5000 }).withMessage('Bio must be at most 5000 characters'),
+  body('birthYear').optional().isInt({ min: 1, max: currentYear }).withMessage('Birth year must be a valid year').toInt(),
+  body('deathYear').optional().isInt({ min: 1, max: currentYear }).withMessage('Death year must be a valid year').toInt()
+    .custom((value, { req }) => req.body.birthYear === undefined || Number(req.body.birthYear) <= value)
+    .withMessage('Death year must not be before birth year'),
+];
+
+// Validate the author ID in the URL
+const validateAuthorId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    logger.warn('Invalid author ID provided', { authorId: req.params.id, statusCode: 400 });
+    return next(new BadRequestError('Invalid author ID'));
+  }
+  next();
+};
+
+// A page of documents matching a filter, with the listing pagination envelope
+const paginate = async (Model, filter, { page = 1, limit = DEFAULT_LIMIT }, sort) => {
+  const [total, data] = await Promise.all([
+    Model.countDocuments(filter),
+    Model.find(filter).sort(sort).skip((page - 1) * limit).limit(limit),
+  ]);
+  return {
+    data,
+    pagination: { total, limit, page, totalPages: Math.max(Math.ceil(total / limit), 1) },
+  };
+};
+
+/**
+ * @openapi
+ * tags:
+ *   name: Authors
+ *   description: Authors referenced by books
+ */
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Author:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         bio:
+ *           type: string
+ *         birthYear:
+ *           type: integer
+ *         deathYear:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// List authors
+/**
+ * @openapi
+ * /authors:
+ *   get:
+ *     summary: List authors
+ *     tags: [Authors]
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive substring match on the name
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: A page of authors sorted by name
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ */
+router.get('/', [
+  query('name').optional().isString().trim().notEmpty().withMessage('Name filter cannot be empty'),
+  ...validatePagination,
+], async (req, res, next) => {
+  logger.info('Fetching authors', { query: req.query });
+  try {
+    // Validate query parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Author listing failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const params = matchedData(req, { locations: ['query'] });
+    const filter = params.name ? { name: { $regex: escapeRegex(params.name), $options: 'i' } } : {};
+    const result = await paginate(Author, filter, params, { name: 1, _id: 1 });
+    logger.info('Authors fetched successfully', { count: result.data.length, statusCode: 200 });
+    res.json(result);
+  } catch (error) {
+    logger.error('Error fetching authors', { error: error.message, stack: error.stack, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Create an author
+/**
+ * @openapi
+ * /authors:
+ *   post:
+ *     summary: Create an author (librarians only)
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Author'
+ *     responses:
+ *       201:
+ *         description: The created author
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Librarians only
+ *       409:
+ *         description: An author with the same name exists
+ *       500:
+ *         description: Server error
+ */
+router.post('/', auth, requirePermission('authors:manage'), [
+  body('name').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Name must be between 1 and 200 characters')
+    .custom(hasNameKey).withMessage('Name must contain a letter or digit'),
+  ...validateAuthorFields,
+], async (req, res, next) => {
+  logger.info('Attempt to create an author', { user: req.user._id, name: req.body.name });
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Author creation failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const fields = matchedData(req, { locations: ['body'] });
+    const nameKey = toNameKey(fields.name);
+    const existing = await Author.findOne({ nameKey });
+    if (existing) {
+      logger.warn('Author creation failed: duplicate name', { name: fields.name, authorId: existing._id, statusCode: 409 });
+      return next(new ConflictError('An author with this name already exists', { authorId: existing._id }));
+    }
+
+    const author = await Author.create({ ...fields, nameKey });
+    logger.info('Author created successfully', { authorId: author._id, user: req.user._id, statusCode: 201 });
+    res.status(201).json(author);
+  } catch (error) {
+    if (isDuplicateNameError(error)) {
+      const existing = await findNameHolder(req.body.name);
+      logger.warn('Author creation failed: duplicate name', { name: req.body.name, authorId: existing && existing._id, statusCode: 409 });
+      return next(new ConflictError('An author with this name already exists', { authorId: existing && existing._id }));
+    }
+    logger.error('Error creating author', { error: error.message, stack: error.stack, user: req.user._id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Get an author
+/**
+ * @openapi
+ * /authors/{id}:
+ *   get:
+ *     summary: Get an author by ID
+ *     tags: [Authors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The author
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Author'
+ *       400:
+ *         description: Invalid author ID
+ *       404:
+ *         description: Author not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', validateAuthorId, async (req, res, next) => {
+  logger.info('Fetching an author', { authorId: req.params.id });
+  try {
+    const author = await Author.findById(req.params.id);
+    if (!author) {
+      logger.warn('Author not found', { authorId: req.params.id, statusCode: 404 });
+      return next(new NotFoundError('Author not found'));
+    }
+    logger.info('Author fetched successfully', { authorId: req.params.id, statusCode: 200 });
+    res.json(author);
+  } catch (error) {
+    logger.error('Error fetching author', { error: error.message, stack: error.stack, authorId: req.params.id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// List the books of an author
+/**
+ * @openapi
+ * /authors/{id}/books:
+ *   get:
+ *     summary: List the books of an author
+ *     tags: [Authors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: A page of the author's books, newest first
+ *       400:
+ *         description: Invalid author ID or query parameters
+ *       404:
+ *         description: Author not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/books', validateAuthorId, validatePagination, async (req, res, next) => {
+  logger.info('Fetching books of an author', { authorId: req.params.id, query: req.query });
+  try {
+    // Validate query parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Author book listing failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const author = await Author.findById(req.params.id);
+    if (!author) {
+      logger.warn('Author not found', { authorId: req.params.id, statusCode: 404 });
+      return next(new NotFoundError('Author not found'));
+    }
+
+    const params = matchedData(req, { locations: ['query'] });
+    const result = await paginate(Book, { authorIds: author._id }, params, { publishedYear: -1, _id: 1 });
+    logger.info('Author books fetched successfully', { authorId: req.params.id, count: result.data.length, statusCode: 200 });
+    res.json(result);
+  } catch (error) {
+    logger.error('Error fetching author books', { error: error.message, stack: error.stack, authorId: req.params.id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Update an author
+/**
+ * @openapi
+ * /authors/{id}:
+ *   patch:
+ *     summary: Update an author (librarians only)
+ *     description: Renaming an author also updates the author names shown on their books.
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Author'
+ *     responses:
+ *       200:
+ *         description: The updated author
+ *       400:
+ *         description: Validation error or invalid author ID
+ *       403:
+ *         description: Librarians only
+ *       404:
+ *         description: Author not found
+ *       409:
+ *         description: Another author has this name; merge them instead
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id', auth, requirePermission('authors:manage'), validateAuthorId, [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('Name must be between 1 and 200 characters')
+    .custom(hasNameKey).withMessage('Name must contain a letter or digit'),
+  ...validateAuthorFields,
+], async (req, res, next) => {
+  logger.info('Attempt to update an author', { authorId: req.params.id, user: req.user._id });
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Author update failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const fields = matchedData(req, { locations: ['body'] });
+    if (fields.name !== undefined) {
+      fields.nameKey = toNameKey(fields.name);
+      const existing = await Author.findOne({ nameKey: fields.nameKey, _id: { $ne: req.params.id } });
+      if (existing) {
+        logger.warn('Author update failed: duplicate name', { authorId: req.params.id, duplicateOf: existing._id, statusCode: 409 });
+        return next(new ConflictError('Another author has this name, merge the authors instead', { authorId: existing._id }));
+      }
+    }
+
+    // Renames are shown on the author's books in the same transaction
+    const author = await withTransaction(async (session) => {
+      const updated = await Author.findByIdAndUpdate(req.params.id, { $set: fields }, { new: true, runValidators: true, session });
+      if (updated && fields.name !== undefined) {
+        await renameAuthorInBooks(updated, { session, userId: req.user._id });
+      }
+      return updated;
+    });
+    if (!author) {
+      logger.warn('Author not found for update', { authorId: req.params.id, statusCode: 404 });
+      return next(new NotFoundError('Author not found'));
+    }
+
+    logger.info('Author updated successfully', { authorId: req.params.id, user: req.user._id, statusCode: 200 });
+    res.json(author);
+  } catch (error) {
+    if (isDuplicateNameError(error)) {
+      const existing = await findNameHolder(req.body.name);
+      logger.warn('Author update failed: duplicate name', { authorId: req.params.id, duplicateOf: existing && existing._id, statusCode: 409 });
+      return next(new ConflictError('Another author has this name, merge the authors instead', { authorId: existing && existing._id }));
+    }
+    logger.error('Error updating author', { error: error.message, stack: error.stack, authorId: req.params.id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Delete an author
+/**
+ * @openapi
+ * /authors/{id}:
+ *   delete:
+ *     summary: Delete an author without books (librarians only)
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Author deleted
+ *       400:
+ *         description: Invalid author ID
+ *       403:
+ *         description: Librarians only
+ *       404:
+ *         description: Author not found
+ *       409:
+ *         description: The author still has books
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', auth, requirePermission('authors:manage'), validateAuthorId, async (req, res, next) => {
+  logger.info('Attempt to delete an author', { authorId: req.params.id, user: req.user._id });
+  try {
+    const books = await Book.countDocuments({ authorIds: req.params.id }, { withDeleted: true });
+    if (books > 0) {
+      logger.warn('Author deletion failed: author has books', { authorId: req.params.id, books, statusCode: 409 });
+      return next(new ConflictError('Authors with books cannot be deleted'));
+    }
+
+    const author = await Author.findByIdAndDelete(req.params.id);
+    if (!author) {
+      logger.warn('Author not found for deletion', { authorId: req.params.id, statusCode: 404 });
+      return next(new NotFoundError('Author not found'));
+    }
+
+    logger.info('Author deleted successfully', { authorId: req.params.id, user: req.user._id, statusCode: 200 });
+    res.json({ message: 'Author deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting author', { error: error.message, stack: error.stack, authorId: req.params.id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Merge duplicate authors
+/**
+ * @openapi
+ * /authors/{id}/merge:
+ *   post:
+ *     summary: Merge duplicate authors into this one (librarians only)
+ *     description: >
+ *       Books of the source authors are re-pointed to this author and show its name,
+ *       then the source authors are deleted.
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The author to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sourceIds
+ *             properties:
+ *               sourceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: The duplicate authors to merge and delete
+ *     responses:
+ *       200:
+ *         description: The remaining author and the number of books re-pointed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 author:
+ *                   $ref: '#/components/schemas/Author'
+ *                 booksUpdated:
+ *                   type: integer
+ *       400:
+ *         description: Validation error or invalid author ID
+ *       403:
+ *         description: Librarians only
+ *       404:
+ *         description: One of the authors does not exist
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/merge', auth, requirePermission('authors:manage'), validateAuthorId, [
+  body('sourceIds').isArray({ min: 1, max: 50 }).withMessage('sourceIds must be a list of 1 to 50 author IDs')
+    .custom((ids, { req }) => !ids.includes(req.params.id)).withMessage('An author cannot be merged into itself')
+    .custom((ids) => new Set(ids).size === ids.length).withMessage('sourceIds must not contain duplicates'),
+  body('sourceIds.*').isMongoId().withMessage('Each source ID must be a valid author ID'),
+], async (req, res, next) => {
+  logger.info('Attempt to merge authors', { authorId: req.params.id, sourceIds: req.body.sourceIds, user: req.user._id });
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Author merge failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const result = await withTransaction((session) => mergeAuthors({
+      targetId: req.params.id,
+      sourceIds: req.body.sourceIds,
+      userId: req.user._id,
+      session,
+    }));
+    logger.info('Authors merged successfully', { authorId: req.params.id, sourceIds: req.body.sourceIds, booksUpdated: result.booksUpdated, statusCode: 200 });
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      logger.warn('Author merge failed', { reason: error.message, authorId: req.params.id, statusCode: error.status });
+      return next(error);
+    }
+    logger.error('Error merging authors', { error: error.message, stack: error.stack, authorId: req.params.id, statusCode: 500 });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,240 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult, matchedData } = require('express-validator');
 const Book = require('../models/bookModel');
+const BookRevision = require('../models/bookRevisionModel');
 const auth = require('../middleware/auth');
+const { hasPermission, requirePermission } = require('../middleware/permissions');
 const mongoose = require('mongoose');
+const config = require('../config');
 const logger = require('../utils/logger');
+const {
+  HttpError,
+  BadRequestError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+  PreconditionRequiredError,
+} = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+const { allocateAvailableCopies } = require('../utils/holds');
+const {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  buildBookFilter,
+  parseSort,
+  isValidSort,
+  toMongoSort,
+  encodeCursor,
+  decodeCursor,
+  isValidCursor,
+  buildCursorFilter,
+  reverseSort,
+  buildLink,
+} = require('../utils/bookQuery');
+const { tokenize, rankBooks, findSearchCandidates } = require('../utils/search');
+const { parseCsv } = require('../utils/csv');
+const { importBooks, validateRow } = require('../utils/bookImport');
+const { EXPORT_FORMATS } = require('../utils/bookExport');
+const { isValidIsbn, toIsbn13 } = require('../utils/isbn');
+const { toList, syncAuthors } = require('../utils/bookFields');
+const { hasNameKey, resolveBookAuthors, resolveAuthorIds, resolveAuthorNames } = require('../utils/authors');
+const { purgeAfter, trashBook, restoreBook, purgeTrash } = require('../utils/bookTrash');
+const { REVERTIBLE_FIELDS, diffBooks, recordRevision, fieldsAtRevision } = require('../utils/bookHistory');
+const { toEtag, ifMatches } = require('../utils/etag');
+const { PATCH_FORMATS, patchBook, toPatchUpdate } = require('../utils/bookPatch');
+
+const MAX_SEARCH_LIMIT = 50;
+
+const isListOfStrings = (maxLength) => (items) => items.every((item) => typeof item === 'string' && item.length <= maxLength);
+
+// Optional catalog metadata, validated the same way on create, replace and partial update
+const validateBookMetadata = [
+  body('authors').optional().customSanitizer(toList)
+    .isArray({ min: 1, max: 20 }).withMessage('Authors must be a list of 1 to 20 names')
+    .custom(isListOfStrings(200)).withMessage('Each author must be a name of at most 200 characters')
+    .custom((authors) => !Array.isArray(authors) || authors.every(hasNameKey)).withMessage('Each author name must contain a letter or digit'),
+  body('author').optional()
+    .custom((author, { req }) => !Array.isArray(req.body.authors) || req.body.authors[0] === author)
+    .withMessage('Author must be the first of authors')
+    .custom(hasNameKey).withMessage('Author name must contain a letter or digit'),
+  body('authorIds').optional()
+    .isArray({ min: 1, max: 20 }).withMessage('Author IDs must be a list of 1 to 20 IDs')
+    .custom((ids, { req }) => req.body.author === undefined && req.body.authors === undefined)
+    .withMessage('Give either author names or author IDs, not both'),
+  body('authorIds.*').isMongoId().withMessage('Each author ID must be a valid ID'),
+  body('isbn').optional().custom(isValidIsbn).withMessage('ISBN must be a valid ISBN-10 or ISBN-13')
+    .customSanitizer(toIsbn13),
+  body('genres').optional().customSanitizer(toList)
+    .isArray({ max: 20 }).withMessage('Genres must be a list of at most 20 entries')
+    .custom(isListOfStrings(100)).withMessage('Each genre must be at most 100 characters'),
+  body('publisher').optional().isString().trim().isLength({ min: 1, max: 200 })
+    .withMessage('Publisher must be between 1 and 200 characters'),
+  body('language').optional().isString().toLowerCase().isISO6391()
+    .withMessage('Language must be an ISO 639-1 code such as "en"'),
+  body('pageCount').optional().isInt({ min: 1 }).withMessage('Page count must be a positive integer').toInt(),
+  body('description').optional().isString().isLength({ max: 5000 })
+    .withMessage('Description must be at most 5000 characters'),
+  body('coverImageUrl').optional().isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Cover image URL must be an http or https URL'),
+];
 
 // Validation middleware
 const validateBook = [
   body('title').notEmpty().withMessage('Title is required'),
-  body('author').notEmpty().withMessage('Author is required'),
+  // The primary author can also be given as the first of authors or authorIds
+  body('author').if((value, { req }) => req.body.authors === undefined && req.body.authorIds === undefined)
+    .notEmpty().withMessage('Author is required'),
   body('publishedYear').isInt({ min: 1, max: new Date().getFullYear() })
     .withMessage('Published year must be a valid year'),
+  body('totalCopies').optional().isInt({ min: 0 }).withMessage('Total copies must be a non-negative integer').toInt(),
+  ...validateBookMetadata,
+];
+
+const MODIFIED_MESSAGE = 'Book has been modified since it was fetched';
+
+// Writes must name the version of the book they were based on in If-Match.
+// Returns the error to report, or null when the precondition holds.
+const checkIfMatch = (header, book) => {
+  if (!header) {
+    return new PreconditionRequiredError('If-Match header with the ETag of the book is required');
+  }
+  if (!ifMatches(header, toEtag(book))) {
+    return new PreconditionFailedError(MODIFIED_MESSAGE);
+  }
+  return null;
+};
+
+// The unique ISBN index rejected a write
+const isDuplicateIsbnError = (error) => error.code === 11000 && Boolean((error.keyPattern || {}).isbn);
+
+// Owners can modify their own books, staff with the ':any' permission can modify every book
+const canModifyBook = (user, book, action) => book.addedBy.equals(user._id)
+  || hasPermission(user, `books:${action}:any`);
+
+// Changing totalCopies moves availableCopies by the same amount, so copies that are
+// out on loan stay accounted for. Returns null if fewer copies than are on loan remain.
+const buildCopiesUpdate = (book, totalCopies) => {
+  if (totalCopies === undefined) return {};
+  const currentTotal = book.totalCopies === undefined ? 1 : book.totalCopies;
+  const currentAvailable = book.availableCopies === undefined ? currentTotal : book.availableCopies;
+  if (totalCopies < currentTotal - currentAvailable) return null;
+  const delta = totalCopies - currentTotal;
+  return delta ? { $inc: { totalCopies: delta, availableCopies: delta } } : {};
+};
+
+// Apply an update and record the fields it changed in the book's history. The update
+// only applies to the version of the book that was read, so concurrent writes fail with 412.
+const updateWithRevision = (book, update, userId, { action = 'update', revertedTo, session } = {}) => withTransaction(async (session) => {
+  const updated = await Book.findOneAndUpdate(
+    { _id: book._id, __v: book.__v },
+    update,
+    { new: true, runValidators: true, session }
+  ).populate('addedBy', 'username');
+  if (!updated) {
+    throw new PreconditionFailedError(MODIFIED_MESSAGE);
+  }
+  await recordRevision({ bookId: book._id, action, changes: diffBooks(book, updated), userId, revertedTo }, { session });
+  return updated;
+}, { session });
+
+// Save a new book, every copy starts out available, and record its creation
+const createBook = (fields, userId, { session } = {}) => withTransaction(async (session) => {
+  const book = new Book({
+    ...(await resolveBookAuthors(syncAuthors(fields), { session })),
+    addedBy: userId
+  });
+  const saved = await book.save({ session });
+  await recordRevision({ bookId: saved._id, action: 'create', changes: diffBooks(null, saved), userId }, { session });
+  return saved;
+}, { session });
+
+// Turn a patch in one of the PATCH_FORMATS into the update of a book. The patched book is
+// validated as a whole; resolves to null when the patch changes nothing.
+const buildPatchUpdate = async (book, patch, contentType, { session } = {}) => {
+  const { original, candidate, authorsChanged } = patchBook(book, patch, contentType);
+  const { data, errors } = await validateRow(candidate, validateBook);
+  if (errors) {
+    throw new ValidationError(errors);
+  }
+
+  // Copies can only be changed through totalCopies
+  const copiesUpdate = buildCopiesUpdate(book, data.totalCopies);
+  if (!copiesUpdate) {
+    throw new ConflictError('Total copies cannot be lower than the number of copies on loan');
+  }
+
+  const { $set, $unset } = toPatchUpdate(original, data);
+  if (authorsChanged) {
+    const { author, authors, authorIds } = data;
+    Object.assign($set, await resolveBookAuthors(authorIds ? { authorIds } : { author, authors }, { session }));
+  }
+  if (!Object.keys($set).length && !Object.keys($unset).length && !copiesUpdate.$inc) {
+    return null;
+  }
+  return { $set, ...(Object.keys($unset).length ? { $unset } : {}), ...copiesUpdate };
+};
+
+// Author references of an old revision may point to authors merged away since;
+// those revisions are matched to authors by name instead
+const resolveRevertedAuthors = async (fields) => {
+  if (fields.authorIds) {
+    try {
+      return await resolveAuthorIds(fields.authorIds);
+    } catch (error) {
+      if (!error.status) throw error;
+    }
+  }
+  return resolveAuthorNames(fields.authors || [fields.author]);
+};
+
+// New copies go to members waiting in the hold queue first
+const allocateNewCopies = async (bookId, copiesUpdate, { session } = {}) => {
+  if (!copiesUpdate.$inc || copiesUpdate.$inc.totalCopies <= 0) return;
+  await withTransaction((session) => allocateAvailableCopies(bookId, { session }), { session });
+};
+
+// Filter query validation, shared by the listing and the export
+const validateBookFilterQuery = [
+  query('title').optional().isString().trim().notEmpty().withMessage('Title filter cannot be empty'),
+  query('author').optional().isString().trim().notEmpty().withMessage('Author filter cannot be empty'),
+  query('addedBy').optional().isMongoId().withMessage('addedBy must be a valid user ID'),
+  query('authorId').optional().isMongoId().withMessage('authorId must be a valid author ID'),
+  query('publishedYearFrom').optional().isInt({ min: 1 }).withMessage('publishedYearFrom must be a valid year').toInt(),
+  query('publishedYearTo').optional().isInt({ min: 1 }).withMessage('publishedYearTo must be a valid year').toInt()
+    .custom((value, { req }) => req.query.publishedYearFrom === undefined
+      || Number(req.query.publishedYearFrom) <= value)
+    .withMessage('publishedYearTo must not be before publishedYearFrom'),
+  query('sort').optional().isString().custom(isValidSort)
+    .withMessage('sort must be a comma-separated list of title, author, publishedYear, createdAt or updatedAt, optionally prefixed with -'),
+];
+
+// Listing query validation (filters, sorting and pagination)
+const validateBookListQuery = [
+  ...validateBookFilterQuery,
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be between 1 and ${MAX_LIMIT}`).toInt(),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+  query('cursor').optional().isString()
+    .custom((value, { req }) => isValidCursor(value, req.query.sort)).withMessage('Invalid cursor')
+    .custom((value, { req }) => req.query.page === undefined).withMessage('cursor and page cannot be combined'),
+];
+
+// Export query validation
+const validateBookExportQuery = [
+  ...validateBookFilterQuery,
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+];
+
+// Search query validation
+const validateBookSearchQuery = [
+  query('q').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Search query must be between 1 and 200 characters')
+    .custom((value) => tokenize(value).length > 0).withMessage('Search query must contain at least one word'),
+  query('limit').optional().isInt({ min: 1, max: MAX_SEARCH_LIMIT }).withMessage(`limit must be between 1 and ${MAX_SEARCH_LIMIT}`).toInt(),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
 ];
 
 /**
@@ -40,108 +263,1217 @@ const validateBook = [
  *           description: The title of the book
  *         author:
  *           type: string
- *           description: The author of the book
+ *           description: The primary author of the book, the first of authors
+ *         authors:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: All authors of the book; can replace author on input
+ *         authorIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: >
+ *             Author records of the book, in the order of authors. Names given on input are
+ *             matched to existing authors (ignoring case, accents and punctuation) or create
+ *             new ones; alternatively, existing authors can be given by ID.
  *         publishedYear:
  *           type: integer
  *           description: The year the book was published
+ *         isbn:
+ *           type: string
+ *           description: ISBN-10 or ISBN-13 on input, always stored and returned as ISBN-13
+ *           example: '9780306406157'
+ *         genres:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Genres or subjects
+ *         publisher:
+ *           type: string
+ *         language:
+ *           type: string
+ *           description: ISO 639-1 language code
+ *           example: en
+ *         pageCount:
+ *           type: integer
+ *           minimum: 1
+ *         description:
+ *           type: string
+ *           maxLength: 5000
+ *         coverImageUrl:
+ *           type: string
+ *           format: uri
  *         addedBy:
  *           $ref: '#/components/schemas/User'
  *           description: The user who added the book
+ *         totalCopies:
+ *           type: integer
+ *           minimum: 0
+ *           default: 1
+ *           description: Number of copies the library owns
+ *         availableCopies:
+ *           type: integer
+ *           readOnly: true
+ *           description: Number of copies that can currently be borrowed
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *           description: When the book was moved to the trash
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *           description: The user who moved the book to the trash
+ *     BookRevision:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         book:
+ *           type: string
+ *         revision:
+ *           type: integer
+ *           description: Number of the revision, counting from 1 for each book
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, restore, revert]
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               from:
+ *                 description: The value before the change, null if the field was not set
+ *               to:
+ *                 description: The value after the change, null if the field was removed
+ *         user:
+ *           $ref: '#/components/schemas/User'
+ *         revertedTo:
+ *           type: integer
+ *           nullable: true
+ *           description: For reverts, the revision whose values were restored
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+
+// Create a new book
+/**
+ * @openapi
+ * /books:
+ *   post:
+ *     summary: Create a new book
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Book'
+ *     responses:
+ *       201:
+ *         description: The book was successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Another book has the same ISBN
+ *       500:
+ *         description: Server error
+ */
+router.post('/', auth, requirePermission('books:create'), validateBook, async (req, res, next) => {
+  logger.info('Attempt to create a new book', { user: req.user._id, bookTitle: req.body.title });
+  try {
+    // Validate Input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Book creation failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    // Create & save the new book from the validated fields only; the rest of a
+    // book, such as its trash state or version, is not the client's to set
+    const fields = matchedData(req, { locations: ['body'] });
+    const savedBook = await createBook(fields, req.user._id);
+    logger.info('Book created successfully', { bookId: savedBook._id, user: req.user._id, statusCode: 201 });
+    res.set('ETag', toEtag(savedBook)).status(201).json(savedBook);
+  } catch (error) {
+    if (isDuplicateIsbnError(error)) {
+      logger.warn('Book creation failed: duplicate ISBN', { isbn: req.body.isbn, statusCode: 409 });
+      return next(new ConflictError('A book with this ISBN already exists'));
+    }
+    if (error.status) {
+      logger.warn('Book creation failed', { reason: error.message, statusCode: error.status });
+      return next(error);
+    }
+    logger.error('Error creating book', { error: error.message, stack: error.stack, user: req.user._id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Import books in bulk
+/**
+ * @openapi
+ * /books/import:
+ *   post:
+ *     summary: Import many books from a CSV file or a JSON array (librarians only)
+ *     description: >
+ *       Every row is validated with the same rules as `POST /books`. Rows that match an
+ *       existing book or an earlier row on title, author and year (ignoring case) are
+ *       reported as duplicates and skipped. Valid rows are inserted in batches and a
+ *       per-row report is returned. CSV uploads need a header row naming the columns
+ *       (`title,author,publishedYear,totalCopies`).
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate and check for duplicates without inserting anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               title,author,publishedYear,totalCopies
+ *               Dune,Frank Herbert,1965,3
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/Book'
+ *     responses:
+ *       200:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                 summary:
+ *                   type: object
+ *                   description: Number of rows in total and per status
+ *                   example: { total: 3, created: 1, invalid: 1, duplicate: 1 }
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         description: 1-based position in the upload, not counting the CSV header
+ *                       status:
+ *                         type: string
+ *                         enum: [created, valid, invalid, duplicate, failed]
+ *                       bookId:
+ *                         type: string
+ *                       duplicateOf:
+ *                         type: integer
+ *                         description: Earlier row with the same book
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *       400:
+ *         description: Malformed upload, no rows or too many rows
+ *       403:
+ *         description: Librarians only
+ *       413:
+ *         description: Upload larger than IMPORT_MAX_UPLOAD_SIZE
+ *       415:
+ *         description: Upload is neither CSV nor JSON
+ *       500:
+ *         description: Server error
+ */
+router.post('/import', auth, requirePermission('books:import'), [
+  express.text({ type: 'text/csv', limit: config.import.maxUploadSize }),
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean(),
+], async (req, res, next) => {
+  logger.info('Attempt to import books', { user: req.user._id, contentType: req.get('Content-Type'), dryRun: req.query.dryRun });
+  try {
+    // Validate query parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Book import failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    let rows;
+    if (req.is('text/csv')) {
+      try {
+        rows = parseCsv(req.body);
+      } catch (error) {
+        logger.warn('Book import failed: malformed CSV', { reason: error.message, statusCode: 400 });
+        return next(new BadRequestError(`Malformed CSV: ${error.message}`));
+      }
+    } else if (req.is('application/json')) {
+      if (!Array.isArray(req.body)) {
+        logger.warn('Book import failed: JSON body is not an array', { statusCode: 400 });
+        return next(new BadRequestError('JSON uploads must be an array of books'));
+      }
+      rows = req.body;
+    } else {
+      logger.warn('Book import failed: unsupported content type', { contentType: req.get('Content-Type'), statusCode: 415 });
+      return next(new UnsupportedMediaTypeError('Upload must be text/csv or application/json'));
+    }
+
+    if (!rows.length) {
+      logger.warn('Book import failed: no rows', { statusCode: 400 });
+      return next(new BadRequestError('The upload contains no books'));
+    }
+    if (rows.length > config.import.maxRows) {
+      logger.warn('Book import failed: too many rows', { rows: rows.length, statusCode: 400 });
+      return next(new BadRequestError(`Imports are limited to ${config.import.maxRows} rows`));
+    }
+
+    const report = await importBooks({
+      rows,
+      userId: req.user._id,
+      validators: validateBook,
+      dryRun: req.query.dryRun === true,
+    });
+    logger.info('Books imported', { user: req.user._id, dryRun: report.dryRun, summary: report.summary, statusCode: 200 });
+    res.json(report);
+  } catch (error) {
+    logger.error('Error importing books', { error: error.message, stack: error.stack, user: req.user._id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Operations of POST /books/batch, following the rules of the individual routes.
+// Each resolves to the result of the operation or throws an HttpError.
+const findBookToModify = async (operation, user, action, session) => {
+  if (!hasPermission(user, `books:${action}`)) {
+    throw new ForbiddenError('You do not have permission to perform this action');
+  }
+  if (!mongoose.Types.ObjectId.isValid(operation.id)) {
+    throw new BadRequestError('Invalid book ID');
+  }
+  const book = await Book.findById(operation.id, null, { session });
+  if (!book) {
+    throw new NotFoundError('Book not found');
+  }
+  if (!canModifyBook(user, book, action)) {
+    throw new ForbiddenError(`You can only ${action} books you added`);
+  }
+  const precondition = checkIfMatch(operation.ifMatch, book);
+  if (precondition) {
+    throw precondition;
+  }
+  return book;
+};
+
+const BATCH_OPERATIONS = {
+  create: async (operation, user, session) => {
+    if (!hasPermission(user, 'books:create')) {
+      throw new ForbiddenError('You do not have permission to perform this action');
+    }
+    if (!operation.book || typeof operation.book !== 'object' || Array.isArray(operation.book)) {
+      throw new BadRequestError('book must be an object');
+    }
+    const { data, errors } = await validateRow(operation.book, validateBook);
+    if (errors) {
+      throw new ValidationError(errors);
+    }
+    const book = await createBook(data, user._id, { session });
+    return { status: 201, bookId: book._id, etag: toEtag(book), book };
+  },
+  update: async (operation, user, session) => {
+    const book = await findBookToModify(operation, user, 'update', session);
+    const update = await buildPatchUpdate(book, operation.patch, 'application/merge-patch+json', { session });
+    if (!update) {
+      return { status: 200, bookId: book._id, etag: toEtag(book), book };
+    }
+    const updatedBook = await updateWithRevision(book, update, user._id, { session });
+    await allocateNewCopies(book._id, update, { session });
+    return { status: 200, bookId: book._id, etag: toEtag(updatedBook), book: updatedBook };
+  },
+  delete: async (operation, user, session) => {
+    const book = await findBookToModify(operation, user, 'delete', session);
+    if (book.availableCopies < book.totalCopies) {
+      throw new ConflictError('Book cannot be deleted while copies are on loan');
+    }
+    const deletedBook = await trashBook({ bookId: book._id, userId: user._id, version: book.__v, session });
+    if (!deletedBook) {
+      throw new PreconditionFailedError(MODIFIED_MESSAGE);
+    }
+    return { status: 200, bookId: book._id, purgeAfter: purgeAfter(deletedBook) };
+  },
+};
+
+// Run one operation of a batch; failures the client can act on become its result
+const runBatchOperation = async (operation, user, session) => {
+  try {
+    return await BATCH_OPERATIONS[operation.op](operation, user, session);
+  } catch (caught) {
+    const error = isDuplicateIsbnError(caught) ? new ConflictError('A book with this ISBN already exists') : caught;
+    if (!(error instanceof HttpError)) throw error;
+    return { status: error.status, code: error.code, message: error.message, ...error.extensions };
+  }
+};
+
+// Run all operations in one transaction. The first failed operation rolls back the
+// batch; the error thrown carries its index and the results so far.
+const runAtomicBatch = (operations, user) => withTransaction(async (session) => {
+  const results = [];
+  for (const operation of operations) {
+    const result = await runBatchOperation(operation, user, session);
+    results.push(result);
+    if (result.status >= 400) {
+      throw Object.assign(new Error('Batch rolled back'), { failedIndex: results.length - 1, results });
+    }
+  }
+  return results;
+});
+
+// Batch validation
+const validateBatch = [
+  body('atomic').optional().isBoolean({ strict: true }).withMessage('atomic must be true or false'),
+  body('operations').isArray({ min: 1, max: config.batch.maxOperations })
+    .withMessage(`operations must be a list of 1 to ${config.batch.maxOperations} operations`),
+  body('operations.*.op').isIn(Object.keys(BATCH_OPERATIONS))
+    .withMessage(`op must be one of ${Object.keys(BATCH_OPERATIONS).join(', ')}`),
+  body('operations.*.ifMatch').optional().isString().withMessage('ifMatch must be an ETag'),
+];
+
+// Create, update and delete books in bulk
+/**
+ * @openapi
+ * /books/batch:
+ *   post:
+ *     summary: Create, update and delete many books in one request
+ *     description: >
+ *       Runs the operations in order with the same validation, ownership and permission
+ *       rules as `POST /books`, `PATCH /books/{id}` (as a JSON Merge Patch) and
+ *       `DELETE /books/{id}`. Updates and deletes must give the ETag of the book in
+ *       `ifMatch`, as they would in the If-Match header. By default every operation is
+ *       applied on its own and the response reports the result of each. With `atomic`
+ *       the operations run in one transaction; if any of them fails none is applied,
+ *       and the response is a problem (code `batch_rolled_back`) with the status of the
+ *       operation that failed and the report as extension members.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               atomic:
+ *                 type: boolean
+ *                 default: false
+ *               operations:
+ *                 type: array
+ *                 minItems: 1
+ *                 description: At most BATCH_MAX_OPERATIONS operations, 500 by default
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - op
+ *                   properties:
+ *                     op:
+ *                       type: string
+ *                       enum: [create, update, delete]
+ *                     id:
+ *                       type: string
+ *                       description: The book to update or delete
+ *                     ifMatch:
+ *                       type: string
+ *                       description: ETag of the version of the book the change is based on
+ *                     book:
+ *                       $ref: '#/components/schemas/Book'
+ *                     patch:
+ *                       type: object
+ *                       description: JSON Merge Patch applied by an update
+ *           example:
+ *             atomic: true
+ *             operations:
+ *               - op: create
+ *                 book: { title: 'Dune', author: 'Frank Herbert', publishedYear: 1965 }
+ *               - op: update
+ *                 id: 60d0fe4f5311236168a109ca
+ *                 ifMatch: '"60d0fe4f5311236168a109ca-3"'
+ *                 patch: { totalCopies: 4 }
+ *               - op: delete
+ *                 id: 60d0fe4f5311236168a109cb
+ *                 ifMatch: '"60d0fe4f5311236168a109cb-0"'
+ *     responses:
+ *       200:
+ *         description: Result of every operation (for atomic batches, all were applied)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 atomic:
+ *                   type: boolean
+ *                 summary:
+ *                   type: object
+ *                   example: { total: 3, succeeded: 2, failed: 1 }
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                         description: 0-based position of the operation
+ *                       op:
+ *                         type: string
+ *                       status:
+ *                         type: integer
+ *                         description: >
+ *                           Status the individual route would have responded with; 424 for
+ *                           operations of an atomic batch that were rolled back or not run
+ *                       bookId:
+ *                         type: string
+ *                       etag:
+ *                         type: string
+ *                       book:
+ *                         $ref: '#/components/schemas/Book'
+ *                       purgeAfter:
+ *                         type: string
+ *                         format: date-time
+ *                       message:
+ *                         type: string
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *       400:
+ *         description: Malformed batch, or the failed operation of an atomic batch was invalid
+ *       401:
+ *         description: Authentication required
+ *       413:
+ *         description: Batch larger than BATCH_MAX_UPLOAD_SIZE
+ *       500:
+ *         description: Server error
+ */
+router.post('/batch', auth, validateBatch, async (req, res, next) => {
+  logger.info('Attempt to run a batch of book operations', { user: req.user._id, operations: Array.isArray(req.body.operations) ? req.body.operations.length : undefined });
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Book batch failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const { operations } = req.body;
+    const atomic = req.body.atomic === true;
+    let results;
+    let failedIndex = null;
+    if (atomic) {
+      try {
+        results = await runAtomicBatch(operations, req.user);
+      } catch (error) {
+        if (!error.results) throw error;
+        // Nothing was applied: report the operation that failed and mark the others
+        ({ failedIndex } = error);
+        results = operations.map((operation, index) => (index === failedIndex
+          ? error.results[index]
+          : { status: 424, code: 'failed_dependency', message: `Not applied because operation ${failedIndex} failed` }));
+      }
+    } else {
+      results = [];
+      for (const [index, operation] of operations.entries()) {
+        try {
+          results.push(await runBatchOperation(operation, req.user));
+        } catch (error) {
+          // Earlier operations are already applied, so the batch goes on and the
+          // report tells the client which operation to retry
+          logger.error('Error running book batch operation', { error: error.message, stack: error.stack, user: req.user._id, index, op: operation.op, statusCode: 500 });
+          results.push({ status: 500, code: 'internal_server_error', message: 'An unexpected error occurred' });
+        }
+      }
+    }
+
+    const report = {
+      atomic,
+      summary: {
+        total: results.length,
+        succeeded: results.filter((result) => result.status < 400).length,
+        failed: results.filter((result) => result.status >= 400).length,
+      },
+      results: results.map((result, index) => ({ index, op: operations[index].op, ...result })),
+    };
+    if (failedIndex !== null) {
+      const { status } = results[failedIndex];
+      logger.warn('Book batch rolled back', { user: req.user._id, failedIndex, summary: report.summary, statusCode: status });
+      return next(new HttpError(status, `Operation ${failedIndex} failed, no operation was applied`, { code: 'batch_rolled_back', ...report }));
+    }
+    logger.info('Book batch finished', { user: req.user._id, atomic, summary: report.summary, statusCode: 200 });
+    res.json(report);
+  } catch (error) {
+    logger.error('Error running book batch', { error: error.message, stack: error.stack, user: req.user._id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Get all books
+/**
+ * @openapi
+ * /books:
+ *   get:
+ *     summary: List books with filtering, sorting and pagination
+ *     description: >
+ *       Supports page-based pagination (`page`) and cursor-based pagination (`cursor`).
+ *       The two modes cannot be combined. Cursors are returned in the response envelope
+ *       and must be used with the same `sort` they were issued for.
+ *     tags: [Books]
+ *     parameters:
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive substring match on the title
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive substring match on the author
+ *       - in: query
+ *         name: publishedYearFrom
+ *         schema:
+ *           type: integer
+ *         description: Only books published in or after this year
+ *       - in: query
+ *         name: publishedYearTo
+ *         schema:
+ *           type: integer
+ *         description: Only books published in or before this year
+ *       - in: query
+ *         name: addedBy
+ *         schema:
+ *           type: string
+ *         description: Only books added by this user ID
+ *       - in: query
+ *         name: authorId
+ *         schema:
+ *           type: string
+ *         description: Only books by this author
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *           example: -publishedYear,title
+ *         description: >
+ *           Comma-separated sort fields (title, author, publishedYear, createdAt, updatedAt).
+ *           Prefix a field with `-` for descending order.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Maximum number of books per page
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number (page-based pagination)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response (cursor-based pagination)
+ *     responses:
+ *       200:
+ *         description: A page of books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BookPage'
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ *
+ * components:
+ *   schemas:
+ *     BookPage:
+ *       type: object
+ *       properties:
+ *         data:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Book'
+ *         pagination:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *               description: Number of books matching the filters
+ *             limit:
+ *               type: integer
+ *             page:
+ *               type: integer
+ *               description: Current page (page-based pagination only)
+ *             totalPages:
+ *               type: integer
+ *               description: Number of pages (page-based pagination only)
+ *             hasNextPage:
+ *               type: boolean
+ *             hasPrevPage:
+ *               type: boolean
+ *             nextCursor:
+ *               type: string
+ *               nullable: true
+ *             prevCursor:
+ *               type: string
+ *               nullable: true
+ *         links:
+ *           type: object
+ *           properties:
+ *             self:
+ *               type: string
+ *             first:
+ *               type: string
+ *             last:
+ *               type: string
+ *               nullable: true
+ *             next:
+ *               type: string
+ *               nullable: true
+ *             prev:
+ *               type: string
+ *               nullable: true
+ */
+router.get('/', validateBookListQuery, async (req, res, next) => {
+  logger.info('Fetching books', { query: req.query });
+  try {
+    // Validate query parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Book listing failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const params = matchedData(req, { locations: ['query'] });
+    const filter = buildBookFilter(params);
+    const sortSpec = parseSort(params.sort);
+    const limit = params.limit || DEFAULT_LIMIT;
+    const total = await Book.countDocuments(filter);
+
+    let books;
+    let pagination;
+    let links;
+
+    if (params.cursor) {
+      // Cursor-based pagination: fetch one extra document to know whether there is more
+      const cursor = decodeCursor(params.cursor, sortSpec);
+      const querySort = cursor.direction === 'next' ? sortSpec : reverseSort(sortSpec);
+      const results = await Book.find({ $and: [filter, buildCursorFilter(sortSpec, cursor)] })
+        .sort(toMongoSort(querySort))
+        .limit(limit + 1)
+        .populate('addedBy', 'username');
+
+      const hasMore = results.length > limit;
+      books = results.slice(0, limit);
+      if (cursor.direction === 'prev') {
+        books.reverse();
+      }
+
+      const hasNextPage = cursor.direction === 'next' ? hasMore : true;
+      const hasPrevPage = cursor.direction === 'prev' ? hasMore : true;
+      const nextCursor = hasNextPage && books.length ? encodeCursor(books[books.length - 1], sortSpec, 'next') : null;
+      const prevCursor = hasPrevPage && books.length ? encodeCursor(books[0], sortSpec, 'prev') : null;
+
+      pagination = { total, limit, hasNextPage: Boolean(nextCursor), hasPrevPage: Boolean(prevCursor), nextCursor, prevCursor };
+      links = {
+        self: buildLink(req, {}),
+        first: buildLink(req, { cursor: undefined, page: undefined }),
+        last: null,
+        next: nextCursor ? buildLink(req, { cursor: nextCursor }) : null,
+        prev: prevCursor ? buildLink(req, { cursor: prevCursor }) : null,
+      };
+    } else {
+      // Page-based pagination
+      const page = params.page || 1;
+      const totalPages = Math.max(Math.ceil(total / limit), 1);
+      books = await Book.find(filter)
+        .sort(toMongoSort(sortSpec))
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('addedBy', 'username');
+
+      const hasNextPage = page < totalPages;
+      const hasPrevPage = page > 1;
+      pagination = {
+        total,
+        limit,
+        page,
+        totalPages,
+        hasNextPage,
+        hasPrevPage,
+        nextCursor: hasNextPage && books.length ? encodeCursor(books[books.length - 1], sortSpec, 'next') : null,
+        prevCursor: null,
+      };
+      links = {
+        self: buildLink(req, { page }),
+        first: buildLink(req, { page: 1 }),
+        last: buildLink(req, { page: totalPages }),
+        next: hasNextPage ? buildLink(req, { page: page + 1 }) : null,
+        prev: hasPrevPage ? buildLink(req, { page: Math.min(page - 1, totalPages) }) : null,
+      };
+    }
+
+    logger.info('Books fetched successfully', { count: books.length, total, statusCode: 200 });
+    res.json({ data: books, pagination, links });
+  } catch (error) {
+    logger.error('Error fetching books', { error: error.message, stack: error.stack, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Search books
+/**
+ * @openapi
+ * /books/search:
+ *   get:
+ *     summary: Full-text search across book titles and authors
+ *     description: >
+ *       Results are ranked by relevance. Exact word matches score highest, followed by
+ *       prefix matches ("hob" matches "Hobbit") and fuzzy matches that tolerate small typos
+ *       ("tolkein" matches "Tolkien"). Title matches weigh more than author matches.
+ *       Matched fragments are wrapped in `<mark>` tags in `highlights`.
+ *     tags: [Books]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: The search query
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *         description: Maximum number of results per page
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       200:
+ *         description: Ranked search results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 query:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       book:
+ *                         $ref: '#/components/schemas/Book'
+ *                       score:
+ *                         type: number
+ *                         description: Relevance score between 0 and 1
+ *                       highlights:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: string
+ *                         example:
+ *                           title: The <mark>Hob</mark>bit
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *       400:
+ *         description: Invalid search query
+ *       500:
+ *         description: Server error
+ */
+router.get('/search', validateBookSearchQuery, async (req, res, next) => {
+  logger.info('Searching books', { query: req.query.q });
+  try {
+    // Validate query parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Book search failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const { q, limit = DEFAULT_LIMIT, page = 1 } = matchedData(req, { locations: ['query'] });
+    const terms = tokenize(q);
+
+    // Rank all candidates, then return the requested page
+    const candidates = await findSearchCandidates(q, terms);
+    const ranked = rankBooks(candidates, terms);
+    const results = ranked.slice((page - 1) * limit, page * limit);
+
+    logger.info('Books searched successfully', { query: q, total: ranked.length, statusCode: 200 });
+    res.json({
+      query: q,
+      data: results,
+      pagination: {
+        total: ranked.length,
+        limit,
+        page,
+        totalPages: Math.max(Math.ceil(ranked.length / limit), 1),
+      },
+    });
+  } catch (error) {
+    logger.error('Error searching books', { error: error.message, stack: error.stack, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Export books
+/**
+ * @openapi
+ * /books/export:
+ *   get:
+ *     summary: Export the catalog as CSV, JSON Lines or MARCXML (librarians only)
+ *     description: >
+ *       Streams every book matching the filters, so exports of any size use constant memory.
+ *       Accepts the same filter and sort parameters as `GET /books`. CSV exports can be
+ *       loaded back with `POST /books/import`.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl, marcxml]
+ *           default: csv
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive substring match on the title
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive substring match on the author
+ *       - in: query
+ *         name: addedBy
+ *         schema:
+ *           type: string
+ *         description: Only books added by this user ID
+ *       - in: query
+ *         name: authorId
+ *         schema:
+ *           type: string
+ *         description: Only books by this author
+ *       - in: query
+ *         name: publishedYearFrom
+ *         schema:
+ *           type: integer
+ *         description: Only books published in or after this year
+ *       - in: query
+ *         name: publishedYearTo
+ *         schema:
+ *           type: integer
+ *         description: Only books published in or before this year
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         description: Same as for `GET /books`
+ *     responses:
+ *       200:
+ *         description: The exported books, as a file download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/marcxml+xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Librarians only
+ *       500:
+ *         description: Server error
  */
+router.get('/export', auth, requirePermission('books:export'), validateBookExportQuery, async (req, res, next) => {
+  logger.info('Exporting books', { user: req.user._id, query: req.query });
+  try {
+    // Validate query parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Book export failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
 
+    const params = matchedData(req, { locations: ['query'] });
+    const formatName = params.format || 'csv';
+    const format = EXPORT_FORMATS[formatName];
+    const cursor = Book.find(buildBookFilter(params))
+      .sort(toMongoSort(parseSort(params.sort)))
+      .lean()
+      .cursor();
 
-// Create a new book
+    // Stop reading from the database when the client goes away
+    res.on('close', () => {
+      if (!res.writableFinished) cursor.close();
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200);
+    res.set('Content-Type', format.contentType);
+    res.set('Content-Disposition', `attachment; filename="books-${date}.${format.extension}"`);
+
+    // Respect backpressure so slow clients do not make the export buffer in memory
+    const write = (chunk) => new Promise((resolve) => {
+      if (!chunk || res.write(chunk)) return resolve();
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+
+    let count = 0;
+    await write(format.header());
+    for await (const book of cursor) {
+      if (res.destroyed) break;
+      await write(format.record(book));
+      count += 1;
+    }
+    res.end(format.footer());
+    logger.info('Books exported successfully', { user: req.user._id, format: formatName, count, statusCode: 200 });
+  } catch (error) {
+    logger.error('Error exporting books', { error: error.message, stack: error.stack, user: req.user._id, statusCode: 500 });
+    // Once streaming has started the status is sent, so the response can only be cut short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+// List the trash
 /**
  * @openapi
- * /books:
- *   post:
- *     summary: Create a new book
+ * /books/trash:
+ *   get:
+ *     summary: List deleted books that can still be restored
+ *     description: >
+ *       Members see the books they deleted from their own additions, librarians and
+ *       admins see the whole trash. Books are purged after the retention period.
  *     tags: [Books]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/Book'
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
  *     responses:
- *       201:
- *         description: The book was successfully created
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Book'
+ *       200:
+ *         description: A page of deleted books, most recently deleted first, each with the date it can be purged after
  *       400:
- *         description: Validation error
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
  *       500:
  *         description: Server error
- *   get:
- *     summary: Get all books
+ */
+router.get('/trash', auth, requirePermission('books:delete'), [
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be between 1 and ${MAX_LIMIT}`).toInt(),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+], async (req, res, next) => {
+  logger.info('Fetching the trash', { user: req.user._id, query: req.query });
+  try {
+    // Validate query parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Trash listing failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const { page = 1, limit = DEFAULT_LIMIT } = matchedData(req, { locations: ['query'] });
+    const filter = { deletedAt: { $ne: null } };
+    if (!hasPermission(req.user, 'books:delete:any')) {
+      filter.addedBy = req.user._id;
+    }
+
+    const total = await Book.countDocuments(filter);
+    const books = await Book.find(filter)
+      .sort({ deletedAt: -1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('deletedBy', 'username')
+      .lean();
+
+    logger.info('Trash fetched successfully', { count: books.length, total, statusCode: 200 });
+    res.json({
+      data: books.map((book) => ({ ...book, purgeAfter: purgeAfter(book) })),
+      pagination: { total, limit, page, totalPages: Math.max(Math.ceil(total / limit), 1) },
+    });
+  } catch (error) {
+    logger.error('Error fetching the trash', { error: error.message, stack: error.stack, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Purge the trash
+/**
+ * @openapi
+ * /books/trash:
+ *   delete:
+ *     summary: Permanently remove books that have been in the trash past the retention period (admin only)
  *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: The list of books
+ *         description: The number of books purged
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Book'
+ *               type: object
+ *               properties:
+ *                 purged:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admins only
  *       500:
  *         description: Server error
  */
-router.post('/', auth, validateBook, async (req, res, next) => {
-  logger.info('Attempt to create a new book', { user: req.user._id, bookTitle: req.body.title });
+router.delete('/trash', auth, requirePermission('books:purge'), async (req, res, next) => {
+  logger.info('Attempt to purge the trash', { user: req.user._id });
   try {
-    // Validate Input
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      logger.warn('Book creation failed: validation errors', { errors: errors.array(), statusCode: 400 });
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    // Create & save the new book
-    const book = new Book({
-      ...req.body,
-      addedBy: req.user._id
-    });
-    const savedBook = await book.save();
-    logger.info('Book created successfully', { bookId: book._id, user: req.user._id, statusCode: 201 });
-    res.status(201).json(savedBook);
+    const purged = await purgeTrash();
+    logger.info('Trash purged successfully', { purged, user: req.user._id, statusCode: 200 });
+    res.json({ purged });
   } catch (error) {
-    logger.error('Error creating book', { error: error.message, stack: error.stack, user: req.user._id, statusCode: 500 });
+    logger.error('Error purging the trash', { error: error.message, stack: error.stack, user: req.user._id, statusCode: 500 });
     next(error);
   }
 });
 
-// Get all books
+// Restore a book from the trash
 /**
  * @openapi
- * /books:
- *   get:
- *     summary: Get all books
+ * /books/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted book
  *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The book ID
  *     responses:
  *       200:
- *         description: The list of books
+ *         description: The restored book
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Book'
+ *               $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Invalid book ID
+ *       403:
+ *         description: Unauthorized - members can only restore books they added, librarians and admins can restore any book
+ *       404:
+ *         description: Book not found in the trash
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res, next) => {
-  logger.info('Fetching all books');
+router.post('/:id/restore', auth, requirePermission('books:delete'), async (req, res, next) => {
+  logger.info('Attempt to restore a book', { bookId: req.params.id, user: req.user._id });
   try {
-    const books = await Book.find().populate('addedBy', 'username');
-    logger.info('Books fetched successfully', { count: books.length, statusCode: 200 });
-    res.json(books);
+    // Validate book ID
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      logger.warn('Invalid book ID provided for restore', { bookId: req.params.id, statusCode: 400 });
+      return next(new BadRequestError('Invalid book ID'));
+    }
+
+    // Check if the book is in the trash
+    const book = await Book.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!book) {
+      logger.warn('Book not found in the trash', { bookId: req.params.id, statusCode: 404 });
+      return next(new NotFoundError('Book not found in the trash'));
+    }
+
+    // Restoring follows the same rules as deleting
+    if (!canModifyBook(req.user, book, 'delete')) {
+      logger.warn('Unauthorized attempt to restore book', { bookId: req.params.id, user: req.user._id, statusCode: 403 });
+      return next(new ForbiddenError('You can only restore books you added'));
+    }
+
+    const restoredBook = await restoreBook({ bookId: req.params.id, userId: req.user._id });
+    if (!restoredBook) {
+      logger.warn('Book not found in the trash', { bookId: req.params.id, statusCode: 404 });
+      return next(new NotFoundError('Book not found in the trash'));
+    }
+    logger.info('Book restored successfully', { bookId: req.params.id, user: req.user._id, statusCode: 200 });
+    res.set('ETag', toEtag(restoredBook)).json(restoredBook);
   } catch (error) {
-    logger.error('Error fetching books', { error: error.message, stack: error.stack, statusCode: 500 });
+    logger.error('Error restoring book', { error: error.message, stack: error.stack, bookId: req.params.id, user: req.user._id, statusCode: 500 });
     next(error);
   }
 });
@@ -160,13 +1492,20 @@ router.get('/', async (req, res, next) => {
  *         schema:
  *           type: string
  *         description: The book ID
+ *       - in: header
+ *         name: If-None-Match
+ *         schema:
+ *           type: string
+ *         description: ETag of a cached copy of the book
  *     responses:
  *       200:
- *         description: The book details
+ *         description: The book details, with its version in the ETag header
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Book'
+ *       304:
+ *         description: The cached copy named in If-None-Match is current
  *       400:
  *         description: Invalid book ID
  *       404:
@@ -180,17 +1519,23 @@ router.get('/:id', async (req, res, next) => {
     // Validate book ID
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       logger.warn('Invalid book ID provided', { bookId: req.params.id, statusCode: 400 });
-      return res.status(400).json({ message: 'Invalid book ID' });
+      return next(new BadRequestError('Invalid book ID'));
     }
 
     // Find and return book
     const book = await Book.findById(req.params.id).populate('addedBy', 'username');
     if (book) {
+      // Clients that have this version already get an empty 304
+      res.set('ETag', toEtag(book));
+      if (req.fresh) {
+        logger.info('Book not modified', { bookId: req.params.id, statusCode: 304 });
+        return res.status(304).end();
+      }
       logger.info('Book fetched successfully', { bookId: req.params.id, statusCode: 200 });
       res.json(book);
     } else {
       logger.warn('Book not found', { bookId: req.params.id, statusCode: 404 });
-      res.status(404).json({ message: 'Book not found' });
+      next(new NotFoundError('Book not found'));
     }
   } catch (error) {
     logger.error('Error fetching book', { error: error.message, stack: error.stack, bookId: req.params.id, statusCode: 500 });
@@ -214,6 +1559,12 @@ router.get('/:id', async (req, res, next) => {
  *         schema:
  *           type: string
  *         description: The book ID
+ *       - in: header
+ *         name: If-Match
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ETag of the version of the book the change is based on
  *     requestBody:
  *       required: true
  *       content:
@@ -230,49 +1581,75 @@ router.get('/:id', async (req, res, next) => {
  *       400:
  *         description: Validation error or invalid book ID
  *       403:
- *         description: Unauthorized - can only update books you added
+ *         description: Unauthorized - members can only update books they added, librarians and admins can update any book
  *       404:
  *         description: Book not found
+ *       409:
+ *         description: totalCopies is lower than the number of copies on loan, or another book has the ISBN
+ *       412:
+ *         description: The book has been modified since the version in If-Match
+ *       428:
+ *         description: If-Match header is missing
  *       500:
  *         description: Server error
  */
-router.put('/:id', auth, validateBook, async (req, res, next) => {
+router.put('/:id', auth, requirePermission('books:update'), validateBook, async (req, res, next) => {
   logger.info('Attempt to update a book', { bookId: req.params.id, user: req.user._id });
   try {
     // Validate input
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       logger.warn('Book update failed: validation errors', { errors: errors.array(), statusCode: 400 });
-      return res.status(400).json({ errors: errors.array() });
+      return next(new ValidationError(errors.array()));
     }
 
     // Validate book ID
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       logger.warn('Invalid book ID provided', { bookId: req.params.id, statusCode: 400 });
-      return res.status(400).json({ message: 'Invalid book ID' });
+      return next(new BadRequestError('Invalid book ID'));
     }
 
     // Check if book exists
     const book = await Book.findById(req.params.id);
     if (!book) {
       logger.warn('Book not found for update', { bookId: req.params.id, statusCode: 404 });
-      return res.status(404).json({ message: 'Book not found' });
+      return next(new NotFoundError('Book not found'));
     }
     // Check if the user has permission to update the matching book
-    if (!book.addedBy.equals(req.user._id)) {
+    if (!canModifyBook(req.user, book, 'update')) {
       logger.warn('Unauthorized attempt to update book', { bookId: req.params.id, user: req.user._id, statusCode: 403 });
-      return res.status(403).json({ message: 'You can only update books you added' });
+      return next(new ForbiddenError('You can only update books you added'));
+    }
+    // Refuse to overwrite changes the client has not seen
+    const precondition = checkIfMatch(req.get('If-Match'), book);
+    if (precondition) {
+      logger.warn('Book update failed: precondition', { reason: precondition.message, bookId: req.params.id, statusCode: precondition.status });
+      return next(precondition);
+    }
+
+    // Only validated fields are written, and copies only through totalCopies
+    const { totalCopies, ...fields } = matchedData(req, { locations: ['body'] });
+    const copiesUpdate = buildCopiesUpdate(book, totalCopies);
+    if (!copiesUpdate) {
+      logger.warn('Book update failed: copies on loan', { bookId: req.params.id, totalCopies, statusCode: 409 });
+      return next(new ConflictError('Total copies cannot be lower than the number of copies on loan'));
     }
 
     // Update book
-    const updatedBook = await Book.findByIdAndUpdate(
-      req.params.id, 
-      { ...req.body, addedBy: req.user._id },
-      { new: true, runValidators: true }
-    ).populate('addedBy', 'username');
+    const update = { ...(await resolveBookAuthors(syncAuthors(fields))), addedBy: book.addedBy, ...copiesUpdate };
+    const updatedBook = await updateWithRevision(book, update, req.user._id);
+    await allocateNewCopies(req.params.id, copiesUpdate);
     logger.info('Book updated successfully', { bookId: req.params.id, user: req.user._id, statusCode: 200 });
-    res.json(updatedBook);
+    res.set('ETag', toEtag(updatedBook)).json(updatedBook);
   } catch (error) {
+    if (isDuplicateIsbnError(error)) {
+      logger.warn('Book update failed: duplicate ISBN', { bookId: req.params.id, isbn: req.body.isbn, statusCode: 409 });
+      return next(new ConflictError('A book with this ISBN already exists'));
+    }
+    if (error.status) {
+      logger.warn('Book update failed', { reason: error.message, bookId: req.params.id, statusCode: error.status });
+      return next(error);
+    }
     logger.error('Error updating book', { error: error.message, stack: error.stack, bookId: req.params.id, user: req.user._id, statusCode: 500 });
     next(error);
   }
@@ -284,6 +1661,11 @@ router.put('/:id', auth, validateBook, async (req, res, next) => {
  * /books/{id}:
  *   patch:
  *     summary: Partially update a book
+ *     description: >
+ *       Accepts a JSON Patch (RFC 6902) or a JSON Merge Patch (RFC 7396); plain JSON bodies
+ *       are merge patches. Only the fields of the Book schema that are not read-only can be
+ *       changed, and the patched book is validated like a full update. Optional fields are
+ *       removed with a "remove" operation or a null value in a merge patch.
  *     tags: [Books]
  *     security:
  *       - bearerAuth: []
@@ -294,19 +1676,40 @@ router.put('/:id', auth, validateBook, async (req, res, next) => {
  *         schema:
  *           type: string
  *         description: The book ID
+ *       - in: header
+ *         name: If-Match
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ETag of the version of the book the change is based on
  *     requestBody:
  *       required: true
  *       content:
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               required:
+ *                 - op
+ *                 - path
+ *               properties:
+ *                 op:
+ *                   type: string
+ *                   enum: [add, remove, replace, move, copy, test]
+ *                 path:
+ *                   type: string
+ *                   example: /genres/-
+ *                 from:
+ *                   type: string
+ *                 value: {}
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *             example: { "title": "Updated Title", "isbn": null }
  *         application/json:
  *           schema:
  *             type: object
- *             properties:
- *               title:
- *                 type: string
- *               author:
- *                 type: string
- *               publishedYear:
- *                 type: integer
  *     responses:
  *       200:
  *         description: The updated book
@@ -315,67 +1718,321 @@ router.put('/:id', auth, validateBook, async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Book'
  *       400:
- *         description: Validation error or invalid book ID
+ *         description: Malformed patch, read-only field, validation error or invalid book ID
  *       403:
- *         description: Unauthorized - can only update books you added
+ *         description: Unauthorized - members can only update books they added, librarians and admins can update any book
  *       404:
  *         description: Book not found
+ *       409:
+ *         description: >
+ *           The patch does not apply (missing path or failed test), totalCopies is lower than
+ *           the number of copies on loan, or another book has the ISBN
+ *       412:
+ *         description: The book has been modified since the version in If-Match
+ *       415:
+ *         description: Unsupported patch media type
+ *       428:
+ *         description: If-Match header is missing
  *       500:
  *         description: Server error
  */
-router.patch('/:id', auth, [
-  body('title').optional().notEmpty().withMessage('Title cannot be empty'),
-  body('author').optional().notEmpty().withMessage('Author cannot be empty'),
-  body('publishedYear').optional().isInt({ min: 1, max: new Date().getFullYear() })
-    .withMessage('Published year must be a valid year'),
-], async (req, res, next) => {
+router.patch('/:id', auth, requirePermission('books:update'), express.json({ type: Object.keys(PATCH_FORMATS) }), async (req, res, next) => {
   logger.info('Attempt to partially update a book', { bookId: req.params.id, user: req.user._id });
   try {
-    // Validate input
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      logger.warn('Book partial update failed: validation errors', { errors: errors.array(), statusCode: 400 });
-      return res.status(400).json({ errors: errors.array() });
+    const contentType = req.is(Object.keys(PATCH_FORMATS));
+    if (!contentType) {
+      logger.warn('Book partial update failed: unsupported media type', { contentType: req.get('Content-Type'), statusCode: 415 });
+      return next(new UnsupportedMediaTypeError(`Content-Type must be one of: ${Object.keys(PATCH_FORMATS).join(', ')}`));
     }
 
     // Validate book ID
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       logger.warn('Invalid book ID provided', { bookId: req.params.id, statusCode: 400 });
-      return res.status(400).json({ message: 'Invalid book ID' });
+      return next(new BadRequestError('Invalid book ID'));
     }
 
     // Check if book exists
     const book = await Book.findById(req.params.id);
     if (!book) {
       logger.warn('Book not found for partial update', { bookId: req.params.id, statusCode: 404 });
-      return res.status(404).json({ message: 'Book not found' });
+      return next(new NotFoundError('Book not found'));
     }
     // Check if the user has permission to update the matching book
-    if (!book.addedBy.equals(req.user._id)) {
+    if (!canModifyBook(req.user, book, 'update')) {
       logger.warn('Unauthorized attempt to partially update book', { bookId: req.params.id, user: req.user._id, statusCode: 403 });
-      return res.status(403).json({ message: 'You can only update books you added' });
+      return next(new ForbiddenError('You can only update books you added'));
+    }
+    // Refuse to overwrite changes the client has not seen
+    const precondition = checkIfMatch(req.get('If-Match'), book);
+    if (precondition) {
+      logger.warn('Book partial update failed: precondition', { reason: precondition.message, bookId: req.params.id, statusCode: precondition.status });
+      return next(precondition);
+    }
+
+    // Apply the patch, then validate the result as a whole
+    const update = await buildPatchUpdate(book, req.body, contentType);
+    if (!update) {
+      logger.info('Book partial update changed nothing', { bookId: req.params.id, statusCode: 200 });
+      return res.set('ETag', toEtag(book)).json(book);
     }
 
     // Partially update the book
-    const updatedBook = await Book.findByIdAndUpdate(
-      req.params.id, 
-      { $set: req.body },
-      { new: true, runValidators: true }
-    ).populate('addedBy', 'username');
+    const updatedBook = await updateWithRevision(book, update, req.user._id);
+    await allocateNewCopies(req.params.id, update);
     logger.info('Book partially updated successfully', { bookId: req.params.id, user: req.user._id, statusCode: 200 });
-    res.json(updatedBook);
+    res.set('ETag', toEtag(updatedBook)).json(updatedBook);
   } catch (error) {
+    if (isDuplicateIsbnError(error)) {
+      logger.warn('Book partial update failed: duplicate ISBN', { bookId: req.params.id, isbn: req.body.isbn, statusCode: 409 });
+      return next(new ConflictError('A book with this ISBN already exists'));
+    }
+    if (error.status) {
+      logger.warn('Book partial update failed', { reason: error.message, bookId: req.params.id, statusCode: error.status });
+      return next(error);
+    }
     logger.error('Error partially updating book', { error: error.message, stack: error.stack, bookId: req.params.id, user: req.user._id, statusCode: 500 });
     next(error);
   }
 });
 
+// Get the history of a book
+/**
+ * @openapi
+ * /books/{id}/history:
+ *   get:
+ *     summary: List the revisions of a book
+ *     description: Every change to a book is recorded with the user who made it and the old and new value of each field.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The book ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: A page of revisions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BookRevision'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Invalid book ID or query parameters
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Book not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/history', auth, [
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be between 1 and ${MAX_LIMIT}`).toInt(),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+], async (req, res, next) => {
+  logger.info('Fetching the history of a book', { bookId: req.params.id, query: req.query });
+  try {
+    // Validate query parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Book history failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    // Validate book ID
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      logger.warn('Invalid book ID provided', { bookId: req.params.id, statusCode: 400 });
+      return next(new BadRequestError('Invalid book ID'));
+    }
+
+    // The history of books in the trash stays available
+    const book = await Book.findOne({ _id: req.params.id }, '_id', { withDeleted: true });
+    if (!book) {
+      logger.warn('Book not found', { bookId: req.params.id, statusCode: 404 });
+      return next(new NotFoundError('Book not found'));
+    }
+
+    const { page = 1, limit = DEFAULT_LIMIT } = matchedData(req, { locations: ['query'] });
+    const filter = { book: book._id };
+    const total = await BookRevision.countDocuments(filter);
+    const revisions = await BookRevision.find(filter)
+      .sort({ revision: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('user', 'username');
+
+    logger.info('Book history fetched successfully', { bookId: req.params.id, count: revisions.length, statusCode: 200 });
+    res.json({
+      data: revisions,
+      pagination: { total, limit, page, totalPages: Math.max(Math.ceil(total / limit), 1) },
+    });
+  } catch (error) {
+    logger.error('Error fetching book history', { error: error.message, stack: error.stack, bookId: req.params.id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Revert a book to a previous revision
+/**
+ * @openapi
+ * /books/{id}/revert:
+ *   post:
+ *     summary: Restore the field values a book had at a previous revision
+ *     description: >
+ *       The revert is recorded as a new revision. Copies are not reverted, and authors
+ *       merged since the revision are looked up again by name.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The book ID
+ *       - in: header
+ *         name: If-Match
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ETag of the version of the book the change is based on
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - revision
+ *             properties:
+ *               revision:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: The reverted book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Validation error or invalid book ID
+ *       403:
+ *         description: Unauthorized - members can only update books they added, librarians and admins can update any book
+ *       404:
+ *         description: Book or revision not found
+ *       409:
+ *         description: The book already matches the revision, or another book now has its ISBN
+ *       412:
+ *         description: The book has been modified since the version in If-Match
+ *       428:
+ *         description: If-Match header is missing
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/revert', auth, requirePermission('books:update'), [
+  body('revision').isInt({ min: 1 }).withMessage('revision must be a positive integer').toInt(),
+], async (req, res, next) => {
+  logger.info('Attempt to revert a book', { bookId: req.params.id, revision: req.body.revision, user: req.user._id });
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Book revert failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    // Validate book ID
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      logger.warn('Invalid book ID provided', { bookId: req.params.id, statusCode: 400 });
+      return next(new BadRequestError('Invalid book ID'));
+    }
+
+    // Check if book exists
+    const book = await Book.findById(req.params.id);
+    if (!book) {
+      logger.warn('Book not found for revert', { bookId: req.params.id, statusCode: 404 });
+      return next(new NotFoundError('Book not found'));
+    }
+    // Reverting is an update of the book
+    if (!canModifyBook(req.user, book, 'update')) {
+      logger.warn('Unauthorized attempt to revert book', { bookId: req.params.id, user: req.user._id, statusCode: 403 });
+      return next(new ForbiddenError('You can only update books you added'));
+    }
+    // Refuse to overwrite changes the client has not seen
+    const precondition = checkIfMatch(req.get('If-Match'), book);
+    if (precondition) {
+      logger.warn('Book revert failed: precondition', { reason: precondition.message, bookId: req.params.id, statusCode: precondition.status });
+      return next(precondition);
+    }
+
+    const { revision } = req.body;
+    const fields = await fieldsAtRevision(book, revision);
+    if (!diffBooks(book, fields, REVERTIBLE_FIELDS).length) {
+      logger.warn('Book revert failed: nothing to revert', { bookId: req.params.id, revision, statusCode: 409 });
+      return next(new ConflictError('The book already matches this revision'));
+    }
+    Object.assign(fields, await resolveRevertedAuthors(fields));
+
+    // Fields the book did not have at the revision are removed
+    const $set = {};
+    const $unset = {};
+    Object.entries(fields).forEach(([field, value]) => {
+      if (value === null) {
+        $unset[field] = '';
+      } else {
+        $set[field] = value;
+      }
+    });
+    const update = Object.keys($unset).length ? { $set, $unset } : { $set };
+    const revertedBook = await updateWithRevision(book, update, req.user._id, { action: 'revert', revertedTo: revision });
+
+    logger.info('Book reverted successfully', { bookId: req.params.id, revision, user: req.user._id, statusCode: 200 });
+    res.set('ETag', toEtag(revertedBook)).json(revertedBook);
+  } catch (error) {
+    if (isDuplicateIsbnError(error)) {
+      logger.warn('Book revert failed: duplicate ISBN', { bookId: req.params.id, statusCode: 409 });
+      return next(new ConflictError('A book with this ISBN already exists'));
+    }
+    if (error.status) {
+      logger.warn('Book revert failed', { reason: error.message, bookId: req.params.id, statusCode: error.status });
+      return next(error);
+    }
+    logger.error('Error reverting book', { error: error.message, stack: error.stack, bookId: req.params.id, user: req.user._id, statusCode: 500 });
+    next(error);
+  }
+});
+
 // Delete a book
 /**
  * @openapi
  * /books/{id}:
  *   delete:
  *     summary: Delete a book
+ *     description: The book is moved to the trash, from where it can be restored until it is purged.
  *     tags: [Books]
  *     security:
  *       - bearerAuth: []
@@ -386,45 +2043,72 @@ router.patch('/:id', auth, [
  *         schema:
  *           type: string
  *         description: The book ID
+ *       - in: header
+ *         name: If-Match
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ETag of the version of the book the change is based on
  *     responses:
  *       200:
- *         description: Book deleted successfully
+ *         description: Book moved to the trash
  *       400:
  *         description: Invalid book ID
  *       403:
- *         description: Unauthorized - can only delete books you added
+ *         description: Unauthorized - members can only delete books they added, librarians and admins can delete any book
  *       404:
  *         description: Book not found
+ *       409:
+ *         description: Copies of the book are still on loan
+ *       412:
+ *         description: The book has been modified since the version in If-Match
+ *       428:
+ *         description: If-Match header is missing
  *       500:
  *         description: Server error
  */
-router.delete('/:id', auth, async (req, res, next) => {
+router.delete('/:id', auth, requirePermission('books:delete'), async (req, res, next) => {
   logger.info('Attempt to delete a book', { bookId: req.params.id, user: req.user._id });
   try {
     // Validate book ID
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       logger.warn('Invalid book ID provided for deletion', { bookId: req.params.id, statusCode: 400 });
-      return res.status(400).json({ message: 'Invalid book ID' });
+      return next(new BadRequestError('Invalid book ID'));
     }
 
     // Check if book exists
     const book = await Book.findById(req.params.id);
     if (!book) {
       logger.warn('Book not found for deletion', { bookId: req.params.id, statusCode: 404 });
-      return res.status(404).json({ message: 'Book not found' });
+      return next(new NotFoundError('Book not found'));
     }
 
     // Check if the user has permission to update the matching book
-    if (!book.addedBy.equals(req.user._id)) {
+    if (!canModifyBook(req.user, book, 'delete')) {
       logger.warn('Unauthorized attempt to delete book', { bookId: req.params.id, user: req.user._id, statusCode: 403 });
-      return res.status(403).json({ message: 'You can only delete books you added' });
+      return next(new ForbiddenError('You can only delete books you added'));
+    }
+    // Refuse to delete a version the client has not seen
+    const precondition = checkIfMatch(req.get('If-Match'), book);
+    if (precondition) {
+      logger.warn('Book deletion failed: precondition', { reason: precondition.message, bookId: req.params.id, statusCode: precondition.status });
+      return next(precondition);
     }
 
+    // Books cannot disappear while copies are out on loan
+    if (book.availableCopies < book.totalCopies) {
+      logger.warn('Book deletion failed: copies on loan', { bookId: req.params.id, statusCode: 409 });
+      return next(new ConflictError('Book cannot be deleted while copies are on loan'));
+    }
 
-    // Delete book
-    await Book.findByIdAndDelete(req.params.id);
+    // Move the book to the trash
+    const deletedBook = await trashBook({ bookId: req.params.id, userId: req.user._id, version: book.__v });
+    if (!deletedBook) {
+      logger.warn('Book deletion failed: modified concurrently', { bookId: req.params.id, statusCode: 412 });
+      return next(new PreconditionFailedError(MODIFIED_MESSAGE));
+    }
     logger.info('Book deleted successfully', { bookId: req.params.id, user: req.user._id, statusCode: 200 });
-    res.json({ message: 'Book deleted successfully' });
+    res.json({ message: 'Book deleted successfully', purgeAfter: purgeAfter(deletedBook) });
   } catch (error) {
     logger.error('Error deleting book', { error: error.message, stack: error.stack, bookId: req.params.id, user: req.user._id, statusCode: 500 });
     next(error);
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { UnauthorizedError } = require('../utils/errors');
+const { register } = require('../utils/metrics');
+
+/**
+ * @openapi
+ * tags:
+ *   name: Health
+ *   description: Probes for the orchestrator and metrics for Prometheus
+ */
+
+// When METRICS_TOKEN is set, scrapes must present it as a bearer token
+const requireMetricsToken = (req, res, next) => {
+  if (!config.metrics.token) return next();
+  const expected = crypto.createHash('sha256').update(`Bearer ${config.metrics.token}`).digest();
+  const actual = crypto.createHash('sha256').update(req.get('Authorization') || '').digest();
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    logger.warn('Metrics scrape without a valid token', { ip: req.ip, statusCode: 401 });
+    return next(new UnauthorizedError('Invalid metrics token'));
+  }
+  next();
+};
+
+// Liveness
+/**
+ * @openapi
+ * /healthz:
+ *   get:
+ *     summary: Check that the process is up
+ *     description: Answers as long as the process can serve requests, whatever the state of its dependencies.
+ *     tags: [Health]
+ *     servers:
+ *       - url: /
+ *     responses:
+ *       200:
+ *         description: The process is alive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: ok
+ */
+router.get('/healthz', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ status: 'ok' });
+});
+
+// Readiness
+/**
+ * @openapi
+ * /readyz:
+ *   get:
+ *     summary: Check that the API can handle requests
+ *     description: Ready once connected to MongoDB; not ready while connecting or after losing the connection.
+ *     tags: [Health]
+ *     servers:
+ *       - url: /
+ *     responses:
+ *       200:
+ *         description: Ready to take traffic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ *       503:
+ *         description: Not ready, see checks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ * components:
+ *   schemas:
+ *     Readiness:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ok, unavailable]
+ *         checks:
+ *           type: object
+ *           properties:
+ *             mongo:
+ *               type: string
+ *               enum: [connected, connecting, disconnected, disconnecting, uninitialized]
+ */
+router.get('/readyz', (req, res) => {
+  const { readyState } = mongoose.connection;
+  const ready = readyState === mongoose.ConnectionStates.connected;
+  if (!ready) {
+    logger.warn('Readiness check failed', { mongo: mongoose.ConnectionStates[readyState], statusCode: 503 });
+  }
+  res.set('Cache-Control', 'no-store');
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ok' : 'unavailable',
+    checks: { mongo: mongoose.ConnectionStates[readyState] },
+  });
+});
+
+// Prometheus scrape
+/**
+ * @openapi
+ * /metrics:
+ *   get:
+ *     summary: Get metrics in the Prometheus text format
+ *     description: >
+ *       Process metrics, HTTP request durations by route (http_request_duration_seconds),
+ *       authentication failures by reason (auth_failures_total) and book and loan counts
+ *       (library_books, library_loans). Needs the METRICS_TOKEN as a bearer token when one is set.
+ *     tags: [Health]
+ *     servers:
+ *       - url: /
+ *     responses:
+ *       200:
+ *         description: The metrics
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Missing or wrong metrics token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.get('/metrics', requireMetricsToken, async (req, res, next) => {
+  try {
+    const metrics = await register.metrics();
+    res.set('Content-Type', register.contentType);
+    res.send(metrics);
+  } catch (error) {
+    logger.error('Error collecting metrics', { error: error.message, stack: error.stack });
+    next(error);
+  }
+});
+
+module.exports = router;
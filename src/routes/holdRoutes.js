@@ -0,0 +1,214 @@
+const express = require('express');
+// Mounted at /books/:id/holds
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const Hold = require('../models/holdModel');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const logger = require('../utils/logger');
+const { BadRequestError } = require('../utils/errors');
+const {
+  ACTIVE_STATUSES,
+  expireReadyHolds,
+  placeHold,
+  cancelHold,
+} = require('../utils/holds');
+
+// Validate the book ID from the parent route
+const validateBookId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    logger.warn('Invalid book ID provided', { bookId: req.params.id, statusCode: 400 });
+    return next(new BadRequestError('Invalid book ID'));
+  }
+  next();
+};
+
+/**
+ * @openapi
+ * tags:
+ *   name: Holds
+ *   description: Reservation queue for books without available copies
+ */
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Hold:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         book:
+ *           type: string
+ *         user:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [waiting, ready, fulfilled, cancelled, expired]
+ *           description: >
+ *             waiting - in the queue; ready - a copy is set aside until expiresAt;
+ *             fulfilled - checked out; cancelled or expired - no longer in the queue
+ *         readyAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: End of the pickup window for ready holds
+ *         position:
+ *           type: integer
+ *           nullable: true
+ *           description: 1-based queue position of a waiting hold, 0 when ready
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Place a hold
+/**
+ * @openapi
+ * /books/{id}/holds:
+ *   post:
+ *     summary: Place a hold on a book with no available copies
+ *     description: >
+ *       Joins the FIFO queue for the book. When a copy is returned it is set aside for
+ *       the first member in the queue for the pickup window, then offered to the next one.
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The book ID
+ *     responses:
+ *       201:
+ *         description: The new hold and its queue position
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Hold'
+ *       400:
+ *         description: Invalid book ID
+ *       404:
+ *         description: Book not found
+ *       409:
+ *         description: Copies are available, or the user already has a hold or loan for the book
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Cancel your hold on a book
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The book ID
+ *     responses:
+ *       200:
+ *         description: Hold cancelled
+ *       400:
+ *         description: Invalid book ID
+ *       404:
+ *         description: No active hold on this book
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: Get the hold queue of a book (librarians only)
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The book ID
+ *     responses:
+ *       200:
+ *         description: Active holds in queue order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Hold'
+ *       400:
+ *         description: Invalid book ID
+ *       403:
+ *         description: Librarians only
+ *       500:
+ *         description: Server error
+ */
+router.post('/', auth, requirePermission('holds:place'), validateBookId, async (req, res, next) => {
+  logger.info('Attempt to place a hold', { bookId: req.params.id, user: req.user._id });
+  try {
+    const { hold, position } = await placeHold({ userId: req.user._id, bookId: req.params.id });
+    logger.info('Hold placed successfully', { holdId: hold._id, bookId: req.params.id, position, statusCode: 201 });
+    res.status(201).json({ ...(typeof hold.toObject === 'function' ? hold.toObject() : hold), position });
+  } catch (error) {
+    if (error.status) {
+      logger.warn('Placing hold failed', { reason: error.message, bookId: req.params.id, user: req.user._id, statusCode: error.status });
+      return next(error);
+    }
+    logger.error('Error placing hold', { error: error.message, stack: error.stack, bookId: req.params.id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Cancel a hold
+router.delete('/', auth, requirePermission('holds:place'), validateBookId, async (req, res, next) => {
+  logger.info('Attempt to cancel a hold', { bookId: req.params.id, user: req.user._id });
+  try {
+    const hold = await cancelHold({ userId: req.user._id, bookId: req.params.id });
+    logger.info('Hold cancelled successfully', { holdId: hold._id, bookId: req.params.id, statusCode: 200 });
+    res.json({ message: 'Hold cancelled successfully' });
+  } catch (error) {
+    if (error.status) {
+      logger.warn('Cancelling hold failed', { reason: error.message, bookId: req.params.id, user: req.user._id, statusCode: error.status });
+      return next(error);
+    }
+    logger.error('Error cancelling hold', { error: error.message, stack: error.stack, bookId: req.params.id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Get the hold queue of a book
+router.get('/', auth, requirePermission('holds:manage'), validateBookId, async (req, res, next) => {
+  logger.info('Fetching hold queue', { bookId: req.params.id, user: req.user._id });
+  try {
+    await expireReadyHolds({ bookId: req.params.id });
+    const holds = await Hold.find({ book: req.params.id, status: { $in: ACTIVE_STATUSES } })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('user', 'username');
+
+    // Ready holds are at position 0, waiting holds are numbered in queue order
+    let position = 0;
+    const data = holds.map((hold) => {
+      const plain = typeof hold.toObject === 'function' ? hold.toObject() : hold;
+      if (hold.status === 'waiting') position += 1;
+      return { ...plain, position: hold.status === 'waiting' ? position : 0 };
+    });
+
+    logger.info('Hold queue fetched successfully', { bookId: req.params.id, count: data.length, statusCode: 200 });
+    res.json({ data });
+  } catch (error) {
+    logger.error('Error fetching hold queue', { error: error.message, stack: error.stack, bookId: req.params.id, statusCode: 500 });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -2,11 +2,65 @@ const { Router } = require('express');
 
 const bookRoutes = require('./bookRoutes');
 const authRoutes = require('./authRoutes');
+const userRoutes = require('./userRoutes');
+const loanRoutes = require('./loanRoutes');
+const holdRoutes = require('./holdRoutes');
+const authorRoutes = require('./authorRoutes');
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Problem:
+ *       type: object
+ *       description: >
+ *         Error response (RFC 7807), sent as application/problem+json. Clients should
+ *         branch on `code`, which is stable; `detail` is meant for people.
+ *       properties:
+ *         type:
+ *           type: string
+ *           example: about:blank
+ *         title:
+ *           type: string
+ *           description: The HTTP status text
+ *           example: Not Found
+ *         status:
+ *           type: integer
+ *           example: 404
+ *         detail:
+ *           type: string
+ *           example: Book not found
+ *         code:
+ *           type: string
+ *           description: >
+ *             Machine-readable error code: the status text in snake case (not_found,
+ *             conflict, precondition_failed, ...) unless a more specific code applies,
+ *             such as validation_failed
+ *           example: not_found
+ *         instance:
+ *           type: string
+ *           description: The request path
+ *           example: /api/v2/books/60d0fe4f5311236168a109ca
+ *         errors:
+ *           type: array
+ *           description: The failed checks, for validation_failed problems
+ *           items:
+ *             type: object
+ *             properties:
+ *               path:
+ *                 type: string
+ *               msg:
+ *                 type: string
+ */
 
 const router = Router();
 
 router.use('/auth', authRoutes)
+router.use('/books/:id/holds', holdRoutes)
 router.use('/books', bookRoutes)
+router.use('/users', userRoutes)
+router.use('/loans', loanRoutes)
+router.use('/authors', authorRoutes)
 
 
 module.exports = router;
\ No newline at end of file
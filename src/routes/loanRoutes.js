@@ -0,0 +1,493 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, query, validationResult, matchedData } = require('express-validator');
+const Loan = require('../models/loanModel');
+const auth = require('../middleware/auth');
+const { hasPermission, requirePermission } = require('../middleware/permissions');
+const logger = require('../utils/logger');
+const { BadRequestError, ForbiddenError, NotFoundError, ValidationError } = require('../utils/errors');
+const {
+  formatLoan,
+  checkoutBook,
+  returnLoan,
+  renewLoan,
+} = require('../utils/loans');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const validatePagination = [
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be between 1 and ${MAX_LIMIT}`).toInt(),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+];
+
+// Borrowers can see and act on their own loans, librarians on every loan
+const canAccessLoan = (user, loan) => String(loan.user._id || loan.user) === String(user._id)
+  || hasPermission(user, 'loans:manage');
+
+// Load the loan named in the URL, or throw a 400/403/404
+const loadLoan = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    logger.warn('Invalid loan ID provided', { loanId: req.params.id, statusCode: 400 });
+    throw new BadRequestError('Invalid loan ID');
+  }
+
+  const loan = await Loan.findById(req.params.id);
+  if (!loan) {
+    logger.warn('Loan not found', { loanId: req.params.id, statusCode: 404 });
+    throw new NotFoundError('Loan not found');
+  }
+
+  if (!canAccessLoan(req.user, loan)) {
+    logger.warn('Unauthorized attempt to access loan', { loanId: req.params.id, user: req.user._id, statusCode: 403 });
+    throw new ForbiddenError('You can only access your own loans');
+  }
+
+  return loan;
+};
+
+const paginate = async (filter, { page = 1, limit = DEFAULT_LIMIT }, sort) => {
+  const [total, loans] = await Promise.all([
+    Loan.countDocuments(filter),
+    Loan.find(filter)
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('book', 'title author')
+      .populate('user', 'username'),
+  ]);
+  const now = new Date();
+  return {
+    data: loans.map((loan) => formatLoan(loan, now)),
+    pagination: { total, limit, page, totalPages: Math.max(Math.ceil(total / limit), 1) },
+  };
+};
+
+/**
+ * @openapi
+ * tags:
+ *   name: Loans
+ *   description: Borrowing and returning books
+ */
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Loan:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         book:
+ *           type: string
+ *           description: The borrowed book (populated with title and author in listings)
+ *         user:
+ *           type: string
+ *           description: The borrower (populated with username in listings)
+ *         checkedOutAt:
+ *           type: string
+ *           format: date-time
+ *         dueAt:
+ *           type: string
+ *           format: date-time
+ *         returnedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         renewals:
+ *           type: integer
+ *         overdue:
+ *           type: boolean
+ *           description: Whether the loan is still active past its due date
+ *     LoanPage:
+ *       type: object
+ *       properties:
+ *         data:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Loan'
+ *         pagination:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             limit:
+ *               type: integer
+ *             page:
+ *               type: integer
+ *             totalPages:
+ *               type: integer
+ */
+
+// Check out a book
+/**
+ * @openapi
+ * /loans:
+ *   post:
+ *     summary: Check out a book
+ *     description: >
+ *       Borrows one available copy of a book. Librarians can check out on behalf of
+ *       another user by passing `userId`.
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bookId
+ *             properties:
+ *               bookId:
+ *                 type: string
+ *               userId:
+ *                 type: string
+ *                 description: Borrower (librarians only, defaults to the current user)
+ *     responses:
+ *       201:
+ *         description: The new loan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Loan'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: >
+ *           Not allowed to check out for another user, checkouts are blocked by
+ *           outstanding fines, or the account is disabled (code `account_disabled`)
+ *       404:
+ *         description: Book or user not found
+ *       409:
+ *         description: No copies available, loan limit reached or book already on loan
+ *       500:
+ *         description: Server error
+ */
+router.post('/', auth, requirePermission('loans:borrow'), [
+  body('bookId').isMongoId().withMessage('bookId must be a valid book ID'),
+  body('userId').optional().isMongoId().withMessage('userId must be a valid user ID'),
+], async (req, res, next) => {
+  logger.info('Attempt to check out a book', { bookId: req.body.bookId, user: req.user._id });
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Checkout failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    // Only librarians can lend books to someone else
+    const userId = req.body.userId || req.user._id;
+    if (String(userId) !== String(req.user._id) && !hasPermission(req.user, 'loans:manage')) {
+      logger.warn('Unauthorized attempt to check out for another user', { user: req.user._id, userId, statusCode: 403 });
+      return next(new ForbiddenError('You can only check out books for yourself'));
+    }
+
+    const loan = await checkoutBook({ userId, bookId: req.body.bookId });
+    logger.info('Book checked out successfully', { loanId: loan._id, bookId: req.body.bookId, userId, statusCode: 201 });
+    res.status(201).json(formatLoan(loan));
+  } catch (error) {
+    if (error.status) {
+      logger.warn('Checkout failed', { reason: error.message, bookId: req.body.bookId, user: req.user._id, statusCode: error.status });
+      return next(error);
+    }
+    logger.error('Error checking out book', { error: error.message, stack: error.stack, bookId: req.body.bookId, user: req.user._id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// List loans
+/**
+ * @openapi
+ * /loans:
+ *   get:
+ *     summary: List loans
+ *     description: Lists the current user's loans. Librarians can list the loans of any user with `userId`.
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, returned, overdue]
+ *         description: Only loans in this state
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Borrower (librarians only)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: A page of loans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoanPage'
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Not allowed to list another user's loans
+ *       500:
+ *         description: Server error
+ */
+router.get('/', auth, [
+  query('status').optional().isIn(['active', 'returned', 'overdue']).withMessage('status must be active, returned or overdue'),
+  query('userId').optional().isMongoId().withMessage('userId must be a valid user ID'),
+  ...validatePagination,
+], async (req, res, next) => {
+  logger.info('Fetching loans', { user: req.user._id, query: req.query });
+  try {
+    // Validate query parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Loan listing failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const params = matchedData(req, { locations: ['query'] });
+    const userId = params.userId || req.user._id;
+    if (String(userId) !== String(req.user._id) && !hasPermission(req.user, 'loans:manage')) {
+      logger.warn('Unauthorized attempt to list loans of another user', { user: req.user._id, userId, statusCode: 403 });
+      return next(new ForbiddenError('You can only list your own loans'));
+    }
+
+    const filter = { user: userId };
+    if (params.status === 'active') filter.returnedAt = null;
+    if (params.status === 'returned') filter.returnedAt = { $ne: null };
+    if (params.status === 'overdue') Object.assign(filter, { returnedAt: null, dueAt: { $lt: new Date() } });
+
+    const result = await paginate(filter, params, { checkedOutAt: -1 });
+    logger.info('Loans fetched successfully', { user: req.user._id, count: result.data.length, statusCode: 200 });
+    res.json(result);
+  } catch (error) {
+    logger.error('Error fetching loans', { error: error.message, stack: error.stack, user: req.user._id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// List overdue loans
+/**
+ * @openapi
+ * /loans/overdue:
+ *   get:
+ *     summary: List all overdue loans (librarians only)
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Overdue loans, most overdue first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoanPage'
+ *       403:
+ *         description: Librarians only
+ *       500:
+ *         description: Server error
+ */
+router.get('/overdue', auth, requirePermission('loans:manage'), validatePagination, async (req, res, next) => {
+  logger.info('Fetching overdue loans', { user: req.user._id });
+  try {
+    // Validate query parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Overdue listing failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const params = matchedData(req, { locations: ['query'] });
+    const result = await paginate({ returnedAt: null, dueAt: { $lt: new Date() } }, params, { dueAt: 1 });
+    logger.info('Overdue loans fetched successfully', { count: result.data.length, total: result.pagination.total, statusCode: 200 });
+    res.json(result);
+  } catch (error) {
+    logger.error('Error fetching overdue loans', { error: error.message, stack: error.stack, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Get a specific loan
+/**
+ * @openapi
+ * /loans/{id}:
+ *   get:
+ *     summary: Get a specific loan
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The loan ID
+ *     responses:
+ *       200:
+ *         description: The loan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Loan'
+ *       400:
+ *         description: Invalid loan ID
+ *       403:
+ *         description: Not your loan
+ *       404:
+ *         description: Loan not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', auth, async (req, res, next) => {
+  logger.info('Fetching a specific loan', { loanId: req.params.id, user: req.user._id });
+  try {
+    const loan = await loadLoan(req);
+
+    logger.info('Loan fetched successfully', { loanId: req.params.id, statusCode: 200 });
+    res.json(formatLoan(loan));
+  } catch (error) {
+    if (error.status) return next(error);
+    logger.error('Error fetching loan', { error: error.message, stack: error.stack, loanId: req.params.id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Return a book
+/**
+ * @openapi
+ * /loans/{id}/return:
+ *   post:
+ *     summary: Return a borrowed book
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The loan ID
+ *     responses:
+ *       200:
+ *         description: The returned loan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Loan'
+ *       400:
+ *         description: Invalid loan ID
+ *       403:
+ *         description: Not your loan
+ *       404:
+ *         description: Loan not found
+ *       409:
+ *         description: Loan already returned
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/return', auth, requirePermission('loans:borrow'), async (req, res, next) => {
+  logger.info('Attempt to return a loan', { loanId: req.params.id, user: req.user._id });
+  try {
+    const loan = await loadLoan(req);
+
+    const returned = await returnLoan({ loanId: loan._id });
+    logger.info('Loan returned successfully', { loanId: req.params.id, user: req.user._id, statusCode: 200 });
+    res.json(formatLoan(returned));
+  } catch (error) {
+    if (error.status) {
+      logger.warn('Return failed', { reason: error.message, loanId: req.params.id, statusCode: error.status });
+      return next(error);
+    }
+    logger.error('Error returning loan', { error: error.message, stack: error.stack, loanId: req.params.id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Renew a loan
+/**
+ * @openapi
+ * /loans/{id}/renew:
+ *   post:
+ *     summary: Extend the due date of a loan
+ *     description: Loans can be renewed a limited number of times, and not once they are overdue.
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The loan ID
+ *     responses:
+ *       200:
+ *         description: The renewed loan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Loan'
+ *       400:
+ *         description: Invalid loan ID
+ *       403:
+ *         description: Not your loan
+ *       404:
+ *         description: Loan not found
+ *       409:
+ *         description: Loan returned, overdue or out of renewals
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/renew', auth, requirePermission('loans:borrow'), async (req, res, next) => {
+  logger.info('Attempt to renew a loan', { loanId: req.params.id, user: req.user._id });
+  try {
+    const loan = await loadLoan(req);
+
+    const renewed = await renewLoan({ loan });
+    logger.info('Loan renewed successfully', { loanId: req.params.id, dueAt: renewed.dueAt, statusCode: 200 });
+    res.json(formatLoan(renewed));
+  } catch (error) {
+    if (error.status) {
+      logger.warn('Renewal failed', { reason: error.message, loanId: req.params.id, statusCode: error.status });
+      return next(error);
+    }
+    logger.error('Error renewing loan', { error: error.message, stack: error.stack, loanId: req.params.id, statusCode: 500 });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1025 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { body, query, validationResult, matchedData } = require('express-validator');
+const config = require('../config');
+const User = require('../models/userModel');
+const Hold = require('../models/holdModel');
+const LedgerEntry = require('../models/ledgerEntryModel');
+const auth = require('../middleware/auth');
+const { requirePermission, requireSession } = require('../middleware/permissions');
+const { ROLES } = require('../config/roles');
+const logger = require('../utils/logger');
+const { BadRequestError, NotFoundError, ValidationError } = require('../utils/errors');
+const { revokeAllSessions } = require('../utils/tokens');
+const { PROFILE_FIELDS, toProfile, deleteAccount } = require('../utils/accounts');
+const { ACTIVE_STATUSES, expireReadyHolds, queuePosition } = require('../utils/holds');
+const {
+  accrueFines,
+  getBalance,
+  payFines,
+  waiveFines,
+} = require('../utils/fines');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const validatePagination = [
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be between 1 and ${MAX_LIMIT}`).toInt(),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+];
+
+const validateProfile = [
+  body('displayName').optional({ values: 'null' }).isString().trim().isLength({ max: 100 })
+    .withMessage('displayName must be a string of at most 100 characters'),
+  body('email').optional({ values: 'null' }).isEmail().withMessage('email must be a valid email address'),
+  body('preferences').optional().isObject().withMessage('preferences must be an object'),
+  body('preferences.language').optional().isString().matches(/^[a-zA-Z]{2}$/).withMessage('preferences.language must be an ISO 639-1 code'),
+  body('preferences.emailNotifications').optional().isBoolean({ strict: true })
+    .withMessage('preferences.emailNotifications must be true or false').toBoolean(),
+];
+
+// $set/$unset update of the profile fields present in a PATCH /users/me body;
+// null or an empty string clears displayName and email
+const toProfileUpdate = ({ displayName, email, preferences = {} }, present) => {
+  const $set = {};
+  const $unset = {};
+  if (present.includes('displayName')) {
+    if (displayName) $set.displayName = displayName; else $unset.displayName = 1;
+  }
+  if (present.includes('email')) {
+    if (email) $set.email = String(email).trim().toLowerCase(); else $unset.email = 1;
+  }
+  if (preferences.language !== undefined) $set['preferences.language'] = preferences.language.toLowerCase();
+  if (preferences.emailNotifications !== undefined) $set['preferences.emailNotifications'] = preferences.emailNotifications;
+  return { $set, $unset };
+};
+
+// Up-to-date balance of a user with a page of their ledger, newest first
+const getFineStatement = async (userId, { page = 1, limit = DEFAULT_LIMIT }) => {
+  await accrueFines({ userId });
+  const filter = { user: userId };
+  const [balance, total, entries] = await Promise.all([
+    getBalance(userId),
+    LedgerEntry.countDocuments(filter),
+    LedgerEntry.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+  ]);
+  return {
+    balance,
+    currency: config.fines.currency,
+    data: entries,
+    pagination: { total, limit, page, totalPages: Math.max(Math.ceil(total / limit), 1) },
+  };
+};
+
+/**
+ * @openapi
+ * tags:
+ *   name: Users
+ *   description: User management endpoints
+ */
+
+/**
+ * @openapi
+ * tags:
+ *   name: Fines
+ *   description: Overdue fines and account balances
+ */
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     UserProfile:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         username:
+ *           type: string
+ *         displayName:
+ *           type: string
+ *           nullable: true
+ *         email:
+ *           type: string
+ *           nullable: true
+ *         role:
+ *           type: string
+ *           enum: [member, librarian, admin]
+ *         preferences:
+ *           type: object
+ *           properties:
+ *             language:
+ *               type: string
+ *               description: ISO 639-1 code
+ *               example: en
+ *             emailNotifications:
+ *               type: boolean
+ *         disabledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         disabledReason:
+ *           type: string
+ *           nullable: true
+ */
+
+// Get the current user's profile
+/**
+ * @openapi
+ * /users/me:
+ *   get:
+ *     summary: Get your profile
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Your profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserProfile'
+ *       401:
+ *         description: Missing or revoked token
+ */
+router.get('/me', auth, (req, res) => {
+  logger.info('Profile fetched', { user: req.user._id, statusCode: 200 });
+  res.json(toProfile(req.user));
+});
+
+// Update the current user's profile
+/**
+ * @openapi
+ * /users/me:
+ *   patch:
+ *     summary: Update your display name, email or preferences
+ *     description: >
+ *       Only the fields in the body are changed; null clears displayName or email.
+ *       Changing the email address, where password reset tokens are sent, needs the
+ *       current password.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               displayName:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 100
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 nullable: true
+ *               currentPassword:
+ *                 type: string
+ *                 description: Required to change the email address
+ *               preferences:
+ *                 type: object
+ *                 properties:
+ *                   language:
+ *                     type: string
+ *                   emailNotifications:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserProfile'
+ *       400:
+ *         description: Validation error, wrong current password or email already in use
+ *       401:
+ *         description: Missing or revoked token
+ *       500:
+ *         description: Server error
+ */
+router.patch('/me', auth, requireSession, validateProfile, async (req, res, next) => {
+  logger.info('Attempt to update profile', { user: req.user._id });
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Profile update failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const update = toProfileUpdate(req.body, Object.keys(req.body));
+
+    // A new email address could be used to take the account over with a password reset
+    const newEmail = update.$set.email;
+    if (newEmail !== undefined && newEmail !== req.user.email) {
+      const user = await User.findById(req.user._id);
+      if (!user || !req.body.currentPassword || !await bcrypt.compare(String(req.body.currentPassword), user.password)) {
+        logger.warn('Profile update failed: wrong current password', { user: req.user._id, statusCode: 400 });
+        return next(new BadRequestError('The current password is required to change the email address', { code: 'invalid_credentials' }));
+      }
+      if (await User.findOne({ email: newEmail, _id: { $ne: req.user._id } })) {
+        logger.warn('Profile update failed: email already in use', { user: req.user._id, statusCode: 400 });
+        return next(new BadRequestError('Email already in use', { code: 'email_taken' }));
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, update, { new: true, runValidators: true }).select(PROFILE_FIELDS).lean();
+    logger.info('Profile updated successfully', { user: req.user._id, fields: Object.keys({ ...update.$set, ...update.$unset }), statusCode: 200 });
+    res.json(toProfile(user));
+  } catch (error) {
+    if (error.code === 11000) {
+      logger.warn('Profile update failed: email already in use (duplicate key)', { user: req.user._id, statusCode: 400 });
+      return next(new BadRequestError('Email already in use', { code: 'email_taken' }));
+    }
+    logger.error('Error updating profile', { error: error.message, stack: error.stack, user: req.user._id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Delete the current user's account
+/**
+ * @openapi
+ * /users/me:
+ *   delete:
+ *     summary: Delete your account
+ *     description: >
+ *       Needs your password. Borrowed books must be returned and fines paid first.
+ *       Your active holds are cancelled, and the books you added are handed to a
+ *       placeholder "deleted-user" account. Loan, hold and fine history is kept without
+ *       a link to anyone.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ *       400:
+ *         description: Wrong or missing password
+ *       401:
+ *         description: Missing or revoked token
+ *       409:
+ *         description: You still have borrowed books (code `account_has_loans`) or unpaid fines (code `account_has_fines`)
+ *       500:
+ *         description: Server error
+ */
+router.delete('/me', auth, requireSession, [
+  body('password').isString().notEmpty().withMessage('Password is required'),
+], async (req, res, next) => {
+  logger.info('Attempt to delete account', { user: req.user._id });
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Account deletion failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user || !await bcrypt.compare(req.body.password, user.password)) {
+      logger.warn('Account deletion failed: wrong password', { user: req.user._id, statusCode: 400 });
+      return next(new BadRequestError('Password is incorrect', { code: 'invalid_credentials' }));
+    }
+
+    const result = await deleteAccount(req.user._id);
+    logger.info('Account deleted successfully', { user: req.user._id, ...result, statusCode: 200 });
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    if (error.status) {
+      logger.warn('Account deletion failed', { reason: error.message, user: req.user._id, statusCode: error.status });
+      return next(error);
+    }
+    logger.error('Error deleting account', { error: error.message, stack: error.stack, user: req.user._id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Get the current user's holds
+/**
+ * @openapi
+ * /users/me/holds:
+ *   get:
+ *     summary: List your holds with their queue positions
+ *     tags: [Users, Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, all]
+ *           default: active
+ *         description: Only waiting and ready holds, or the full history
+ *     responses:
+ *       200:
+ *         description: Your holds, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Hold'
+ *       400:
+ *         description: Invalid status
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/holds', auth, [
+  query('status').optional().isIn(['active', 'all']).withMessage('status must be active or all'),
+], async (req, res, next) => {
+  logger.info('Fetching holds of current user', { user: req.user._id });
+  try {
+    // Validate query parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Hold listing failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    // Make sure pickup windows that ran out are reported as expired
+    await expireReadyHolds({ userId: req.user._id });
+
+    const filter = { user: req.user._id };
+    if (req.query.status !== 'all') {
+      filter.status = { $in: ACTIVE_STATUSES };
+    }
+    const holds = await Hold.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('book', 'title author');
+
+    const data = await Promise.all(holds.map(async (hold) => ({
+      ...(typeof hold.toObject === 'function' ? hold.toObject() : hold),
+      position: await queuePosition(hold),
+    })));
+
+    logger.info('Holds fetched successfully', { user: req.user._id, count: data.length, statusCode: 200 });
+    res.json({ data });
+  } catch (error) {
+    logger.error('Error fetching holds', { error: error.message, stack: error.stack, user: req.user._id, statusCode: 500 });
+    next(error);
+  }
+});
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     LedgerEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [fine, payment, waiver]
+ *         amount:
+ *           type: integer
+ *           description: In cents; fines are positive, payments and waivers negative
+ *         loan:
+ *           type: string
+ *           nullable: true
+ *           description: The overdue loan a fine was charged for
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         createdBy:
+ *           type: string
+ *           nullable: true
+ *           description: Admin who waived the charge
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     FineStatement:
+ *       type: object
+ *       properties:
+ *         balance:
+ *           type: integer
+ *           description: Outstanding fines in cents
+ *         currency:
+ *           type: string
+ *           example: USD
+ *         data:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/LedgerEntry'
+ *         pagination:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             limit:
+ *               type: integer
+ *             page:
+ *               type: integer
+ *             totalPages:
+ *               type: integer
+ */
+
+// Get the current user's fines
+/**
+ * @openapi
+ * /users/me/fines:
+ *   get:
+ *     summary: Get your fine balance and ledger
+ *     description: >
+ *       Overdue loans accrue a daily fine after a grace period, capped per item.
+ *       Members owing more than the configured threshold cannot check out books.
+ *     tags: [Users, Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Your balance and a page of ledger entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FineStatement'
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/fines', auth, validatePagination, async (req, res, next) => {
+  logger.info('Fetching fines of current user', { user: req.user._id });
+  try {
+    // Validate query parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Fine listing failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const statement = await getFineStatement(req.user._id, matchedData(req, { locations: ['query'] }));
+    logger.info('Fines fetched successfully', { user: req.user._id, balance: statement.balance, statusCode: 200 });
+    res.json(statement);
+  } catch (error) {
+    logger.error('Error fetching fines', { error: error.message, stack: error.stack, user: req.user._id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Pay fines
+/**
+ * @openapi
+ * /users/me/fines/payments:
+ *   post:
+ *     summary: Record a payment towards your fines
+ *     tags: [Users, Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: In cents, at most the outstanding balance
+ *     responses:
+ *       201:
+ *         description: The payment entry and the new balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entry:
+ *                   $ref: '#/components/schemas/LedgerEntry'
+ *                 balance:
+ *                   type: integer
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Amount exceeds the outstanding balance
+ *       500:
+ *         description: Server error
+ */
+router.post('/me/fines/payments', auth, requireSession, [
+  body('amount').isInt({ min: 1 }).withMessage('amount must be a positive whole number of cents').toInt(),
+], async (req, res, next) => {
+  logger.info('Attempt to pay fines', { user: req.user._id, amount: req.body.amount });
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Fine payment failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const result = await payFines({ userId: req.user._id, amount: req.body.amount });
+    logger.info('Fine payment recorded', { user: req.user._id, amount: req.body.amount, balance: result.balance, statusCode: 201 });
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.status) {
+      logger.warn('Fine payment failed', { reason: error.message, user: req.user._id, statusCode: error.status });
+      return next(error);
+    }
+    logger.error('Error paying fines', { error: error.message, stack: error.stack, user: req.user._id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Get the fines of a user
+/**
+ * @openapi
+ * /users/{id}/fines:
+ *   get:
+ *     summary: Get the fine balance and ledger of a user (admin only)
+ *     tags: [Users, Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: The user's balance and a page of ledger entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FineStatement'
+ *       400:
+ *         description: Invalid user ID or query parameters
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/fines', auth, requirePermission('fines:manage'), validatePagination, async (req, res, next) => {
+  logger.info('Fetching fines of user', { userId: req.params.id, admin: req.user._id });
+  try {
+    // Validate query parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Fine listing failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    // Validate user ID
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      logger.warn('Invalid user ID provided', { userId: req.params.id, statusCode: 400 });
+      return next(new BadRequestError('Invalid user ID'));
+    }
+
+    const statement = await getFineStatement(req.params.id, matchedData(req, { locations: ['query'] }));
+    logger.info('Fines fetched successfully', { userId: req.params.id, balance: statement.balance, statusCode: 200 });
+    res.json(statement);
+  } catch (error) {
+    if (error.status) {
+      logger.warn('Fine listing failed', { reason: error.message, userId: req.params.id, statusCode: error.status });
+      return next(error);
+    }
+    logger.error('Error fetching fines', { error: error.message, stack: error.stack, userId: req.params.id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Waive fines of a user
+/**
+ * @openapi
+ * /users/{id}/fines/waivers:
+ *   post:
+ *     summary: Waive fines of a user (admin only)
+ *     tags: [Users, Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: In cents; the whole balance is waived when omitted
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The waiver entry and the new balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entry:
+ *                   $ref: '#/components/schemas/LedgerEntry'
+ *                 balance:
+ *                   type: integer
+ *       400:
+ *         description: Validation error or invalid user ID
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Nothing to waive, or amount exceeds the outstanding balance
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/fines/waivers', auth, requirePermission('fines:manage'), [
+  body('amount').optional().isInt({ min: 1 }).withMessage('amount must be a positive whole number of cents').toInt(),
+  body('reason').trim().notEmpty().withMessage('A reason is required'),
+], async (req, res, next) => {
+  logger.info('Attempt to waive fines', { userId: req.params.id, amount: req.body.amount, admin: req.user._id });
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Fine waiver failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    // Validate user ID
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      logger.warn('Invalid user ID provided', { userId: req.params.id, statusCode: 400 });
+      return next(new BadRequestError('Invalid user ID'));
+    }
+
+    const result = await waiveFines({
+      userId: req.params.id,
+      amount: req.body.amount,
+      reason: req.body.reason,
+      adminId: req.user._id,
+    });
+    logger.info('Fines waived', { userId: req.params.id, amount: -result.entry.amount, admin: req.user._id, statusCode: 201 });
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.status) {
+      logger.warn('Fine waiver failed', { reason: error.message, userId: req.params.id, statusCode: error.status });
+      return next(error);
+    }
+    logger.error('Error waiving fines', { error: error.message, stack: error.stack, userId: req.params.id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Change a user's role
+/**
+ * @openapi
+ * /users/{id}/role:
+ *   patch:
+ *     summary: Change the role of a user (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [member, librarian, admin]
+ *     responses:
+ *       200:
+ *         description: The updated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                 username:
+ *                   type: string
+ *                 role:
+ *                   type: string
+ *       400:
+ *         description: Validation error, invalid user ID or attempt to change your own role
+ *       403:
+ *         description: Only admins can manage roles
+ *       404:
+ *         description: User not found, or the placeholder account for deleted accounts
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id/role', auth, requirePermission('users:manage'), [
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+], async (req, res, next) => {
+  logger.info('Attempt to change user role', { userId: req.params.id, role: req.body.role, admin: req.user._id });
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Role change failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    // Validate user ID
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      logger.warn('Invalid user ID provided', { userId: req.params.id, statusCode: 400 });
+      return next(new BadRequestError('Invalid user ID'));
+    }
+
+    // Admins cannot demote themselves, so there is always at least one admin left
+    if (String(req.user._id) === req.params.id) {
+      logger.warn('Attempt to change own role', { userId: req.params.id, statusCode: 400 });
+      return next(new BadRequestError('You cannot change your own role'));
+    }
+
+    // The placeholder for deleted accounts is nobody's account and stays as it is
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, placeholder: { $ne: true } },
+      { $set: { role: req.body.role } },
+      { new: true, runValidators: true }
+    ).select('username role');
+    if (!user) {
+      logger.warn('User not found for role change', { userId: req.params.id, statusCode: 404 });
+      return next(new NotFoundError('User not found'));
+    }
+
+    logger.info('User role changed successfully', { userId: req.params.id, role: user.role, admin: req.user._id, statusCode: 200 });
+    res.json(user);
+  } catch (error) {
+    logger.error('Error changing user role', { error: error.message, stack: error.stack, userId: req.params.id, statusCode: 500 });
+    next(error);
+  }
+});
+
+// List users
+/**
+ * @openapi
+ * /users:
+ *   get:
+ *     summary: List users (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [member, librarian, admin]
+ *       - in: query
+ *         name: disabled
+ *         schema:
+ *           type: boolean
+ *         description: Only disabled (true) or enabled (false) accounts
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: A page of users, by username
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserProfile'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Admins only
+ *       500:
+ *         description: Server error
+ */
+router.get('/', auth, requirePermission('users:manage'), [
+  ...validatePagination,
+  query('role').optional().isIn(ROLES).withMessage(`role must be one of: ${ROLES.join(', ')}`),
+  query('disabled').optional().isIn(['true', 'false']).withMessage('disabled must be true or false').toBoolean(),
+], async (req, res, next) => {
+  logger.info('Fetching users', { query: req.query, admin: req.user._id });
+  try {
+    // Validate query parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('User listing failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    const { page = 1, limit = DEFAULT_LIMIT, role, disabled } = matchedData(req, { locations: ['query'] });
+    const filter = {};
+    if (role) filter.role = role;
+    if (disabled !== undefined) filter.disabledAt = disabled ? { $ne: null } : null;
+
+    const [total, users] = await Promise.all([
+      User.countDocuments(filter),
+      User.find(filter)
+        .select(PROFILE_FIELDS)
+        .sort({ username: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    logger.info('Users fetched successfully', { count: users.length, total, statusCode: 200 });
+    res.json({
+      data: users.map(toProfile),
+      pagination: { total, limit, page, totalPages: Math.max(Math.ceil(total / limit), 1) },
+    });
+  } catch (error) {
+    logger.error('Error fetching users', { error: error.message, stack: error.stack, statusCode: 500 });
+    next(error);
+  }
+});
+
+// Disable or enable a user's account
+/**
+ * @openapi
+ * /users/{id}/status:
+ *   patch:
+ *     summary: Disable or re-enable an account (admin only)
+ *     description: >
+ *       Disabled accounts cannot log in, refresh tokens or use access tokens they
+ *       already hold; disabling revokes all their sessions.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - disabled
+ *             properties:
+ *               disabled:
+ *                 type: boolean
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: The updated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserProfile'
+ *       400:
+ *         description: Validation error, invalid user ID or attempt to disable your own account
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: User not found, or the placeholder account for deleted accounts
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id/status', auth, requirePermission('users:manage'), [
+  body('disabled').isBoolean({ strict: true }).withMessage('disabled must be true or false').toBoolean(),
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('reason must be a string of at most 500 characters'),
+], async (req, res, next) => {
+  logger.info('Attempt to change account status', { userId: req.params.id, disabled: req.body.disabled, admin: req.user._id });
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Account status change failed: validation errors', { errors: errors.array(), statusCode: 400 });
+      return next(new ValidationError(errors.array()));
+    }
+
+    // Validate user ID
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      logger.warn('Invalid user ID provided', { userId: req.params.id, statusCode: 400 });
+      return next(new BadRequestError('Invalid user ID'));
+    }
+
+    // Admins cannot lock themselves out
+    if (String(req.user._id) === req.params.id) {
+      logger.warn('Attempt to change own account status', { userId: req.params.id, statusCode: 400 });
+      return next(new BadRequestError('You cannot disable your own account'));
+    }
+
+    const { disabled } = req.body;
+    // The placeholder for deleted accounts is nobody's account and stays disabled
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, placeholder: { $ne: true } },
+      { $set: { disabledAt: disabled ? new Date() : null, disabledReason: disabled ? req.body.reason || null : null } },
+      { new: true, runValidators: true }
+    ).select(PROFILE_FIELDS).lean();
+    if (!user) {
+      logger.warn('User not found for status change', { userId: req.params.id, statusCode: 404 });
+      return next(new NotFoundError('User not found'));
+    }
+
+    if (disabled) {
+      const result = await revokeAllSessions(user._id, 'account-disabled');
+      logger.info('Sessions of disabled account revoked', { userId: req.params.id, sessions: result.modifiedCount });
+    }
+
+    logger.info('Account status changed successfully', { userId: req.params.id, disabled, admin: req.user._id, statusCode: 200 });
+    res.json(toProfile(user));
+  } catch (error) {
+    logger.error('Error changing account status', { error: error.message, stack: error.stack, userId: req.params.id, statusCode: 500 });
+    next(error);
+  }
+});
+
+module.exports = router;
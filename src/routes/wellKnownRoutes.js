@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { getJwks } = require('../utils/jwtKeys');
+
+// Verifiers may cache the key set; a new key is published before it starts signing
+const JWKS_MAX_AGE_SECONDS = 300;
+
+// Public keys that verify our access tokens
+/**
+ * @openapi
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Get the public keys that verify access tokens
+ *     description: >
+ *       JSON Web Key Set with every key that signs or has recently signed access
+ *       tokens. Pick the key by the kid in the token header.
+ *     tags: [Authentication]
+ *     servers:
+ *       - url: /
+ *     responses:
+ *       200:
+ *         description: The key set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kid:
+ *                         type: string
+ *                       kty:
+ *                         type: string
+ *                         example: OKP
+ *                       alg:
+ *                         type: string
+ *                         enum: [RS256, EdDSA]
+ *                       use:
+ *                         type: string
+ *                         example: sig
+ */
+router.get('/jwks.json', (req, res, next) => {
+  try {
+    res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE_SECONDS}`);
+    res.json(getJwks());
+  } catch (error) {
+    logger.error('Error publishing JWT keys', { error: error.message, stack: error.stack });
+    next(error);
+  }
+});
+
+module.exports = router;
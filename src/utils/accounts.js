@@ -0,0 +1,87 @@
+const User = require('../models/userModel');
+const Book = require('../models/bookModel');
+const Hold = require('../models/holdModel');
+const Loan = require('../models/loanModel');
+const Session = require('../models/sessionModel');
+const RefreshToken = require('../models/refreshTokenModel');
+const PasswordResetToken = require('../models/passwordResetTokenModel');
+const ApiKey = require('../models/apiKeyModel');
+const logger = require('./logger');
+const { withTransaction } = require('./transaction');
+const { ACTIVE_STATUSES, releaseCopy } = require('./holds');
+const { ConflictError } = require('./errors');
+
+// Books added or deleted by a deleted account are handed to a disabled placeholder
+// account, as every book needs an addedBy user. The placeholder is created by a
+// migration, usually under this name.
+const DELETED_USERNAME = 'deleted-user';
+
+// Usernames nobody can register
+const RESERVED_USERNAMES = [DELETED_USERNAME];
+
+// Fields of a user that are shown to the user and to admins
+const PROFILE_FIELDS = 'username displayName email role preferences disabledAt disabledReason';
+
+const toProfile = (user) => ({
+  _id: user._id,
+  username: user.username,
+  displayName: user.displayName || null,
+  email: user.email || null,
+  role: user.role,
+  preferences: user.preferences || {},
+  disabledAt: user.disabledAt || null,
+  disabledReason: user.disabledReason || null,
+});
+
+const findDeletedPlaceholder = async ({ session }) => {
+  const placeholder = await User.findOne({ placeholder: true }, '_id', { session });
+  if (!placeholder) {
+    throw new Error('The placeholder account for deleted accounts is missing, run npm run migrate');
+  }
+  return placeholder;
+};
+
+// Delete an account that has no borrowed books and no outstanding fines. Its active
+// holds are cancelled, its books move to the placeholder account and its sessions,
+// tokens and API keys are removed. Loans, holds, revisions and ledger entries keep
+// the id of the account, which no longer leads to anyone; revisions and the ledger
+// are append-only.
+const deleteAccount = (userId, { now = new Date() } = {}) => withTransaction(async (session) => {
+  if (await Loan.countDocuments({ user: userId, returnedAt: null }, { session })) {
+    throw new ConflictError('Return your borrowed books before deleting your account', { code: 'account_has_loans' });
+  }
+  const user = await User.findOne({ _id: userId }, 'fineBalance', { session });
+  if (user && user.fineBalance > 0) {
+    throw new ConflictError('Pay your outstanding fines before deleting your account', { code: 'account_has_fines' });
+  }
+
+  // Ready holds had a copy set aside, which goes to the next person in the queue
+  const holds = await Hold.find({ user: userId, status: { $in: ACTIVE_STATUSES } }, null, { session });
+  for (const hold of holds) {
+    await Hold.updateOne({ _id: hold._id }, { $set: { status: 'cancelled', closedAt: now } }, { session });
+    if (hold.status === 'ready') {
+      await releaseCopy(hold.book, { session, now });
+    }
+  }
+
+  const placeholder = await findDeletedPlaceholder({ session });
+  const to = placeholder._id;
+  const books = await Book.updateMany({ addedBy: userId }, { $set: { addedBy: to } }, { session });
+  await Book.updateMany({ deletedBy: userId }, { $set: { deletedBy: to } }, { session });
+  await Session.deleteMany({ user: userId }, { session });
+  await RefreshToken.deleteMany({ user: userId }, { session });
+  await PasswordResetToken.deleteMany({ user: userId }, { session });
+  await ApiKey.deleteMany({ user: userId }, { session });
+  await User.deleteOne({ _id: userId }, { session });
+
+  logger.info('Account deleted', { userId, booksReassigned: books.modifiedCount, holdsCancelled: holds.length });
+  return { booksReassigned: books.modifiedCount, holdsCancelled: holds.length };
+});
+
+module.exports = {
+  DELETED_USERNAME,
+  RESERVED_USERNAMES,
+  PROFILE_FIELDS,
+  toProfile,
+  deleteAccount,
+};
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/apiKeyModel');
+const { hashToken } = require('./tokens');
+
+// Keys look like bk_<43 random characters>; the stored prefix is bk_ and the first 8 of them
+const KEY_PREFIX = 'bk_';
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+// Recording every use would add a write to every request; once a minute is precise enough
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+// Create a key for a user. Resolves to { key, record }; the key itself is not
+// stored anywhere and can only be shown once.
+const createApiKey = async ({ userId, name, scopes, expiresAt = null, createdBy }) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const record = await ApiKey.create({
+    name,
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    keyHash: hashToken(key),
+    user: userId,
+    scopes,
+    createdBy,
+    expiresAt,
+  });
+  return { key, record };
+};
+
+// The record of a key that is neither revoked nor expired, or null
+const findActiveApiKey = async (key, now = new Date()) => {
+  const record = await ApiKey.findOne({ keyHash: hashToken(key) });
+  if (!record || record.revokedAt || (record.expiresAt && record.expiresAt <= now)) {
+    return null;
+  }
+  return record;
+};
+
+const recordApiKeyUse = async (record, { ip, now = new Date() }) => {
+  if (record.lastUsedAt && now - record.lastUsedAt < LAST_USED_PRECISION_MS) return;
+  await ApiKey.updateOne({ _id: record._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } });
+};
+
+// What the API shows of a key: everything but its hash
+const toApiKeyInfo = (record) => ({
+  _id: record._id,
+  name: record.name,
+  prefix: record.prefix,
+  user: record.user,
+  scopes: record.scopes,
+  createdBy: record.createdBy,
+  createdAt: record.createdAt,
+  expiresAt: record.expiresAt || null,
+  lastUsedAt: record.lastUsedAt || null,
+  lastUsedIp: record.lastUsedIp || null,
+  revokedAt: record.revokedAt || null,
+});
+
+module.exports = {
+  KEY_PREFIX,
+  createApiKey,
+  findActiveApiKey,
+  recordApiKeyUse,
+  toApiKeyInfo,
+};
@@ -0,0 +1,149 @@
+const Author = require('../models/authorModel');
+const Book = require('../models/bookModel');
+const { normalize } = require('./search');
+const { diffBooks, recordRevision } = require('./bookHistory');
+const { BadRequestError, NotFoundError } = require('./errors');
+
+const AUTHOR_FIELDS = ['author', 'authors', 'authorIds'];
+
+const DUPLICATE_KEY = 11000;
+
+// Key under which spelling variants of a name are the same author
+const toNameKey = (name) => normalize(name).replace(/[^\p{L}\p{N}]/gu, '');
+
+// Names without a letter or digit have an empty key and would all be one author
+const hasNameKey = (name) => toNameKey(name) !== '';
+
+// Find the author with this name, creating it if there is none.
+// The unique nameKey index makes concurrent calls agree on one record.
+const findOrCreateAuthor = async (name, { session } = {}) => {
+  const nameKey = toNameKey(name);
+  if (!nameKey) {
+    throw new BadRequestError('Author names must contain a letter or digit');
+  }
+  const query = () => Author.findOneAndUpdate(
+    { nameKey },
+    { $setOnInsert: { name: name.trim(), nameKey } },
+    { upsert: true, new: true, session }
+  );
+  try {
+    return await query();
+  } catch (error) {
+    // Another request inserted the author first
+    if (error.code === DUPLICATE_KEY) return query();
+    throw error;
+  }
+};
+
+// Turn the author names of a book into author references. Names are replaced by
+// the spelling of the existing author record, and repeated authors listed once.
+const resolveAuthorNames = async (names, { session } = {}) => {
+  const authors = [];
+  for (const name of names) {
+    const author = await findOrCreateAuthor(name, { session });
+    if (!authors.some((existing) => existing._id.equals(author._id))) {
+      authors.push(author);
+    }
+  }
+  return {
+    author: authors[0].name,
+    authors: authors.map(({ name }) => name),
+    authorIds: authors.map(({ _id }) => _id),
+  };
+};
+
+// Load authors by ID, in the given order. Rejects with 400 if one does not exist.
+const resolveAuthorIds = async (ids, { session } = {}) => {
+  const found = await Author.find({ _id: { $in: ids } }, 'name', { session });
+  const authors = ids.map((id) => found.find(({ _id }) => _id.equals(id)));
+  if (authors.some((author) => !author)) {
+    throw new BadRequestError('Unknown author ID');
+  }
+  return {
+    author: authors[0].name,
+    authors: authors.map(({ name }) => name),
+    authorIds: authors.map(({ _id }) => _id),
+  };
+};
+
+// Set author, authors and authorIds of a book update from the authors or authorIds it names
+const resolveBookAuthors = async (fields, options) => {
+  if (fields.authorIds !== undefined) {
+    return { ...fields, ...(await resolveAuthorIds(fields.authorIds, options)) };
+  }
+  if (fields.authors !== undefined) {
+    return { ...fields, ...(await resolveAuthorNames(fields.authors, options)) };
+  }
+  return fields;
+};
+
+// Rewrite the author references and names of the books of some authors, recording
+// the change in each book's history. rewrite(authorId) returns the author that
+// replaces authorId, or null to keep it.
+const rewriteBookAuthors = async (authorIds, rewrite, { session, userId = null } = {}) => {
+  // Books in the trash are rewritten too, so they are consistent when restored
+  const books = await Book.find({ authorIds: { $in: authorIds } }, 'author authorIds authors', { session, withDeleted: true });
+  const updates = books.map((book) => {
+    const refs = [];
+    book.authorIds.forEach((authorId, index) => {
+      const ref = rewrite(authorId) || { _id: authorId, name: book.authors[index] };
+      if (!refs.some(({ _id }) => _id.equals(ref._id))) refs.push(ref);
+    });
+    const fields = {
+      author: refs[0].name,
+      authors: refs.map(({ name }) => name),
+      authorIds: refs.map(({ _id }) => _id),
+    };
+    return { book, fields, changes: diffBooks(book, fields, AUTHOR_FIELDS) };
+  });
+  if (updates.length) {
+    await Book.bulkWrite(updates.map(({ book, fields }) => ({
+      // Bulk writes skip the schema hooks that bump the version
+      updateOne: { filter: { _id: book._id }, update: { $set: fields, $inc: { __v: 1 } } },
+    })), { session });
+  }
+  for (const { book, changes } of updates) {
+    if (changes.length) {
+      await recordRevision({ bookId: book._id, action: 'update', changes, userId }, { session });
+    }
+  }
+  return updates.length;
+};
+
+// Show the new name of an author on all of their books
+const renameAuthorInBooks = (author, { session, userId } = {}) => rewriteBookAuthors(
+  [author._id],
+  (authorId) => (authorId.equals(author._id) ? author : null),
+  { session, userId }
+);
+
+// Re-point the books of the source authors to the target and delete the sources
+const mergeAuthors = async ({ targetId, sourceIds, userId, session }) => {
+  const target = await Author.findOne({ _id: targetId }, null, { session });
+  if (!target) {
+    throw new NotFoundError('Author not found');
+  }
+  const sources = await Author.find({ _id: { $in: sourceIds } }, '_id', { session });
+  if (sources.length !== sourceIds.length) {
+    throw new NotFoundError('Some of the authors to merge do not exist');
+  }
+
+  const booksUpdated = await rewriteBookAuthors(
+    sourceIds,
+    (authorId) => (sourceIds.some((id) => authorId.equals(id)) ? target : null),
+    { session, userId }
+  );
+  await Author.deleteMany({ _id: { $in: sourceIds } }, { session });
+  return { author: target, booksUpdated };
+};
+
+module.exports = {
+  toNameKey,
+  hasNameKey,
+  findOrCreateAuthor,
+  resolveAuthorNames,
+  resolveAuthorIds,
+  resolveBookAuthors,
+  renameAuthorInBooks,
+  mergeAuthors,
+};
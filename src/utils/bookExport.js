@@ -0,0 +1,83 @@
+const { formatRow } = require('./csv');
+
+// Columns of CSV exports. Everything up to totalCopies is read back by POST /books/import.
+const CSV_COLUMNS = [
+  'title', 'author', 'authors', 'publishedYear', 'isbn', 'genres', 'publisher', 'language',
+  'pageCount', 'description', 'coverImageUrl', 'totalCopies',
+  'availableCopies', '_id', 'addedBy', 'createdAt', 'updatedAt',
+];
+
+// Lists are written as "a; b", the form the import accepts
+const toCsvValue = (value) => (Array.isArray(value) ? value.join('; ') : value);
+
+const escapeXml = (value) => String(value)
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const dataField = (tag, ind1, ind2, subfields) => {
+  const content = subfields
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([code, value]) => `<subfield code="${code}">${escapeXml(value)}</subfield>`)
+    .join('');
+  return content ? `<datafield tag="${tag}" ind1="${ind1}" ind2="${ind2}">${content}</datafield>` : '';
+};
+
+// A minimal MARC 21 bibliographic record: control number (001), ISBN (020),
+// language (041), main entry (100), title (245), publication (264), pages (300),
+// summary (520), subjects (650), added authors (700), cover (856) and holdings (852)
+const toMarcRecord = (book) => {
+  const [mainAuthor = book.author, ...otherAuthors] = book.authors && book.authors.length ? book.authors : [book.author];
+  return [
+    '<record>',
+    '<leader>00000nam a2200000 i 4500</leader>',
+    `<controlfield tag="001">${escapeXml(book._id)}</controlfield>`,
+    dataField('020', ' ', ' ', [['a', book.isbn]]),
+    dataField('041', ' ', ' ', [['a', book.language]]),
+    dataField('100', '1', ' ', [['a', mainAuthor]]),
+    dataField('245', '1', '0', [['a', book.title]]),
+    dataField('264', ' ', '1', [['b', book.publisher], ['c', book.publishedYear]]),
+    dataField('300', ' ', ' ', [['a', book.pageCount && `${book.pageCount} pages`]]),
+    dataField('520', ' ', ' ', [['a', book.description]]),
+    ...(book.genres || []).map((genre) => dataField('650', ' ', '4', [['a', genre]])),
+    ...otherAuthors.map((name) => dataField('700', '1', ' ', [['a', name]])),
+    dataField('852', ' ', ' ', [['t', book.totalCopies]]),
+    dataField('856', '4', '2', [['3', book.coverImageUrl && 'Cover image'], ['u', book.coverImageUrl]]),
+    '</record>\n',
+  ].join('');
+};
+
+// Export formats: how each book is written, plus what goes before and after the records
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => formatRow(CSV_COLUMNS),
+    record: (book) => formatRow(CSV_COLUMNS.map((column) => toCsvValue(book[column]))),
+    footer: () => '',
+  },
+  jsonl: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'jsonl',
+    header: () => '',
+    record: (book) => `${JSON.stringify(book)}\n`,
+    footer: () => '',
+  },
+  marcxml: {
+    contentType: 'application/marcxml+xml; charset=utf-8',
+    extension: 'xml',
+    header: () => '<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="http://www.loc.gov/MARC21/slim">\n',
+    record: toMarcRecord,
+    footer: () => '</collection>\n',
+  },
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  EXPORT_FORMATS,
+  escapeXml,
+  toMarcRecord,
+};
@@ -0,0 +1,25 @@
+// Accept lists as JSON arrays or as "a; b" strings (as they come from CSV imports).
+// Entries are trimmed and empty entries dropped.
+const toList = (value) => {
+  const items = Array.isArray(value) ? value : String(value).split(';');
+  return items.map((item) => (typeof item === 'string' ? item.trim() : item)).filter((item) => item !== '');
+};
+
+// Keep author (the primary author) and authors in step in an update.
+// With only author given, it replaces the first of the book's current authors;
+// pass no book to start the list over (full replacement with PUT).
+const syncAuthors = (fields, book = null) => {
+  if (fields.authors !== undefined) {
+    return { ...fields, author: fields.authors[0] };
+  }
+  if (fields.author !== undefined) {
+    const others = book && book.authors ? book.authors.slice(1) : [];
+    return { ...fields, authors: [fields.author, ...others] };
+  }
+  return fields;
+};
+
+module.exports = {
+  toList,
+  syncAuthors,
+};
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const BookRevision = require('../models/bookRevisionModel');
+const { NotFoundError } = require('./errors');
+
+// Fields whose changes are recorded in a book's history
+const TRACKED_FIELDS = [
+  'title',
+  'author',
+  'authors',
+  'authorIds',
+  'publishedYear',
+  'isbn',
+  'genres',
+  'publisher',
+  'language',
+  'pageCount',
+  'description',
+  'coverImageUrl',
+  'totalCopies',
+];
+
+// Copies are not reverted: how many are on loan depends on the loans, not on the history
+const REVERTIBLE_FIELDS = TRACKED_FIELDS.filter((field) => field !== 'totalCopies');
+
+// Comparable form of a field value: IDs as strings, missing values and empty lists as null
+const toPlain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (Array.isArray(value)) return value.length ? value.map(toPlain) : null;
+  return value;
+};
+
+// Field-level differences between two versions of a book. before is null for new books.
+const diffBooks = (before, after, fields = TRACKED_FIELDS) => fields
+  .map((field) => ({
+    field,
+    from: before ? toPlain(before[field]) : null,
+    to: toPlain(after[field]),
+  }))
+  .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+
+// Append the next revision to a book's history. Run it in the transaction that
+// changes the book, so concurrent changes cannot take the same revision number.
+const recordRevision = async ({ bookId, action, changes = [], userId = null, revertedTo = null }, { session } = {}) => {
+  const latest = await BookRevision.findOne({ book: bookId }, 'revision', { session, sort: { revision: -1 } });
+  const [revision] = await BookRevision.create([{
+    book: bookId,
+    revision: latest ? latest.revision + 1 : 1,
+    action,
+    changes,
+    user: userId,
+    revertedTo,
+  }], { session });
+  return revision;
+};
+
+// First revision of books inserted in bulk
+const recordCreations = (books, userId) => BookRevision.insertMany(books.map((book) => ({
+  book: book._id,
+  revision: 1,
+  action: 'create',
+  changes: diffBooks(null, book),
+  user: userId,
+})));
+
+// Field values a book had right after a revision, found by undoing the later revisions
+const fieldsAtRevision = async (book, revision, { session } = {}) => {
+  const target = await BookRevision.findOne({ book: book._id, revision }, '_id', { session });
+  if (!target) {
+    throw new NotFoundError('Revision not found');
+  }
+
+  const fields = {};
+  REVERTIBLE_FIELDS.forEach((field) => { fields[field] = toPlain(book[field]); });
+  const later = await BookRevision.find({ book: book._id, revision: { $gt: revision } }, 'changes', { session, sort: { revision: -1 } });
+  later.forEach(({ changes }) => {
+    changes.forEach(({ field, from }) => {
+      if (field in fields) fields[field] = from;
+    });
+  });
+  return fields;
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  REVERTIBLE_FIELDS,
+  diffBooks,
+  recordRevision,
+  recordCreations,
+  fieldsAtRevision,
+};
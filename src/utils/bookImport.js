@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const { validationResult, matchedData } = require('express-validator');
+const config = require('../config');
+const Book = require('../models/bookModel');
+const { syncAuthors } = require('./bookFields');
+const { resolveAuthorIds, resolveBookAuthors } = require('./authors');
+const { recordCreations } = require('./bookHistory');
+
+const normalizeKeyPart = (value) => String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Books are considered the same when title, author and year match, ignoring case and spacing
+const duplicateKey = ({ title, author, publishedYear }) => [
+  normalizeKeyPart(title),
+  normalizeKeyPart(author),
+  Number(publishedYear),
+].join('\u0000');
+
+// Run express-validator chains against a single row, as if it was the body of a request
+const validateRow = async (row, validators) => {
+  const req = { body: row };
+  for (const validator of validators) {
+    await validator.run(req);
+  }
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return { errors: errors.array() };
+  }
+  // Only the validated fields are imported
+  return { data: syncAuthors(matchedData(req, { locations: ['body'] })) };
+};
+
+// Keys of the rows that already exist in the catalog
+const findExistingKeys = async (rows) => {
+  if (!rows.length) return new Set();
+  const existing = await Book.find(
+    {
+      $or: rows.map(({ data }) => ({
+        title: String(data.title).trim(),
+        author: String(data.author).trim(),
+        publishedYear: Number(data.publishedYear),
+      })),
+    },
+    'title author publishedYear'
+  ).collation({ locale: 'en', strength: 2 });
+  return new Set(existing.map(duplicateKey));
+};
+
+// Insert a batch, reporting rows the database rejected instead of failing the import
+const insertBatch = async (rows, userId) => {
+  // Authors named for the first time are created now, not during validation
+  for (const row of rows) {
+    row.data = await resolveBookAuthors(row.data);
+  }
+  const docs = rows.map(({ data }) => ({ ...data, _id: new mongoose.Types.ObjectId(), addedBy: userId }));
+  let inserted;
+  try {
+    inserted = await Book.insertMany(docs, { ordered: false });
+  } catch (error) {
+    // Unordered inserts keep going past failed documents and report the ones that made it
+    if (!error.insertedDocs) throw error;
+    inserted = error.insertedDocs;
+  }
+  if (inserted.length) {
+    await recordCreations(inserted, userId);
+  }
+
+  const insertedIds = new Set(inserted.map((doc) => String(doc._id)));
+  rows.forEach(({ result }, index) => {
+    if (insertedIds.has(String(docs[index]._id))) {
+      Object.assign(result, { status: 'created', bookId: docs[index]._id });
+    } else {
+      Object.assign(result, { status: 'failed', errors: [{ msg: 'Book could not be saved' }] });
+    }
+  });
+};
+
+// Validate, de-duplicate and (unless dryRun) insert rows of books.
+// Returns one result per row, in upload order, with a status of
+// created/valid (dry run), invalid, duplicate or failed.
+const importBooks = async ({ rows, userId, validators, dryRun = false }) => {
+  const results = rows.map((row, index) => ({ row: index + 1 }));
+
+  const valid = [];
+  for (let index = 0; index < rows.length; index += 1) {
+    const row = rows[index];
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      Object.assign(results[index], { status: 'invalid', errors: [{ msg: 'Row must be an object' }] });
+      continue;
+    }
+    const { data, errors } = await validateRow(row, validators);
+    if (errors) {
+      Object.assign(results[index], { status: 'invalid', errors });
+      continue;
+    }
+
+    // Rows naming authors by ID need their names for duplicate detection
+    if (data.authorIds) {
+      try {
+        Object.assign(data, await resolveAuthorIds(data.authorIds));
+      } catch (error) {
+        if (!error.status) throw error;
+        Object.assign(results[index], { status: 'invalid', errors: [{ msg: error.message }] });
+        continue;
+      }
+    }
+    valid.push({ data, result: results[index] });
+  }
+
+  // Duplicates within the upload point at the first row with the same book
+  const firstRowByKey = new Map();
+  const unique = valid.filter(({ data, result }) => {
+    const key = duplicateKey(data);
+    if (firstRowByKey.has(key)) {
+      Object.assign(result, { status: 'duplicate', duplicateOf: firstRowByKey.get(key) });
+      return false;
+    }
+    firstRowByKey.set(key, result.row);
+    return true;
+  });
+
+  const { batchSize } = config.import;
+  for (let start = 0; start < unique.length; start += batchSize) {
+    const batch = unique.slice(start, start + batchSize);
+    const existingKeys = await findExistingKeys(batch);
+    const fresh = batch.filter(({ data, result }) => {
+      if (existingKeys.has(duplicateKey(data))) {
+        Object.assign(result, { status: 'duplicate', errors: [{ msg: 'Book already exists in the catalog' }] });
+        return false;
+      }
+      return true;
+    });
+
+    if (dryRun) {
+      fresh.forEach(({ result }) => { result.status = 'valid'; });
+    } else if (fresh.length) {
+      await insertBatch(fresh, userId);
+    }
+  }
+
+  const summary = { total: results.length };
+  results.forEach(({ status }) => {
+    summary[status] = (summary[status] || 0) + 1;
+  });
+  return { dryRun, summary, results };
+};
+
+module.exports = {
+  duplicateKey,
+  validateRow,
+  importBooks,
+};
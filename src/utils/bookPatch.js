@@ -0,0 +1,98 @@
+const { isEqual, applyJsonPatch, applyMergePatch } = require('./jsonPatch');
+const { BadRequestError } = require('./errors');
+
+// Media types accepted by PATCH /books/:id. Plain JSON bodies are merge patches.
+const PATCH_FORMATS = {
+  'application/json-patch+json': applyJsonPatch,
+  'application/merge-patch+json': applyMergePatch,
+  'application/json': applyMergePatch,
+};
+
+// Fields a patch can add, change or remove. Everything else on a book is read-only.
+const WRITABLE_FIELDS = [
+  'title',
+  'author',
+  'authors',
+  'authorIds',
+  'publishedYear',
+  'isbn',
+  'genres',
+  'publisher',
+  'language',
+  'pageCount',
+  'description',
+  'coverImageUrl',
+  'totalCopies',
+];
+
+const AUTHOR_FIELDS = ['author', 'authors', 'authorIds'];
+
+// The writable fields of a book as the JSON document patches are applied to
+const toPatchDocument = (book) => {
+  const doc = {};
+  WRITABLE_FIELDS.forEach((field) => {
+    if (book[field] !== undefined && book[field] !== null) doc[field] = book[field];
+  });
+  return JSON.parse(JSON.stringify(doc));
+};
+
+// Names and IDs are two views of a book's authors. Keep the one the patch changed
+// and let the other be derived from it; a new primary author keeps the co-authors.
+const pickAuthorFields = (original, patched) => {
+  const changed = (field) => !isEqual(original[field], patched[field]);
+  if (patched.authorIds !== undefined && changed('authorIds')) {
+    return { authorIds: patched.authorIds };
+  }
+  if (patched.authors !== undefined && changed('authors')) {
+    return changed('author') ? { author: patched.author, authors: patched.authors } : { authors: patched.authors };
+  }
+  if (changed('author') || changed('authors') || changed('authorIds')) {
+    const others = patched.authors ? patched.authors.slice(1) : [];
+    return { author: patched.author, authors: [patched.author, ...others] };
+  }
+  return null;
+};
+
+// Apply a patch in one of the PATCH_FORMATS to a book. Returns the book as it would be
+// after the patch (to be validated like a full replacement) and whether its authors change.
+const patchBook = (book, patch, contentType) => {
+  const original = toPatchDocument(book);
+  const patched = PATCH_FORMATS[contentType](original, patch);
+  if (patched === null || typeof patched !== 'object' || Array.isArray(patched)) {
+    throw new BadRequestError('The patched book must be a JSON object');
+  }
+  const readOnly = Object.keys(patched).filter((field) => !WRITABLE_FIELDS.includes(field));
+  if (readOnly.length) {
+    throw new BadRequestError(`These fields cannot be changed: ${readOnly.join(', ')}`);
+  }
+
+  const authorFields = pickAuthorFields(original, patched);
+  const candidate = { ...patched };
+  AUTHOR_FIELDS.forEach((field) => { delete candidate[field]; });
+  Object.assign(candidate, authorFields || { author: patched.author, authors: patched.authors });
+  return { original, candidate, authorsChanged: Boolean(authorFields) };
+};
+
+// Split the validated, patched fields into the fields to set and the fields to remove.
+// Authors and copies have their own update paths and are left out.
+const toPatchUpdate = (original, fields) => {
+  const $set = {};
+  const $unset = {};
+  WRITABLE_FIELDS
+    .filter((field) => !AUTHOR_FIELDS.includes(field) && field !== 'totalCopies')
+    .forEach((field) => {
+      if (fields[field] === undefined) {
+        if (original[field] !== undefined) $unset[field] = '';
+      } else if (!isEqual(original[field], fields[field])) {
+        $set[field] = fields[field];
+      }
+    });
+  return { $set, $unset };
+};
+
+module.exports = {
+  PATCH_FORMATS,
+  WRITABLE_FIELDS,
+  patchBook,
+  toPatchUpdate,
+};
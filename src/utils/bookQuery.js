@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+// Fields that can be used in ?sort= and the type used to (de)serialize cursor values
+const SORTABLE_FIELDS = {
+  title: 'string',
+  author: 'string',
+  publishedYear: 'number',
+  createdAt: 'date',
+  updatedAt: 'date',
+};
+
+const DEFAULT_SORT = '-createdAt';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build a Mongo filter from the listing query parameters
+const buildBookFilter = (query = {}) => {
+  const filter = {};
+
+  if (query.title) {
+    filter.title = { $regex: escapeRegex(query.title), $options: 'i' };
+  }
+  if (query.author) {
+    filter.author = { $regex: escapeRegex(query.author), $options: 'i' };
+  }
+  if (query.addedBy) {
+    filter.addedBy = new mongoose.Types.ObjectId(query.addedBy);
+  }
+  if (query.authorId) {
+    filter.authorIds = new mongoose.Types.ObjectId(query.authorId);
+  }
+  if (query.publishedYearFrom !== undefined || query.publishedYearTo !== undefined) {
+    filter.publishedYear = {};
+    if (query.publishedYearFrom !== undefined) {
+      filter.publishedYear.$gte = Number(query.publishedYearFrom);
+    }
+    if (query.publishedYearTo !== undefined) {
+      filter.publishedYear.$lte = Number(query.publishedYearTo);
+    }
+  }
+
+  return filter;
+};
+
+// Parse "-publishedYear,title" into [['publishedYear', -1], ['title', 1], ['_id', 1]]
+// _id is always appended as a tie-breaker so that cursors are stable
+const parseSort = (sort = DEFAULT_SORT) => {
+  const fields = String(sort || DEFAULT_SORT)
+    .split(',')
+    .map((field) => field.trim())
+    .filter(Boolean)
+    .map((field) => (field.startsWith('-') ? [field.slice(1), -1] : [field.replace(/^\+/, ''), 1]));
+
+  const seen = new Set();
+  const unique = fields.filter(([field]) => {
+    if (seen.has(field)) return false;
+    seen.add(field);
+    return true;
+  });
+
+  const lastDirection = unique.length ? unique[unique.length - 1][1] : 1;
+  return [...unique.filter(([field]) => field !== '_id'), ['_id', lastDirection]];
+};
+
+const isValidSort = (sort) => String(sort)
+  .split(',')
+  .map((field) => field.trim().replace(/^[-+]/, ''))
+  .every((field) => Object.prototype.hasOwnProperty.call(SORTABLE_FIELDS, field));
+
+const toMongoSort = (sortSpec) => Object.fromEntries(sortSpec);
+
+const serializeValue = (value) => (value instanceof Date ? value.toISOString() : value);
+
+const deserializeValue = (field, value) => {
+  if (field === '_id') return new mongoose.Types.ObjectId(value);
+  if (SORTABLE_FIELDS[field] === 'date') return new Date(value);
+  return value;
+};
+
+// Cursors are opaque base64url strings holding the sort values of a boundary document
+const encodeCursor = (book, sortSpec, direction = 'next') => {
+  const values = sortSpec.map(([field]) => serializeValue(field === '_id' ? String(book._id) : book[field]));
+  return Buffer.from(JSON.stringify({ d: direction, v: values })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortSpec) => {
+  const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  if (!decoded || !['next', 'prev'].includes(decoded.d) || !Array.isArray(decoded.v)
+    || decoded.v.length !== sortSpec.length) {
+    throw new Error('Malformed cursor');
+  }
+  return {
+    direction: decoded.d,
+    values: sortSpec.map(([field], index) => deserializeValue(field, decoded.v[index])),
+  };
+};
+
+const isValidCursor = (cursor, sort) => {
+  try {
+    decodeCursor(cursor, parseSort(sort));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Keyset condition: documents strictly after (or before) the cursor position in sort order
+const buildCursorFilter = (sortSpec, { direction, values }) => {
+  const or = sortSpec.map(([field, order], index) => {
+    const ascending = direction === 'next' ? order === 1 : order === -1;
+    const condition = {};
+    for (let i = 0; i < index; i += 1) {
+      condition[sortSpec[i][0]] = values[i];
+    }
+    condition[field] = { [ascending ? '$gt' : '$lt']: values[index] };
+    return condition;
+  });
+  return { $or: or };
+};
+
+const reverseSort = (sortSpec) => sortSpec.map(([field, order]) => [field, -order]);
+
+// Build an absolute-path link to the current resource with some query parameters replaced
+const buildLink = (req, overrides) => {
+  const params = new URLSearchParams();
+  Object.entries({ ...req.query, ...overrides }).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(key, value);
+    }
+  });
+  const queryString = params.toString();
+  return `${req.baseUrl}${req.path === '/' ? '' : req.path}${queryString ? `?${queryString}` : ''}`;
+};
+
+module.exports = {
+  SORTABLE_FIELDS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  escapeRegex,
+  buildBookFilter,
+  parseSort,
+  isValidSort,
+  toMongoSort,
+  encodeCursor,
+  decodeCursor,
+  isValidCursor,
+  buildCursorFilter,
+  reverseSort,
+  buildLink,
+};
@@ -0,0 +1,59 @@
+const config = require('../config');
+const Book = require('../models/bookModel');
+const Hold = require('../models/holdModel');
+const logger = require('./logger');
+const { addDays } = require('./dates');
+const { withTransaction } = require('./transaction');
+const { recordRevision } = require('./bookHistory');
+
+// When a book in the trash becomes eligible for purging
+const purgeAfter = (book) => addDays(book.deletedAt, config.trash.retentionDays);
+
+// Move a version of a book to the trash and close the queue of members waiting for it.
+// Resolves to null if the book is already in the trash or is no longer at that version.
+const trashBook = ({ bookId, userId, version, now = new Date(), session }) => withTransaction(async (session) => {
+  const book = await Book.findOneAndUpdate(
+    { _id: bookId, deletedAt: null, __v: version },
+    { $set: { deletedAt: now, deletedBy: userId } },
+    { new: true, session }
+  );
+  if (book) {
+    await recordRevision({ bookId, action: 'delete', userId }, { session });
+    await Hold.updateMany(
+      { book: bookId, status: 'waiting' },
+      { $set: { status: 'cancelled', closedAt: now } },
+      { session }
+    );
+  }
+  return book;
+}, { session });
+
+// Take a book out of the trash. Resolves to null if it is not in the trash.
+const restoreBook = ({ bookId, userId }) => withTransaction(async (session) => {
+  const book = await Book.findOneAndUpdate(
+    { _id: bookId, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: null } },
+    { new: true, session }
+  );
+  if (book) {
+    await recordRevision({ bookId, action: 'restore', userId }, { session });
+  }
+  return book;
+});
+
+// Permanently remove the books that have been in the trash for longer than the retention period
+const purgeTrash = async ({ now = new Date() } = {}) => {
+  const cutoff = addDays(now, -config.trash.retentionDays);
+  const { deletedCount } = await Book.deleteMany({ deletedAt: { $ne: null, $lte: cutoff } });
+  if (deletedCount) {
+    logger.info('Purged books from the trash', { count: deletedCount });
+  }
+  return deletedCount;
+};
+
+module.exports = {
+  purgeAfter,
+  trashBook,
+  restoreBook,
+  purgeTrash,
+};
@@ -0,0 +1,85 @@
+// Minimal RFC 4180 CSV support: quoted fields, escaped quotes ("") and
+// line breaks inside quotes. Fields are separated by commas.
+
+// Split CSV text into rows of raw field values
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter((fields) => fields.length > 1 || fields[0].trim() !== '');
+};
+
+// Parse CSV text whose first row is a header into an array of objects keyed by column name
+const parseCsv = (text) => {
+  const [header, ...rows] = parseRows(text);
+  if (!header) return [];
+
+  const columns = header.map((name) => name.trim());
+  return rows.map((fields) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      if (column && fields[index] !== undefined && fields[index] !== '') {
+        record[column] = fields[index];
+      }
+    });
+    return record;
+  });
+};
+
+// Quote a value when it contains a separator, a quote or a line break
+const formatField = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format one CSV line, including the line break
+const formatRow = (values) => `${values.map(formatField).join(',')}\r\n`;
+
+module.exports = {
+  parseRows,
+  parseCsv,
+  formatField,
+  formatRow,
+};
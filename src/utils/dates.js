@@ -0,0 +1,12 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+// Whole seconds from now until a date, rounded up; 0 once it has passed
+const secondsUntil = (date, now = new Date()) => Math.max(0, Math.ceil((new Date(date).getTime() - now.getTime()) / 1000));
+
+module.exports = {
+  DAY_MS,
+  addDays,
+  secondsUntil,
+};
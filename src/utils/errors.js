@@ -0,0 +1,97 @@
+const http = require('http');
+
+// Stable, machine-readable code of a status, e.g. 404 -> 'not_found'
+const codeForStatus = (status) => (http.STATUS_CODES[status] || 'Error')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_|_$/g, '');
+
+// Errors reported to the client as RFC 7807 problem details by the error handler.
+// The message becomes the detail of the problem; extensions are added to it as members.
+class HttpError extends Error {
+  constructor(status, message = http.STATUS_CODES[status], { code = codeForStatus(status), ...extensions } = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code;
+    this.extensions = extensions;
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message, extensions) {
+    super(400, message, extensions);
+  }
+}
+
+// Request input failed validation; errors lists each failed check (express-validator format)
+class ValidationError extends HttpError {
+  constructor(errors, message = 'Validation failed') {
+    super(400, message, { code: 'validation_failed', errors });
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message, extensions) {
+    super(401, message, extensions);
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message, extensions) {
+    super(403, message, extensions);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message, extensions) {
+    super(404, message, extensions);
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message, extensions) {
+    super(409, message, extensions);
+  }
+}
+
+class PreconditionFailedError extends HttpError {
+  constructor(message, extensions) {
+    super(412, message, extensions);
+  }
+}
+
+class UnsupportedMediaTypeError extends HttpError {
+  constructor(message, extensions) {
+    super(415, message, extensions);
+  }
+}
+
+class PreconditionRequiredError extends HttpError {
+  constructor(message, extensions) {
+    super(428, message, extensions);
+  }
+}
+
+// Sent with a Retry-After header of retryAfter seconds
+class TooManyRequestsError extends HttpError {
+  constructor(message, retryAfter, extensions = {}) {
+    super(429, message, { ...extensions, retryAfter });
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = {
+  codeForStatus,
+  HttpError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+  PreconditionRequiredError,
+  TooManyRequestsError,
+};
@@ -0,0 +1,15 @@
+// Strong entity tag of a versioned document. The version (__v) is bumped on every
+// write, so the tag changes whenever the document does.
+const toEtag = (doc) => `"${doc._id}-${doc.__v || 0}"`;
+
+// Whether an If-Match header, a list of entity tags or "*", matches an entity tag.
+// Weak tags never match, as If-Match uses the strong comparison.
+const ifMatches = (header, etag) => header
+  .split(',')
+  .map((tag) => tag.trim())
+  .some((tag) => tag === '*' || tag === etag);
+
+module.exports = {
+  toEtag,
+  ifMatches,
+};
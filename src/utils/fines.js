@@ -0,0 +1,132 @@
+const config = require('../config');
+const Loan = require('../models/loanModel');
+const User = require('../models/userModel');
+const LedgerEntry = require('../models/ledgerEntryModel');
+const logger = require('./logger');
+const { DAY_MS } = require('./dates');
+const { withTransaction } = require('./transaction');
+const { ConflictError, NotFoundError } = require('./errors');
+
+// Fine owed for a loan at a point in time: the daily rate for every full day
+// overdue past the grace period, capped per item
+const calculateFine = (loan, at = new Date()) => {
+  const daysOverdue = Math.floor((new Date(at) - new Date(loan.dueAt)) / DAY_MS);
+  const chargeableDays = daysOverdue - config.fines.graceDays;
+  if (chargeableDays <= 0) return 0;
+  return Math.min(chargeableDays * config.fines.dailyRate, config.fines.maxPerItem);
+};
+
+// Append a ledger entry and move the user's cached balance with it. Must run in a transaction.
+const recordEntry = async ({ userId, type, amount, loanId = null, reason = null, createdBy = null }, { session }) => {
+  const [entry] = await LedgerEntry.create([{
+    user: userId,
+    type,
+    amount,
+    loan: loanId,
+    reason,
+    createdBy,
+  }], { session });
+  await User.updateOne({ _id: userId }, { $inc: { fineBalance: amount } }, { session });
+  return entry;
+};
+
+// Charge the part of a loan's fine that is not on the ledger yet. Returned loans
+// are charged up to their return date. Must run in a transaction.
+const accrueLoanFine = async (loan, { session, now = new Date() }) => {
+  const owed = calculateFine(loan, loan.returnedAt || now);
+  const charged = loan.fineAccrued || 0;
+  if (owed <= charged) return 0;
+
+  // Matching on the charged amount makes concurrent accruals of the same loan charge once
+  const updated = await Loan.findOneAndUpdate(
+    { _id: loan._id, fineAccrued: charged || { $in: [0, null] } },
+    { $set: { fineAccrued: owed } },
+    { session }
+  );
+  if (!updated) return 0;
+
+  const amount = owed - charged;
+  await recordEntry({ userId: loan.user._id || loan.user, type: 'fine', amount, loanId: loan._id }, { session });
+  return amount;
+};
+
+// Bring the fines of overdue active loans up to date, for one user or for everyone.
+// Runs lazily before checkouts and balance lookups and periodically from server.js.
+const accrueFines = async ({ userId, now = new Date() } = {}) => {
+  const filter = { returnedAt: null, dueAt: { $lt: now } };
+  if (userId) filter.user = userId;
+
+  const loans = await Loan.find(filter, 'user dueAt returnedAt fineAccrued');
+  let total = 0;
+  for (const loan of loans) {
+    total += await withTransaction((session) => accrueLoanFine(loan, { session, now }));
+  }
+  if (total) {
+    logger.info('Accrued overdue fines', { user: userId, amount: total });
+  }
+  return total;
+};
+
+const getBalance = async (userId) => {
+  const user = await User.findById(userId, 'fineBalance');
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  return user.fineBalance || 0;
+};
+
+// Take an amount off a user's balance. The conditional update rejects amounts
+// larger than the balance, including when two requests race. Must run in a transaction.
+const creditBalance = async ({ userId, type, amount, reason, createdBy }, { session }) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, fineBalance: { $gte: amount } },
+    { $inc: { fineBalance: -amount } },
+    { new: true, session }
+  );
+  if (!user) {
+    const exists = await User.findOne({ _id: userId }, '_id', { session });
+    throw exists
+      ? new ConflictError('Amount exceeds the outstanding balance')
+      : new NotFoundError('User not found');
+  }
+
+  const [entry] = await LedgerEntry.create([{
+    user: userId,
+    type,
+    amount: -amount,
+    reason,
+    createdBy,
+  }], { session });
+  return { entry, balance: user.fineBalance };
+};
+
+// Record a payment towards a user's fines
+const payFines = ({ userId, amount }) => withTransaction(
+  (session) => creditBalance({ userId, type: 'payment', amount }, { session })
+);
+
+// Cancel part of a user's fines, or all of them when no amount is given
+const waiveFines = ({ userId, amount, reason, adminId }) => withTransaction(async (session) => {
+  let waived = amount;
+  if (waived === undefined) {
+    const user = await User.findOne({ _id: userId }, 'fineBalance', { session });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    waived = user.fineBalance || 0;
+  }
+  if (waived <= 0) {
+    throw new ConflictError('There is no outstanding balance to waive');
+  }
+  return creditBalance({ userId, type: 'waiver', amount: waived, reason, createdBy: adminId }, { session });
+});
+
+module.exports = {
+  calculateFine,
+  recordEntry,
+  accrueLoanFine,
+  accrueFines,
+  getBalance,
+  payFines,
+  waiveFines,
+};
@@ -0,0 +1,159 @@
+const config = require('../config');
+const Book = require('../models/bookModel');
+const Hold = require('../models/holdModel');
+const Loan = require('../models/loanModel');
+const logger = require('./logger');
+const { addDays } = require('./dates');
+const { withTransaction } = require('./transaction');
+const { ConflictError, NotFoundError } = require('./errors');
+
+const ACTIVE_STATUSES = ['waiting', 'ready'];
+
+const queueOrder = { createdAt: 1, _id: 1 };
+
+// Hand available copies of a book to the front of its hold queue, one copy per
+// waiting hold, each set aside for the pickup window. Must run in a transaction.
+const allocateAvailableCopies = async (bookId, { session, now = new Date() }) => {
+  let promoted = 0;
+  for (;;) {
+    const next = await Hold.findOne({ book: bookId, status: 'waiting' }, null, { session, sort: queueOrder });
+    if (!next) break;
+
+    const book = await Book.findOneAndUpdate(
+      { _id: bookId, availableCopies: { $gt: 0 } },
+      { $inc: { availableCopies: -1 } },
+      { new: true, session }
+    );
+    if (!book) break;
+
+    await Hold.updateOne(
+      { _id: next._id, status: 'waiting' },
+      { $set: { status: 'ready', readyAt: now, expiresAt: addDays(now, config.holds.pickupWindowDays) } },
+      { session }
+    );
+    logger.info('Hold ready for pickup', { holdId: next._id, bookId, user: next.user });
+    promoted += 1;
+  }
+  return promoted;
+};
+
+// A copy came back (return, cancelled or expired pickup): give it to the next
+// person in the queue, or make it available again. Must run in a transaction.
+const releaseCopy = async (bookId, { session, now = new Date() }) => {
+  await Book.updateOne({ _id: bookId }, { $inc: { availableCopies: 1 } }, { session });
+  return allocateAvailableCopies(bookId, { session, now });
+};
+
+// Expire ready holds whose pickup window has passed and move their copies on.
+// Runs lazily before hold and checkout operations and periodically from server.js.
+const expireReadyHolds = async ({ bookId, userId, now = new Date() } = {}) => {
+  const filter = { status: 'ready', expiresAt: { $lte: now } };
+  if (bookId) filter.book = bookId;
+  if (userId) filter.user = userId;
+
+  const expired = await Hold.find(filter, '_id book');
+  let count = 0;
+  for (const hold of expired) {
+    await withTransaction(async (session) => {
+      const result = await Hold.updateOne(
+        { _id: hold._id, status: 'ready' },
+        { $set: { status: 'expired', closedAt: now } },
+        { session }
+      );
+      if (result.modifiedCount) {
+        count += 1;
+        await releaseCopy(hold.book, { session, now });
+      }
+    });
+  }
+  if (count) {
+    logger.info('Expired uncollected holds', { count });
+  }
+  return count;
+};
+
+// 1-based position of a waiting hold in its book's queue, 0 once it is ready
+const queuePosition = async (hold) => {
+  if (hold.status === 'ready') return 0;
+  if (hold.status !== 'waiting') return null;
+  const ahead = await Hold.countDocuments({
+    book: hold.book._id || hold.book,
+    status: 'waiting',
+    $or: [
+      { createdAt: { $lt: hold.createdAt } },
+      { createdAt: hold.createdAt, _id: { $lt: hold._id } },
+    ],
+  });
+  return ahead + 1;
+};
+
+// Join the queue for a book that has no available copies
+const placeHold = async ({ userId, bookId, now = new Date() }) => {
+  await expireReadyHolds({ bookId, now });
+
+  const hold = await withTransaction(async (session) => {
+    const book = await Book.findOne({ _id: bookId }, 'availableCopies', { session });
+    if (!book) {
+      throw new NotFoundError('Book not found');
+    }
+    if (book.availableCopies > 0) {
+      throw new ConflictError('Book has available copies, check it out instead');
+    }
+
+    const existingHold = await Hold.findOne({ user: userId, book: bookId, status: { $in: ACTIVE_STATUSES } }, '_id', { session });
+    if (existingHold) {
+      throw new ConflictError('You already have a hold on this book');
+    }
+    const activeLoan = await Loan.findOne({ user: userId, book: bookId, returnedAt: null }, '_id', { session });
+    if (activeLoan) {
+      throw new ConflictError('You already have this book on loan');
+    }
+
+    const [created] = await Hold.create([{ book: bookId, user: userId, status: 'waiting' }], { session });
+    return created;
+  });
+
+  return { hold, position: await queuePosition(hold) };
+};
+
+// Leave the queue; a copy set aside for the hold goes to the next person
+const cancelHold = async ({ userId, bookId, now = new Date() }) => withTransaction(async (session) => {
+  const hold = await Hold.findOneAndUpdate(
+    { user: userId, book: bookId, status: { $in: ACTIVE_STATUSES } },
+    { $set: { status: 'cancelled', closedAt: now } },
+    { session }
+  );
+  if (!hold) {
+    throw new NotFoundError('You have no active hold on this book');
+  }
+
+  // findOneAndUpdate returns the hold as it was before the update
+  if (hold.status === 'ready') {
+    await releaseCopy(bookId, { session, now });
+  }
+  return hold;
+});
+
+// Mark a ready hold as picked up when its owner checks the book out.
+// Resolves to the hold, or null if the user has no unexpired ready hold.
+const fulfillReadyHold = ({ userId, bookId, session, now = new Date() }) => Hold.findOneAndUpdate(
+  { user: userId, book: bookId, status: 'ready', expiresAt: { $gt: now } },
+  { $set: { status: 'fulfilled', closedAt: now } },
+  { new: true, session }
+);
+
+const hasWaitingHolds = async (bookId, { session } = {}) => Boolean(
+  await Hold.findOne({ book: bookId, status: 'waiting' }, '_id', { session })
+);
+
+module.exports = {
+  ACTIVE_STATUSES,
+  allocateAvailableCopies,
+  releaseCopy,
+  expireReadyHolds,
+  queuePosition,
+  placeHold,
+  cancelHold,
+  fulfillReadyHold,
+  hasWaitingHolds,
+};
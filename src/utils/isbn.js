@@ -0,0 +1,44 @@
+// ISBN-10 and ISBN-13 validation. Books store the ISBN-13 form without
+// separators, so the same edition is found whichever form was entered.
+
+// Drop hyphens and spaces, e.g. "978-0-306-40615-7" -> "9780306406157"
+const normalizeIsbn = (value) => String(value).replace(/[\s-]/g, '').toUpperCase();
+
+const isValidIsbn10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+  const sum = isbn.split('').reduce((total, char, index) => {
+    const digit = char === 'X' ? 10 : Number(char);
+    return total + digit * (10 - index);
+  }, 0);
+  return sum % 11 === 0;
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = first12.split('').reduce((total, char, index) => total + Number(char) * (index % 2 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+const isValidIsbn13 = (isbn) => /^\d{13}$/.test(isbn)
+  && isbn13CheckDigit(isbn.slice(0, 12)) === Number(isbn[12]);
+
+const isValidIsbn = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') return false;
+  const isbn = normalizeIsbn(value);
+  return isValidIsbn10(isbn) || isValidIsbn13(isbn);
+};
+
+// Convert a valid ISBN-10 or ISBN-13 to its normalized ISBN-13 form
+const toIsbn13 = (value) => {
+  const isbn = normalizeIsbn(value);
+  if (isbn.length === 13) return isbn;
+  const first12 = `978${isbn.slice(0, 9)}`;
+  return `${first12}${isbn13CheckDigit(first12)}`;
+};
+
+module.exports = {
+  normalizeIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isValidIsbn,
+  toIsbn13,
+};
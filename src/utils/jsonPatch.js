@@ -0,0 +1,158 @@
+// JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7396) for plain JSON documents.
+// Patches never modify their target; they return a patched copy. Malformed patches
+// throw a BadRequestError, patches that do not apply to the document (missing paths,
+// failed tests) a ConflictError.
+
+const { BadRequestError, ConflictError } = require('./errors');
+
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const isEqual = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => hasOwn(b, key) && isEqual(a[key], b[key]));
+  }
+  return a === b;
+};
+
+// Split a JSON Pointer (RFC 6901) into unescaped reference tokens
+const parsePointer = (pointer) => {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new BadRequestError(`Invalid JSON Pointer: ${JSON.stringify(pointer)}`);
+  }
+  if (pointer === '') return [];
+  return pointer.slice(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+// Array index of a token. '-' (past the end) and the length itself are only valid when adding.
+const toIndex = (array, token, pointer, { adding = false } = {}) => {
+  if (adding && token === '-') return array.length;
+  const max = adding ? array.length : array.length - 1;
+  if (!/^(0|[1-9][0-9]*)$/.test(token) || Number(token) > max) {
+    throw new ConflictError(`Path ${pointer} does not exist`);
+  }
+  return Number(token);
+};
+
+// Value a pointer refers to
+const getValue = (doc, pointer) => parsePointer(pointer).reduce((value, token) => {
+  if (Array.isArray(value)) return value[toIndex(value, token, pointer)];
+  if (isObject(value) && hasOwn(value, token)) return value[token];
+  throw new ConflictError(`Path ${pointer} does not exist`);
+}, doc);
+
+// Container holding the value a pointer refers to, and the key of the value in it
+const getParent = (doc, pointer) => {
+  const tokens = parsePointer(pointer);
+  const key = tokens.pop();
+  const parentPointer = tokens.map((token) => `/${token.replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+  const parent = getValue(doc, parentPointer);
+  if (!Array.isArray(parent) && !isObject(parent)) {
+    throw new ConflictError(`Path ${pointer} does not exist`);
+  }
+  return { parent, key };
+};
+
+const addValue = (doc, pointer, value) => {
+  if (pointer === '') return value;
+  const { parent, key } = getParent(doc, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(toIndex(parent, key, pointer, { adding: true }), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return doc;
+};
+
+const removeValue = (doc, pointer) => {
+  if (pointer === '') {
+    throw new ConflictError('The whole document cannot be removed');
+  }
+  const { parent, key } = getParent(doc, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(toIndex(parent, key, pointer), 1);
+  } else if (hasOwn(parent, key)) {
+    delete parent[key];
+  } else {
+    throw new ConflictError(`Path ${pointer} does not exist`);
+  }
+  return doc;
+};
+
+const checkOperation = (operation, index) => {
+  if (!isObject(operation) || !OPERATIONS.includes(operation.op)) {
+    throw new BadRequestError(`Operation ${index} must have an op of ${OPERATIONS.join(', ')}`);
+  }
+  parsePointer(operation.path);
+  if (['add', 'replace', 'test'].includes(operation.op) && !hasOwn(operation, 'value')) {
+    throw new BadRequestError(`Operation ${index} (${operation.op}) requires a value`);
+  }
+  if (['move', 'copy'].includes(operation.op)) {
+    parsePointer(operation.from);
+  }
+};
+
+// Apply a JSON Patch: an array of operations applied in order, all or nothing
+const applyJsonPatch = (doc, operations) => {
+  if (!Array.isArray(operations)) {
+    throw new BadRequestError('A JSON Patch must be an array of operations');
+  }
+  operations.forEach(checkOperation);
+
+  return operations.reduce((result, { op, path, from, value }) => {
+    switch (op) {
+      case 'add':
+        return addValue(result, path, clone(value));
+      case 'remove':
+        return removeValue(result, path);
+      case 'replace':
+        getValue(result, path);
+        return addValue(path === '' ? result : removeValue(result, path), path, clone(value));
+      case 'move': {
+        if (path.startsWith(`${from}/`)) {
+          throw new ConflictError(`Cannot move ${from} into one of its children`);
+        }
+        const moved = getValue(result, from);
+        return addValue(removeValue(result, from), path, moved);
+      }
+      case 'copy':
+        return addValue(result, path, clone(getValue(result, from)));
+      default:
+        if (!isEqual(getValue(result, path), value)) {
+          throw new ConflictError(`Test failed: ${path} does not have the expected value`);
+        }
+        return result;
+    }
+  }, clone(doc));
+};
+
+// Apply a JSON Merge Patch: objects are merged recursively, null removes a member
+// and any other value replaces it
+const applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) return clone(patch);
+  const result = isObject(target) ? clone(target) : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+};
+
+module.exports = {
+  isEqual,
+  parsePointer,
+  applyJsonPatch,
+  applyMergePatch,
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+
+// JWT keys live in a directory as one PEM file per key, named <kid>.pem. Private
+// keys can sign and verify; public keys only verify, which is how a retired key is
+// kept around until the tokens it signed have expired. Every key is published at
+// /.well-known/jwks.json so that other services can verify our tokens.
+
+// Signing algorithm for each supported key type
+const ALGORITHMS = {
+  rsa: 'RS256',
+  ed25519: 'EdDSA',
+};
+
+const MIN_RSA_BITS = 2048;
+
+const toKey = (kid, { privateKey = null, publicKey }) => {
+  const type = publicKey.asymmetricKeyType;
+  const alg = ALGORITHMS[type];
+  if (!alg) {
+    throw new Error(`Unsupported JWT key type "${type}" for key "${kid}", use one of: ${Object.keys(ALGORITHMS).join(', ')}`);
+  }
+  if (type === 'rsa' && publicKey.asymmetricKeyDetails.modulusLength < MIN_RSA_BITS) {
+    throw new Error(`RSA key "${kid}" is shorter than ${MIN_RSA_BITS} bits`);
+  }
+  return { kid, alg, privateKey, publicKey };
+};
+
+const readKeyFile = (file) => {
+  const kid = path.basename(file, '.pem');
+  const pem = fs.readFileSync(file, 'utf8');
+  if (pem.includes('PRIVATE KEY-----')) {
+    const privateKey = crypto.createPrivateKey(pem);
+    return toKey(kid, { privateKey, publicKey: crypto.createPublicKey(privateKey) });
+  }
+  return toKey(kid, { publicKey: crypto.createPublicKey(pem) });
+};
+
+// Throwaway key for development and tests; tokens signed with it do not survive a restart
+const createTemporaryKey = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  return toKey(`temporary-${crypto.randomBytes(4).toString('hex')}`, { privateKey, publicKey });
+};
+
+// Load every key in keysDir and pick the one that signs new tokens: signingKeyId,
+// or the only private key. Without a directory a temporary key is generated,
+// except in production where that would log everyone out on each restart and make
+// every instance reject the others' tokens.
+const loadKeyRing = ({ keysDir, signingKeyId, production = process.env.NODE_ENV === 'production' } = config.jwt) => {
+  if (!keysDir) {
+    if (production) {
+      throw new Error('No JWT signing key configured, set JWT_KEYS_DIR to a directory of PEM keys');
+    }
+    const key = createTemporaryKey();
+    logger.warn(`No JWT keys configured, signing tokens with temporary key ${key.kid}`);
+    return { signingKey: key, keys: new Map([[key.kid, key]]) };
+  }
+
+  const keys = new Map(fs.readdirSync(keysDir)
+    .filter((file) => file.endsWith('.pem'))
+    .sort()
+    .map((file) => {
+      const key = readKeyFile(path.join(keysDir, file));
+      return [key.kid, key];
+    }));
+
+  const privateKeys = [...keys.values()].filter((key) => key.privateKey);
+  let signingKey;
+  if (signingKeyId) {
+    signingKey = keys.get(signingKeyId);
+    if (!signingKey || !signingKey.privateKey) {
+      throw new Error(`JWT signing key "${signingKeyId}" has no private key in ${keysDir}`);
+    }
+  } else if (privateKeys.length === 1) {
+    [signingKey] = privateKeys;
+  } else if (privateKeys.length === 0) {
+    throw new Error(`No private JWT key in ${keysDir}`);
+  } else {
+    throw new Error(`Several private JWT keys in ${keysDir}, set JWT_SIGNING_KEY_ID to the one that signs`);
+  }
+
+  logger.info(`Loaded ${keys.size} JWT key(s), signing with ${signingKey.kid}`);
+  return { signingKey, keys };
+};
+
+// The key ring configured with JWT_KEYS_DIR and JWT_SIGNING_KEY_ID, loaded on first use
+let keyRing = null;
+const getKeyRing = () => {
+  if (!keyRing) keyRing = loadKeyRing();
+  return keyRing;
+};
+
+const setKeyRing = (ring) => {
+  keyRing = ring;
+};
+
+// Key lookup for jose's jwtVerify: the key named by the token's kid, provided it
+// is used with the algorithm the token claims
+const resolveVerificationKey = ({ kid, alg }) => {
+  const key = getKeyRing().keys.get(kid);
+  if (!key || key.alg !== alg) {
+    throw new Error(`No ${alg} verification key "${kid}"`);
+  }
+  return key.publicKey;
+};
+
+// Public halves of every key as a JSON Web Key Set
+const getJwks = () => ({
+  keys: [...getKeyRing().keys.values()].map(({ kid, alg, publicKey }) => ({
+    ...publicKey.export({ format: 'jwk' }),
+    kid,
+    alg,
+    use: 'sig',
+  })),
+});
+
+module.exports = {
+  ALGORITHMS,
+  loadKeyRing,
+  getKeyRing,
+  setKeyRing,
+  resolveVerificationKey,
+  getJwks,
+};
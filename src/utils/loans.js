@@ -0,0 +1,134 @@
+const config = require('../config');
+const Book = require('../models/bookModel');
+const Loan = require('../models/loanModel');
+const User = require('../models/userModel');
+const { withTransaction } = require('./transaction');
+const { addDays } = require('./dates');
+const { ConflictError, ForbiddenError, NotFoundError } = require('./errors');
+const {
+  expireReadyHolds,
+  fulfillReadyHold,
+  releaseCopy,
+  hasWaitingHolds,
+} = require('./holds');
+const { accrueFines, accrueLoanFine } = require('./fines');
+
+const isOverdue = (loan, now = new Date()) => !loan.returnedAt && new Date(loan.dueAt) < now;
+
+// Plain representation of a loan with its computed overdue flag
+const formatLoan = (loan, now = new Date()) => ({
+  ...(typeof loan.toObject === 'function' ? loan.toObject() : loan),
+  overdue: isOverdue(loan, now),
+});
+
+// Lend a copy of a book to a user. Runs in a transaction so the copy count,
+// the per-user limit and the new loan are always consistent, and two users
+// cannot both take the last copy. A copy set aside by a ready hold is used first.
+const checkoutBook = async ({ userId, bookId, now = new Date() }) => {
+  await expireReadyHolds({ bookId, now });
+  await accrueFines({ userId, now });
+  return withTransaction(async (session) => checkoutInTransaction({ userId, bookId, now, session }));
+};
+
+const checkoutInTransaction = async ({ userId, bookId, now, session }) => {
+  // Writing to the user serializes concurrent checkouts by the same user
+  const user = await User.findOneAndUpdate(
+    { _id: userId },
+    { $set: { lastCheckoutAt: now } },
+    { new: true, session, projection: 'fineBalance disabledAt' }
+  );
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  if (user.disabledAt) {
+    throw new ForbiddenError('Account is disabled', { code: 'account_disabled' });
+  }
+  if (user.fineBalance > config.fines.blockThreshold) {
+    throw new ForbiddenError('Checkouts are blocked until outstanding fines are paid');
+  }
+
+  const activeLoans = await Loan.countDocuments({ user: userId, returnedAt: null }, { session });
+  if (activeLoans >= config.loans.maxActivePerUser) {
+    throw new ConflictError(`Loan limit of ${config.loans.maxActivePerUser} active loans reached`);
+  }
+
+  const existingLoan = await Loan.findOne({ user: userId, book: bookId, returnedAt: null }, '_id', { session });
+  if (existingLoan) {
+    throw new ConflictError('You already have this book on loan');
+  }
+
+  // A ready hold already took its copy out of availableCopies
+  const hold = await fulfillReadyHold({ userId, bookId, session, now });
+  if (!hold) {
+    // Only succeeds while a copy is available
+    const book = await Book.findOneAndUpdate(
+      { _id: bookId, availableCopies: { $gt: 0 } },
+      { $inc: { availableCopies: -1 } },
+      { new: true, session }
+    );
+    if (!book) {
+      const exists = await Book.findOne({ _id: bookId }, '_id', { session });
+      throw exists ? new ConflictError('No copies of this book are available') : new NotFoundError('Book not found');
+    }
+  }
+
+  const [loan] = await Loan.create([{
+    book: bookId,
+    user: userId,
+    checkedOutAt: now,
+    dueAt: addDays(now, config.loans.periodDays),
+  }], { session });
+  return loan;
+};
+
+// Mark a loan as returned, charge any remaining fine and pass the copy to the
+// hold queue or back into circulation
+const returnLoan = ({ loanId, now = new Date() }) => withTransaction(async (session) => {
+  const loan = await Loan.findOneAndUpdate(
+    { _id: loanId, returnedAt: null },
+    { $set: { returnedAt: now } },
+    { new: true, session }
+  );
+  if (!loan) {
+    throw new ConflictError('Loan has already been returned');
+  }
+
+  await accrueLoanFine(loan, { session, now });
+  await releaseCopy(loan.book, { session, now });
+  return loan;
+});
+
+// Extend the due date of an active loan
+const renewLoan = async ({ loan, now = new Date() }) => {
+  if (loan.returnedAt) {
+    throw new ConflictError('Loan has already been returned');
+  }
+  if (isOverdue(loan, now)) {
+    throw new ConflictError('Overdue loans cannot be renewed');
+  }
+  if (loan.renewals >= config.loans.maxRenewals) {
+    throw new ConflictError(`Loans can be renewed at most ${config.loans.maxRenewals} times`);
+  }
+  if (await hasWaitingHolds(loan.book)) {
+    throw new ConflictError('Loans cannot be renewed while other members are waiting for the book');
+  }
+
+  // Matching on the current renewal count rejects concurrent renewals of the same loan
+  const renewed = await Loan.findOneAndUpdate(
+    { _id: loan._id, returnedAt: null, renewals: loan.renewals },
+    { $inc: { renewals: 1 }, $set: { dueAt: addDays(loan.dueAt, config.loans.renewalDays) } },
+    { new: true }
+  );
+  if (!renewed) {
+    throw new ConflictError('Loan was modified concurrently, please retry');
+  }
+  return renewed;
+};
+
+module.exports = {
+  isOverdue,
+  formatLoan,
+  checkoutBook,
+  returnLoan,
+  renewLoan,
+};
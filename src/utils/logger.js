@@ -1,10 +1,90 @@
 const winston = require('winston');
+const config = require('../config');
+const { getRequestContext } = require('./requestContext');
+
+const REDACTED = '[REDACTED]';
+
+// Fields never logged wherever they appear, compared ignoring case, dashes and underscores
+const SENSITIVE_KEYS = new Set([
+  'password',
+  'currentpassword',
+  'newpassword',
+  'token',
+  'accesstoken',
+  'refreshtoken',
+  'authorization',
+  'cookie',
+  'setcookie',
+  'xapikey',
+  'secret',
+]);
+
+// Credentials inside strings, such as messages that quote a header or a URL
+const SENSITIVE_PATTERNS = [
+  [/(Bearer\s+)[\w.~+/-]+=*/gi, `$1${REDACTED}`],
+  [/\beyJ[\w-]*\.[\w-]*\.[\w-]*/g, REDACTED],
+  // Whole API keys; the short prefix that identifies a key stays readable
+  [/\bbk_[\w-]{20,}/g, REDACTED],
+  [/([?&][\w-]*(?:token|password|secret|api[_-]?key)=)[^&#\s]*/gi, `$1${REDACTED}`],
+];
+
+const redactPaths = new Set(config.logging.redactPaths);
+
+const isSensitive = (key, path) => SENSITIVE_KEYS.has(key.toLowerCase().replace(/[-_]/g, '')) || redactPaths.has(path);
+
+const isPlainObject = (value) => {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+const redactString = (value) => SENSITIVE_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+
+// Copy of a logged value with sensitive fields and strings masked. Only plain
+// objects and arrays are copied, so request bodies and the like are not modified;
+// other objects (errors, dates, ids) are left to the formatter.
+const redact = (value, path, ancestors) => {
+  if (typeof value === 'string') return redactString(value);
+  if (!value || typeof value !== 'object' || !(Array.isArray(value) || isPlainObject(value))) return value;
+  if (ancestors.has(value)) return '[Circular]';
+
+  ancestors.add(value);
+  let copy;
+  if (Array.isArray(value)) {
+    copy = value.map((item) => redact(item, path, ancestors));
+  } else {
+    copy = {};
+    Object.entries(value).forEach(([key, item]) => {
+      const itemPath = path ? `${path}.${key}` : key;
+      copy[key] = isSensitive(key, itemPath) ? REDACTED : redact(item, itemPath, ancestors);
+    });
+  }
+  ancestors.delete(value);
+  return copy;
+};
+
+const redactSensitive = winston.format((info) => {
+  Object.keys(info).forEach((key) => {
+    info[key] = isSensitive(key, key) ? REDACTED : redact(info[key], key, new Set());
+  });
+  return info;
+});
+
+// Tag entries logged while handling a request with its id
+const requestContext = winston.format((info) => {
+  const context = getRequestContext();
+  if (context && context.requestId) {
+    info.requestId = context.requestId;
+  }
+  return info;
+});
 
 const logger = winston.createLogger({
-  level: 'info',
+  level: config.logging.level,
   format: winston.format.combine(
-    winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    requestContext(),
+    redactSensitive(),
+    winston.format.timestamp(),
     winston.format.json()
   ),
   defaultMeta: { service: 'book-service' },
@@ -24,4 +104,4 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 }
 
-module.exports = logger;
\ No newline at end of file
+module.exports = logger;
@@ -0,0 +1,90 @@
+const config = require('../config');
+const { getDefaultStore } = require('./rateLimitStores');
+const { secondsUntil } = require('./dates');
+
+const MINUTE_MS = 60 * 1000;
+
+const userKey = (username) => `login-failures:user:${username}`;
+const ipKey = (ip) => `login-failures:ip:${ip}`;
+const lockKey = (username) => `login-lock:${username}`;
+
+// Failure counters of a login with their free attempts, the username first
+const counters = (username, ip) => [
+  [userKey(username), config.login.userFreeAttempts],
+  [ipKey(ip), config.login.ipFreeAttempts],
+];
+
+// Seconds to wait after the last of `failures` failed logins: nothing for the first
+// free attempts, then backoffBaseSeconds doubling with every failure, up to backoffMaxSeconds
+const backoffSeconds = (failures, freeAttempts) => {
+  const { backoffBaseSeconds, backoffMaxSeconds } = config.login;
+  if (failures < freeAttempts) return 0;
+  return Math.min(backoffBaseSeconds * 2 ** (failures - freeAttempts), backoffMaxSeconds);
+};
+
+// Whether a login for this username from this IP address may be attempted now.
+// Resolves to { locked, retryAfter }; retryAfter is 0 when the attempt may go ahead.
+const checkLoginAttempt = async ({ username, ip, now = new Date(), store = getDefaultStore() }) => {
+  const lock = await store.get(lockKey(username), now);
+  if (lock) {
+    return { locked: true, retryAfter: secondsUntil(lock.resetAt, now) };
+  }
+
+  const waits = await Promise.all(counters(username, ip).map(async ([key, freeAttempts]) => {
+    const failures = await store.get(key, now);
+    if (!failures) return 0;
+    return secondsUntil(failures.lastHitAt.getTime() + backoffSeconds(failures.count, freeAttempts) * 1000, now);
+  }));
+  return { locked: false, retryAfter: Math.max(...waits) };
+};
+
+// Count a login attempt as failed against the username and the IP address before the
+// password is checked, so that concurrent attempts cannot all pass checkLoginAttempt on
+// the same count. Resolves to { locked, retryAfter, failures }: retryAfter is not 0 when
+// attempts counted in the meantime used up the allowance, and failures is the count of
+// the username including this attempt.
+const reserveLoginAttempt = async ({ username, ip, now = new Date(), store = getDefaultStore() }) => {
+  const windowMs = config.login.failureWindowMinutes * MINUTE_MS;
+  const hits = await Promise.all(counters(username, ip).map(async ([key, freeAttempts]) => {
+    const hit = await store.increment(key, windowMs, now);
+    const wait = hit.previousHitAt
+      ? secondsUntil(hit.previousHitAt.getTime() + backoffSeconds(hit.count - 1, freeAttempts) * 1000, now)
+      : 0;
+    return { count: hit.count, wait };
+  }));
+  return { locked: false, retryAfter: Math.max(...hits.map(({ wait }) => wait)), failures: hits[0].count };
+};
+
+// Settle a reserved attempt whose password was wrong. Once the username reaches the
+// lockout threshold the account is locked and its count starts over.
+// Resolves to whether this failure locked the account.
+const recordLoginFailure = async ({ username, failures, now = new Date(), store = getDefaultStore() }) => {
+  if (failures < config.login.lockoutThreshold) {
+    return false;
+  }
+  await store.increment(lockKey(username), config.login.lockoutMinutes * MINUTE_MS, now);
+  await store.reset(userKey(username));
+  return true;
+};
+
+// A successful login clears the failures of the username; the IP address only gets
+// its reserved attempt back
+const recordLoginSuccess = ({ username, ip, now = new Date(), store = getDefaultStore() }) => Promise.all([
+  store.reset(userKey(username)),
+  store.decrement(ipKey(ip), now),
+]);
+
+// Forget the failures and the lock of a username, once its password was reset
+const clearLoginFailures = ({ username, store = getDefaultStore() }) => Promise.all([
+  store.reset(userKey(username)),
+  store.reset(lockKey(username)),
+]);
+
+module.exports = {
+  backoffSeconds,
+  checkLoginAttempt,
+  reserveLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearLoginFailures,
+};
@@ -0,0 +1,79 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+
+// Mail transports deliver a message { from, to, subject, text }. Every transport implements:
+//   send(message) -> resolves once the message is handed over
+// Another transport (SMTP, a mail API, ...) can be installed with setTransport.
+
+// Logs every message, for development
+class ConsoleTransport {
+  async send(message) {
+    logger.info('Mail', message);
+  }
+}
+
+// Writes every message to a file in a directory, for development and tests
+class FileTransport {
+  constructor({ dir = config.mail.outboxDir } = {}) {
+    this.dir = dir;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const file = path.join(this.dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+    const content = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      '',
+      message.text,
+    ].join('\n');
+    await fs.writeFile(file, content);
+    logger.info('Mail written to outbox', { to: message.to, subject: message.subject, file });
+  }
+}
+
+const TRANSPORTS = {
+  console: ConsoleTransport,
+  file: FileTransport,
+};
+
+const createTransport = (type) => {
+  const Transport = TRANSPORTS[type];
+  if (!Transport) {
+    throw new Error(`Unknown mail transport "${type}", use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return new Transport();
+};
+
+// The transport configured with MAIL_TRANSPORT unless another one was installed.
+// Production has no default: the console transport would write reset tokens to the
+// logs instead of delivering them.
+let transport = null;
+const getTransport = ({ production = process.env.NODE_ENV === 'production' } = {}) => {
+  if (transport) return transport;
+  if (!config.mail.transport && production) {
+    throw new Error('No mail transport configured, set MAIL_TRANSPORT');
+  }
+  transport = createTransport(config.mail.transport || 'console');
+  return transport;
+};
+
+const setTransport = (next) => {
+  transport = next;
+};
+
+const sendMail = ({ to, subject, text }) => getTransport().send({ from: config.mail.from, to, subject, text });
+
+module.exports = {
+  ConsoleTransport,
+  FileTransport,
+  createTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+};
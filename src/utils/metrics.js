@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const client = require('prom-client');
+const Book = require('../models/bookModel');
+const Loan = require('../models/loanModel');
+const logger = require('./logger');
+
+// Metrics served at /metrics in the Prometheus text format
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time to respond to HTTP requests, by route pattern and status',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+// Reasons are stable snake case names, mostly the problem code sent to the client
+const authFailures = new client.Counter({
+  name: 'auth_failures_total',
+  help: 'Rejected logins, access tokens, refresh tokens and API keys, by reason',
+  labelNames: ['reason'],
+  registers: [register],
+});
+
+// Gauges read from the database on every scrape. While MongoDB is unreachable they
+// keep their last value rather than holding the scrape until queries time out.
+const databaseGauge = ({ name, help, labelName, count }) => new client.Gauge({
+  name,
+  help,
+  labelNames: [labelName],
+  registers: [register],
+  async collect() {
+    if (mongoose.connection.readyState !== mongoose.ConnectionStates.connected) return;
+    try {
+      const counts = await count(new Date());
+      Object.entries(counts).forEach(([label, value]) => this.set({ [labelName]: label }, value));
+    } catch (error) {
+      logger.warn(`Could not collect ${name}`, { error: error.message });
+    }
+  },
+});
+
+databaseGauge({
+  name: 'library_books',
+  help: 'Books in the catalog and in the trash',
+  labelName: 'state',
+  count: async () => {
+    const [catalog, trash] = await Promise.all([
+      Book.countDocuments(),
+      Book.countDocuments({ deletedAt: { $ne: null } }),
+    ]);
+    return { catalog, trash };
+  },
+});
+
+databaseGauge({
+  name: 'library_loans',
+  help: 'Books currently checked out, and those of them past their due date',
+  labelName: 'state',
+  count: async (now) => {
+    const [active, overdue] = await Promise.all([
+      Loan.countDocuments({ returnedAt: null }),
+      Loan.countDocuments({ returnedAt: null, dueAt: { $lt: now } }),
+    ]);
+    return { active, overdue };
+  },
+});
+
+module.exports = {
+  register,
+  httpRequestDuration,
+  authFailures,
+};
@@ -0,0 +1,42 @@
+const { body } = require('express-validator');
+const config = require('../config');
+
+// Requirements of the configured policy that a password does not meet, phrased to
+// follow "Password must", e.g. ['be at least 8 characters long', 'contain a digit']
+const passwordProblems = (password, { username } = {}) => {
+  const policy = config.password;
+  if (typeof password !== 'string') {
+    return ['be a string'];
+  }
+
+  const problems = [];
+  if (password.length < policy.minLength) problems.push(`be at least ${policy.minLength} characters long`);
+  if (Buffer.byteLength(password) > policy.maxLength) problems.push(`be at most ${policy.maxLength} bytes long`);
+  if (policy.requireLowercase && !/[a-z]/.test(password)) problems.push('contain a lowercase letter');
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) problems.push('contain an uppercase letter');
+  if (policy.requireDigit && !/[0-9]/.test(password)) problems.push('contain a digit');
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) problems.push('contain a symbol');
+  if (policy.rejectUsername && username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    problems.push('not contain the username');
+  }
+  return problems;
+};
+
+const describeProblems = (problems) => `Password must ${problems.join(', ')}`;
+
+// Validation chain checking a body field against the policy; usernameOf(req) gives
+// the username the password must not contain
+const passwordRule = (field = 'password', usernameOf = (req) => req.body.username) => body(field)
+  .custom((password, { req }) => {
+    const problems = passwordProblems(password, { username: usernameOf(req) });
+    if (problems.length > 0) {
+      throw new Error(describeProblems(problems));
+    }
+    return true;
+  });
+
+module.exports = {
+  passwordProblems,
+  describeProblems,
+  passwordRule,
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const config = require('../config');
+const PasswordResetToken = require('../models/passwordResetTokenModel');
+const { hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+const MINUTE_MS = 60 * 1000;
+
+// Issue a reset token for the user, replacing any earlier one that was not used yet
+const createPasswordResetToken = async (user, now = new Date()) => {
+  await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+  const token = crypto.randomBytes(32).toString('base64url');
+  await PasswordResetToken.create({
+    tokenHash: hashToken(token),
+    user: user._id,
+    expiresAt: new Date(now.getTime() + config.password.resetTokenTtlMinutes * MINUTE_MS),
+  });
+  return token;
+};
+
+const sendPasswordResetMail = (user, token) => {
+  const { resetUrl, resetTokenTtlMinutes } = config.password;
+  const action = resetUrl
+    ? `Open this link to choose a new password:\n\n${resetUrl}?token=${encodeURIComponent(token)}`
+    : `Use this token to choose a new password:\n\n${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hello ${user.username},`,
+      '',
+      'Someone asked to reset the password of your account.',
+      action,
+      '',
+      `It can be used once within ${resetTokenTtlMinutes} minutes. If you did not ask for this, ignore this message.`,
+    ].join('\n'),
+  });
+};
+
+// The stored record of a reset token that can still be used, or null
+const findResetToken = (token, now = new Date()) => PasswordResetToken.findOne({
+  tokenHash: hashToken(token),
+  usedAt: null,
+  expiresAt: { $gt: now },
+});
+
+// Mark the token used; resolves to null if a concurrent request claimed it first
+const claimResetToken = (record, now = new Date()) => PasswordResetToken.findOneAndUpdate(
+  { _id: record._id, usedAt: null },
+  { $set: { usedAt: now } },
+  { new: true }
+);
+
+module.exports = {
+  createPasswordResetToken,
+  sendPasswordResetMail,
+  findResetToken,
+  claimResetToken,
+};
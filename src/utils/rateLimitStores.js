@@ -0,0 +1,154 @@
+const config = require('../config');
+const RateLimit = require('../models/rateLimitModel');
+
+const DUPLICATE_KEY = 11000;
+
+// Rate limit stores count hits per key in fixed windows. Every store implements:
+//   increment(key, windowMs, now) -> { count, resetAt, lastHitAt, previousHitAt } after
+//     counting a hit; a window starts with the first hit after the previous one ended,
+//     and previousHitAt is the hit before this one in the window, or null
+//   decrement(key, now) -> take back a hit of the current window
+//   get(key, now) -> the counter of the current window, or null
+//   reset(key) -> forget the key
+//   clear() -> forget every key
+
+// Counters in a Map, for a single process. Ended windows are dropped as they are
+// read and swept once the map grows past sweepSize. Updates read and write the map
+// without awaiting in between, so concurrent requests are counted exactly.
+class MemoryStore {
+  constructor({ sweepSize = 10000 } = {}) {
+    this.entries = new Map();
+    this.sweepSize = sweepSize;
+  }
+
+  async increment(key, windowMs, now = new Date()) {
+    let entry = this.current(key, now);
+    if (!entry) {
+      if (this.entries.size >= this.sweepSize) this.sweep(now);
+      entry = { count: 0, resetAt: new Date(now.getTime() + windowMs) };
+    }
+    entry = { ...entry, count: entry.count + 1, lastHitAt: now, previousHitAt: entry.lastHitAt || null };
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async decrement(key, now = new Date()) {
+    const entry = this.current(key, now);
+    if (!entry) return;
+    if (entry.count <= 1) {
+      this.entries.delete(key);
+    } else {
+      this.entries.set(key, { ...entry, count: entry.count - 1 });
+    }
+  }
+
+  async get(key, now = new Date()) {
+    return this.current(key, now);
+  }
+
+  current(key, now) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.resetAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  sweep(now) {
+    this.entries.forEach((entry, key) => {
+      if (entry.resetAt <= now) this.entries.delete(key);
+    });
+  }
+}
+
+// Counters in MongoDB, shared by every instance of the API. Each hit is a single
+// atomic update, so concurrent requests are counted exactly.
+class MongoStore {
+  async increment(key, windowMs, now = new Date()) {
+    const active = { $gt: ['$resetAt', now] };
+    const query = () => RateLimit.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [active, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [active, '$resetAt', new Date(now.getTime() + windowMs)] },
+          lastHitAt: now,
+          previousHitAt: { $cond: [active, '$lastHitAt', null] },
+        },
+      }],
+      { upsert: true, new: true, lean: true }
+    );
+    let entry;
+    try {
+      entry = await query();
+    } catch (error) {
+      // Another request inserted the counter first; this hit now updates it
+      if (error.code !== DUPLICATE_KEY) throw error;
+      entry = await query();
+    }
+    return { count: entry.count, resetAt: entry.resetAt, lastHitAt: entry.lastHitAt, previousHitAt: entry.previousHitAt };
+  }
+
+  async decrement(key, now = new Date()) {
+    const entry = await RateLimit.findOneAndUpdate(
+      { key, resetAt: { $gt: now } },
+      { $inc: { count: -1 } },
+      { new: true, lean: true }
+    );
+    // A counter with no hits left is removed, as if the window had not started
+    if (entry && entry.count <= 0) {
+      await RateLimit.deleteOne({ _id: entry._id, count: { $lte: 0 } });
+    }
+  }
+
+  async get(key, now = new Date()) {
+    // The TTL monitor only runs once a minute, so ended windows may still be stored
+    const entry = await RateLimit.findOne({ key, resetAt: { $gt: now } }).lean();
+    return entry && { count: entry.count, resetAt: entry.resetAt, lastHitAt: entry.lastHitAt };
+  }
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+
+  async clear() {
+    await RateLimit.deleteMany({});
+  }
+}
+
+const STORES = {
+  memory: MemoryStore,
+  mongo: MongoStore,
+};
+
+const createStore = (type) => {
+  const Store = STORES[type];
+  if (!Store) {
+    throw new Error(`Unknown rate limit store "${type}", use one of: ${Object.keys(STORES).join(', ')}`);
+  }
+  return new Store();
+};
+
+// The store configured with RATE_LIMIT_STORE, shared by every limiter that is not given its own
+let defaultStore = null;
+const getDefaultStore = () => {
+  if (!defaultStore) defaultStore = createStore(config.rateLimit.store);
+  return defaultStore;
+};
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  createStore,
+  getDefaultStore,
+};
@@ -0,0 +1,15 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Data about the request being handled, such as its id, available anywhere down
+// its call chain (across awaits too) without passing req around
+const storage = new AsyncLocalStorage();
+
+const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+// The context of the current request, or undefined outside of one
+const getRequestContext = () => storage.getStore();
+
+module.exports = {
+  runWithRequestContext,
+  getRequestContext,
+};
@@ -0,0 +1,240 @@
+const Book = require('../models/bookModel');
+const config = require('../config');
+const logger = require('./logger');
+const { escapeRegex } = require('./bookQuery');
+
+// Relative importance of each searchable field
+const FIELD_WEIGHTS = {
+  title: 2,
+  author: 1,
+};
+
+// Score awarded for each kind of term match
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.7,
+  fuzzy: 0.5,
+};
+
+// Mongo error code raised when $text is used without a text index
+const INDEX_NOT_FOUND = 27;
+
+const HIGHLIGHT_OPEN = '<mark>';
+const HIGHLIGHT_CLOSE = '</mark>';
+
+const normalize = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+// Split text into lowercase word tokens, keeping their offsets in the original string
+const tokenizeWithOffsets = (text) => {
+  const tokens = [];
+  const source = String(text || '');
+  const regex = /[\p{L}\p{N}]+/gu;
+  let match = regex.exec(source);
+  while (match) {
+    tokens.push({ value: normalize(match[0]), start: match.index, end: match.index + match[0].length });
+    match = regex.exec(source);
+  }
+  return tokens;
+};
+
+const tokenize = (text) => [...new Set(tokenizeWithOffsets(text).map((token) => token.value))];
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Short terms must match exactly, longer ones tolerate more typos
+const maxEditsFor = (term) => {
+  if (term.length <= 3) return 0;
+  if (term.length <= 6) return 1;
+  return 2;
+};
+
+// Compare a query term with a word from a document
+// Returns { type, score, length } where length is how many characters to highlight, or null
+const matchTerm = (term, word) => {
+  if (word === term) {
+    return { type: 'exact', score: MATCH_SCORES.exact, length: word.length };
+  }
+  if (term.length >= 2 && word.startsWith(term)) {
+    return { type: 'prefix', score: MATCH_SCORES.prefix, length: term.length };
+  }
+  const maxEdits = maxEditsFor(term);
+  if (maxEdits && Math.abs(word.length - term.length) <= maxEdits) {
+    const distance = levenshtein(term, word);
+    if (distance <= maxEdits) {
+      return { type: 'fuzzy', score: MATCH_SCORES.fuzzy / distance, length: word.length };
+    }
+  }
+  return null;
+};
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Wrap the matched ranges of a field in <mark> tags, trimming long text around the first match
+const highlight = (text, ranges, maxLength = 160) => {
+  const source = String(text || '');
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+
+  let from = 0;
+  let to = source.length;
+  if (source.length > maxLength && sorted.length) {
+    from = Math.max(0, sorted[0].start - Math.floor(maxLength / 4));
+    to = Math.min(source.length, from + maxLength);
+  }
+
+  let result = from > 0 ? '…' : '';
+  let position = from;
+  sorted
+    .filter((range) => range.start >= from && range.end <= to)
+    .forEach((range) => {
+      if (range.start < position) return;
+      result += escapeHtml(source.slice(position, range.start));
+      result += HIGHLIGHT_OPEN + escapeHtml(source.slice(range.start, range.end)) + HIGHLIGHT_CLOSE;
+      position = range.end;
+    });
+  result += escapeHtml(source.slice(position, to));
+  if (to < source.length) result += '…';
+  return result;
+};
+
+// Score a single book against the query terms, returning null when nothing matches
+const scoreBook = (book, terms) => {
+  const maxWeight = Math.max(...Object.values(FIELD_WEIGHTS));
+  const ranges = {};
+  let total = 0;
+  let matchedTerms = 0;
+
+  const fieldTokens = Object.keys(FIELD_WEIGHTS).reduce((acc, field) => {
+    acc[field] = tokenizeWithOffsets(book[field]);
+    return acc;
+  }, {});
+
+  terms.forEach((term) => {
+    let best = 0;
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      fieldTokens[field].forEach((token) => {
+        const match = matchTerm(term, token.value);
+        if (!match) return;
+        best = Math.max(best, match.score * weight);
+        ranges[field] = ranges[field] || [];
+        ranges[field].push({ start: token.start, end: token.start + match.length });
+      });
+    });
+    if (best > 0) matchedTerms += 1;
+    total += best;
+  });
+
+  if (!matchedTerms) return null;
+
+  const highlights = Object.entries(ranges).reduce((acc, [field, fieldRanges]) => {
+    acc[field] = highlight(book[field], fieldRanges);
+    return acc;
+  }, {});
+
+  return {
+    score: Number((total / (terms.length * maxWeight)).toFixed(4)),
+    highlights,
+  };
+};
+
+// Rank candidate books by relevance; text index scores are only used to break ties
+const rankBooks = (books, terms) => books
+  .map((book) => {
+    const result = scoreBook(book, terms);
+    return result && { book, textScore: book.score || 0, ...result };
+  })
+  .filter(Boolean)
+  .sort((a, b) => b.score - a.score
+    || b.textScore - a.textScore
+    || String(a.book.title).localeCompare(String(b.book.title)))
+  .map(({ book, score, highlights }) => {
+    const { score: textScore, ...rest } = book;
+    return { book: rest, score, highlights };
+  });
+
+// Candidates from the text index (exact and stemmed matches)
+const findTextCandidates = (q, limit) => Book.find(
+  { $text: { $search: q } },
+  { score: { $meta: 'textScore' } },
+)
+  .sort({ score: { $meta: 'textScore' } })
+  .limit(limit)
+  .populate('addedBy', 'username')
+  .lean();
+
+// Candidates for the in-process ranker: any word in a searchable field starting
+// with the first characters of a query term. Catches prefixes and most typos.
+const findPatternCandidates = (terms, limit, excludeIds = []) => {
+  const or = [];
+  terms.forEach((term) => {
+    const pattern = `\\b${escapeRegex(term.slice(0, 2))}`;
+    Object.keys(FIELD_WEIGHTS).forEach((field) => {
+      or.push({ [field]: { $regex: pattern, $options: 'i' } });
+    });
+  });
+  const filter = excludeIds.length ? { $or: or, _id: { $nin: excludeIds } } : { $or: or };
+  return Book.find(filter)
+    .limit(limit)
+    .populate('addedBy', 'username')
+    .lean();
+};
+
+// Fetch candidates using the configured engine. The text engine falls back to
+// the in-process one when the text index is missing.
+const findSearchCandidates = async (q, terms) => {
+  const { engine, maxCandidates } = config.search;
+  let candidates = [];
+
+  if (engine === 'text') {
+    try {
+      candidates = await findTextCandidates(q, maxCandidates);
+    } catch (error) {
+      if (error.code !== INDEX_NOT_FOUND) throw error;
+      logger.warn('Text index not available, falling back to in-process search', { error: error.message });
+    }
+  }
+
+  if (candidates.length < maxCandidates) {
+    const extra = await findPatternCandidates(
+      terms,
+      maxCandidates - candidates.length,
+      candidates.map((book) => book._id),
+    );
+    candidates = candidates.concat(extra);
+  }
+
+  return candidates;
+};
+
+module.exports = {
+  FIELD_WEIGHTS,
+  normalize,
+  tokenize,
+  levenshtein,
+  matchTerm,
+  highlight,
+  scoreBook,
+  rankBooks,
+  findSearchCandidates,
+};
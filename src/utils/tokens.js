@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { SignJWT, jwtVerify } = require('jose');
+const config = require('../config');
+const Session = require('../models/sessionModel');
+const RefreshToken = require('../models/refreshTokenModel');
+const logger = require('./logger');
+const { addDays } = require('./dates');
+const { ALGORITHMS, getKeyRing, resolveVerificationKey } = require('./jwtKeys');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshTokenExpiry = () => addDays(new Date(), config.refreshTokenTtlDays);
+
+// Access tokens identify the user by id (sub) and carry a unique id (jti) and the
+// session they belong to (sid). The header names the signing key (kid).
+const signAccessToken = (user, session) => {
+  const { signingKey } = getKeyRing();
+  return new SignJWT({ sid: String(session._id) })
+    .setProtectedHeader({ alg: signingKey.alg, kid: signingKey.kid, typ: 'JWT' })
+    .setIssuer(config.jwt.issuer)
+    .setSubject(String(user._id))
+    .setJti(crypto.randomUUID())
+    .setIssuedAt()
+    .setExpirationTime(config.accessTokenExpiresIn)
+    .sign(signingKey.privateKey);
+};
+
+// Resolves to the claims of a valid token, rejects if the signature, issuer or
+// expiry do not check out
+const verifyAccessToken = async (token) => {
+  const { payload } = await jwtVerify(token, resolveVerificationKey, {
+    issuer: config.jwt.issuer,
+    algorithms: Object.values(ALGORITHMS),
+  });
+  return payload;
+};
+
+// Create a new refresh token in the given session and store its hash
+const issueRefreshToken = async (session) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const record = await RefreshToken.create({
+    tokenHash: hashToken(token),
+    session: session._id,
+    user: session.user,
+    expiresAt: refreshTokenExpiry(),
+  });
+  return { token, record };
+};
+
+// Start a new session (token family) for a freshly authenticated user
+const createSession = async (user, { userAgent, ip } = {}) => {
+  const session = await Session.create({
+    user: user._id,
+    expiresAt: refreshTokenExpiry(),
+    lastUsedAt: new Date(),
+    userAgent,
+    ip,
+  });
+  const { token: refreshToken } = await issueRefreshToken(session);
+  return {
+    session,
+    token: await signAccessToken(user, session),
+    refreshToken,
+  };
+};
+
+const revokeSession = (sessionId, reason) => Session.updateOne(
+  { _id: sessionId, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// Revoke every session of the user, or every session but `except`
+const revokeAllSessions = (userId, reason, { except } = {}) => Session.updateMany(
+  { user: userId, revokedAt: null, ...(except ? { _id: { $ne: except } } : {}) },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// Exchange a refresh token for a new access/refresh token pair.
+// Resolves to { status: 'ok', token, refreshToken, session } on success, otherwise
+// { status } with one of 'invalid', 'expired', 'revoked' or 'reused'.
+// Presenting a token that was already rotated revokes its whole session.
+const rotateRefreshToken = async (refreshToken, loadUser) => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!existing) {
+    return { status: 'invalid' };
+  }
+
+  const session = await Session.findById(existing.session);
+  if (!session || session.revokedAt) {
+    return { status: 'revoked' };
+  }
+
+  if (!existing.usedAt && existing.expiresAt <= new Date()) {
+    return { status: 'expired' };
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = existing.usedAt ? null : await RefreshToken.findOneAndUpdate(
+    { _id: existing._id, usedAt: null },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    logger.warn('Refresh token reuse detected, revoking session', { session: String(session._id), user: String(session.user) });
+    await revokeSession(session._id, 'reuse-detected');
+    return { status: 'reused' };
+  }
+
+  const user = await loadUser(session.user);
+  if (!user) {
+    await revokeSession(session._id, 'logout');
+    return { status: 'invalid' };
+  }
+
+  const { token: nextRefreshToken, record } = await issueRefreshToken(session);
+  await RefreshToken.updateOne({ _id: claimed._id }, { $set: { replacedBy: record._id } });
+  await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
+
+  return {
+    status: 'ok',
+    session,
+    token: await signAccessToken(user, session),
+    refreshToken: nextRefreshToken,
+  };
+};
+
+// Resolve the session an access token belongs to, or null if it is revoked, gone
+// or owned by a different user than the token subject
+const findActiveSession = async (sessionId, userId) => {
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+  if (userId && String(session.user) !== String(userId)) {
+    return null;
+  }
+  return session;
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  verifyAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  findActiveSession,
+};
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Run work(session) inside a MongoDB transaction and resolve to its result.
+// Transactions need a replica set; the driver retries transient write conflicts.
+// Given the session of a transaction already in progress, work joins that transaction.
+const withTransaction = async (work, { session: current } = {}) => {
+  if (current) return work(current);
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { withTransaction };
@@ -0,0 +1,412 @@
+const request = require('supertest');
+const express = require('express');
+const crypto = require('crypto');
+const { SignJWT, decodeJwt, decodeProtectedHeader, createLocalJWKSet, jwtVerify } = require('jose');
+const mongoose = require('mongoose');
+const User = require('../../src/models/userModel');
+const Session = require('../../src/models/sessionModel');
+const RefreshToken = require('../../src/models/refreshTokenModel');
+const ApiKey = require('../../src/models/apiKeyModel');
+const Book = require('../../src/models/bookModel');
+const Author = require('../../src/models/authorModel');
+const BookRevision = require('../../src/models/bookRevisionModel');
+const v2Router = require('../../src/routes/index');
+const wellKnownRoutes = require('../../src/routes/wellKnownRoutes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { getDefaultStore } = require('../../src/utils/rateLimitStores');
+const { authFailures } = require('../../src/utils/metrics');
+
+// The models are replaced with small in-memory stores so that the real auth
+// middleware, token signing and route handlers run end to end without MongoDB.
+jest.mock('../../src/models/userModel');
+jest.mock('../../src/models/sessionModel');
+jest.mock('../../src/models/refreshTokenModel');
+jest.mock('../../src/models/apiKeyModel');
+jest.mock('../../src/models/bookModel');
+jest.mock('../../src/models/authorModel');
+jest.mock('../../src/models/bookRevisionModel');
+jest.mock('../../src/utils/transaction', () => ({
+  withTransaction: jest.fn((work) => work('mock-session')),
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/v2', v2Router);
+app.use('/.well-known', wellKnownRoutes);
+app.use(errorHandler);
+
+// Thenable stand-in for a mongoose Query
+const mockQuery = (resolve) => {
+  const query = {
+    select: jest.fn(() => query),
+    lean: jest.fn(() => query),
+    populate: jest.fn(() => query),
+    then: (onFulfilled, onRejected) => Promise.resolve().then(resolve).then(onFulfilled, onRejected),
+  };
+  return query;
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => {
+  if (value === null) return doc[key] === null || doc[key] === undefined;
+  return String(doc[key]) === String(value);
+});
+
+const createStore = () => {
+  const docs = new Map();
+  return {
+    docs,
+    insert: (data) => {
+      const doc = { _id: new mongoose.Types.ObjectId(), ...data };
+      docs.set(String(doc._id), doc);
+      return doc;
+    },
+    find: (filter) => [...docs.values()].find((doc) => matches(doc, filter)) || null,
+    filter: (filter) => [...docs.values()].filter((doc) => matches(doc, filter)),
+    get: (id) => docs.get(String(id)) || null,
+  };
+};
+
+let users;
+let sessions;
+let refreshTokens;
+let apiKeys;
+let books;
+let authors;
+let revisions;
+
+beforeEach(async () => {
+  await getDefaultStore().clear();
+  users = createStore();
+  sessions = createStore();
+  refreshTokens = createStore();
+  apiKeys = createStore();
+  books = createStore();
+  authors = createStore();
+  revisions = createStore();
+
+  User.mockImplementation(function mockUser(data) {
+    Object.assign(this, { _id: new mongoose.Types.ObjectId() }, data);
+  });
+  User.prototype.save.mockImplementation(async function mockSave() {
+    users.docs.set(String(this._id), { ...this });
+    return this;
+  });
+  User.findOne.mockImplementation(async (filter) => users.find(filter));
+  User.findById.mockImplementation((id) => mockQuery(() => {
+    const user = users.get(id);
+    if (!user) return null;
+    const { password, ...rest } = user;
+    return rest;
+  }));
+
+  Session.create.mockImplementation(async (data) => sessions.insert({ revokedAt: null, ...data }));
+  Session.findById.mockImplementation((id) => mockQuery(() => sessions.get(id)));
+  Session.updateOne.mockImplementation(async (filter, update) => {
+    const session = sessions.find(filter);
+    if (session) Object.assign(session, update.$set);
+    return { modifiedCount: session ? 1 : 0 };
+  });
+  Session.updateMany.mockImplementation(async (filter, update) => {
+    const matched = sessions.filter(filter);
+    matched.forEach((session) => Object.assign(session, update.$set));
+    return { modifiedCount: matched.length };
+  });
+
+  RefreshToken.create.mockImplementation(async (data) => refreshTokens.insert({ usedAt: null, ...data }));
+  RefreshToken.findOne.mockImplementation(async (filter) => refreshTokens.find(filter));
+  RefreshToken.findOneAndUpdate.mockImplementation(async (filter, update) => {
+    const token = refreshTokens.find(filter);
+    if (token) Object.assign(token, update.$set);
+    return token;
+  });
+  RefreshToken.updateOne.mockImplementation(async (filter, update) => {
+    const token = refreshTokens.find(filter);
+    if (token) Object.assign(token, update.$set);
+    return { modifiedCount: token ? 1 : 0 };
+  });
+
+  ApiKey.create.mockImplementation(async (data) => apiKeys.insert({
+    expiresAt: null, lastUsedAt: null, revokedAt: null, createdAt: new Date(), ...data,
+  }));
+  ApiKey.findOne.mockImplementation(async (filter) => apiKeys.find(filter));
+  ApiKey.findById.mockImplementation(async (id) => apiKeys.get(id));
+  ApiKey.countDocuments.mockImplementation(async (filter) => apiKeys.filter(filter).length);
+  ApiKey.updateOne.mockImplementation(async (filter, update) => {
+    const apiKey = apiKeys.find(filter);
+    if (apiKey) Object.assign(apiKey, update.$set);
+    return { modifiedCount: apiKey ? 1 : 0 };
+  });
+
+  Author.findOneAndUpdate.mockImplementation(async (filter, update) => authors.find(filter)
+    || authors.insert(update.$setOnInsert));
+
+  Book.mockImplementation(function mockBook(data) {
+    Object.assign(this, { _id: new mongoose.Types.ObjectId() }, data);
+  });
+  Book.prototype.save.mockImplementation(async function mockSave() {
+    books.docs.set(String(this._id), { __v: 0, ...this });
+    return books.get(this._id);
+  });
+  Book.findById.mockImplementation((id) => mockQuery(() => books.get(id)));
+  Book.findOneAndUpdate.mockImplementation((filter, update) => mockQuery(() => {
+    const book = books.find(filter);
+    if (book) Object.assign(book, update.$set || update, { __v: book.__v + 1 });
+    return book && { ...book };
+  }));
+
+  BookRevision.create.mockImplementation(async (docs) => docs.map((data) => revisions.insert(data)));
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+const registerAndLogin = async (username, password = 'correct-horse') => {
+  await request(app).post('/api/v2/auth/register').send({ username, password }).expect(201);
+  const res = await request(app).post('/api/v2/auth/login').send({ username, password }).expect(200);
+  return res.body;
+};
+
+const newBook = { title: 'The Hobbit', author: 'J.R.R. Tolkien', publishedYear: 1937 };
+
+describe('Authentication flow', () => {
+  it('should issue tokens with standard claims and no user data', async () => {
+    const { token } = await registerAndLogin('alice-reader');
+    const alice = users.find({ username: 'alice-reader' });
+
+    const claims = decodeJwt(token);
+    expect(claims).toMatchObject({
+      sub: alice._id.toString(),
+      sid: expect.any(String),
+      jti: expect.any(String),
+      iat: expect.any(Number),
+      exp: expect.any(Number),
+    });
+    expect(claims.username).toBeUndefined();
+  });
+
+  it('should attribute created books to the logged in user', async () => {
+    const { token } = await registerAndLogin('alice-reader');
+    const alice = users.find({ username: 'alice-reader' });
+
+    const res = await request(app)
+      .post('/api/v2/books')
+      .set('Authorization', `Bearer ${token}`)
+      .send(newBook);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.addedBy).toBe(alice._id.toString());
+  });
+
+  it('should only let the owner update a book', async () => {
+    const alice = await registerAndLogin('alice-reader');
+    const bob = await registerAndLogin('bob-the-reader');
+
+    const created = await request(app)
+      .post('/api/v2/books')
+      .set('Authorization', `Bearer ${alice.token}`)
+      .send(newBook)
+      .expect(201);
+
+    const forbidden = await request(app)
+      .put(`/api/v2/books/${created.body._id}`)
+      .set('Authorization', `Bearer ${bob.token}`)
+      .send({ ...newBook, title: 'There and Back Again' });
+    expect(forbidden.statusCode).toBe(403);
+
+    const updated = await request(app)
+      .put(`/api/v2/books/${created.body._id}`)
+      .set('Authorization', `Bearer ${alice.token}`)
+      .set('If-Match', created.headers.etag)
+      .send({ ...newBook, title: 'There and Back Again' });
+    expect(updated.statusCode).toBe(200);
+    expect(updated.body.title).toBe('There and Back Again');
+    expect(updated.headers.etag).not.toBe(created.headers.etag);
+
+    // A second edit based on the first version is refused
+    const stale = await request(app)
+      .put(`/api/v2/books/${created.body._id}`)
+      .set('Authorization', `Bearer ${alice.token}`)
+      .set('If-Match', created.headers.etag)
+      .send({ ...newBook, title: 'The Hobbit, Revised' });
+    expect(stale.statusCode).toBe(412);
+  });
+
+  it('should reject access tokens after logout', async () => {
+    const { token } = await registerAndLogin('alice-reader');
+
+    await request(app).post('/api/v2/auth/logout').set('Authorization', `Bearer ${token}`).expect(200);
+
+    const res = await request(app)
+      .post('/api/v2/books')
+      .set('Authorization', `Bearer ${token}`)
+      .send(newBook);
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('should revoke the session when a rotated refresh token is reused', async () => {
+    const { refreshToken } = await registerAndLogin('alice-reader');
+
+    const refreshed = await request(app).post('/api/v2/auth/refresh').send({ refreshToken }).expect(200);
+    const reused = await request(app).post('/api/v2/auth/refresh').send({ refreshToken });
+    expect(reused.statusCode).toBe(401);
+
+    const res = await request(app)
+      .post('/api/v2/books')
+      .set('Authorization', `Bearer ${refreshed.body.token}`)
+      .send(newBook);
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('should count authentication failures by reason', async () => {
+    const failures = async (reason) => {
+      const { values } = await authFailures.get();
+      const value = values.find((entry) => entry.labels.reason === reason);
+      return value ? value.value : 0;
+    };
+    const { token, refreshToken } = await registerAndLogin('alice-reader');
+    const before = {
+      invalid_credentials: await failures('invalid_credentials'),
+      revoked_token: await failures('revoked_token'),
+      refresh_reused: await failures('refresh_reused'),
+    };
+
+    await request(app).post('/api/v2/auth/login').send({ username: 'alice-reader', password: 'wrong-horse' }).expect(400);
+    await request(app).post('/api/v2/auth/refresh').send({ refreshToken }).expect(200);
+    await request(app).post('/api/v2/auth/refresh').send({ refreshToken }).expect(401);
+    await request(app).post('/api/v2/books').set('Authorization', `Bearer ${token}`).send(newBook).expect(401);
+
+    expect(await failures('invalid_credentials')).toBe(before.invalid_credentials + 1);
+    expect(await failures('refresh_reused')).toBe(before.refresh_reused + 1);
+    expect(await failures('revoked_token')).toBe(before.revoked_token + 1);
+  });
+
+  it('should reject tokens for users that no longer exist', async () => {
+    const { token } = await registerAndLogin('alice-reader');
+    users.docs.clear();
+
+    const res = await request(app)
+      .post('/api/v2/books')
+      .set('Authorization', `Bearer ${token}`)
+      .send(newBook);
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('should reject tokens of disabled accounts', async () => {
+    const { token } = await registerAndLogin('alice-reader');
+    users.find({ username: 'alice-reader' }).disabledAt = new Date();
+
+    const res = await request(app)
+      .post('/api/v2/books')
+      .set('Authorization', `Bearer ${token}`)
+      .send(newBook);
+    expect(res.statusCode).toBe(403);
+    expect(res.body.code).toBe('account_disabled');
+  });
+
+  it('should authenticate API keys within their scopes', async () => {
+    const { token } = await registerAndLogin('alice-reader');
+    const alice = users.find({ username: 'alice-reader' });
+    const createKey = (scopes) => request(app)
+      .post('/api/v2/auth/api-keys')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'ingestion', scopes })
+      .expect(201);
+
+    const readOnly = await createKey(['catalog:read']);
+    expect(readOnly.body.key).toMatch(/^bk_/);
+    expect(readOnly.body.prefix).toBe(readOnly.body.key.slice(0, 11));
+    expect(apiKeys.get(readOnly.body._id).keyHash).not.toContain(readOnly.body.key);
+
+    const refused = await request(app)
+      .post('/api/v2/books')
+      .set('X-API-Key', readOnly.body.key)
+      .send(newBook);
+    expect(refused.statusCode).toBe(403);
+    expect(refused.body.code).toBe('insufficient_scope');
+    expect(apiKeys.get(readOnly.body._id).lastUsedAt).toEqual(expect.any(Date));
+
+    const readWrite = await createKey(['catalog:read', 'catalog:write']);
+    const created = await request(app)
+      .post('/api/v2/books')
+      .set('X-API-Key', readWrite.body.key)
+      .send(newBook);
+    expect(created.statusCode).toBe(201);
+    expect(created.body.addedBy).toBe(alice._id.toString());
+
+    // Keys cannot manage the account they belong to
+    const logout = await request(app).post('/api/v2/auth/logout').set('X-API-Key', readWrite.body.key);
+    expect(logout.statusCode).toBe(403);
+    expect(logout.body.code).toBe('session_required');
+  });
+
+  it('should reject revoked and unknown API keys', async () => {
+    const { token } = await registerAndLogin('alice-reader');
+    const { body: apiKey } = await request(app)
+      .post('/api/v2/auth/api-keys')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'ingestion', scopes: ['catalog:write'] })
+      .expect(201);
+
+    await request(app)
+      .delete(`/api/v2/auth/api-keys/${apiKey._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const revoked = await request(app).post('/api/v2/books').set('X-API-Key', apiKey.key).send(newBook);
+    expect(revoked.statusCode).toBe(401);
+
+    const unknown = await request(app).post('/api/v2/books').set('X-API-Key', 'bk_not-a-key').send(newBook);
+    expect(unknown.statusCode).toBe(401);
+  });
+
+  it('should reject tokens signed with another key', async () => {
+    const { token } = await registerAndLogin('alice-reader');
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    // Same header and claims, so only the signature differs
+    const forged = await new SignJWT(decodeJwt(token))
+      .setProtectedHeader(decodeProtectedHeader(token))
+      .sign(privateKey);
+
+    const res = await request(app)
+      .post('/api/v2/books')
+      .set('Authorization', `Bearer ${forged}`)
+      .send(newBook);
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should reject tokens naming an unknown key or a shared secret', async () => {
+    const { token } = await registerAndLogin('alice-reader');
+    const claims = decodeJwt(token);
+    const { kid } = decodeProtectedHeader(token);
+    const unknownKey = await new SignJWT(claims)
+      .setProtectedHeader({ alg: 'EdDSA', kid: 'retired-key' })
+      .sign(crypto.generateKeyPairSync('ed25519').privateKey);
+    const hmac = await new SignJWT(claims)
+      .setProtectedHeader({ alg: 'HS256', kid })
+      .sign(crypto.randomBytes(32));
+
+    for (const forged of [unknownKey, hmac]) {
+      const res = await request(app)
+        .post('/api/v2/books')
+        .set('Authorization', `Bearer ${forged}`)
+        .send(newBook);
+      expect(res.statusCode).toBe(403);
+    }
+  });
+
+  it('should publish keys that verify issued tokens', async () => {
+    const { token } = await registerAndLogin('alice-reader');
+
+    const res = await request(app).get('/.well-known/jwks.json');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['cache-control']).toBe('public, max-age=300');
+    expect(res.body.keys).toEqual([
+      expect.objectContaining({ kid: decodeProtectedHeader(token).kid, alg: 'EdDSA', use: 'sig', kty: 'OKP' }),
+    ]);
+    expect(res.body.keys[0].d).toBeUndefined();
+
+    const { payload } = await jwtVerify(token, createLocalJWKSet(res.body));
+    expect(payload.sub).toBe(users.find({ username: 'alice-reader' })._id.toString());
+  });
+});
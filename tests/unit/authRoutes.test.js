@@ -1,25 +1,95 @@
 const request = require('supertest');
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { decodeJwt, decodeProtectedHeader } = require('jose');
 const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const User = require('../../src/models/userModel');
+const Session = require('../../src/models/sessionModel');
+const RefreshToken = require('../../src/models/refreshTokenModel');
+const PasswordResetToken = require('../../src/models/passwordResetTokenModel');
+const ApiKey = require('../../src/models/apiKeyModel');
 const config = require('../../src/config');
 const authRoutes = require('../../src/routes/authRoutes');
+const { getDefaultStore } = require('../../src/utils/rateLimitStores');
+const { reserveLoginAttempt, recordLoginFailure } = require('../../src/utils/loginThrottle');
+const { hashToken } = require('../../src/utils/tokens');
+const { sendMail } = require('../../src/utils/mailer');
+const errorHandler = require('../../src/middleware/errorHandler');
+
+const mockUserId = new mongoose.Types.ObjectId();
+const mockSessionId = new mongoose.Types.ObjectId();
+let mockUserRole = 'member';
+let mockApiKey = null;
 
 // Mock dependencies
 jest.mock('bcryptjs');
-jest.mock('jsonwebtoken');
 jest.mock('../../src/models/userModel');
-jest.mock('../../src/config', () => ({ jwtSecret: 'test_secret' }));
+jest.mock('../../src/models/sessionModel');
+jest.mock('../../src/models/refreshTokenModel');
+jest.mock('../../src/models/passwordResetTokenModel');
+jest.mock('../../src/models/apiKeyModel');
+jest.mock('../../src/utils/mailer');
+jest.mock('../../src/config', () => ({
+  logging: { level: 'info', redactPaths: [] },
+  jwt: { keysDir: '', signingKeyId: '', issuer: 'test-issuer' },
+  accessTokenExpiresIn: '1h',
+  refreshTokenTtlDays: 30,
+  rateLimit: { store: 'memory', authPerMinute: 30 },
+  apiKeys: { maxPerUser: 2 },
+  login: {
+    failureWindowMinutes: 15,
+    userFreeAttempts: 3,
+    ipFreeAttempts: 10,
+    backoffBaseSeconds: 1,
+    backoffMaxSeconds: 300,
+    lockoutThreshold: 5,
+    lockoutMinutes: 15,
+  },
+  password: {
+    minLength: 8,
+    maxLength: 72,
+    requireLowercase: false,
+    requireUppercase: false,
+    requireDigit: true,
+    requireSymbol: false,
+    rejectUsername: true,
+    resetTokenTtlMinutes: 60,
+    resetUrl: 'https://library.example/reset',
+  },
+}));
+jest.mock('../../src/middleware/auth', () => {
+  return jest.fn((req, res, next) => {
+    req.user = { _id: mockUserId, username: 'testuser', role: mockUserRole };
+    if (mockApiKey) {
+      req.apiKey = mockApiKey;
+    } else {
+      req.authSession = { _id: mockSessionId, user: mockUserId };
+    }
+    next();
+  });
+});
 
 const app = express();
 app.use(express.json());
 app.use('/auth', authRoutes);
+app.use(errorHandler);
+
+// Fail a login the way the route does: count the attempt, then settle it as failed
+const failLogin = async (username, ip) => {
+  const { failures } = await reserveLoginAttempt({ username, ip });
+  return recordLoginFailure({ username, failures });
+};
 
 describe('Auth Routes', () => {
+  beforeEach(async () => {
+    await getDefaultStore().clear();
+  });
+
   afterEach(() => {
     jest.clearAllMocks();
+    mockUserRole = 'member';
+    mockApiKey = null;
   });
 
   describe('POST /auth/register', () => {
@@ -30,7 +100,7 @@ describe('Auth Routes', () => {
 
       const res = await request(app)
         .post('/auth/register')
-        .send({ username: 'testuser', password: 'testpassword' });
+        .send({ username: 'testuser', password: 'passw0rd' });
 
       expect(res.statusCode).toBe(201);
       expect(res.text).toBe('User registered successfully');
@@ -41,10 +111,43 @@ describe('Auth Routes', () => {
 
       const res = await request(app)
         .post('/auth/register')
-        .send({ username: 'testuser', password: 'testpassword' });
+        .send({ username: 'testuser', password: 'passw0rd' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.detail).toBe('Username already exists');
+    });
+
+    it('should return 400 if the email is already in use', async () => {
+      User.findOne.mockImplementation(async (filter) => (filter.email ? { username: 'someone' } : null));
+
+      const res = await request(app)
+        .post('/auth/register')
+        .send({ username: 'testuser', password: 'passw0rd', email: 'Reader@Example.com' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.code).toBe('email_taken');
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'reader@example.com' });
+    });
+
+    it('should not register reserved usernames', async () => {
+      const res = await request(app)
+        .post('/auth/register')
+        .send({ username: 'deleted-user', password: 'passw0rd' });
 
       expect(res.statusCode).toBe(400);
-      expect(res.body.message).toBe('Username already exists');
+      expect(res.body.errors[0].msg).toBe('Username is reserved');
+    });
+
+    it('should enforce the password policy', async () => {
+      const res = await request(app)
+        .post('/auth/register')
+        .send({ username: 'testuser', password: 'testuser-password' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors[0]).toMatchObject({
+        path: 'password',
+        msg: 'Password must contain a digit, not contain the username',
+      });
     });
 
     it('should return 400 if validation fails', async () => {
@@ -55,23 +158,55 @@ describe('Auth Routes', () => {
       expect(res.statusCode).toBe(400);
       expect(res.body.errors).toBeDefined();
     });
+
+    it('should limit the requests per address', async () => {
+      for (let i = 0; i < 30; i += 1) {
+        const res = await request(app).post('/auth/register').send({});
+        expect(res.statusCode).toBe(400);
+      }
+
+      const res = await request(app).post('/auth/register').send({});
+
+      expect(res.statusCode).toBe(429);
+      expect(res.headers['ratelimit-limit']).toBe('30');
+      expect(res.headers['ratelimit-remaining']).toBe('0');
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+      expect(res.body.code).toBe('too_many_requests');
+    });
   });
 
   describe('POST /auth/login', () => {
     it('should login user successfully', async () => {
       User.findOne.mockResolvedValue({
+        _id: mockUserId,
         username: 'testuser',
         password: 'hashedPassword'
       });
       bcrypt.compare.mockResolvedValue(true);
-      jwt.sign.mockReturnValue('testtoken');
+      Session.create.mockResolvedValue({ _id: mockSessionId, user: mockUserId });
+      RefreshToken.create.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
 
       const res = await request(app)
         .post('/auth/login')
         .send({ username: 'testuser', password: 'testpassword' });
 
       expect(res.statusCode).toBe(200);
-      expect(res.body.token).toBe('testtoken');
+      expect(res.body.refreshToken).toEqual(expect.any(String));
+      expect(decodeProtectedHeader(res.body.token)).toEqual({ alg: 'EdDSA', kid: expect.stringMatching(/^temporary-/), typ: 'JWT' });
+      const claims = decodeJwt(res.body.token);
+      expect(claims).toEqual({
+        sid: mockSessionId.toString(),
+        iss: 'test-issuer',
+        sub: mockUserId.toString(),
+        jti: expect.any(String),
+        iat: expect.any(Number),
+        exp: expect.any(Number),
+      });
+      expect(claims.exp - claims.iat).toBe(60 * 60);
+      expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({
+        session: mockSessionId,
+        tokenHash: expect.not.stringContaining(res.body.refreshToken),
+      }));
     });
 
     it('should return 400 if credentials are invalid', async () => {
@@ -82,7 +217,25 @@ describe('Auth Routes', () => {
         .send({ username: 'testuser', password: 'testpassword' });
 
       expect(res.statusCode).toBe(400);
-      expect(res.text).toBe('Invalid credentials');
+      expect(res.body).toMatchObject({ detail: 'Invalid credentials', code: 'invalid_credentials' });
+    });
+
+    it('should return 403 for a disabled account with the right password', async () => {
+      User.findOne.mockResolvedValue({
+        _id: mockUserId,
+        username: 'testuser',
+        password: 'hashedPassword',
+        disabledAt: new Date(),
+      });
+      bcrypt.compare.mockResolvedValue(true);
+
+      const res = await request(app)
+        .post('/auth/login')
+        .send({ username: 'testuser', password: 'testpassword' });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.code).toBe('account_disabled');
+      expect(Session.create).not.toHaveBeenCalled();
     });
 
     it('should return 400 if validation fails', async () => {
@@ -93,5 +246,502 @@ describe('Auth Routes', () => {
       expect(res.statusCode).toBe(400);
       expect(res.body.errors).toBeDefined();
     });
+
+    it.each([
+      ['an operator object', { username: { $eq: 'testuser' }, password: 'testpassword' }],
+      ['a list', { username: ['testuser'], password: 'testpassword' }],
+      ['a non-string password', { username: 'testuser', password: { $ne: '' } }],
+    ])('should return 400 for %s', async (_, body) => {
+      const res = await request(app).post('/auth/login').send(body);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors).toBeDefined();
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should back off after repeated failed logins', async () => {
+      User.findOne.mockResolvedValue(null);
+      const login = () => request(app).post('/auth/login').send({ username: 'testuser', password: 'wrong-password' });
+
+      for (let i = 0; i < 3; i += 1) {
+        expect((await login()).statusCode).toBe(400);
+      }
+      const res = await login();
+
+      expect(res.statusCode).toBe(429);
+      expect(res.headers['retry-after']).toBe('1');
+      expect(res.body).toMatchObject({ code: 'login_throttled', retryAfter: 1 });
+      expect(User.findOne).toHaveBeenCalledTimes(3);
+    });
+
+    it('should throttle concurrent guesses beyond the free attempts', async () => {
+      User.findOne.mockResolvedValue({ _id: mockUserId, username: 'testuser', password: 'hashedPassword' });
+      bcrypt.compare.mockResolvedValue(false);
+      const login = () => request(app).post('/auth/login').send({ username: 'testuser', password: 'wrong-password' });
+
+      const responses = await Promise.all(Array.from({ length: 6 }, login));
+
+      expect(responses.map((res) => res.statusCode).sort()).toEqual([400, 400, 400, 429, 429, 429]);
+      expect(bcrypt.compare).toHaveBeenCalledTimes(3);
+    });
+
+    it('should lock the account after too many failed logins', async () => {
+      for (let i = 0; i < 5; i += 1) {
+        await failLogin('testuser', `10.0.0.${i}`);
+      }
+      User.findOne.mockResolvedValue({ _id: mockUserId, username: 'testuser', password: 'hashedPassword' });
+      bcrypt.compare.mockResolvedValue(true);
+
+      const res = await request(app)
+        .post('/auth/login')
+        .send({ username: 'testuser', password: 'testpassword' });
+
+      expect(res.statusCode).toBe(429);
+      expect(res.body.code).toBe('account_locked');
+      expect(Number(res.headers['retry-after'])).toBe(15 * 60);
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+
+      // Other accounts are not affected
+      User.findOne.mockResolvedValue(null);
+      const other = await request(app).post('/auth/login').send({ username: 'otheruser', password: 'testpassword' });
+      expect(other.statusCode).toBe(400);
+    });
+
+    it('should back off logins from an address that fails for many usernames', async () => {
+      User.findOne.mockResolvedValue(null);
+      for (let i = 0; i < 10; i += 1) {
+        const failed = await request(app).post('/auth/login').send({ username: `user-${i}`, password: 'wrong-password' });
+        expect(failed.statusCode).toBe(400);
+      }
+
+      const res = await request(app)
+        .post('/auth/login')
+        .send({ username: 'testuser', password: 'testpassword' });
+
+      expect(res.statusCode).toBe(429);
+      expect(res.body.code).toBe('login_throttled');
+    });
+
+    it('should clear the failures of a username after a successful login', async () => {
+      await failLogin('testuser', '10.0.0.1');
+      await failLogin('testuser', '10.0.0.2');
+      User.findOne.mockResolvedValue({ _id: mockUserId, username: 'testuser', password: 'hashedPassword' });
+      bcrypt.compare.mockResolvedValue(true);
+      Session.create.mockResolvedValue({ _id: mockSessionId, user: mockUserId });
+      RefreshToken.create.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      const res = await request(app)
+        .post('/auth/login')
+        .send({ username: 'testuser', password: 'testpassword' });
+
+      expect(res.statusCode).toBe(200);
+      expect(await getDefaultStore().get('login-failures:user:testuser')).toBeNull();
+      // The successful attempt is not counted against the address
+      expect(await getDefaultStore().get('login-failures:ip:::ffff:127.0.0.1')).toBeNull();
+    });
+  });
+
+  describe('POST /auth/refresh', () => {
+    const future = () => new Date(Date.now() + 60 * 60 * 1000);
+
+    it('should rotate the refresh token', async () => {
+      const tokenId = new mongoose.Types.ObjectId();
+      const newTokenId = new mongoose.Types.ObjectId();
+      RefreshToken.findOne.mockResolvedValue({ _id: tokenId, session: mockSessionId, usedAt: null, expiresAt: future() });
+      Session.findById.mockResolvedValue({ _id: mockSessionId, user: mockUserId, revokedAt: null });
+      RefreshToken.findOneAndUpdate.mockResolvedValue({ _id: tokenId, usedAt: new Date(), expiresAt: future() });
+      User.findById.mockResolvedValue({ _id: mockUserId, username: 'testuser' });
+      RefreshToken.create.mockResolvedValue({ _id: newTokenId });
+
+      const res = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: 'old-refresh-token' });
+
+      expect(res.statusCode).toBe(200);
+      expect(decodeJwt(res.body.token)).toMatchObject({ sub: mockUserId.toString(), sid: mockSessionId.toString() });
+      expect(res.body.refreshToken).toEqual(expect.any(String));
+      expect(res.body.refreshToken).not.toBe('old-refresh-token');
+      expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: tokenId, usedAt: null },
+        { $set: { usedAt: expect.any(Date) } },
+        { new: true }
+      );
+      expect(RefreshToken.updateOne).toHaveBeenCalledWith({ _id: tokenId }, { $set: { replacedBy: newTokenId } });
+    });
+
+    it('should revoke the whole session when a refresh token is reused', async () => {
+      RefreshToken.findOne.mockResolvedValue({ _id: new mongoose.Types.ObjectId(), session: mockSessionId, usedAt: new Date(), expiresAt: future() });
+      Session.findById.mockResolvedValue({ _id: mockSessionId, user: mockUserId, revokedAt: null });
+
+      const res = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: 'already-used-token' });
+
+      expect(res.statusCode).toBe(401);
+      expect(Session.updateOne).toHaveBeenCalledWith(
+        { _id: mockSessionId, revokedAt: null },
+        { $set: { revokedAt: expect.any(Date), revokedReason: 'reuse-detected' } }
+      );
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 for a token of a revoked session', async () => {
+      RefreshToken.findOne.mockResolvedValue({ _id: new mongoose.Types.ObjectId(), session: mockSessionId, usedAt: null, expiresAt: future() });
+      Session.findById.mockResolvedValue({ _id: mockSessionId, user: mockUserId, revokedAt: new Date() });
+
+      const res = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: 'revoked-token' });
+
+      expect(res.statusCode).toBe(401);
+      expect(RefreshToken.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should end the session of a disabled account', async () => {
+      RefreshToken.findOne.mockResolvedValue({ _id: new mongoose.Types.ObjectId(), session: mockSessionId, usedAt: null, expiresAt: future() });
+      Session.findById.mockResolvedValue({ _id: mockSessionId, user: mockUserId, revokedAt: null });
+      RefreshToken.findOneAndUpdate.mockResolvedValue({ _id: new mongoose.Types.ObjectId(), usedAt: new Date() });
+      User.findById.mockResolvedValue({ _id: mockUserId, username: 'testuser', disabledAt: new Date() });
+
+      const res = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: 'old-refresh-token' });
+
+      expect(res.statusCode).toBe(401);
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 for an unknown token', async () => {
+      RefreshToken.findOne.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: 'unknown-token' });
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.detail).toBe('Invalid refresh token');
+    });
+
+    it('should return 400 if the refresh token is missing', async () => {
+      const res = await request(app).post('/auth/refresh').send({});
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors).toBeDefined();
+    });
+  });
+
+  describe('POST /auth/logout', () => {
+    it('should revoke the current session', async () => {
+      Session.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      const res = await request(app).post('/auth/logout');
+
+      expect(res.statusCode).toBe(200);
+      expect(Session.updateOne).toHaveBeenCalledWith(
+        { _id: mockSessionId, revokedAt: null },
+        { $set: { revokedAt: expect.any(Date), revokedReason: 'logout' } }
+      );
+    });
+  });
+
+  describe('POST /auth/change-password', () => {
+    it('should change the password and revoke the other sessions', async () => {
+      const user = { _id: mockUserId, username: 'testuser', password: 'oldHash', save: jest.fn() };
+      User.findById.mockResolvedValue(user);
+      bcrypt.compare.mockResolvedValue(true);
+      bcrypt.hash.mockResolvedValue('newHash');
+      Session.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      const res = await request(app)
+        .post('/auth/change-password')
+        .send({ currentPassword: 'old-passw0rd', newPassword: 'new-passw0rd' });
+
+      expect(res.statusCode).toBe(200);
+      expect(bcrypt.compare).toHaveBeenCalledWith('old-passw0rd', 'oldHash');
+      expect(user.password).toBe('newHash');
+      expect(user.save).toHaveBeenCalled();
+      expect(Session.updateMany).toHaveBeenCalledWith(
+        { user: mockUserId, revokedAt: null, _id: { $ne: mockSessionId } },
+        { $set: { revokedAt: expect.any(Date), revokedReason: 'password-change' } }
+      );
+    });
+
+    it('should return 400 if the current password is wrong', async () => {
+      const user = { _id: mockUserId, username: 'testuser', password: 'oldHash', save: jest.fn() };
+      User.findById.mockResolvedValue(user);
+      bcrypt.compare.mockResolvedValue(false);
+
+      const res = await request(app)
+        .post('/auth/change-password')
+        .send({ currentPassword: 'wrong', newPassword: 'new-passw0rd' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.code).toBe('invalid_credentials');
+      expect(user.save).not.toHaveBeenCalled();
+      expect(Session.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should reject a new password that breaks the policy', async () => {
+      const res = await request(app)
+        .post('/auth/change-password')
+        .send({ currentPassword: 'old-passw0rd', newPassword: 'short1' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors[0].msg).toBe('Password must be at least 8 characters long');
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /auth/forgot-password', () => {
+    it('should store a hashed reset token and mail the token', async () => {
+      User.findOne.mockResolvedValue({ _id: mockUserId, username: 'testuser', email: 'reader@example.com' });
+
+      const res = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'Reader@Example.com' });
+
+      expect(res.statusCode).toBe(202);
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'reader@example.com' });
+      expect(PasswordResetToken.deleteMany).toHaveBeenCalledWith({ user: mockUserId, usedAt: null });
+
+      const mail = sendMail.mock.calls[0][0];
+      expect(mail.to).toBe('reader@example.com');
+      const token = decodeURIComponent(mail.text.match(/\?token=(\S+)/)[1]);
+      expect(PasswordResetToken.create).toHaveBeenCalledWith({
+        tokenHash: hashToken(token),
+        user: mockUserId,
+        expiresAt: expect.any(Date),
+      });
+    });
+
+    it('should answer the same for an unknown email', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(res.statusCode).toBe(202);
+      expect(PasswordResetToken.create).not.toHaveBeenCalled();
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /auth/reset-password', () => {
+    const resetRecord = { _id: new mongoose.Types.ObjectId(), user: mockUserId };
+
+    it('should set the new password, use up the token and revoke every session', async () => {
+      const user = { _id: mockUserId, username: 'testuser', password: 'oldHash', save: jest.fn() };
+      PasswordResetToken.findOne.mockResolvedValue(resetRecord);
+      PasswordResetToken.findOneAndUpdate.mockResolvedValue({ ...resetRecord, usedAt: new Date() });
+      User.findById.mockResolvedValue(user);
+      bcrypt.hash.mockResolvedValue('newHash');
+      Session.updateMany.mockResolvedValue({ modifiedCount: 2 });
+      for (let i = 0; i < 5; i += 1) {
+        await failLogin('testuser', '203.0.113.7');
+      }
+
+      const res = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'reset-token', newPassword: 'new-passw0rd' });
+
+      expect(res.statusCode).toBe(200);
+      expect(PasswordResetToken.findOne).toHaveBeenCalledWith({
+        tokenHash: hashToken('reset-token'),
+        usedAt: null,
+        expiresAt: { $gt: expect.any(Date) },
+      });
+      expect(PasswordResetToken.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: resetRecord._id, usedAt: null },
+        { $set: { usedAt: expect.any(Date) } },
+        { new: true }
+      );
+      expect(user.password).toBe('newHash');
+      expect(user.save).toHaveBeenCalled();
+      expect(Session.updateMany).toHaveBeenCalledWith(
+        { user: mockUserId, revokedAt: null },
+        { $set: { revokedAt: expect.any(Date), revokedReason: 'password-reset' } }
+      );
+
+      // The reset also lifts the lockout of the account
+      User.findOne.mockResolvedValue(null);
+      const login = await request(app).post('/auth/login').send({ username: 'testuser', password: 'wrong' });
+      expect(login.statusCode).toBe(400);
+    });
+
+    it('should return 400 for an invalid, expired or used token', async () => {
+      PasswordResetToken.findOne.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'reset-token', newPassword: 'new-passw0rd' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.code).toBe('invalid_reset_token');
+      expect(bcrypt.hash).not.toHaveBeenCalled();
+    });
+
+    it('should not reset twice when the token is claimed concurrently', async () => {
+      const user = { _id: mockUserId, username: 'testuser', password: 'oldHash', save: jest.fn() };
+      PasswordResetToken.findOne.mockResolvedValue(resetRecord);
+      PasswordResetToken.findOneAndUpdate.mockResolvedValue(null);
+      User.findById.mockResolvedValue(user);
+
+      const res = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'reset-token', newPassword: 'new-passw0rd' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.code).toBe('invalid_reset_token');
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('should check the new password against the username of the account', async () => {
+      PasswordResetToken.findOne.mockResolvedValue(resetRecord);
+      User.findById.mockResolvedValue({ _id: mockUserId, username: 'testuser', save: jest.fn() });
+
+      const res = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'reset-token', newPassword: 'testuser-1' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors[0]).toMatchObject({ path: 'newPassword', msg: 'Password must not contain the username' });
+      expect(PasswordResetToken.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('API keys', () => {
+    const mockKeyRecord = (data) => ({
+      _id: new mongoose.Types.ObjectId(),
+      name: 'ingestion',
+      user: mockUserId,
+      scopes: ['catalog:read'],
+      createdAt: new Date(),
+      ...data,
+    });
+
+    it('should create a key, store only its hash and return it once', async () => {
+      ApiKey.countDocuments.mockResolvedValue(0);
+      ApiKey.create.mockImplementation(async (data) => mockKeyRecord(data));
+
+      const res = await request(app)
+        .post('/auth/api-keys')
+        .send({ name: 'ingestion', scopes: ['catalog:read', 'catalog:read'], expiresInDays: 30 });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.key).toMatch(/^bk_[\w-]{43}$/);
+      expect(res.body.keyHash).toBeUndefined();
+      expect(ApiKey.create).toHaveBeenCalledWith({
+        name: 'ingestion',
+        prefix: res.body.key.slice(0, 11),
+        keyHash: hashToken(res.body.key),
+        user: mockUserId,
+        scopes: ['catalog:read'],
+        createdBy: mockUserId,
+        expiresAt: expect.any(Date),
+      });
+    });
+
+    it('should return 400 for an unknown scope', async () => {
+      const res = await request(app)
+        .post('/auth/api-keys')
+        .send({ name: 'ingestion', scopes: ['everything'] });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors[0].path).toBe('scopes[0]');
+    });
+
+    it('should only let admins create keys for other users', async () => {
+      const otherUserId = new mongoose.Types.ObjectId();
+
+      const res = await request(app)
+        .post('/auth/api-keys')
+        .send({ name: 'ingestion', scopes: ['catalog:read'], user: otherUserId.toString() });
+
+      expect(res.statusCode).toBe(403);
+      expect(ApiKey.create).not.toHaveBeenCalled();
+
+      mockUserRole = 'admin';
+      User.findById.mockResolvedValue({ _id: otherUserId });
+      ApiKey.countDocuments.mockResolvedValue(0);
+      ApiKey.create.mockImplementation(async (data) => mockKeyRecord(data));
+
+      const created = await request(app)
+        .post('/auth/api-keys')
+        .send({ name: 'ingestion', scopes: ['catalog:read'], user: otherUserId.toString() });
+
+      expect(created.statusCode).toBe(201);
+      expect(ApiKey.create).toHaveBeenCalledWith(expect.objectContaining({ user: otherUserId.toString(), createdBy: mockUserId }));
+    });
+
+    it('should return 409 once a user has the maximum number of keys', async () => {
+      ApiKey.countDocuments.mockResolvedValue(2);
+
+      const res = await request(app)
+        .post('/auth/api-keys')
+        .send({ name: 'ingestion', scopes: ['catalog:read'] });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.code).toBe('api_key_limit');
+    });
+
+    it('should list the keys of the current user without their hashes', async () => {
+      const keys = [mockKeyRecord({ keyHash: 'secret-hash', lastUsedAt: new Date() })];
+      ApiKey.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(keys) });
+
+      const res = await request(app).get('/auth/api-keys');
+
+      expect(res.statusCode).toBe(200);
+      expect(ApiKey.find).toHaveBeenCalledWith({ user: mockUserId });
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].keyHash).toBeUndefined();
+      expect(res.body.data[0].lastUsedAt).toEqual(expect.any(String));
+    });
+
+    it('should revoke a key of the current user', async () => {
+      const key = mockKeyRecord();
+      ApiKey.findById.mockResolvedValue(key);
+
+      const res = await request(app).delete(`/auth/api-keys/${key._id}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(ApiKey.updateOne).toHaveBeenCalledWith(
+        { _id: key._id, revokedAt: null },
+        { $set: { revokedAt: expect.any(Date), revokedBy: mockUserId } }
+      );
+    });
+
+    it('should return 404 for a key of another user', async () => {
+      const key = mockKeyRecord({ user: new mongoose.Types.ObjectId() });
+      ApiKey.findById.mockResolvedValue(key);
+
+      const res = await request(app).delete(`/auth/api-keys/${key._id}`);
+
+      expect(res.statusCode).toBe(404);
+      expect(ApiKey.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should not let API keys manage API keys', async () => {
+      mockApiKey = mockKeyRecord();
+
+      const res = await request(app).get('/auth/api-keys');
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.code).toBe('session_required');
+    });
+  });
+
+  describe('POST /auth/logout-all', () => {
+    it('should revoke every session of the user', async () => {
+      Session.updateMany.mockResolvedValue({ modifiedCount: 3 });
+
+      const res = await request(app).post('/auth/logout-all');
+
+      expect(res.statusCode).toBe(200);
+      expect(Session.updateMany).toHaveBeenCalledWith(
+        { user: mockUserId, revokedAt: null },
+        { $set: { revokedAt: expect.any(Date), revokedReason: 'logout-all' } }
+      );
+    });
   });
 });
\ No newline at end of file
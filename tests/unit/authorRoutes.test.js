@@ -0,0 +1,262 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const Author = require('../../src/models/authorModel');
+const Book = require('../../src/models/bookModel');
+const BookRevision = require('../../src/models/bookRevisionModel');
+const authorRoutes = require('../../src/routes/authorRoutes');
+const errorHandler = require('../../src/middleware/errorHandler');
+
+const mockUserId = new mongoose.Types.ObjectId();
+let mockUserRole = 'librarian';
+
+// Mock dependencies
+jest.mock('../../src/models/authorModel');
+jest.mock('../../src/models/bookRevisionModel');
+jest.mock('../../src/models/bookModel');
+jest.mock('../../src/utils/transaction', () => ({
+  withTransaction: jest.fn((work) => work('mock-session')),
+}));
+jest.mock('../../src/middleware/auth', () => {
+  return jest.fn((req, res, next) => {
+    req.user = { _id: mockUserId, username: 'testuser', role: mockUserRole };
+    next();
+  });
+});
+
+const app = express();
+app.use(express.json());
+app.use('/authors', authorRoutes);
+app.use(errorHandler);
+
+// Stand-in for the find().sort().skip().limit() chain
+const mockQuery = (result) => {
+  const chain = {
+    sort: jest.fn(() => chain),
+    skip: jest.fn(() => chain),
+    limit: jest.fn(() => Promise.resolve(result)),
+  };
+  return chain;
+};
+
+describe('Author Routes', () => {
+  const authorId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    BookRevision.create.mockImplementation(async ([data]) => [data]);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    mockUserRole = 'librarian';
+  });
+
+  describe('GET /authors', () => {
+    it('should list authors matching a name', async () => {
+      const query = mockQuery([{ _id: authorId, name: 'Ursula K. Le Guin' }]);
+      Author.find.mockReturnValueOnce(query);
+      Author.countDocuments.mockResolvedValueOnce(1);
+
+      const res = await request(app).get('/authors?name=le+gu&limit=10');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.pagination).toEqual({ total: 1, limit: 10, page: 1, totalPages: 1 });
+      expect(Author.find).toHaveBeenCalledWith({ name: { $regex: 'le gu', $options: 'i' } });
+    });
+  });
+
+  describe('POST /authors', () => {
+    it('should create an author', async () => {
+      Author.findOne.mockResolvedValueOnce(null);
+      Author.create.mockImplementationOnce(async (data) => ({ _id: authorId, ...data }));
+
+      const res = await request(app).post('/authors').send({ name: ' Octavia E. Butler ', birthYear: 1947, deathYear: 2006 });
+
+      expect(res.statusCode).toBe(201);
+      expect(Author.create).toHaveBeenCalledWith({
+        name: 'Octavia E. Butler',
+        birthYear: 1947,
+        deathYear: 2006,
+        nameKey: 'octaviaebutler',
+      });
+    });
+
+    it('should return 409 when an author with the same name exists', async () => {
+      Author.findOne.mockResolvedValueOnce({ _id: authorId });
+
+      const res = await request(app).post('/authors').send({ name: 'octavia e butler' });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.authorId).toBe(authorId.toString());
+      expect(Author.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when a concurrent request created the author first', async () => {
+      Author.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ _id: authorId });
+      Author.create.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { nameKey: 1 } }));
+
+      const res = await request(app).post('/authors').send({ name: 'Octavia E. Butler' });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.authorId).toBe(authorId.toString());
+    });
+
+    it('should reject a name without letters or digits', async () => {
+      const res = await request(app).post('/authors').send({ name: '- -' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors[0].msg).toBe('Name must contain a letter or digit');
+      expect(Author.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a death year before the birth year', async () => {
+      const res = await request(app).post('/authors').send({ name: 'Someone', birthYear: 1950, deathYear: 1900 });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should be limited to librarians', async () => {
+      mockUserRole = 'member';
+
+      const res = await request(app).post('/authors').send({ name: 'Someone' });
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('GET /authors/:id/books', () => {
+    it('should list the books of the author', async () => {
+      Author.findById.mockResolvedValueOnce({ _id: authorId, name: 'Ursula K. Le Guin' });
+      Book.find.mockReturnValueOnce(mockQuery([{ title: 'The Dispossessed' }]));
+      Book.countDocuments.mockResolvedValueOnce(1);
+
+      const res = await request(app).get(`/authors/${authorId}/books`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toEqual([{ title: 'The Dispossessed' }]);
+      expect(Book.find).toHaveBeenCalledWith({ authorIds: authorId });
+    });
+
+    it('should return 404 when the author does not exist', async () => {
+      Author.findById.mockResolvedValueOnce(null);
+
+      const res = await request(app).get(`/authors/${authorId}/books`);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('PATCH /authors/:id', () => {
+    it('should rename the author on their books', async () => {
+      const bookId = new mongoose.Types.ObjectId();
+      const coAuthorId = new mongoose.Types.ObjectId();
+      Author.findOne.mockResolvedValueOnce(null);
+      Author.findByIdAndUpdate.mockResolvedValueOnce({ _id: authorId, name: 'Ursula K. Le Guin' });
+      Book.find.mockResolvedValueOnce([
+        { _id: bookId, authorIds: [coAuthorId, authorId], authors: ['Someone Else', 'Ursula Le Guin'] },
+      ]);
+
+      const res = await request(app).patch(`/authors/${authorId}`).send({ name: 'Ursula K. Le Guin' });
+
+      expect(res.statusCode).toBe(200);
+      expect(Book.bulkWrite).toHaveBeenCalledWith([{
+        updateOne: {
+          filter: { _id: bookId },
+          update: {
+            $set: {
+              author: 'Someone Else',
+              authors: ['Someone Else', 'Ursula K. Le Guin'],
+              authorIds: [coAuthorId, authorId],
+            },
+            $inc: { __v: 1 },
+          },
+        },
+      }], { session: 'mock-session' });
+    });
+
+    it('should return 409 when another author has the new name', async () => {
+      Author.findOne.mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId() });
+
+      const res = await request(app).patch(`/authors/${authorId}`).send({ name: 'Taken' });
+
+      expect(res.statusCode).toBe(409);
+      expect(Author.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when a concurrent rename took the name first', async () => {
+      const holderId = new mongoose.Types.ObjectId();
+      Author.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ _id: holderId });
+      Author.findByIdAndUpdate.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { nameKey: 1 } }));
+
+      const res = await request(app).patch(`/authors/${authorId}`).send({ name: 'Taken' });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.authorId).toBe(holderId.toString());
+      expect(Author.findOne).toHaveBeenLastCalledWith({ nameKey: 'taken' }, '_id');
+    });
+  });
+
+  describe('DELETE /authors/:id', () => {
+    it('should delete an author without books', async () => {
+      Book.countDocuments.mockResolvedValueOnce(0);
+      Author.findByIdAndDelete.mockResolvedValueOnce({ _id: authorId });
+
+      const res = await request(app).delete(`/authors/${authorId}`);
+
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('should return 409 when the author has books', async () => {
+      Book.countDocuments.mockResolvedValueOnce(3);
+
+      const res = await request(app).delete(`/authors/${authorId}`);
+
+      expect(res.statusCode).toBe(409);
+      expect(Author.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /authors/:id/merge', () => {
+    const sourceId = new mongoose.Types.ObjectId();
+
+    it('should re-point the books of the duplicates and delete them', async () => {
+      const bookId = new mongoose.Types.ObjectId();
+      const target = { _id: authorId, name: 'Ursula K. Le Guin' };
+      Author.findOne.mockResolvedValueOnce(target);
+      Author.find.mockResolvedValueOnce([{ _id: sourceId }]);
+      Book.find.mockResolvedValueOnce([{ _id: bookId, authorIds: [sourceId], authors: ['U. K. LeGuin'] }]);
+
+      const res = await request(app).post(`/authors/${authorId}/merge`).send({ sourceIds: [sourceId.toString()] });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.booksUpdated).toBe(1);
+      expect(Book.bulkWrite.mock.calls[0][0][0].updateOne.update.$set).toEqual({
+        author: 'Ursula K. Le Guin',
+        authors: ['Ursula K. Le Guin'],
+        authorIds: [authorId],
+      });
+      expect(Author.deleteMany).toHaveBeenCalledWith({ _id: { $in: [sourceId.toString()] } }, { session: 'mock-session' });
+    });
+
+    it('should return 404 when a duplicate does not exist', async () => {
+      Author.findOne.mockResolvedValueOnce({ _id: authorId });
+      Author.find.mockResolvedValueOnce([]);
+
+      const res = await request(app).post(`/authors/${authorId}/merge`).send({ sourceIds: [sourceId.toString()] });
+
+      expect(res.statusCode).toBe(404);
+      expect(Author.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should not merge an author into itself', async () => {
+      const res = await request(app).post(`/authors/${authorId}/merge`).send({ sourceIds: [authorId.toString()] });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+});
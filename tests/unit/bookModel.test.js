@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const Book = require('../../src/models/bookModel');
+
+// Run the pre middleware of a query without executing it, so no database is needed.
+// Queries are thenables, so the query is returned in an object rather than resolved.
+const runPreHooks = (query) => new Promise((resolve, reject) => {
+  query._queryMiddleware.execPre(query.op, query, [], (error) => (error ? reject(error) : resolve({ query })));
+});
+
+describe('Book model', () => {
+  const bookId = new mongoose.Types.ObjectId();
+
+  describe('trashed books', () => {
+    it.each([
+      ['find', () => Book.find({ title: 'Dune' })],
+      ['findOne', () => Book.findOne({ title: 'Dune' })],
+      ['findOneAndUpdate', () => Book.findOneAndUpdate({ title: 'Dune' }, { $set: { publisher: 'Ace' } })],
+      ['countDocuments', () => Book.countDocuments({ title: 'Dune' })],
+    ])('should be left out of %s', async (_, build) => {
+      const { query } = await runPreHooks(build());
+
+      expect(query.getFilter()).toEqual({ title: 'Dune', deletedAt: null });
+    });
+
+    it('should be included with the withDeleted option', async () => {
+      const { query } = await runPreHooks(Book.find({ title: 'Dune' }, null, { withDeleted: true }));
+
+      expect(query.getFilter()).toEqual({ title: 'Dune' });
+      // The option is not passed on to MongoDB
+      expect(query.getOptions()).not.toHaveProperty('withDeleted');
+    });
+
+    it('should be included when the filter names deletedAt', async () => {
+      const { query } = await runPreHooks(Book.find({ deletedAt: { $ne: null } }));
+
+      expect(query.getFilter()).toEqual({ deletedAt: { $ne: null } });
+    });
+  });
+
+  describe('version', () => {
+    it.each([
+      ['findOneAndUpdate', () => Book.findOneAndUpdate({ _id: bookId }, { $set: { title: 'Dune' } })],
+      ['updateOne', () => Book.updateOne({ _id: bookId }, { $set: { title: 'Dune' } })],
+      ['updateMany', () => Book.updateMany({ publisher: 'Ace' }, { $set: { publisher: 'Ace Books' } })],
+    ])('should be bumped by %s', async (_, build) => {
+      const { query } = await runPreHooks(build());
+
+      expect(query.getUpdate().$inc).toEqual({ __v: 1 });
+    });
+
+    it('should be bumped alongside other increments', async () => {
+      const { query } = await runPreHooks(Book.updateOne({ _id: bookId }, { $inc: { availableCopies: -1 } }));
+
+      expect(query.getUpdate().$inc).toEqual({ availableCopies: -1, __v: 1 });
+    });
+
+    it('should be kept by pipeline updates', async () => {
+      const pipeline = [{ $set: { availableCopies: '$totalCopies' } }];
+      const { query } = await runPreHooks(Book.updateMany({ availableCopies: { $exists: false } }, pipeline));
+
+      // Timestamps add a stage setting updatedAt; no stage touches __v
+      expect(query.getUpdate()).toEqual(expect.arrayContaining(pipeline));
+      expect(query.getUpdate().every((stage) => !('$inc' in stage) && !('__v' in (stage.$set || {})))).toBe(true);
+    });
+  });
+});
@@ -2,28 +2,54 @@ const request = require('supertest');
 const express = require('express');
 const mongoose = require('mongoose');
 const Book = require('../../src/models/bookModel');
+const Author = require('../../src/models/authorModel');
+const BookRevision = require('../../src/models/bookRevisionModel');
 const auth = require('../../src/middleware/auth');
+const { withTransaction } = require('../../src/utils/transaction');
 const bookRoutes = require('../../src/routes/bookRoutes');
+const errorHandler = require('../../src/middleware/errorHandler');
 
 // Create a mock ObjectId outside the mock function
 const mockUserId = new mongoose.Types.ObjectId();
+let mockUserRole = 'member';
 
 // Mock dependencies
 jest.mock('../../src/models/bookModel');
+jest.mock('../../src/models/authorModel');
+jest.mock('../../src/models/bookRevisionModel');
+jest.mock('../../src/models/holdModel');
+jest.mock('../../src/utils/transaction', () => ({
+  withTransaction: jest.fn((work) => work('mock-session')),
+}));
 jest.mock('../../src/middleware/auth', () => {
   return jest.fn((req, res, next) => {
-    req.user = { _id: mockUserId, username: 'testuser' };
+    req.user = { _id: mockUserId, username: 'testuser', role: mockUserRole };
     next();
   });
 });
 
+// ETag of a mocked book, as sent back in If-Match
+const ifMatch = (book) => `"${book._id}-${book.__v || 0}"`;
+
 const app = express();
 app.use(express.json());
 app.use('/books', bookRoutes);
+app.use(errorHandler);
 
 describe('Book Routes', () => {
+  // An author record is created the first time a name is used
+  const mockAuthorIds = new Map();
+  beforeEach(() => {
+    Author.findOneAndUpdate.mockImplementation(async ({ nameKey }, update) => {
+      if (!mockAuthorIds.has(nameKey)) mockAuthorIds.set(nameKey, new mongoose.Types.ObjectId());
+      return { _id: mockAuthorIds.get(nameKey), ...update.$setOnInsert };
+    });
+    BookRevision.create.mockImplementation(async ([data]) => [data]);
+  });
+
   afterEach(() => {
     jest.clearAllMocks();
+    mockUserRole = 'member';
   });
 
   describe('POST /books', () => {
@@ -55,6 +81,13 @@ describe('Book Routes', () => {
         createdAt: now.toISOString(),
         updatedAt: now.toISOString()
       });
+      expect(BookRevision.create).toHaveBeenCalledWith([expect.objectContaining({
+        book: mockBookId,
+        revision: 1,
+        action: 'create',
+        user: mockUserId,
+        changes: expect.arrayContaining([{ field: 'title', from: null, to: 'Test Book' }]),
+      })], { session: 'mock-session' });
     });
 
     it('should return 400 if validation fails', async () => {
@@ -63,26 +96,219 @@ describe('Book Routes', () => {
         .send({ title: '', author: '', publishedYear: 'invalid' });
 
       expect(res.statusCode).toBe(400);
-      expect(res.body.errors).toBeDefined();
+      expect(res.body.code).toBe('validation_failed');
+      expect(res.body.errors).toEqual(expect.arrayContaining([expect.objectContaining({ path: 'title' })]));
+    });
+
+    it('should store the ISBN-13 form of an ISBN-10 and list all authors', async () => {
+      Book.prototype.save.mockResolvedValue({});
+
+      const res = await request(app)
+        .post('/books')
+        .send({
+          title: 'Good Omens',
+          authors: ['Terry Pratchett', 'Neil Gaiman'],
+          publishedYear: 1990,
+          isbn: '0-306-40615-2',
+          genres: 'Fantasy; Comedy',
+          language: 'EN',
+          pageCount: '400',
+        });
+
+      expect(res.statusCode).toBe(201);
+      expect(Book).toHaveBeenCalledWith(expect.objectContaining({
+        author: 'Terry Pratchett',
+        authors: ['Terry Pratchett', 'Neil Gaiman'],
+        isbn: '9780306406157',
+        genres: ['Fantasy', 'Comedy'],
+        language: 'en',
+        pageCount: 400,
+      }));
+    });
+
+    it('should return 400 for an ISBN with a wrong check digit', async () => {
+      const res = await request(app)
+        .post('/books')
+        .send({ title: 'Book', author: 'Author', publishedYear: 2000, isbn: '978-0-306-40615-8' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors[0].msg).toBe('ISBN must be a valid ISBN-10 or ISBN-13');
+    });
+
+    it('should ignore fields that are not the client\'s to set', async () => {
+      Book.prototype.save.mockResolvedValue({ _id: new mongoose.Types.ObjectId(), title: 'Test Book', __v: 0 });
+
+      const res = await request(app)
+        .post('/books')
+        .send({
+          title: 'Test Book',
+          author: 'Test Author',
+          publishedYear: 2021,
+          availableCopies: 5,
+          deletedAt: new Date().toISOString(),
+          deletedBy: new mongoose.Types.ObjectId().toString(),
+          schemaVersion: 1,
+        });
+
+      expect(res.statusCode).toBe(201);
+      const [fields] = Book.mock.calls[0];
+      expect(fields).toMatchObject({ title: 'Test Book', author: 'Test Author', publishedYear: 2021, addedBy: mockUserId });
+      ['availableCopies', 'deletedAt', 'deletedBy', 'schemaVersion'].forEach((field) => expect(fields).not.toHaveProperty(field));
+    });
+
+    it('should return 400 when author is not the first of authors', async () => {
+      const res = await request(app)
+        .post('/books')
+        .send({ title: 'Book', author: 'B', authors: ['A', 'B'], publishedYear: 2000 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors[0].msg).toBe('Author must be the first of authors');
+    });
+
+    it('should return 400 for author names without letters or digits', async () => {
+      const res = await request(app)
+        .post('/books')
+        .send({ title: 'Book', authors: ['Ann Leckie', '???'], publishedYear: 2000 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors[0].msg).toBe('Each author name must contain a letter or digit');
+    });
+
+    it('should return 409 when another book has the ISBN', async () => {
+      Book.prototype.save.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { isbn: 1 } }));
+
+      const res = await request(app)
+        .post('/books')
+        .send({ title: 'Book', author: 'Author', publishedYear: 2000, isbn: '9780306406157' });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.detail).toBe('A book with this ISBN already exists');
+    });
+  });
+
+  describe('POST /books/import', () => {
+    const mockExisting = (books) => {
+      Book.find.mockReturnValue({ collation: jest.fn().mockResolvedValue(books) });
+    };
+
+    beforeEach(() => {
+      mockUserRole = 'librarian';
+    });
+
+    it('should import valid CSV rows and report errors per row', async () => {
+      mockExisting([]);
+      Book.insertMany.mockImplementation(async (docs) => docs);
+      const csv = [
+        'title,author,publishedYear,totalCopies',
+        '"Dune, Deluxe Edition",Frank Herbert,1965,3',
+        ',Unknown,2001,',
+        'Emma,Jane Austen,1815,',
+      ].join('\r\n');
+
+      const res = await request(app).post('/books/import').set('Content-Type', 'text/csv').send(csv);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.summary).toEqual({ total: 3, created: 2, invalid: 1 });
+      expect(res.body.results[0]).toMatchObject({ row: 1, status: 'created', bookId: expect.any(String) });
+      expect(res.body.results[1]).toMatchObject({ row: 2, status: 'invalid', errors: [expect.objectContaining({ msg: 'Title is required' })] });
+      const [docs, options] = Book.insertMany.mock.calls[0];
+      expect(options).toEqual({ ordered: false });
+      expect(docs[0]).toMatchObject({ title: 'Dune, Deluxe Edition', author: 'Frank Herbert', totalCopies: 3, addedBy: mockUserId });
+      expect(docs[1]).not.toHaveProperty('totalCopies');
+    });
+
+    it('should report duplicates within the upload and in the catalog', async () => {
+      mockExisting([{ title: 'Emma', author: 'Jane Austen', publishedYear: 1815 }]);
+      Book.insertMany.mockImplementation(async (docs) => docs);
+
+      const res = await request(app).post('/books/import').send([
+        { title: 'Dune', author: 'Frank Herbert', publishedYear: 1965 },
+        { title: '  dune ', author: 'FRANK HERBERT', publishedYear: '1965' },
+        { title: 'emma', author: 'jane austen', publishedYear: 1815 },
+      ]);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.summary).toEqual({ total: 3, created: 1, duplicate: 2 });
+      expect(res.body.results[1]).toMatchObject({ status: 'duplicate', duplicateOf: 1 });
+      expect(res.body.results[2]).toMatchObject({ status: 'duplicate' });
+      expect(Book.insertMany.mock.calls[0][0]).toHaveLength(1);
+    });
+
+    it('should not insert anything in dry-run mode', async () => {
+      mockExisting([]);
+
+      const res = await request(app)
+        .post('/books/import?dryRun=true')
+        .send([{ title: 'Dune', author: 'Frank Herbert', publishedYear: 1965 }]);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ dryRun: true, summary: { total: 1, valid: 1 } });
+      expect(Book.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should report rows the database rejected', async () => {
+      mockExisting([]);
+      Book.insertMany.mockImplementation(async (docs) => {
+        throw Object.assign(new Error('E11000 duplicate key'), { insertedDocs: [docs[1]] });
+      });
+
+      const res = await request(app).post('/books/import').send([
+        { title: 'Dune', author: 'Frank Herbert', publishedYear: 1965 },
+        { title: 'Emma', author: 'Jane Austen', publishedYear: 1815 },
+      ]);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.results.map((result) => result.status)).toEqual(['failed', 'created']);
+    });
+
+    it('should return 400 for a JSON body that is not an array', async () => {
+      const res = await request(app).post('/books/import').send({ title: 'Dune' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should return 415 for other content types', async () => {
+      const res = await request(app).post('/books/import').set('Content-Type', 'text/plain').send('Dune');
+
+      expect(res.statusCode).toBe(415);
+    });
+
+    it('should return 403 for members', async () => {
+      mockUserRole = 'member';
+
+      const res = await request(app).post('/books/import').send([]);
+
+      expect(res.statusCode).toBe(403);
     });
   });
 
   describe('GET /books', () => {
-    it('should return all books', async () => {
+    // Chainable stand-in for the Query returned by Book.find()
+    const mockFindChain = (result) => {
+      const chain = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockResolvedValue(result),
+      };
+      Book.find.mockReturnValue(chain);
+      return chain;
+    };
+
+    it('should return the first page of books', async () => {
       const now = new Date();
       const mockBooks = [
         { _id: new mongoose.Types.ObjectId(), title: 'Book 1', author: 'Author 1', publishedYear: 2021, addedBy: mockUserId, createdAt: now, updatedAt: now },
         { _id: new mongoose.Types.ObjectId(), title: 'Book 2', author: 'Author 2', publishedYear: 2022, addedBy: mockUserId, createdAt: now, updatedAt: now }
       ];
-      Book.find.mockReturnValue({
-        populate: jest.fn().mockResolvedValue(mockBooks)
-      });
+      Book.countDocuments.mockResolvedValue(2);
+      const chain = mockFindChain(mockBooks);
 
       const res = await request(app).get('/books');
 
       expect(res.statusCode).toBe(200);
-      expect(res.body).toHaveLength(2);
-      res.body.forEach((book, index) => {
+      expect(res.body.data).toHaveLength(2);
+      res.body.data.forEach((book, index) => {
         expect(book).toMatchObject({
           ...mockBooks[index],
           _id: mockBooks[index]._id.toString(),
@@ -91,6 +317,208 @@ describe('Book Routes', () => {
           updatedAt: now.toISOString()
         });
       });
+      expect(res.body.pagination).toMatchObject({
+        total: 2, limit: 20, page: 1, totalPages: 1, hasNextPage: false, hasPrevPage: false
+      });
+      expect(res.body.links.next).toBeNull();
+      expect(chain.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+      expect(chain.skip).toHaveBeenCalledWith(0);
+      expect(chain.limit).toHaveBeenCalledWith(20);
+    });
+
+    it('should apply filters, sorting and page links', async () => {
+      Book.countDocuments.mockResolvedValue(25);
+      const chain = mockFindChain([]);
+
+      const res = await request(app)
+        .get('/books')
+        .query({ author: 'tolkien', publishedYearFrom: 1930, publishedYearTo: 1960, addedBy: mockUserId.toString(), sort: '-publishedYear,title', limit: 10, page: 2 });
+
+      expect(res.statusCode).toBe(200);
+      expect(Book.countDocuments).toHaveBeenCalledWith({
+        author: { $regex: 'tolkien', $options: 'i' },
+        addedBy: mockUserId,
+        publishedYear: { $gte: 1930, $lte: 1960 },
+      });
+      expect(chain.sort).toHaveBeenCalledWith({ publishedYear: -1, title: 1, _id: 1 });
+      expect(chain.skip).toHaveBeenCalledWith(10);
+      expect(res.body.pagination).toMatchObject({ total: 25, page: 2, totalPages: 3, hasNextPage: true, hasPrevPage: true });
+      expect(res.body.links.next).toContain('page=3');
+      expect(res.body.links.prev).toContain('page=1');
+      expect(res.body.links.last).toContain('page=3');
+    });
+
+    it('should paginate with cursors', async () => {
+      const now = new Date();
+      const mockBooks = [1, 2, 3].map((n) => ({
+        _id: new mongoose.Types.ObjectId(), title: `Book ${n}`, author: 'Author', publishedYear: 2000 + n, addedBy: mockUserId, createdAt: now, updatedAt: now
+      }));
+      Book.countDocuments.mockResolvedValue(10);
+      mockFindChain(mockBooks);
+
+      const first = await request(app).get('/books').query({ limit: 2, sort: 'publishedYear' });
+      expect(first.body.pagination.nextCursor).toEqual(expect.any(String));
+
+      const chain = mockFindChain(mockBooks);
+      const res = await request(app)
+        .get('/books')
+        .query({ limit: 2, sort: 'publishedYear', cursor: first.body.pagination.nextCursor });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toHaveLength(2);
+      expect(res.body.pagination).toMatchObject({ total: 10, limit: 2, hasNextPage: true, hasPrevPage: true });
+      expect(res.body.links.next).toContain('cursor=');
+      expect(chain.limit).toHaveBeenCalledWith(3);
+      expect(Book.find.mock.calls[1][0].$and[1].$or).toHaveLength(2);
+    });
+
+    it('should return 400 for invalid query parameters', async () => {
+      const res = await request(app)
+        .get('/books')
+        .query({ sort: 'password', limit: 1000, cursor: 'not-a-cursor' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors.map((error) => error.path)).toEqual(expect.arrayContaining(['sort', 'limit', 'cursor']));
+      expect(Book.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /books/export', () => {
+    const books = [
+      { _id: new mongoose.Types.ObjectId(), title: 'Dune, Deluxe', author: 'Frank Herbert', publishedYear: 1965, genres: ['Science Fiction', 'Classics'], totalCopies: 2, availableCopies: 1 },
+      { _id: new mongoose.Types.ObjectId(), title: 'Pride & "Prejudice"', author: 'Jane Austen', publishedYear: 1813, totalCopies: 1, availableCopies: 1 },
+    ];
+
+    const mockCursor = (docs) => {
+      const chain = {
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockReturnThis(),
+        cursor: jest.fn().mockReturnValue({
+          close: jest.fn(),
+          async* [Symbol.asyncIterator]() {
+            yield* docs;
+          },
+        }),
+      };
+      Book.find.mockReturnValue(chain);
+      return chain;
+    };
+
+    beforeEach(() => {
+      mockUserRole = 'librarian';
+    });
+
+    it('should stream the filtered catalog as CSV by default', async () => {
+      const chain = mockCursor(books);
+
+      const res = await request(app).get('/books/export').query({ author: 'a', sort: 'title' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(res.headers['content-disposition']).toMatch(/^attachment; filename="books-\d{4}-\d{2}-\d{2}\.csv"$/);
+      expect(Book.find).toHaveBeenCalledWith({ author: { $regex: 'a', $options: 'i' } });
+      expect(chain.sort).toHaveBeenCalledWith({ title: 1, _id: 1 });
+      const lines = res.text.trim().split('\r\n');
+      expect(lines[0]).toBe('title,author,authors,publishedYear,isbn,genres,publisher,language,pageCount,description,coverImageUrl,totalCopies,availableCopies,_id,addedBy,createdAt,updatedAt');
+      expect(lines[1]).toBe(`"Dune, Deluxe",Frank Herbert,,1965,,Science Fiction; Classics,,,,,,2,1,${books[0]._id},,,`);
+      expect(lines[2]).toBe(`"Pride & ""Prejudice""",Jane Austen,,1813,,,,,,,,1,1,${books[1]._id},,,`);
+    });
+
+    it('should stream JSON Lines', async () => {
+      mockCursor(books);
+
+      const res = await request(app).get('/books/export').query({ format: 'jsonl' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+      const records = res.text.trim().split('\n').map((line) => JSON.parse(line));
+      expect(records.map((record) => record.title)).toEqual(['Dune, Deluxe', 'Pride & "Prejudice"']);
+    });
+
+    it('should stream MARCXML', async () => {
+      mockCursor(books.slice(1));
+
+      const res = await request(app).get('/books/export').query({ format: 'marcxml' }).buffer(true).parse((response, callback) => {
+        let data = '';
+        response.on('data', (chunk) => { data += chunk; });
+        response.on('end', () => callback(null, data));
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<collection xmlns="http:\/\/www.loc.gov\/MARC21\/slim">/);
+      expect(res.body).toContain('<datafield tag="245" ind1="1" ind2="0"><subfield code="a">Pride &amp; &quot;Prejudice&quot;</subfield></datafield>');
+      expect(res.body).toContain('<datafield tag="264" ind1=" " ind2="1"><subfield code="c">1813</subfield></datafield>');
+      expect(res.body.trim().endsWith('</collection>')).toBe(true);
+    });
+
+    it('should return 400 for an unknown format', async () => {
+      const res = await request(app).get('/books/export').query({ format: 'pdf' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should return 403 for members', async () => {
+      mockUserRole = 'member';
+
+      const res = await request(app).get('/books/export');
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('GET /books/search', () => {
+    const mockSearchChain = (result) => ({
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockReturnThis(),
+      lean: typeof result === 'function' ? jest.fn(result) : jest.fn().mockResolvedValue(result),
+    });
+
+    it('should rank exact, prefix and fuzzy matches and highlight them', async () => {
+      const hobbit = { _id: new mongoose.Types.ObjectId(), title: 'The Hobbit', author: 'J.R.R. Tolkien', publishedYear: 1937, score: 1.5 };
+      const hobbitLife = { _id: new mongoose.Types.ObjectId(), title: 'Hobbits and Their Lives', author: 'Someone Else', publishedYear: 2001 };
+      const tolkien = { _id: new mongoose.Types.ObjectId(), title: 'Letters', author: 'Tolkein Estate', publishedYear: 1981 };
+      Book.find
+        .mockReturnValueOnce(mockSearchChain([hobbit]))
+        .mockReturnValueOnce(mockSearchChain([hobbitLife, tolkien]));
+
+      const res = await request(app).get('/books/search').query({ q: 'hobbit tolkien' });
+
+      expect(res.statusCode).toBe(200);
+      expect(Book.find.mock.calls[0][0]).toEqual({ $text: { $search: 'hobbit tolkien' } });
+      expect(res.body.data.map((result) => result.book.title)).toEqual(['The Hobbit', 'Hobbits and Their Lives', 'Letters']);
+      expect(res.body.data[0].highlights).toEqual({
+        title: 'The <mark>Hobbit</mark>',
+        author: 'J.R.R. <mark>Tolkien</mark>',
+      });
+      expect(res.body.data[1].highlights.title).toBe('<mark>Hobbit</mark>s and Their Lives');
+      expect(res.body.data[2].highlights.author).toBe('<mark>Tolkein</mark> Estate');
+      expect(res.body.data[0].score).toBeGreaterThan(res.body.data[1].score);
+      expect(res.body.data[0].book.score).toBeUndefined();
+      expect(res.body.pagination).toEqual({ total: 3, limit: 20, page: 1, totalPages: 1 });
+    });
+
+    it('should fall back to in-process search when the text index is missing', async () => {
+      const book = { _id: new mongoose.Types.ObjectId(), title: 'Dune', author: 'Frank Herbert', publishedYear: 1965 };
+      const indexError = Object.assign(new Error('text index required for $text query'), { code: 27 });
+      Book.find
+        .mockReturnValueOnce(mockSearchChain(() => Promise.reject(indexError)))
+        .mockReturnValueOnce(mockSearchChain([book]));
+
+      const res = await request(app).get('/books/search').query({ q: 'dun' });
+
+      expect(res.statusCode).toBe(200);
+      expect(Book.find).toHaveBeenCalledTimes(2);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].highlights.title).toBe('<mark>Dun</mark>e');
+    });
+
+    it('should return 400 if the query is missing', async () => {
+      const res = await request(app).get('/books/search');
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors).toBeDefined();
+      expect(Book.find).not.toHaveBeenCalled();
     });
   });
 
@@ -123,6 +551,24 @@ describe('Book Routes', () => {
       });
     });
 
+    it('should tag the book with its version and answer 304 to a matching If-None-Match', async () => {
+      const mockBook = { _id: new mongoose.Types.ObjectId(), title: 'Book 1', __v: 3 };
+      Book.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(mockBook)
+      });
+
+      const res = await request(app).get(`/books/${mockBook._id}`);
+      expect(res.statusCode).toBe(200);
+      expect(res.headers.etag).toBe(`"${mockBook._id}-3"`);
+
+      const cached = await request(app).get(`/books/${mockBook._id}`).set('If-None-Match', res.headers.etag);
+      expect(cached.statusCode).toBe(304);
+      expect(cached.text).toBe('');
+
+      const stale = await request(app).get(`/books/${mockBook._id}`).set('If-None-Match', `"${mockBook._id}-2"`);
+      expect(stale.statusCode).toBe(200);
+    });
+
     it('should return 404 if book not found', async () => {
       Book.findById.mockReturnValue({
         populate: jest.fn().mockResolvedValue(null)
@@ -131,7 +577,33 @@ describe('Book Routes', () => {
       const res = await request(app).get(`/books/${new mongoose.Types.ObjectId()}`);
 
       expect(res.statusCode).toBe(404);
-      expect(res.body.message).toBe('Book not found');
+      expect(res.body.detail).toBe('Book not found');
+    });
+
+    it('should report errors as problem details', async () => {
+      Book.findById.mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(null) });
+      const bookId = new mongoose.Types.ObjectId();
+
+      const res = await request(app).get(`/books/${bookId}`);
+
+      expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+      expect(res.body).toEqual({
+        type: 'about:blank',
+        title: 'Not Found',
+        status: 404,
+        detail: 'Book not found',
+        code: 'not_found',
+        instance: `/books/${bookId}`,
+      });
+    });
+
+    it('should not expose the details of unexpected errors', async () => {
+      Book.findById.mockReturnValueOnce({ populate: jest.fn().mockRejectedValue(new Error('connection refused')) });
+
+      const res = await request(app).get(`/books/${new mongoose.Types.ObjectId()}`);
+
+      expect(res.statusCode).toBe(500);
+      expect(res.body).toMatchObject({ status: 500, code: 'internal_server_error', detail: 'An unexpected error occurred' });
     });
   });
 
@@ -149,12 +621,13 @@ describe('Book Routes', () => {
         updatedAt: now
       };
       Book.findById.mockResolvedValue(mockBook);
-      Book.findByIdAndUpdate.mockReturnValue({
+      Book.findOneAndUpdate.mockReturnValue({
         populate: jest.fn().mockResolvedValue(mockBook)
       });
 
       const res = await request(app)
         .put(`/books/${mockBookId}`)
+        .set('If-Match', ifMatch(mockBook))
         .send(mockBook);
 
       expect(res.statusCode).toBe(200);
@@ -167,6 +640,45 @@ describe('Book Routes', () => {
       });
     });
 
+    it('should not move a book to the trash or change its bookkeeping', async () => {
+      const mockBook = { _id: new mongoose.Types.ObjectId(), title: 'Book', author: 'Author', publishedYear: 2021, addedBy: mockUserId, __v: 1 };
+      Book.findById.mockResolvedValue(mockBook);
+      Book.findOneAndUpdate.mockReturnValue({ populate: jest.fn().mockResolvedValue({ ...mockBook, __v: 2 }) });
+
+      const res = await request(app)
+        .put(`/books/${mockBook._id}`)
+        .set('If-Match', ifMatch(mockBook))
+        .send({
+          title: 'Book',
+          author: 'Author',
+          publishedYear: 2021,
+          deletedAt: new Date().toISOString(),
+          deletedBy: mockUserId.toString(),
+          schemaVersion: 1,
+        });
+
+      expect(res.statusCode).toBe(200);
+      const [, update] = Book.findOneAndUpdate.mock.calls[0];
+      ['deletedAt', 'deletedBy', 'schemaVersion'].forEach((field) => expect(update).not.toHaveProperty(field));
+    });
+
+    it('should accept a book echoed back with its version', async () => {
+      const mockBook = { _id: new mongoose.Types.ObjectId(), title: 'Book', author: 'Author', publishedYear: 2021, addedBy: mockUserId, __v: 7 };
+      Book.findById.mockResolvedValue(mockBook);
+      Book.findOneAndUpdate.mockReturnValue({ populate: jest.fn().mockResolvedValue({ ...mockBook, title: 'New Title', __v: 8 }) });
+
+      const res = await request(app)
+        .put(`/books/${mockBook._id}`)
+        .set('If-Match', ifMatch(mockBook))
+        .send({ ...mockBook, title: 'New Title' });
+
+      expect(res.statusCode).toBe(200);
+      // The version is only bumped by the model, never set alongside that increment
+      const [, update] = Book.findOneAndUpdate.mock.calls[0];
+      expect(update).not.toHaveProperty('__v');
+      expect(update).not.toHaveProperty('_id');
+    });
+
     it('should return 404 if book not found', async () => {
       Book.findById.mockResolvedValue(null);
 
@@ -175,7 +687,7 @@ describe('Book Routes', () => {
         .send({ title: 'Updated Book', author: 'Updated Author', publishedYear: 2022 });
 
       expect(res.statusCode).toBe(404);
-      expect(res.body.message).toBe('Book not found');
+      expect(res.body.detail).toBe('Book not found');
     });
 
     it('should return 403 if user is not the book creator', async () => {
@@ -193,11 +705,194 @@ describe('Book Routes', () => {
         .send({ title: 'Updated Book', author: 'Updated Author', publishedYear: 2022 });
 
       expect(res.statusCode).toBe(403);
-      expect(res.body.message).toBe('You can only update books you added');
+      expect(res.body.detail).toBe('You can only update books you added');
+    });
+
+    it('should let a librarian update a book added by someone else', async () => {
+      mockUserRole = 'librarian';
+      const ownerId = new mongoose.Types.ObjectId();
+      const mockBook = {
+        _id: new mongoose.Types.ObjectId(),
+        title: 'Book',
+        author: 'Author',
+        publishedYear: 2021,
+        addedBy: ownerId
+      };
+      Book.findById.mockResolvedValue(mockBook);
+      Book.findOneAndUpdate.mockReturnValue({
+        populate: jest.fn().mockResolvedValue({ ...mockBook, title: 'Corrected Title' })
+      });
+
+      const res = await request(app)
+        .put(`/books/${mockBook._id}`)
+        .set('If-Match', ifMatch(mockBook))
+        .send({ title: 'Corrected Title', author: 'Author', publishedYear: 2021 });
+
+      expect(res.statusCode).toBe(200);
+      expect(Book.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: mockBook._id, __v: mockBook.__v },
+        expect.objectContaining({ title: 'Corrected Title', addedBy: ownerId }),
+        { new: true, runValidators: true, session: 'mock-session' }
+      );
+    });
+  });
+
+  describe('If-Match on writes', () => {
+    const mockBook = () => ({
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Book',
+      author: 'Author',
+      publishedYear: 2021,
+      addedBy: mockUserId,
+      __v: 4,
+    });
+
+    it('should require If-Match', async () => {
+      const book = mockBook();
+      Book.findById.mockResolvedValue(book);
+
+      const res = await request(app).patch(`/books/${book._id}`).send({ title: 'New' });
+
+      expect(res.statusCode).toBe(428);
+      expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 412 when the book changed since the client fetched it', async () => {
+      const book = mockBook();
+      Book.findById.mockResolvedValue(book);
+
+      const res = await request(app).delete(`/books/${book._id}`).set('If-Match', `"${book._id}-3"`);
+
+      expect(res.statusCode).toBe(412);
+      expect(res.body.detail).toBe('Book has been modified since it was fetched');
+      expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 412 when another write lands between the check and the update', async () => {
+      const book = mockBook();
+      Book.findById.mockResolvedValue(book);
+      Book.findOneAndUpdate.mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(null) });
+
+      const res = await request(app).put(`/books/${book._id}`).set('If-Match', ifMatch(book))
+        .send({ title: 'New', author: 'Author', publishedYear: 2021 });
+
+      expect(res.statusCode).toBe(412);
+      expect(Book.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: book._id, __v: 4 });
+      expect(BookRevision.create).not.toHaveBeenCalled();
+    });
+
+    it('should accept a wildcard', async () => {
+      const book = mockBook();
+      Book.findById.mockResolvedValue(book);
+      Book.findOneAndUpdate.mockReturnValueOnce({ populate: jest.fn().mockResolvedValue({ ...book, title: 'New', __v: 5 }) });
+
+      const res = await request(app).patch(`/books/${book._id}`).set('If-Match', '*').send({ title: 'New' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers.etag).toBe(`"${book._id}-5"`);
     });
   });
 
   describe('PATCH /books/:id', () => {
+    it('should replace the primary author and keep co-authors', async () => {
+      const mockBook = {
+        _id: new mongoose.Types.ObjectId(),
+        title: 'Good Omens',
+        author: 'Terry Pratchett',
+        authors: ['Terry Pratchett', 'Neil Gaiman'],
+        publishedYear: 1990,
+        addedBy: mockUserId,
+      };
+      Book.findById.mockResolvedValue(mockBook);
+      Book.findOneAndUpdate.mockReturnValue({ populate: jest.fn().mockResolvedValue(mockBook) });
+
+      const res = await request(app)
+        .patch(`/books/${mockBook._id}`)
+        .set('If-Match', ifMatch(mockBook))
+        .send({ author: 'T. Pratchett' });
+
+      expect(res.statusCode).toBe(200);
+      expect(Book.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: mockBook._id, __v: mockBook.__v },
+        {
+          $set: {
+            author: 'T. Pratchett',
+            authors: ['T. Pratchett', 'Neil Gaiman'],
+            authorIds: [expect.any(mongoose.Types.ObjectId), expect.any(mongoose.Types.ObjectId)],
+          },
+        },
+        { new: true, runValidators: true, session: 'mock-session' }
+      );
+    });
+
+    it('should return 400 for an invalid cover image URL', async () => {
+      const mockBook = {
+        _id: new mongoose.Types.ObjectId(),
+        title: 'Book',
+        author: 'Author',
+        publishedYear: 2021,
+        addedBy: mockUserId
+      };
+      Book.findById.mockResolvedValue(mockBook);
+
+      const res = await request(app)
+        .patch(`/books/${mockBook._id}`)
+        .set('If-Match', ifMatch(mockBook))
+        .send({ coverImageUrl: 'javascript:alert(1)' });
+
+      expect(res.statusCode).toBe(400);
+      expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should adjust available copies along with total copies', async () => {
+      const mockBook = {
+        _id: new mongoose.Types.ObjectId(),
+        title: 'Book',
+        author: 'Author',
+        publishedYear: 2021,
+        addedBy: mockUserId,
+        totalCopies: 3,
+        availableCopies: 1
+      };
+      Book.findById.mockResolvedValue(mockBook);
+      Book.findOneAndUpdate.mockReturnValue({
+        populate: jest.fn().mockResolvedValue({ ...mockBook, totalCopies: 5, availableCopies: 3 })
+      });
+
+      const res = await request(app)
+        .patch(`/books/${mockBook._id}`)
+        .set('If-Match', ifMatch(mockBook))
+        .send({ totalCopies: 5 });
+
+      expect(res.statusCode).toBe(200);
+      expect(Book.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: mockBook._id, __v: mockBook.__v },
+        { $set: {}, $inc: { totalCopies: 2, availableCopies: 2 } },
+        { new: true, runValidators: true, session: 'mock-session' }
+      );
+    });
+
+    it('should return 409 when total copies drop below the copies on loan', async () => {
+      const mockBook = {
+        _id: new mongoose.Types.ObjectId(),
+        title: 'Book',
+        author: 'Author',
+        publishedYear: 2021,
+        addedBy: mockUserId,
+        totalCopies: 3,
+        availableCopies: 0
+      };
+      Book.findById.mockResolvedValue(mockBook);
+
+      const res = await request(app)
+        .patch(`/books/${mockBook._id}`)
+        .set('If-Match', ifMatch(mockBook))
+        .send({ totalCopies: 2 });
+
+      expect(res.statusCode).toBe(409);
+      expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
     it('should partially update a book successfully', async () => {
       const now = new Date();
       const mockBookId = new mongoose.Types.ObjectId();
@@ -216,12 +911,13 @@ describe('Book Routes', () => {
         updatedAt: new Date(now.getTime() + 1000)
       };
       Book.findById.mockResolvedValue(mockBook);
-      Book.findByIdAndUpdate.mockReturnValue({
+      Book.findOneAndUpdate.mockReturnValue({
         populate: jest.fn().mockResolvedValue(updatedMockBook)
       });
 
       const res = await request(app)
         .patch(`/books/${mockBookId}`)
+        .set('If-Match', ifMatch(mockBook))
         .send({ title: 'Updated Book' });
 
       expect(res.statusCode).toBe(200);
@@ -242,7 +938,7 @@ describe('Book Routes', () => {
         .send({ title: 'Updated Book' });
 
       expect(res.statusCode).toBe(404);
-      expect(res.body.message).toBe('Book not found');
+      expect(res.body.detail).toBe('Book not found');
     });
 
     it('should return 403 if user is not the book creator for PATCH', async () => {
@@ -260,7 +956,7 @@ describe('Book Routes', () => {
         .send({ title: 'Updated Book' });
 
       expect(res.statusCode).toBe(403);
-      expect(res.body.message).toBe('You can only update books you added');
+      expect(res.body.detail).toBe('You can only update books you added');
     });
 
     it('should return 400 if PATCH validation fails', async () => {
@@ -276,11 +972,263 @@ describe('Book Routes', () => {
 
       const res = await request(app)
         .patch(`/books/${mockBookId}`)
+        .set('If-Match', ifMatch(mockBook))
         .send({ publishedYear: 'invalid' });
 
       expect(res.statusCode).toBe(400);
       expect(res.body.errors).toBeDefined();
     });
+
+    describe('patch formats', () => {
+      let mockBook;
+
+      beforeEach(() => {
+        mockBook = {
+          _id: new mongoose.Types.ObjectId(),
+          title: 'Book',
+          author: 'Author',
+          authors: ['Author'],
+          publishedYear: 2021,
+          isbn: '9780306406157',
+          genres: ['Fantasy'],
+          addedBy: mockUserId,
+          totalCopies: 1,
+          availableCopies: 1
+        };
+        Book.findById.mockResolvedValue(mockBook);
+        Book.findOneAndUpdate.mockReturnValue({ populate: jest.fn().mockResolvedValue(mockBook) });
+      });
+
+      const patch = (contentType, body) => request(app)
+        .patch(`/books/${mockBook._id}`)
+        .set('If-Match', ifMatch(mockBook))
+        .set('Content-Type', contentType)
+        .send(JSON.stringify(body));
+
+      it('should apply a JSON Patch', async () => {
+        const res = await patch('application/json-patch+json', [
+          { op: 'test', path: '/title', value: 'Book' },
+          { op: 'replace', path: '/title', value: 'New Title' },
+          { op: 'add', path: '/genres/-', value: 'Humour' },
+          { op: 'remove', path: '/isbn' },
+        ]);
+
+        expect(res.statusCode).toBe(200);
+        expect(Book.findOneAndUpdate).toHaveBeenCalledWith(
+          { _id: mockBook._id, __v: mockBook.__v },
+          { $set: { title: 'New Title', genres: ['Fantasy', 'Humour'] }, $unset: { isbn: '' } },
+          { new: true, runValidators: true, session: 'mock-session' }
+        );
+      });
+
+      it('should return 409 when a JSON Patch test fails', async () => {
+        const res = await patch('application/json-patch+json', [
+          { op: 'test', path: '/title', value: 'Another Book' },
+          { op: 'replace', path: '/title', value: 'New Title' },
+        ]);
+
+        expect(res.statusCode).toBe(409);
+        expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 for a malformed JSON Patch', async () => {
+        const res = await patch('application/json-patch+json', [{ op: 'rename', path: '/title' }]);
+
+        expect(res.statusCode).toBe(400);
+        expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+      });
+
+      it('should remove fields set to null in a merge patch', async () => {
+        const res = await patch('application/merge-patch+json', { isbn: null, publisher: 'Gollancz' });
+
+        expect(res.statusCode).toBe(200);
+        expect(Book.findOneAndUpdate).toHaveBeenCalledWith(
+          { _id: mockBook._id, __v: mockBook.__v },
+          { $set: { publisher: 'Gollancz' }, $unset: { isbn: '' } },
+          { new: true, runValidators: true, session: 'mock-session' }
+        );
+      });
+
+      it('should validate the patched book as a whole', async () => {
+        const res = await patch('application/merge-patch+json', { title: null });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.errors).toEqual(expect.arrayContaining([expect.objectContaining({ path: 'title' })]));
+        expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+      });
+
+      it.each([
+        ['addedBy', { addedBy: new mongoose.Types.ObjectId().toString() }],
+        ['availableCopies', { availableCopies: 100 }],
+        ['unknown fields', { shelf: 'A1' }],
+      ])('should refuse to change %s', async (_, body) => {
+        const res = await patch('application/merge-patch+json', body);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.detail).toMatch(/cannot be changed/);
+        expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+      });
+
+      it('should return 415 for other media types', async () => {
+        const res = await patch('text/plain', { title: 'New Title' });
+
+        expect(res.statusCode).toBe(415);
+      });
+    });
+  });
+
+  describe('POST /books/batch', () => {
+    let ownBook;
+    let otherBook;
+
+    beforeEach(() => {
+      ownBook = { _id: new mongoose.Types.ObjectId(), title: 'Mine', author: 'Author', publishedYear: 2020, addedBy: mockUserId, __v: 2, totalCopies: 1, availableCopies: 1 };
+      otherBook = { _id: new mongoose.Types.ObjectId(), title: 'Theirs', author: 'Author', publishedYear: 2020, addedBy: new mongoose.Types.ObjectId(), __v: 0, totalCopies: 1, availableCopies: 1 };
+      const books = [ownBook, otherBook];
+      Book.findById.mockImplementation(async (id) => books.find((book) => book._id.equals(id)) || null);
+    });
+
+    it('should report the result of every operation', async () => {
+      const savedBook = { _id: new mongoose.Types.ObjectId(), title: 'Dune', author: 'Frank Herbert', publishedYear: 1965, addedBy: mockUserId, __v: 0 };
+      Book.prototype.save.mockResolvedValueOnce(savedBook);
+      Book.findOneAndUpdate.mockReturnValueOnce({ populate: jest.fn().mockResolvedValue({ ...ownBook, title: 'Still mine', __v: 3 }) });
+
+      const res = await request(app)
+        .post('/books/batch')
+        .send({
+          operations: [
+            { op: 'create', book: { title: 'Dune', author: 'Frank Herbert', publishedYear: 1965 } },
+            { op: 'update', id: ownBook._id, ifMatch: ifMatch(ownBook), patch: { title: 'Still mine' } },
+            { op: 'delete', id: otherBook._id, ifMatch: ifMatch(otherBook) },
+            { op: 'create', book: { title: '' } },
+          ],
+        });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.summary).toEqual({ total: 4, succeeded: 2, failed: 2 });
+      expect(res.body.results.map(({ index, op, status }) => [index, op, status])).toEqual([
+        [0, 'create', 201],
+        [1, 'update', 200],
+        [2, 'delete', 403],
+        [3, 'create', 400],
+      ]);
+      expect(res.body.results[0].bookId).toBe(savedBook._id.toString());
+      expect(res.body.results[1].etag).toBe(`"${ownBook._id}-3"`);
+      expect(res.body.results[2].message).toBe('You can only delete books you added');
+      expect(res.body.results[3].errors).toBeDefined();
+      expect(Book.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: ownBook._id, __v: ownBook.__v },
+        { $set: { title: 'Still mine' } },
+        { new: true, runValidators: true, session: 'mock-session' }
+      );
+    });
+
+    it('should report unexpected errors and run the remaining operations', async () => {
+      Book.prototype.save
+        .mockRejectedValueOnce(new Error('Connection lost'))
+        .mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId(), __v: 0 });
+
+      const res = await request(app)
+        .post('/books/batch')
+        .send({
+          operations: [
+            { op: 'create', book: { title: 'One', author: 'Author', publishedYear: 2001 } },
+            { op: 'create', book: { title: 'Two', author: 'Author', publishedYear: 2002 } },
+          ],
+        });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.summary).toEqual({ total: 2, succeeded: 1, failed: 1 });
+      expect(res.body.results[0]).toEqual({ index: 0, op: 'create', status: 500, code: 'internal_server_error', message: 'An unexpected error occurred' });
+      expect(res.body.results[1].status).toBe(201);
+    });
+
+    it('should require the ETag of books to update or delete', async () => {
+      const res = await request(app)
+        .post('/books/batch')
+        .send({
+          operations: [
+            { op: 'update', id: ownBook._id, patch: { title: 'New' } },
+            { op: 'delete', id: ownBook._id, ifMatch: `"${ownBook._id}-1"` },
+          ],
+        });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.results.map(({ status }) => status)).toEqual([428, 412]);
+      expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should let librarians change books added by others', async () => {
+      mockUserRole = 'librarian';
+      const deletedAt = new Date();
+      Book.findOneAndUpdate.mockResolvedValueOnce({ ...otherBook, deletedAt });
+
+      const res = await request(app)
+        .post('/books/batch')
+        .send({ operations: [{ op: 'delete', id: otherBook._id, ifMatch: '*' }] });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.results[0]).toMatchObject({ status: 200, bookId: otherBook._id.toString(), purgeAfter: expect.any(String) });
+    });
+
+    it('should roll back an atomic batch when an operation fails', async () => {
+      Book.findOneAndUpdate.mockReturnValueOnce({ populate: jest.fn().mockResolvedValue({ ...ownBook, __v: 3 }) });
+
+      const res = await request(app)
+        .post('/books/batch')
+        .send({
+          atomic: true,
+          operations: [
+            { op: 'update', id: ownBook._id, ifMatch: ifMatch(ownBook), patch: { totalCopies: 2 } },
+            { op: 'update', id: new mongoose.Types.ObjectId(), ifMatch: '*', patch: { title: 'Gone' } },
+            { op: 'delete', id: ownBook._id, ifMatch: '*' },
+          ],
+        });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.atomic).toBe(true);
+      expect(res.body.summary).toEqual({ total: 3, succeeded: 0, failed: 3 });
+      expect(res.body.results.map(({ status }) => status)).toEqual([424, 404, 424]);
+      expect(res.body.results[1].message).toBe('Book not found');
+      // The failed operation ends the batch
+      expect(Book.findById).toHaveBeenCalledTimes(2);
+    });
+
+    it('should run an atomic batch in a single transaction', async () => {
+      Book.prototype.save
+        .mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId(), __v: 0 })
+        .mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId(), __v: 0 });
+
+      const res = await request(app)
+        .post('/books/batch')
+        .send({
+          atomic: true,
+          operations: [
+            { op: 'create', book: { title: 'One', author: 'Author', publishedYear: 2001 } },
+            { op: 'create', book: { title: 'Two', author: 'Author', publishedYear: 2002 } },
+          ],
+        });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.summary).toEqual({ total: 2, succeeded: 2, failed: 0 });
+      expect(withTransaction).toHaveBeenCalledTimes(3);
+      expect(withTransaction.mock.calls.slice(1).map(([, options]) => options)).toEqual([
+        { session: 'mock-session' },
+        { session: 'mock-session' },
+      ]);
+    });
+
+    it.each([
+      ['no operations', {}],
+      ['an empty list', { operations: [] }],
+      ['an unknown operation', { operations: [{ op: 'rename' }] }],
+      ['a non-boolean atomic flag', { atomic: 'yes', operations: [{ op: 'delete' }] }],
+    ])('should return 400 for %s', async (_, body) => {
+      const res = await request(app).post('/books/batch').send(body);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors).toBeDefined();
+    });
   });
 
   describe('DELETE /books/:id', () => {
@@ -297,12 +1245,19 @@ describe('Book Routes', () => {
         updatedAt: now
       };
       Book.findById.mockResolvedValue(mockBook);
-      Book.findByIdAndDelete.mockResolvedValue(mockBook);
+      Book.findOneAndUpdate.mockImplementationOnce(async (filter, update) => ({ ...mockBook, ...update.$set }));
 
-      const res = await request(app).delete(`/books/${mockBookId}`);
+      const res = await request(app).delete(`/books/${mockBookId}`).set('If-Match', ifMatch(mockBook));
 
       expect(res.statusCode).toBe(200);
       expect(res.body.message).toBe('Book deleted successfully');
+      expect(res.body.purgeAfter).toBeDefined();
+      expect(Book.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: mockBookId.toString(), deletedAt: null, __v: undefined },
+        { $set: { deletedAt: expect.any(Date), deletedBy: mockUserId } },
+        { new: true, session: 'mock-session' }
+      );
+      expect(Book.findByIdAndDelete).not.toHaveBeenCalled();
     });
 
     it('should return 404 if book not found for deletion', async () => {
@@ -311,7 +1266,7 @@ describe('Book Routes', () => {
       const res = await request(app).delete(`/books/${new mongoose.Types.ObjectId()}`);
 
       expect(res.statusCode).toBe(404);
-      expect(res.body.message).toBe('Book not found');
+      expect(res.body.detail).toBe('Book not found');
     });
 
     it('should return 403 if user is not the book creator for deletion', async () => {
@@ -327,7 +1282,228 @@ describe('Book Routes', () => {
       const res = await request(app).delete(`/books/${mockBook._id}`);
 
       expect(res.statusCode).toBe(403);
-      expect(res.body.message).toBe('You can only delete books you added');
+      expect(res.body.detail).toBe('You can only delete books you added');
+    });
+
+    it('should let an admin delete a book added by someone else', async () => {
+      mockUserRole = 'admin';
+      const mockBook = {
+        _id: new mongoose.Types.ObjectId(),
+        title: 'Book',
+        author: 'Author',
+        publishedYear: 2021,
+        addedBy: new mongoose.Types.ObjectId()
+      };
+      Book.findById.mockResolvedValue(mockBook);
+      Book.findOneAndUpdate.mockResolvedValueOnce({ ...mockBook, deletedAt: new Date() });
+
+      const res = await request(app).delete(`/books/${mockBook._id}`).set('If-Match', ifMatch(mockBook));
+
+      expect(res.statusCode).toBe(200);
+      expect(Book.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: mockBook._id.toString(), deletedAt: null, __v: undefined });
+    });
+  });
+
+  describe('GET /books/trash', () => {
+    const mockTrashQuery = (books) => {
+      const chain = {
+        sort: jest.fn(() => chain),
+        skip: jest.fn(() => chain),
+        limit: jest.fn(() => chain),
+        populate: jest.fn(() => chain),
+        lean: jest.fn(() => Promise.resolve(books)),
+      };
+      return chain;
+    };
+
+    it('should list only the books a member deleted from their own additions', async () => {
+      const deletedAt = new Date('2024-03-01T00:00:00Z');
+      Book.countDocuments.mockResolvedValueOnce(1);
+      Book.find.mockReturnValueOnce(mockTrashQuery([{ title: 'Gone', deletedAt }]));
+
+      const res = await request(app).get('/books/trash');
+
+      expect(res.statusCode).toBe(200);
+      expect(Book.find).toHaveBeenCalledWith({ deletedAt: { $ne: null }, addedBy: mockUserId });
+      expect(res.body.data[0].purgeAfter).toBe('2024-03-31T00:00:00.000Z');
+      expect(res.body.pagination).toEqual({ total: 1, limit: 20, page: 1, totalPages: 1 });
+    });
+
+    it('should list the whole trash for librarians', async () => {
+      mockUserRole = 'librarian';
+      Book.countDocuments.mockResolvedValueOnce(0);
+      Book.find.mockReturnValueOnce(mockTrashQuery([]));
+
+      const res = await request(app).get('/books/trash');
+
+      expect(res.statusCode).toBe(200);
+      expect(Book.find).toHaveBeenCalledWith({ deletedAt: { $ne: null } });
+    });
+  });
+
+  describe('POST /books/:id/restore', () => {
+    it('should restore a book from the trash', async () => {
+      const bookId = new mongoose.Types.ObjectId();
+      Book.findOne.mockResolvedValueOnce({ _id: bookId, addedBy: mockUserId, deletedAt: new Date() });
+      Book.findOneAndUpdate.mockResolvedValueOnce({ _id: bookId, title: 'Back', deletedAt: null });
+
+      const res = await request(app).post(`/books/${bookId}/restore`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.deletedAt).toBeNull();
+      expect(Book.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: bookId.toString(), deletedAt: { $ne: null } },
+        { $set: { deletedAt: null, deletedBy: null } },
+        { new: true, session: 'mock-session' }
+      );
+    });
+
+    it('should return 404 when the book is not in the trash', async () => {
+      Book.findOne.mockResolvedValueOnce(null);
+
+      const res = await request(app).post(`/books/${new mongoose.Types.ObjectId()}/restore`);
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.detail).toBe('Book not found in the trash');
+    });
+
+    it('should not let members restore books added by someone else', async () => {
+      const bookId = new mongoose.Types.ObjectId();
+      Book.findOne.mockResolvedValueOnce({ _id: bookId, addedBy: new mongoose.Types.ObjectId(), deletedAt: new Date() });
+
+      const res = await request(app).post(`/books/${bookId}/restore`);
+
+      expect(res.statusCode).toBe(403);
+      expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /books/:id/history', () => {
+    it('should list the revisions of a book, newest first', async () => {
+      const bookId = new mongoose.Types.ObjectId();
+      const revisions = [
+        { revision: 2, action: 'update', changes: [{ field: 'title', from: 'Old', to: 'New' }] },
+        { revision: 1, action: 'create', changes: [] },
+      ];
+      const chain = {
+        sort: jest.fn(() => chain),
+        skip: jest.fn(() => chain),
+        limit: jest.fn(() => chain),
+        populate: jest.fn(() => Promise.resolve(revisions)),
+      };
+      Book.findOne.mockResolvedValueOnce({ _id: bookId });
+      BookRevision.countDocuments.mockResolvedValueOnce(2);
+      BookRevision.find.mockReturnValueOnce(chain);
+
+      const res = await request(app).get(`/books/${bookId}/history`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toEqual(revisions);
+      expect(res.body.pagination).toEqual({ total: 2, limit: 20, page: 1, totalPages: 1 });
+      expect(Book.findOne).toHaveBeenCalledWith({ _id: bookId.toString() }, '_id', { withDeleted: true });
+      expect(chain.sort).toHaveBeenCalledWith({ revision: -1 });
+    });
+
+    it('should return 404 when the book does not exist', async () => {
+      Book.findOne.mockResolvedValueOnce(null);
+
+      const res = await request(app).get(`/books/${new mongoose.Types.ObjectId()}/history`);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('POST /books/:id/revert', () => {
+    const authorId = new mongoose.Types.ObjectId();
+    const mockBook = () => ({
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Newer Title',
+      author: 'Author',
+      authors: ['Author'],
+      authorIds: [authorId],
+      publishedYear: 2021,
+      genres: ['Fantasy'],
+      addedBy: mockUserId,
+    });
+
+    it('should undo the revisions after the requested one and record the revert', async () => {
+      const book = mockBook();
+      Book.findById.mockResolvedValueOnce(book);
+      BookRevision.findOne.mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId() });
+      BookRevision.find.mockResolvedValueOnce([
+        { changes: [{ field: 'title', from: 'Old Title', to: 'Newer Title' }] },
+        { changes: [{ field: 'genres', from: null, to: ['Fantasy'] }, { field: 'totalCopies', from: 1, to: 3 }] },
+      ]);
+      Author.find.mockResolvedValueOnce([{ _id: authorId, name: 'Author' }]);
+      Book.findOneAndUpdate.mockReturnValueOnce({
+        populate: jest.fn().mockResolvedValue({ ...book, title: 'Old Title', genres: [] }),
+      });
+      BookRevision.findOne.mockResolvedValueOnce({ revision: 4 });
+
+      const res = await request(app).post(`/books/${book._id}/revert`).set('If-Match', ifMatch(book)).send({ revision: 2 });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.title).toBe('Old Title');
+      const [, update] = Book.findOneAndUpdate.mock.calls[0];
+      expect(update.$set).toMatchObject({ title: 'Old Title', authorIds: [authorId] });
+      expect(update.$set).not.toHaveProperty('totalCopies');
+      expect(update.$unset).toMatchObject({ genres: '', isbn: '' });
+      expect(BookRevision.create).toHaveBeenCalledWith([expect.objectContaining({
+        revision: 5,
+        action: 'revert',
+        revertedTo: 2,
+        changes: [
+          { field: 'title', from: 'Newer Title', to: 'Old Title' },
+          { field: 'genres', from: ['Fantasy'], to: null },
+        ],
+      })], { session: 'mock-session' });
+    });
+
+    it('should return 409 when the book already matches the revision', async () => {
+      const book = mockBook();
+      Book.findById.mockResolvedValueOnce(book);
+      BookRevision.findOne.mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId() });
+      BookRevision.find.mockResolvedValueOnce([]);
+
+      const res = await request(app).post(`/books/${book._id}/revert`).set('If-Match', ifMatch(book)).send({ revision: 3 });
+
+      expect(res.statusCode).toBe(409);
+      expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the revision does not exist', async () => {
+      const book = mockBook();
+      Book.findById.mockResolvedValueOnce(book);
+      BookRevision.findOne.mockResolvedValueOnce(null);
+
+      const res = await request(app).post(`/books/${book._id}/revert`).set('If-Match', ifMatch(book)).send({ revision: 9 });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.detail).toBe('Revision not found');
+    });
+  });
+
+  describe('DELETE /books/trash', () => {
+    it('should purge books past the retention period', async () => {
+      mockUserRole = 'admin';
+      Book.deleteMany.mockResolvedValueOnce({ deletedCount: 4 });
+
+      const res = await request(app).delete('/books/trash');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ purged: 4 });
+      const { deletedAt } = Book.deleteMany.mock.calls[0][0];
+      expect(deletedAt.$ne).toBeNull();
+      expect(Date.now() - deletedAt.$lte.getTime()).toBeGreaterThanOrEqual(30 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should be limited to admins', async () => {
+      mockUserRole = 'librarian';
+
+      const res = await request(app).delete('/books/trash');
+
+      expect(res.statusCode).toBe(403);
+      expect(Book.deleteMany).not.toHaveBeenCalled();
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,37 @@
+describe('Config', () => {
+  const originalEnv = process.env;
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  const loadConfig = (env) => {
+    process.env = { ...originalEnv, ...env };
+    let config;
+    jest.isolateModules(() => {
+      config = require('../../src/config');
+    });
+    return config;
+  };
+
+  it('should keep an explicit 0 where it is meaningful', () => {
+    const config = loadConfig({ LOAN_MAX_RENEWALS: '0', FINE_DAILY_RATE: '0', FINE_BLOCK_THRESHOLD: '0' });
+
+    expect(config.loans.maxRenewals).toBe(0);
+    expect(config.fines.dailyRate).toBe(0);
+    expect(config.fines.blockThreshold).toBe(0);
+  });
+
+  it('should use the defaults for unset or non-numeric values', () => {
+    const config = loadConfig({ LOAN_MAX_RENEWALS: 'many', FINE_DAILY_RATE: '' });
+
+    expect(config.loans.maxRenewals).toBe(2);
+    expect(config.fines.dailyRate).toBe(25);
+    expect(config.fines.blockThreshold).toBe(500);
+  });
+
+  it('should refuse values below the minimum of a setting', () => {
+    expect(() => loadConfig({ HOLD_SWEEP_INTERVAL_MINUTES: '0' })).toThrow('HOLD_SWEEP_INTERVAL_MINUTES must be at least 1, got 0');
+    expect(() => loadConfig({ FINE_DAILY_RATE: '-5' })).toThrow('FINE_DAILY_RATE must be at least 0, got -5');
+  });
+});
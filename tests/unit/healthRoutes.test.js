@@ -0,0 +1,130 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const Book = require('../../src/models/bookModel');
+const Loan = require('../../src/models/loanModel');
+const config = require('../../src/config');
+const healthRoutes = require('../../src/routes/healthRoutes');
+const httpMetrics = require('../../src/middleware/httpMetrics');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { NotFoundError } = require('../../src/utils/errors');
+
+// Mock dependencies
+jest.mock('../../src/models/bookModel');
+jest.mock('../../src/models/loanModel');
+jest.mock('../../src/config', () => ({
+  logging: { level: 'info', redactPaths: [] },
+  metrics: { token: '' },
+}));
+
+const widgets = express.Router();
+widgets.get('/:id', (req, res, next) => {
+  if (req.params.id === 'missing') return next(new NotFoundError('Widget not found'));
+  res.json({ id: req.params.id });
+});
+
+const app = express();
+app.use(healthRoutes);
+app.use(httpMetrics);
+app.use('/api/v2/widgets', widgets);
+app.use(errorHandler);
+
+// There is no server, the connection only reports the given state
+const setReadyState = (state) => {
+  mongoose.connection.readyState = state;
+};
+
+describe('Health routes', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    setReadyState(mongoose.ConnectionStates.disconnected);
+    config.metrics.token = '';
+  });
+
+  describe('GET /healthz', () => {
+    it('should answer while the database is down', async () => {
+      setReadyState(mongoose.ConnectionStates.disconnected);
+
+      const res = await request(app).get('/healthz');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ status: 'ok' });
+    });
+  });
+
+  describe('GET /readyz', () => {
+    it('should be ready once connected to MongoDB', async () => {
+      setReadyState(mongoose.ConnectionStates.connected);
+
+      const res = await request(app).get('/readyz');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ status: 'ok', checks: { mongo: 'connected' } });
+    });
+
+    it('should not be ready while connecting', async () => {
+      setReadyState(mongoose.ConnectionStates.connecting);
+
+      const res = await request(app).get('/readyz');
+
+      expect(res.statusCode).toBe(503);
+      expect(res.body).toEqual({ status: 'unavailable', checks: { mongo: 'connecting' } });
+    });
+  });
+
+  describe('GET /metrics', () => {
+    it('should report requests by route pattern, including failed ones', async () => {
+      setReadyState(mongoose.ConnectionStates.disconnected);
+      await request(app).get('/api/v2/widgets/1').expect(200);
+      await request(app).get('/api/v2/widgets/2').expect(200);
+      await request(app).get('/api/v2/widgets/missing').expect(404);
+      await request(app).get('/nowhere').expect(404);
+
+      const res = await request(app).get('/metrics');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/plain/);
+      expect(res.text).toContain('http_request_duration_seconds_count{method="GET",route="/api/v2/widgets/:id",status_code="200"} 2');
+      expect(res.text).toContain('http_request_duration_seconds_count{method="GET",route="/api/v2/widgets/:id",status_code="404"} 1');
+      expect(res.text).toContain('http_request_duration_seconds_count{method="GET",route="unmatched",status_code="404"} 1');
+      expect(res.text).not.toContain('route="/metrics"');
+      expect(res.text).toContain('process_cpu_seconds_total');
+    });
+
+    it('should count books and loans while connected', async () => {
+      setReadyState(mongoose.ConnectionStates.connected);
+      Book.countDocuments.mockResolvedValueOnce(42).mockResolvedValueOnce(3);
+      Loan.countDocuments.mockResolvedValueOnce(7).mockResolvedValueOnce(2);
+
+      const res = await request(app).get('/metrics');
+
+      expect(res.text).toContain('library_books{state="catalog"} 42');
+      expect(res.text).toContain('library_books{state="trash"} 3');
+      expect(res.text).toContain('library_loans{state="active"} 7');
+      expect(res.text).toContain('library_loans{state="overdue"} 2');
+      expect(Loan.countDocuments).toHaveBeenCalledWith({ returnedAt: null, dueAt: { $lt: expect.any(Date) } });
+    });
+
+    it('should not query the database while disconnected', async () => {
+      setReadyState(mongoose.ConnectionStates.disconnected);
+
+      const res = await request(app).get('/metrics');
+
+      expect(res.statusCode).toBe(200);
+      expect(Book.countDocuments).not.toHaveBeenCalled();
+    });
+
+    it('should require the metrics token when one is configured', async () => {
+      config.metrics.token = 'scrape-secret';
+
+      const missing = await request(app).get('/metrics');
+      const wrong = await request(app).get('/metrics').set('Authorization', 'Bearer nope');
+      const valid = await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret');
+
+      expect(missing.statusCode).toBe(401);
+      expect(missing.headers['content-type']).toMatch(/^application\/problem\+json/);
+      expect(wrong.statusCode).toBe(401);
+      expect(valid.statusCode).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const Hold = require('../../src/models/holdModel');
+const Book = require('../../src/models/bookModel');
+const Loan = require('../../src/models/loanModel');
+const holdRoutes = require('../../src/routes/holdRoutes');
+const errorHandler = require('../../src/middleware/errorHandler');
+
+const mockUserId = new mongoose.Types.ObjectId();
+let mockUserRole = 'member';
+
+// Mock dependencies
+jest.mock('../../src/models/holdModel');
+jest.mock('../../src/models/bookModel');
+jest.mock('../../src/models/loanModel');
+jest.mock('../../src/utils/transaction', () => ({
+  withTransaction: jest.fn((work) => work('mock-session')),
+}));
+jest.mock('../../src/middleware/auth', () => {
+  return jest.fn((req, res, next) => {
+    req.user = { _id: mockUserId, username: 'testuser', role: mockUserRole };
+    next();
+  });
+});
+
+const app = express();
+app.use(express.json());
+app.use('/books/:id/holds', holdRoutes);
+app.use(errorHandler);
+
+describe('Hold Routes', () => {
+  const bookId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    Hold.find.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    mockUserRole = 'member';
+  });
+
+  describe('POST /books/:id/holds', () => {
+    it('should add the user to the end of the queue', async () => {
+      const createdAt = new Date();
+      Book.findOne.mockResolvedValue({ _id: bookId, availableCopies: 0 });
+      Hold.findOne.mockResolvedValue(null);
+      Loan.findOne.mockResolvedValue(null);
+      Hold.create.mockImplementation(async ([data]) => [{ _id: new mongoose.Types.ObjectId(), createdAt, ...data }]);
+      Hold.countDocuments.mockResolvedValue(2);
+
+      const res = await request(app).post(`/books/${bookId}/holds`);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toMatchObject({ book: bookId.toString(), user: mockUserId.toString(), status: 'waiting', position: 3 });
+      expect(Hold.create).toHaveBeenCalledWith([{ book: bookId.toString(), user: mockUserId, status: 'waiting' }], { session: 'mock-session' });
+    });
+
+    it('should return 409 when copies are available', async () => {
+      Book.findOne.mockResolvedValue({ _id: bookId, availableCopies: 2 });
+
+      const res = await request(app).post(`/books/${bookId}/holds`);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.detail).toBe('Book has available copies, check it out instead');
+      expect(Hold.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when the user already has a hold', async () => {
+      Book.findOne.mockResolvedValue({ _id: bookId, availableCopies: 0 });
+      Hold.findOne.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      const res = await request(app).post(`/books/${bookId}/holds`);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.detail).toBe('You already have a hold on this book');
+    });
+
+    it('should return 404 when the book does not exist', async () => {
+      Book.findOne.mockResolvedValue(null);
+
+      const res = await request(app).post(`/books/${bookId}/holds`);
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should return 400 for an invalid book ID', async () => {
+      const res = await request(app).post('/books/not-an-id/holds');
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should expire uncollected holds before joining the queue', async () => {
+      const expired = { _id: new mongoose.Types.ObjectId(), book: bookId };
+      Hold.find.mockResolvedValue([expired]);
+      Hold.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      Hold.findOne.mockResolvedValue(null);
+      Book.findOne.mockResolvedValue({ _id: bookId, availableCopies: 1 });
+
+      const res = await request(app).post(`/books/${bookId}/holds`);
+
+      expect(Hold.updateOne).toHaveBeenCalledWith(
+        { _id: expired._id, status: 'ready' },
+        { $set: { status: 'expired', closedAt: expect.any(Date) } },
+        { session: 'mock-session' }
+      );
+      expect(Book.updateOne).toHaveBeenCalledWith({ _id: bookId }, { $inc: { availableCopies: 1 } }, { session: 'mock-session' });
+      expect(res.statusCode).toBe(409);
+    });
+  });
+
+  describe('DELETE /books/:id/holds', () => {
+    it('should cancel a waiting hold', async () => {
+      Hold.findOneAndUpdate.mockResolvedValue({ _id: new mongoose.Types.ObjectId(), status: 'waiting' });
+
+      const res = await request(app).delete(`/books/${bookId}/holds`);
+
+      expect(res.statusCode).toBe(200);
+      expect(Book.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should pass the copy of a cancelled ready hold to the next member', async () => {
+      Hold.findOneAndUpdate.mockResolvedValue({ _id: new mongoose.Types.ObjectId(), status: 'ready' });
+      Hold.findOne.mockResolvedValue(null);
+
+      const res = await request(app).delete(`/books/${bookId}/holds`);
+
+      expect(res.statusCode).toBe(200);
+      expect(Book.updateOne).toHaveBeenCalledWith({ _id: bookId.toString() }, { $inc: { availableCopies: 1 } }, { session: 'mock-session' });
+      expect(Hold.findOne).toHaveBeenCalledWith({ book: bookId.toString(), status: 'waiting' }, null, expect.any(Object));
+    });
+
+    it('should return 404 without an active hold', async () => {
+      Hold.findOneAndUpdate.mockResolvedValue(null);
+
+      const res = await request(app).delete(`/books/${bookId}/holds`);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('GET /books/:id/holds', () => {
+    it('should list the queue in order for librarians', async () => {
+      mockUserRole = 'librarian';
+      const holds = [
+        { _id: new mongoose.Types.ObjectId(), status: 'ready' },
+        { _id: new mongoose.Types.ObjectId(), status: 'waiting' },
+        { _id: new mongoose.Types.ObjectId(), status: 'waiting' },
+      ];
+      const chain = {
+        sort: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockResolvedValue(holds),
+      };
+      Hold.find.mockResolvedValueOnce([]).mockReturnValueOnce(chain);
+
+      const res = await request(app).get(`/books/${bookId}/holds`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.map((hold) => hold.position)).toEqual([0, 1, 2]);
+    });
+
+    it('should return 403 for members', async () => {
+      const res = await request(app).get(`/books/${bookId}/holds`);
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const request = require('supertest');
+const express = require('express');
+const jsonBody = require('../../src/middleware/jsonBody');
+const errorHandler = require('../../src/middleware/errorHandler');
+
+jest.mock('../../src/config', () => ({
+  logging: { level: 'info', redactPaths: [] },
+  import: { maxUploadSize: '1mb' },
+  batch: { maxUploadSize: '1mb' },
+}));
+
+const app = express();
+app.use(jsonBody);
+app.post('*', (req, res) => res.json({ received: Array.isArray(req.body) ? req.body.length : Object.keys(req.body).length }));
+app.use(errorHandler);
+
+// A JSON array of about 300kb, over the 100kb default
+const largeBody = Array.from({ length: 3000 }, (_, i) => ({ title: `Book ${i}`, author: 'A. Author', description: 'x'.repeat(60) }));
+
+describe('JSON body parsing', () => {
+  it('should accept imports up to IMPORT_MAX_UPLOAD_SIZE', async () => {
+    const res = await request(app).post('/api/v2/books/import').send(largeBody);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.received).toBe(3000);
+  });
+
+  it('should accept batches up to BATCH_MAX_UPLOAD_SIZE', async () => {
+    const res = await request(app).post('/api/v2/books/batch').send({ operations: largeBody });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.received).toBe(1);
+  });
+
+  it('should keep the default limit on other routes', async () => {
+    const res = await request(app).post('/api/v2/books').send(largeBody);
+
+    expect(res.statusCode).toBe(413);
+  });
+});
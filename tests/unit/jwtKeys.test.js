@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { decodeProtectedHeader } = require('jose');
+const { loadKeyRing, setKeyRing, resolveVerificationKey, getJwks } = require('../../src/utils/jwtKeys');
+const { signAccessToken, verifyAccessToken } = require('../../src/utils/tokens');
+
+// Mock dependencies
+jest.mock('../../src/models/sessionModel');
+jest.mock('../../src/models/refreshTokenModel');
+
+const writePrivateKey = (dir, kid, type, options = {}) => {
+  const { privateKey } = crypto.generateKeyPairSync(type, options);
+  fs.writeFileSync(path.join(dir, `${kid}.pem`), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+};
+
+const writePublicKey = (dir, kid, publicKey) => {
+  fs.writeFileSync(path.join(dir, `${kid}.pem`), publicKey.export({ type: 'spki', format: 'pem' }));
+};
+
+describe('JWT keys', () => {
+  let keysDir;
+
+  beforeEach(() => {
+    keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+    setKeyRing(null);
+  });
+
+  it('should sign with the only private key and verify with every key', () => {
+    writePrivateKey(keysDir, 'current', 'ed25519');
+    writePublicKey(keysDir, 'retired', crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).publicKey);
+
+    const ring = loadKeyRing({ keysDir });
+
+    expect(ring.signingKey).toMatchObject({ kid: 'current', alg: 'EdDSA' });
+    expect([...ring.keys.keys()]).toEqual(['current', 'retired']);
+    expect(ring.keys.get('retired')).toMatchObject({ alg: 'RS256', privateKey: null });
+  });
+
+  it('should require a key id when several private keys can sign', () => {
+    writePrivateKey(keysDir, 'first', 'ed25519');
+    writePrivateKey(keysDir, 'second', 'ed25519');
+
+    expect(() => loadKeyRing({ keysDir })).toThrow('JWT_SIGNING_KEY_ID');
+    expect(loadKeyRing({ keysDir, signingKeyId: 'second' }).signingKey.kid).toBe('second');
+    expect(() => loadKeyRing({ keysDir, signingKeyId: 'missing' })).toThrow('has no private key');
+  });
+
+  it('should refuse keys that are too weak or of an unsupported type', () => {
+    writePrivateKey(keysDir, 'short', 'rsa', { modulusLength: 1024 });
+    expect(() => loadKeyRing({ keysDir })).toThrow('shorter than 2048 bits');
+
+    fs.rmSync(path.join(keysDir, 'short.pem'));
+    writePrivateKey(keysDir, 'curve', 'ec', { namedCurve: 'P-256' });
+    expect(() => loadKeyRing({ keysDir })).toThrow('Unsupported JWT key type "ec"');
+  });
+
+  it('should fail in production without keys and use a temporary key elsewhere', () => {
+    expect(() => loadKeyRing({ keysDir: '', production: true })).toThrow('No JWT signing key configured');
+
+    const ring = loadKeyRing({ keysDir: '', production: false });
+    expect(ring.signingKey.kid).toMatch(/^temporary-/);
+    expect(ring.signingKey.privateKey).not.toBeNull();
+  });
+
+  it('should keep verifying tokens of the previous key after a rotation', async () => {
+    writePrivateKey(keysDir, 'old', 'rsa', { modulusLength: 2048 });
+    writePrivateKey(keysDir, 'new', 'ed25519');
+    const user = { _id: '60d0fe4f5311236168a109ca' };
+    const session = { _id: '60d0fe4f5311236168a109cb' };
+
+    setKeyRing(loadKeyRing({ keysDir, signingKeyId: 'old' }));
+    const oldToken = await signAccessToken(user, session);
+    setKeyRing(loadKeyRing({ keysDir, signingKeyId: 'new' }));
+    const newToken = await signAccessToken(user, session);
+
+    expect(decodeProtectedHeader(oldToken)).toMatchObject({ alg: 'RS256', kid: 'old' });
+    expect(decodeProtectedHeader(newToken)).toMatchObject({ alg: 'EdDSA', kid: 'new' });
+    await expect(verifyAccessToken(oldToken)).resolves.toMatchObject({ sub: user._id, sid: session._id });
+    await expect(verifyAccessToken(newToken)).resolves.toMatchObject({ sub: user._id, sid: session._id });
+
+    // Once the old key is gone its tokens no longer verify
+    fs.rmSync(path.join(keysDir, 'old.pem'));
+    setKeyRing(loadKeyRing({ keysDir }));
+    await expect(verifyAccessToken(oldToken)).rejects.toThrow('No RS256 verification key "old"');
+  });
+
+  it('should only resolve a key for the algorithm it is used with', () => {
+    writePrivateKey(keysDir, 'current', 'ed25519');
+    setKeyRing(loadKeyRing({ keysDir }));
+
+    expect(resolveVerificationKey({ kid: 'current', alg: 'EdDSA' }).type).toBe('public');
+    expect(() => resolveVerificationKey({ kid: 'current', alg: 'RS256' })).toThrow();
+    expect(() => resolveVerificationKey({ kid: 'unknown', alg: 'EdDSA' })).toThrow();
+  });
+
+  it('should publish only the public halves of the keys', () => {
+    writePrivateKey(keysDir, 'current', 'ed25519');
+    setKeyRing(loadKeyRing({ keysDir }));
+
+    const { keys } = getJwks();
+
+    expect(keys).toEqual([{ kty: 'OKP', crv: 'Ed25519', x: expect.any(String), kid: 'current', alg: 'EdDSA', use: 'sig' }]);
+  });
+});
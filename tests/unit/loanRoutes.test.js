@@ -0,0 +1,376 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const Loan = require('../../src/models/loanModel');
+const Book = require('../../src/models/bookModel');
+const User = require('../../src/models/userModel');
+const Hold = require('../../src/models/holdModel');
+const LedgerEntry = require('../../src/models/ledgerEntryModel');
+const { withTransaction } = require('../../src/utils/transaction');
+const loanRoutes = require('../../src/routes/loanRoutes');
+const errorHandler = require('../../src/middleware/errorHandler');
+
+const mockUserId = new mongoose.Types.ObjectId();
+let mockUserRole = 'member';
+
+// Mock dependencies
+jest.mock('../../src/models/loanModel');
+jest.mock('../../src/models/bookModel');
+jest.mock('../../src/models/userModel');
+jest.mock('../../src/models/holdModel');
+jest.mock('../../src/models/ledgerEntryModel');
+jest.mock('../../src/utils/transaction', () => ({
+  withTransaction: jest.fn((work) => work('mock-session')),
+}));
+jest.mock('../../src/middleware/auth', () => {
+  return jest.fn((req, res, next) => {
+    req.user = { _id: mockUserId, username: 'testuser', role: mockUserRole };
+    next();
+  });
+});
+
+const app = express();
+app.use(express.json());
+app.use('/loans', loanRoutes);
+app.use(errorHandler);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Loan Routes', () => {
+  beforeEach(() => {
+    Hold.find.mockResolvedValue([]);
+    Loan.find.mockResolvedValue([]);
+    User.findOneAndUpdate.mockResolvedValue({ _id: mockUserId, fineBalance: 0 });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    mockUserRole = 'member';
+  });
+
+  describe('POST /loans', () => {
+    const bookId = new mongoose.Types.ObjectId();
+
+    it('should check out an available copy inside a transaction', async () => {
+      const loanId = new mongoose.Types.ObjectId();
+      Loan.countDocuments.mockResolvedValue(0);
+      Loan.findOne.mockResolvedValue(null);
+      Book.findOneAndUpdate.mockResolvedValue({ _id: bookId, availableCopies: 0, totalCopies: 1 });
+      Loan.create.mockImplementation(async ([data]) => [{ _id: loanId, renewals: 0, returnedAt: null, ...data }]);
+
+      const res = await request(app).post('/loans').send({ bookId: bookId.toString() });
+
+      expect(res.statusCode).toBe(201);
+      expect(withTransaction).toHaveBeenCalledTimes(1);
+      expect(Book.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: bookId.toString(), availableCopies: { $gt: 0 } },
+        { $inc: { availableCopies: -1 } },
+        { new: true, session: 'mock-session' }
+      );
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: mockUserId },
+        { $set: { lastCheckoutAt: expect.any(Date) } },
+        { new: true, session: 'mock-session', projection: 'fineBalance disabledAt' }
+      );
+      expect(res.body).toMatchObject({ _id: loanId.toString(), user: mockUserId.toString(), overdue: false });
+      const loanDays = (new Date(res.body.dueAt) - new Date(res.body.checkedOutAt)) / DAY_MS;
+      expect(loanDays).toBe(14);
+    });
+
+    it('should use the copy set aside by a ready hold', async () => {
+      Loan.countDocuments.mockResolvedValue(0);
+      Loan.findOne.mockResolvedValue(null);
+      Hold.findOneAndUpdate.mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId(), status: 'fulfilled' });
+      Loan.create.mockImplementation(async ([data]) => [{ _id: new mongoose.Types.ObjectId(), ...data }]);
+
+      const res = await request(app).post('/loans').send({ bookId: bookId.toString() });
+
+      expect(res.statusCode).toBe(201);
+      expect(Hold.findOneAndUpdate).toHaveBeenCalledWith(
+        { user: mockUserId, book: bookId.toString(), status: 'ready', expiresAt: { $gt: expect.any(Date) } },
+        { $set: { status: 'fulfilled', closedAt: expect.any(Date) } },
+        { new: true, session: 'mock-session' }
+      );
+      expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when no copies are available', async () => {
+      Loan.countDocuments.mockResolvedValue(0);
+      Loan.findOne.mockResolvedValue(null);
+      Book.findOneAndUpdate.mockResolvedValue(null);
+      Book.findOne.mockResolvedValue({ _id: bookId });
+
+      const res = await request(app).post('/loans').send({ bookId: bookId.toString() });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.detail).toBe('No copies of this book are available');
+      expect(Loan.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the book does not exist', async () => {
+      Loan.countDocuments.mockResolvedValue(0);
+      Loan.findOne.mockResolvedValue(null);
+      Book.findOneAndUpdate.mockResolvedValue(null);
+      Book.findOne.mockResolvedValue(null);
+
+      const res = await request(app).post('/loans').send({ bookId: bookId.toString() });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.detail).toBe('Book not found');
+    });
+
+    it('should return 403 when outstanding fines exceed the threshold', async () => {
+      User.findOneAndUpdate.mockResolvedValueOnce({ _id: mockUserId, fineBalance: 501 });
+
+      const res = await request(app).post('/loans').send({ bookId: bookId.toString() });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.detail).toBe('Checkouts are blocked until outstanding fines are paid');
+      expect(Loan.create).not.toHaveBeenCalled();
+    });
+
+    it('should accrue fines on overdue loans before checking the balance', async () => {
+      const overdueLoan = { _id: new mongoose.Types.ObjectId(), user: mockUserId, dueAt: new Date(Date.now() - 30 * DAY_MS), fineAccrued: 0 };
+      Loan.find.mockResolvedValueOnce([overdueLoan]);
+      Loan.findOneAndUpdate.mockResolvedValueOnce(overdueLoan);
+      LedgerEntry.create.mockImplementation(async ([data]) => [data]);
+      User.findOneAndUpdate.mockResolvedValueOnce({ _id: mockUserId, fineBalance: 750 });
+
+      const res = await request(app).post('/loans').send({ bookId: bookId.toString() });
+
+      expect(Loan.find).toHaveBeenCalledWith({ returnedAt: null, dueAt: { $lt: expect.any(Date) }, user: mockUserId }, 'user dueAt returnedAt fineAccrued');
+      // 30 days at 25 cents, capped at 1000
+      expect(LedgerEntry.create).toHaveBeenCalledWith([expect.objectContaining({ user: mockUserId, type: 'fine', amount: 750, loan: overdueLoan._id })], { session: 'mock-session' });
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: mockUserId }, { $inc: { fineBalance: 750 } }, { session: 'mock-session' });
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should return 409 when the loan limit is reached', async () => {
+      Loan.countDocuments.mockResolvedValue(5);
+
+      const res = await request(app).post('/loans').send({ bookId: bookId.toString() });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.detail).toBe('Loan limit of 5 active loans reached');
+      expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 when a member checks out for someone else', async () => {
+      const res = await request(app)
+        .post('/loans')
+        .send({ bookId: bookId.toString(), userId: new mongoose.Types.ObjectId().toString() });
+
+      expect(res.statusCode).toBe(403);
+      expect(withTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when a librarian checks out for an unknown user', async () => {
+      mockUserRole = 'librarian';
+      User.findOneAndUpdate.mockResolvedValueOnce(null);
+
+      const res = await request(app)
+        .post('/loans')
+        .send({ bookId: bookId.toString(), userId: new mongoose.Types.ObjectId().toString() });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.detail).toBe('User not found');
+      expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(Loan.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 when checking out for a disabled account', async () => {
+      mockUserRole = 'librarian';
+      User.findOneAndUpdate.mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId(), fineBalance: 0, disabledAt: new Date() });
+
+      const res = await request(app)
+        .post('/loans')
+        .send({ bookId: bookId.toString(), userId: new mongoose.Types.ObjectId().toString() });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.code).toBe('account_disabled');
+      expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(Loan.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid book ID', async () => {
+      const res = await request(app).post('/loans').send({ bookId: 'nope' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors).toBeDefined();
+    });
+  });
+
+  describe('POST /loans/:id/return', () => {
+    it('should return a loan and release the copy', async () => {
+      const loan = { _id: new mongoose.Types.ObjectId(), book: new mongoose.Types.ObjectId(), user: mockUserId, dueAt: new Date(Date.now() + DAY_MS), returnedAt: null, renewals: 0 };
+      Loan.findById.mockResolvedValue(loan);
+      Loan.findOneAndUpdate.mockResolvedValue({ ...loan, returnedAt: new Date() });
+
+      const res = await request(app).post(`/loans/${loan._id}/return`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.returnedAt).toEqual(expect.any(String));
+      expect(Book.updateOne).toHaveBeenCalledWith({ _id: loan.book }, { $inc: { availableCopies: 1 } }, { session: 'mock-session' });
+    });
+
+    it('should charge the fine of an overdue loan on return', async () => {
+      const loan = { _id: new mongoose.Types.ObjectId(), book: new mongoose.Types.ObjectId(), user: mockUserId, dueAt: new Date(Date.now() - 3 * DAY_MS - 1000), returnedAt: null, renewals: 0, fineAccrued: 25 };
+      Loan.findById.mockResolvedValue(loan);
+      Loan.findOneAndUpdate.mockResolvedValueOnce({ ...loan, returnedAt: new Date() }).mockResolvedValueOnce(loan);
+      LedgerEntry.create.mockImplementation(async ([data]) => [data]);
+
+      const res = await request(app).post(`/loans/${loan._id}/return`);
+
+      expect(res.statusCode).toBe(200);
+      expect(Loan.findOneAndUpdate).toHaveBeenLastCalledWith(
+        { _id: loan._id, fineAccrued: 25 },
+        { $set: { fineAccrued: 75 } },
+        { session: 'mock-session' }
+      );
+      expect(LedgerEntry.create).toHaveBeenCalledWith([expect.objectContaining({ type: 'fine', amount: 50 })], { session: 'mock-session' });
+    });
+
+    it('should set the returned copy aside for the next hold in the queue', async () => {
+      const loan = { _id: new mongoose.Types.ObjectId(), book: new mongoose.Types.ObjectId(), user: mockUserId, returnedAt: null };
+      const nextHold = { _id: new mongoose.Types.ObjectId(), book: loan.book, user: new mongoose.Types.ObjectId(), status: 'waiting' };
+      Loan.findById.mockResolvedValue(loan);
+      Loan.findOneAndUpdate.mockResolvedValue({ ...loan, returnedAt: new Date() });
+      Hold.findOne.mockResolvedValueOnce(nextHold).mockResolvedValueOnce(null);
+      Book.findOneAndUpdate.mockResolvedValueOnce({ _id: loan.book, availableCopies: 0 });
+
+      const res = await request(app).post(`/loans/${loan._id}/return`);
+
+      expect(res.statusCode).toBe(200);
+      expect(Hold.findOne).toHaveBeenCalledWith(
+        { book: loan.book, status: 'waiting' },
+        null,
+        { session: 'mock-session', sort: { createdAt: 1, _id: 1 } }
+      );
+      expect(Hold.updateOne).toHaveBeenCalledWith(
+        { _id: nextHold._id, status: 'waiting' },
+        { $set: { status: 'ready', readyAt: expect.any(Date), expiresAt: expect.any(Date) } },
+        { session: 'mock-session' }
+      );
+      const [, update] = Hold.updateOne.mock.calls[0];
+      expect(update.$set.expiresAt - update.$set.readyAt).toBe(3 * DAY_MS);
+    });
+
+    it('should return 409 if the loan was already returned', async () => {
+      const loan = { _id: new mongoose.Types.ObjectId(), book: new mongoose.Types.ObjectId(), user: mockUserId, returnedAt: new Date() };
+      Loan.findById.mockResolvedValue(loan);
+      Loan.findOneAndUpdate.mockResolvedValue(null);
+
+      const res = await request(app).post(`/loans/${loan._id}/return`);
+
+      expect(res.statusCode).toBe(409);
+      expect(Book.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 for another user\'s loan', async () => {
+      Loan.findById.mockResolvedValue({ _id: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId() });
+
+      const res = await request(app).post(`/loans/${new mongoose.Types.ObjectId()}/return`);
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should let a librarian return another user\'s loan', async () => {
+      mockUserRole = 'librarian';
+      const loan = { _id: new mongoose.Types.ObjectId(), book: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId(), returnedAt: null };
+      Loan.findById.mockResolvedValue(loan);
+      Loan.findOneAndUpdate.mockResolvedValue({ ...loan, returnedAt: new Date() });
+
+      const res = await request(app).post(`/loans/${loan._id}/return`);
+
+      expect(res.statusCode).toBe(200);
+    });
+  });
+
+  describe('POST /loans/:id/renew', () => {
+    it('should extend the due date', async () => {
+      const dueAt = new Date(Date.now() + DAY_MS);
+      const loan = { _id: new mongoose.Types.ObjectId(), user: mockUserId, dueAt, returnedAt: null, renewals: 0 };
+      Loan.findById.mockResolvedValue(loan);
+      Loan.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...loan, renewals: 1, dueAt: update.$set.dueAt }));
+
+      const res = await request(app).post(`/loans/${loan._id}/renew`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.renewals).toBe(1);
+      expect(new Date(res.body.dueAt) - dueAt).toBe(14 * DAY_MS);
+      expect(Loan.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: loan._id, returnedAt: null, renewals: 0 });
+    });
+
+    it('should not renew overdue loans', async () => {
+      Loan.findById.mockResolvedValue({ _id: new mongoose.Types.ObjectId(), user: mockUserId, dueAt: new Date(Date.now() - DAY_MS), returnedAt: null, renewals: 0 });
+
+      const res = await request(app).post(`/loans/${new mongoose.Types.ObjectId()}/renew`);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.detail).toBe('Overdue loans cannot be renewed');
+    });
+
+    it('should not renew while other members are waiting', async () => {
+      Loan.findById.mockResolvedValue({ _id: new mongoose.Types.ObjectId(), book: new mongoose.Types.ObjectId(), user: mockUserId, dueAt: new Date(Date.now() + DAY_MS), returnedAt: null, renewals: 0 });
+      Hold.findOne.mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId() });
+
+      const res = await request(app).post(`/loans/${new mongoose.Types.ObjectId()}/renew`);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.detail).toBe('Loans cannot be renewed while other members are waiting for the book');
+    });
+
+    it('should not renew past the renewal limit', async () => {
+      Loan.findById.mockResolvedValue({ _id: new mongoose.Types.ObjectId(), user: mockUserId, dueAt: new Date(Date.now() + DAY_MS), returnedAt: null, renewals: 2 });
+
+      const res = await request(app).post(`/loans/${new mongoose.Types.ObjectId()}/renew`);
+
+      expect(res.statusCode).toBe(409);
+      expect(Loan.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /loans', () => {
+    const mockFindChain = (result) => {
+      const chain = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+      };
+      Loan.find.mockReturnValue(chain);
+      return chain;
+    };
+
+    it('should list the current user\'s active loans', async () => {
+      Loan.countDocuments.mockResolvedValue(1);
+      mockFindChain([{ _id: new mongoose.Types.ObjectId(), user: mockUserId, dueAt: new Date(Date.now() - DAY_MS), returnedAt: null }]);
+
+      const res = await request(app).get('/loans').query({ status: 'active' });
+
+      expect(res.statusCode).toBe(200);
+      expect(Loan.find).toHaveBeenCalledWith({ user: mockUserId, returnedAt: null });
+      expect(res.body.data[0].overdue).toBe(true);
+      expect(res.body.pagination).toEqual({ total: 1, limit: 20, page: 1, totalPages: 1 });
+    });
+
+    it('should list overdue loans for librarians', async () => {
+      mockUserRole = 'librarian';
+      Loan.countDocuments.mockResolvedValue(0);
+      const chain = mockFindChain([]);
+
+      const res = await request(app).get('/loans/overdue');
+
+      expect(res.statusCode).toBe(200);
+      expect(Loan.find).toHaveBeenCalledWith({ returnedAt: null, dueAt: { $lt: expect.any(Date) } });
+      expect(chain.sort).toHaveBeenCalledWith({ dueAt: 1 });
+    });
+
+    it('should not list overdue loans for members', async () => {
+      const res = await request(app).get('/loans/overdue');
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+const config = require('../../src/config');
+const { ConsoleTransport, FileTransport, getTransport, setTransport } = require('../../src/utils/mailer');
+
+// Mock dependencies
+jest.mock('../../src/config', () => ({
+  logging: { level: 'info', redactPaths: [] },
+  mail: { transport: '', from: 'Library <no-reply@localhost>', outboxDir: 'outbox' },
+}));
+
+describe('Mailer', () => {
+  afterEach(() => {
+    config.mail.transport = '';
+    setTransport(null);
+  });
+
+  it('should log messages by default outside production', () => {
+    expect(getTransport({ production: false })).toBeInstanceOf(ConsoleTransport);
+  });
+
+  it('should refuse to pick a transport in production', () => {
+    expect(() => getTransport({ production: true })).toThrow('No mail transport configured, set MAIL_TRANSPORT');
+  });
+
+  it('should use the configured transport in production', () => {
+    config.mail.transport = 'file';
+
+    expect(getTransport({ production: true })).toBeInstanceOf(FileTransport);
+  });
+});
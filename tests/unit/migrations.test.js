@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Migration = require('../../src/models/migrationModel');
+const Book = require('../../src/models/bookModel');
+const Loan = require('../../src/models/loanModel');
+const User = require('../../src/models/userModel');
+const Hold = require('../../src/models/holdModel');
+const { runMigrations } = require('../../src/migrations');
+const bookCopies = require('../../src/migrations/003-book-copies');
+const deletedUserPlaceholder = require('../../src/migrations/004-deleted-user-placeholder');
+const { checkoutBook } = require('../../src/utils/loans');
+
+// Mock dependencies
+jest.mock('../../src/models/migrationModel');
+jest.mock('../../src/models/bookModel');
+jest.mock('../../src/models/loanModel');
+jest.mock('../../src/models/userModel');
+jest.mock('../../src/models/holdModel');
+jest.mock('../../src/utils/transaction', () => ({
+  withTransaction: jest.fn((work) => work('mock-session')),
+}));
+
+// Just enough of the MongoDB query language for the copy counts
+const matchesCondition = (value, condition) => {
+  if (condition && typeof condition === 'object' && !mongoose.isValidObjectId(condition)) {
+    if ('$exists' in condition) return (value !== undefined) === condition.$exists;
+    if ('$gt' in condition) return value > condition.$gt;
+  }
+  return String(value) === String(condition);
+};
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => matchesCondition(doc[key], condition));
+const applyUpdate = (doc, update) => {
+  if (Array.isArray(update)) {
+    update.forEach(({ $set }) => Object.entries($set).forEach(([key, value]) => {
+      doc[key] = typeof value === 'string' && value.startsWith('$') ? doc[value.slice(1)] : value;
+    }));
+    return;
+  }
+  Object.assign(doc, update.$set);
+  Object.entries(update.$inc || {}).forEach(([key, amount]) => { doc[key] += amount; });
+};
+
+describe('Migrations', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should run pending migrations in order and record them', async () => {
+    Migration.find.mockResolvedValue([{ name: '001-first' }]);
+    const calls = [];
+    const migrations = ['001-first', '002-second', '003-third'].map((name) => ({
+      name,
+      up: jest.fn(async () => { calls.push(name); }),
+    }));
+
+    const ran = await runMigrations(migrations);
+
+    expect(ran).toEqual(['002-second', '003-third']);
+    expect(calls).toEqual(['002-second', '003-third']);
+    expect(Migration.create).toHaveBeenCalledTimes(2);
+    expect(Migration.create).toHaveBeenLastCalledWith({ name: '003-third', appliedAt: expect.any(Date) });
+  });
+
+  it('should not record a migration that failed', async () => {
+    Migration.find.mockResolvedValue([]);
+    const migrations = [{ name: '001-broken', up: jest.fn().mockRejectedValue(new Error('boom')) }];
+
+    await expect(runMigrations(migrations)).rejects.toThrow('boom');
+    expect(Migration.create).not.toHaveBeenCalled();
+  });
+
+  describe('003-book-copies', () => {
+    it('should make books stored without copy counts borrowable', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const legacy = { _id: new mongoose.Types.ObjectId(), title: 'Dune', author: 'Frank Herbert' };
+      const counted = { _id: new mongoose.Types.ObjectId(), title: 'Emma', totalCopies: 3, availableCopies: 0 };
+      const books = [legacy, counted];
+      Book.updateMany.mockImplementation(async (filter, update) => {
+        const matched = books.filter((book) => matches(book, filter));
+        matched.forEach((book) => applyUpdate(book, update));
+        return { modifiedCount: matched.length };
+      });
+      Book.findOneAndUpdate.mockImplementation(async (filter, update) => {
+        const book = books.find((doc) => matches(doc, filter));
+        if (book) applyUpdate(book, update);
+        return book || null;
+      });
+      User.findOneAndUpdate.mockResolvedValue({ _id: userId, fineBalance: 0 });
+      Hold.find.mockResolvedValue([]);
+      Loan.find.mockResolvedValue([]);
+      Loan.countDocuments.mockResolvedValue(0);
+      Loan.create.mockImplementation(async ([data]) => [data]);
+
+      await bookCopies.up();
+      const loan = await checkoutBook({ userId, bookId: legacy._id });
+
+      expect(legacy).toMatchObject({ totalCopies: 1, availableCopies: 0 });
+      expect(counted).toMatchObject({ totalCopies: 3, availableCopies: 0 });
+      expect(loan).toMatchObject({ book: legacy._id, user: userId });
+    });
+  });
+
+  describe('004-deleted-user-placeholder', () => {
+    beforeEach(() => {
+      User.findOne.mockResolvedValue(null);
+      User.findOneAndUpdate.mockResolvedValue(null);
+    });
+
+    it('should create the placeholder account', async () => {
+      await deletedUserPlaceholder.up();
+
+      expect(User.createIndexes).toHaveBeenCalled();
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+        username: 'deleted-user',
+        password: expect.any(String),
+        placeholder: true,
+        disabledAt: expect.any(Date),
+      }));
+    });
+
+    it('should flag the placeholder created by earlier versions', async () => {
+      User.findOneAndUpdate.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      await deletedUserPlaceholder.up();
+
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { username: 'deleted-user', disabledReason: 'Placeholder for deleted accounts' },
+        { $set: { placeholder: true } }
+      );
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('should pick another username when a real account holds deleted-user', async () => {
+      User.findOne.mockImplementation(async (filter) => (filter.username ? { _id: new mongoose.Types.ObjectId() } : null));
+
+      await deletedUserPlaceholder.up();
+
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+        username: expect.stringMatching(/^deleted-user-[0-9a-f]{8}$/),
+        placeholder: true,
+      }));
+    });
+
+    it('should leave an existing placeholder alone', async () => {
+      User.findOne.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      await deletedUserPlaceholder.up();
+
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(User.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const RateLimit = require('../../src/models/rateLimitModel');
+const { MemoryStore, MongoStore, createStore } = require('../../src/utils/rateLimitStores');
+
+// Mock dependencies
+jest.mock('../../src/models/rateLimitModel');
+jest.mock('../../src/config', () => ({
+  rateLimit: { store: 'memory' },
+}));
+
+const WINDOW_MS = 60 * 1000;
+const at = (seconds) => new Date(Date.UTC(2024, 0, 1, 12, 0, seconds));
+
+describe('Rate limit stores', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('MemoryStore', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new MemoryStore();
+    });
+
+    it('should count hits until the window ends', async () => {
+      await store.increment('key', WINDOW_MS, at(0));
+      const entry = await store.increment('key', WINDOW_MS, at(10));
+
+      expect(entry).toEqual({ count: 2, resetAt: at(60), lastHitAt: at(10), previousHitAt: at(0) });
+      expect(await store.get('key', at(30))).toEqual(entry);
+    });
+
+    it('should start a new window after the previous one ended', async () => {
+      await store.increment('key', WINDOW_MS, at(0));
+
+      expect(await store.get('key', at(60))).toBeNull();
+      expect(await store.increment('key', WINDOW_MS, at(61))).toEqual({
+        count: 1,
+        resetAt: new Date(at(61).getTime() + WINDOW_MS),
+        lastHitAt: at(61),
+        previousHitAt: null,
+      });
+    });
+
+    it('should count concurrent hits exactly', async () => {
+      const entries = await Promise.all(Array.from({ length: 5 }, () => store.increment('key', WINDOW_MS, at(0))));
+
+      expect(entries.map(({ count }) => count).sort()).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should take back hits and forget a counter with none left', async () => {
+      await store.increment('key', WINDOW_MS, at(0));
+      await store.increment('key', WINDOW_MS, at(1));
+
+      await store.decrement('key', at(2));
+      expect((await store.get('key', at(2))).count).toBe(1);
+      await store.decrement('key', at(3));
+      expect(await store.get('key', at(3))).toBeNull();
+    });
+
+    it('should reset and clear keys', async () => {
+      await store.increment('one', WINDOW_MS, at(0));
+      await store.increment('two', WINDOW_MS, at(0));
+
+      await store.reset('one');
+      expect(await store.get('one', at(1))).toBeNull();
+      expect(await store.get('two', at(1))).not.toBeNull();
+      await store.clear();
+      expect(await store.get('two', at(1))).toBeNull();
+    });
+
+    it('should sweep ended windows once the map is full', async () => {
+      store = new MemoryStore({ sweepSize: 2 });
+      await store.increment('one', WINDOW_MS, at(0));
+      await store.increment('two', WINDOW_MS, at(30));
+
+      await store.increment('three', WINDOW_MS, at(61));
+
+      expect([...store.entries.keys()]).toEqual(['two', 'three']);
+    });
+  });
+
+  describe('MongoStore', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new MongoStore();
+    });
+
+    it('should count a hit in a single upsert', async () => {
+      RateLimit.findOneAndUpdate.mockResolvedValue({ _id: 'id', key: 'key', count: 2, resetAt: at(60), lastHitAt: at(10), previousHitAt: at(0) });
+
+      const entry = await store.increment('key', WINDOW_MS, at(10));
+
+      expect(entry).toEqual({ count: 2, resetAt: at(60), lastHitAt: at(10), previousHitAt: at(0) });
+      expect(RateLimit.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(RateLimit.findOneAndUpdate).toHaveBeenCalledWith(
+        { key: 'key' },
+        [{
+          $set: {
+            count: { $cond: [{ $gt: ['$resetAt', at(10)] }, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [{ $gt: ['$resetAt', at(10)] }, '$resetAt', at(70)] },
+            lastHitAt: at(10),
+            previousHitAt: { $cond: [{ $gt: ['$resetAt', at(10)] }, '$lastHitAt', null] },
+          },
+        }],
+        { upsert: true, new: true, lean: true }
+      );
+    });
+
+    it('should retry when a concurrent hit inserted the counter first', async () => {
+      RateLimit.findOneAndUpdate
+        .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }))
+        .mockResolvedValueOnce({ key: 'key', count: 2, resetAt: at(60), lastHitAt: at(0), previousHitAt: at(0) });
+
+      const entry = await store.increment('key', WINDOW_MS, at(0));
+
+      expect(entry.count).toBe(2);
+      expect(RateLimit.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    });
+
+    it('should pass on other errors', async () => {
+      RateLimit.findOneAndUpdate.mockRejectedValue(new Error('Connection lost'));
+
+      await expect(store.increment('key', WINDOW_MS, at(0))).rejects.toThrow('Connection lost');
+      expect(RateLimit.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only read counters of a window that has not ended', async () => {
+      const lean = jest.fn().mockResolvedValue(null);
+      RateLimit.findOne.mockReturnValue({ lean });
+
+      expect(await store.get('key', at(60))).toBeNull();
+      expect(RateLimit.findOne).toHaveBeenCalledWith({ key: 'key', resetAt: { $gt: at(60) } });
+    });
+
+    it('should take back hits and remove a counter with none left', async () => {
+      RateLimit.findOneAndUpdate.mockResolvedValue({ _id: 'id', key: 'key', count: 0 });
+
+      await store.decrement('key', at(5));
+
+      expect(RateLimit.findOneAndUpdate).toHaveBeenCalledWith(
+        { key: 'key', resetAt: { $gt: at(5) } },
+        { $inc: { count: -1 } },
+        { new: true, lean: true }
+      );
+      expect(RateLimit.deleteOne).toHaveBeenCalledWith({ _id: 'id', count: { $lte: 0 } });
+    });
+
+    it('should keep a counter with hits left', async () => {
+      RateLimit.findOneAndUpdate.mockResolvedValue({ _id: 'id', key: 'key', count: 1 });
+
+      await store.decrement('key', at(5));
+
+      expect(RateLimit.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createStore', () => {
+    it('should reject an unknown store type', () => {
+      expect(() => createStore('redis')).toThrow('Unknown rate limit store "redis", use one of: memory, mongo');
+    });
+  });
+});
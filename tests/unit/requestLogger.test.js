@@ -0,0 +1,127 @@
+const request = require('supertest');
+const express = require('express');
+const { Transport } = require('winston');
+const logger = require('../../src/utils/logger');
+const requestLogger = require('../../src/middleware/requestLogger');
+const errorHandler = require('../../src/middleware/errorHandler');
+
+jest.mock('../../src/config', () => ({
+  logging: { level: 'info', redactPaths: ['profile.email'] },
+}));
+
+// Keeps the formatted entries instead of writing them anywhere
+class MemoryTransport extends Transport {
+  constructor() {
+    super();
+    this.entries = [];
+  }
+
+  log(info, callback) {
+    this.entries.push(info);
+    callback();
+  }
+}
+
+const app = express();
+app.use(requestLogger);
+app.use(express.json());
+app.post('/login', async (req, res) => {
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  logger.info('Login attempt', { body: req.body, header: req.get('Authorization') });
+  res.json({ ok: true });
+});
+app.post('/fail', (req, res, next) => {
+  next(new Error('boom'));
+});
+app.use(errorHandler);
+
+describe('Request logging', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+    logger.add(transport);
+  });
+
+  afterEach(() => {
+    logger.remove(transport);
+  });
+
+  const entryFor = (message) => transport.entries.find((entry) => entry.message === message);
+
+  // The access log entry is written once the response has been sent
+  const waitForAccessLog = () => new Promise((resolve) => setImmediate(resolve));
+
+  it('should generate a request id and tag log entries with it', async () => {
+    const res = await request(app).post('/login').send({ username: 'alice', password: 'secret' });
+    await waitForAccessLog();
+
+    const requestId = res.headers['x-request-id'];
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(entryFor('Login attempt').requestId).toBe(requestId);
+    expect(entryFor('POST /login 200')).toMatchObject({
+      level: 'info',
+      requestId,
+      method: 'POST',
+      url: '/login',
+      statusCode: 200,
+      durationMs: expect.any(Number),
+    });
+  });
+
+  it('should propagate a request id sent by the client', async () => {
+    const res = await request(app).post('/login').set('X-Request-Id', 'edge-1234.abc').send({});
+
+    expect(res.headers['x-request-id']).toBe('edge-1234.abc');
+    expect(entryFor('Login attempt').requestId).toBe('edge-1234.abc');
+  });
+
+  it('should replace request ids that are not safe to log', async () => {
+    const res = await request(app).post('/login').set('X-Request-Id', 'bad id <script>').send({});
+
+    expect(res.headers['x-request-id']).not.toBe('bad id <script>');
+    expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('should log failed requests at the level of their status', async () => {
+    await request(app).post('/fail').send({ password: 'hunter22' });
+    await waitForAccessLog();
+
+    expect(entryFor('POST /fail 500')).toMatchObject({ level: 'error', statusCode: 500 });
+    expect(entryFor('boom').request.body).toEqual({ password: '[REDACTED]' });
+  });
+
+  it('should redact passwords and tokens without touching the logged objects', async () => {
+    const body = { username: 'alice', password: 'secret', nested: [{ refreshToken: 'abc' }] };
+
+    logger.info('Credentials', { body, authorization: 'Bearer abc.def.ghi' });
+    logger.info('Auth header received: Bearer eyJhbGciOiJFZERTQSJ9.eyJzdWIiOiIxIn0.c2ln');
+    logger.info('Key bk_3jGx9aQpL0vTz8mNc2WbY1rK5sE7uD4hF6iJ0oP9qA in use', { prefix: 'bk_3jGx9aQp' });
+
+    expect(entryFor('Credentials')).toMatchObject({
+      body: { username: 'alice', password: '[REDACTED]', nested: [{ refreshToken: '[REDACTED]' }] },
+      authorization: '[REDACTED]',
+    });
+    expect(body.password).toBe('secret');
+    expect(transport.entries[1].message).toBe('Auth header received: Bearer [REDACTED]');
+    expect(transport.entries[2]).toMatchObject({ message: 'Key [REDACTED] in use', prefix: 'bk_3jGx9aQp' });
+  });
+
+  it('should redact tokens in URLs and configured paths', () => {
+    logger.info('Link sent', { url: '/reset?token=abc123&lang=en', profile: { email: 'a@example.com', language: 'en' } });
+
+    expect(entryFor('Link sent')).toMatchObject({
+      url: '/reset?token=[REDACTED]&lang=en',
+      profile: { email: '[REDACTED]', language: 'en' },
+    });
+  });
+
+  it('should handle circular references', () => {
+    const loop = { name: 'loop' };
+    loop.self = loop;
+
+    logger.info('Circular', { loop });
+
+    expect(entryFor('Circular').loop).toEqual({ name: 'loop', self: '[Circular]' });
+  });
+});
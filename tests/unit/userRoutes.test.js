@@ -0,0 +1,495 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const User = require('../../src/models/userModel');
+const Book = require('../../src/models/bookModel');
+const Session = require('../../src/models/sessionModel');
+const Hold = require('../../src/models/holdModel');
+const Loan = require('../../src/models/loanModel');
+const LedgerEntry = require('../../src/models/ledgerEntryModel');
+const userRoutes = require('../../src/routes/userRoutes');
+const errorHandler = require('../../src/middleware/errorHandler');
+
+const mockUserId = new mongoose.Types.ObjectId();
+let mockUserRole = 'admin';
+
+// Mock dependencies
+jest.mock('bcryptjs');
+jest.mock('../../src/models/userModel');
+jest.mock('../../src/models/bookModel');
+jest.mock('../../src/models/sessionModel');
+jest.mock('../../src/models/refreshTokenModel');
+jest.mock('../../src/models/passwordResetTokenModel');
+jest.mock('../../src/models/apiKeyModel');
+jest.mock('../../src/models/holdModel');
+jest.mock('../../src/models/loanModel');
+jest.mock('../../src/models/ledgerEntryModel');
+jest.mock('../../src/utils/transaction', () => ({
+  withTransaction: jest.fn((work) => work('mock-session')),
+}));
+jest.mock('../../src/middleware/auth', () => {
+  return jest.fn((req, res, next) => {
+    req.user = { _id: mockUserId, username: 'testadmin', role: mockUserRole, email: 'admin@example.com' };
+    next();
+  });
+});
+
+const app = express();
+app.use(express.json());
+app.use('/users', userRoutes);
+app.use(errorHandler);
+
+describe('User Routes', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    mockUserRole = 'admin';
+  });
+
+  describe('GET /users/me', () => {
+    it('should return the profile of the current user', async () => {
+      const res = await request(app).get('/users/me');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({
+        _id: mockUserId.toString(),
+        username: 'testadmin',
+        email: 'admin@example.com',
+        displayName: null,
+        disabledAt: null,
+      });
+      expect(res.body.password).toBeUndefined();
+    });
+  });
+
+  describe('PATCH /users/me', () => {
+    const mockUpdatedProfile = (profile) => User.findByIdAndUpdate.mockReturnValue({
+      select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(profile) }),
+    });
+
+    it('should update the display name and preferences', async () => {
+      mockUpdatedProfile({ _id: mockUserId, username: 'testadmin', displayName: 'Ada', preferences: { language: 'fr' } });
+
+      const res = await request(app)
+        .patch('/users/me')
+        .send({ displayName: '  Ada  ', preferences: { language: 'FR', emailNotifications: false } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.displayName).toBe('Ada');
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockUserId,
+        {
+          $set: { displayName: 'Ada', 'preferences.language': 'fr', 'preferences.emailNotifications': false },
+          $unset: {},
+        },
+        { new: true, runValidators: true }
+      );
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+    });
+
+    it('should clear fields set to null', async () => {
+      mockUpdatedProfile({ _id: mockUserId, username: 'testadmin' });
+
+      const res = await request(app).patch('/users/me').send({ displayName: null });
+
+      expect(res.statusCode).toBe(200);
+      expect(User.findByIdAndUpdate.mock.calls[0][1]).toEqual({ $set: {}, $unset: { displayName: 1 } });
+    });
+
+    it('should require the current password to change the email address', async () => {
+      User.findById.mockResolvedValue({ _id: mockUserId, password: 'hashedPassword' });
+      bcrypt.compare.mockResolvedValue(false);
+
+      const res = await request(app)
+        .patch('/users/me')
+        .send({ email: 'new@example.com', currentPassword: 'wrong' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.code).toBe('invalid_credentials');
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should change the email address with the current password', async () => {
+      User.findById.mockResolvedValue({ _id: mockUserId, password: 'hashedPassword' });
+      User.findOne.mockResolvedValue(null);
+      bcrypt.compare.mockResolvedValue(true);
+      mockUpdatedProfile({ _id: mockUserId, username: 'testadmin', email: 'new@example.com' });
+
+      const res = await request(app)
+        .patch('/users/me')
+        .send({ email: 'New@Example.com', currentPassword: 'passw0rd' });
+
+      expect(res.statusCode).toBe(200);
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'new@example.com', _id: { $ne: mockUserId } });
+      expect(User.findByIdAndUpdate.mock.calls[0][1].$set).toEqual({ email: 'new@example.com' });
+    });
+
+    it.each([
+      ['an invalid language', 'english'],
+      ['a language in a list', ['EN']],
+    ])('should return 400 for %s', async (_, language) => {
+      const res = await request(app).patch('/users/me').send({ preferences: { language } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors[0].path).toBe('preferences.language');
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /users/me', () => {
+    it('should return 400 for a wrong password', async () => {
+      User.findById.mockResolvedValue({ _id: mockUserId, password: 'hashedPassword' });
+      bcrypt.compare.mockResolvedValue(false);
+
+      const res = await request(app).delete('/users/me').send({ password: 'wrong' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.code).toBe('invalid_credentials');
+      expect(User.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 while books are still borrowed', async () => {
+      User.findById.mockResolvedValue({ _id: mockUserId, password: 'hashedPassword' });
+      bcrypt.compare.mockResolvedValue(true);
+      Loan.countDocuments.mockResolvedValue(1);
+
+      const res = await request(app).delete('/users/me').send({ password: 'passw0rd' });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.code).toBe('account_has_loans');
+      expect(User.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should hand the books to the placeholder account and delete the user', async () => {
+      const placeholderId = new mongoose.Types.ObjectId();
+      const bookId = new mongoose.Types.ObjectId();
+      User.findById.mockResolvedValue({ _id: mockUserId, password: 'hashedPassword' });
+      bcrypt.compare.mockResolvedValue(true);
+      Loan.countDocuments.mockResolvedValue(0);
+      User.findOne
+        .mockResolvedValueOnce({ _id: mockUserId, fineBalance: 0 })
+        .mockResolvedValueOnce({ _id: placeholderId });
+      Hold.find.mockResolvedValue([{ _id: new mongoose.Types.ObjectId(), book: bookId, status: 'ready' }]);
+      Hold.findOne.mockResolvedValue(null);
+      Book.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      const res = await request(app).delete('/users/me').send({ password: 'passw0rd' });
+
+      expect(res.statusCode).toBe(200);
+      expect(Hold.updateOne).toHaveBeenCalledWith(
+        expect.anything(),
+        { $set: { status: 'cancelled', closedAt: expect.any(Date) } },
+        { session: 'mock-session' }
+      );
+      // The copy set aside for the ready hold is available again
+      expect(Book.updateOne).toHaveBeenCalledWith({ _id: bookId }, { $inc: { availableCopies: 1 } }, { session: 'mock-session' });
+      // The placeholder is found by its flag, not by a username anyone could hold
+      expect(User.findOne).toHaveBeenLastCalledWith({ placeholder: true }, '_id', { session: 'mock-session' });
+      expect(Book.updateMany).toHaveBeenCalledWith(
+        { addedBy: mockUserId },
+        { $set: { addedBy: placeholderId } },
+        { session: 'mock-session' }
+      );
+      expect(Session.deleteMany).toHaveBeenCalledWith({ user: mockUserId }, { session: 'mock-session' });
+      expect(User.deleteOne).toHaveBeenCalledWith({ _id: mockUserId }, { session: 'mock-session' });
+    });
+
+    it('should keep the account when the placeholder account is missing', async () => {
+      User.findById.mockResolvedValue({ _id: mockUserId, password: 'hashedPassword' });
+      bcrypt.compare.mockResolvedValue(true);
+      Loan.countDocuments.mockResolvedValue(0);
+      User.findOne
+        .mockResolvedValueOnce({ _id: mockUserId, fineBalance: 0 })
+        .mockResolvedValueOnce(null);
+      Hold.find.mockResolvedValue([]);
+
+      const res = await request(app).delete('/users/me').send({ password: 'passw0rd' });
+
+      expect(res.statusCode).toBe(500);
+      expect(Book.updateMany).not.toHaveBeenCalled();
+      expect(User.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /users', () => {
+    it('should list a page of users for admins', async () => {
+      const users = [{ _id: new mongoose.Types.ObjectId(), username: 'reader1', role: 'member', disabledAt: new Date() }];
+      const chain = {
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(users),
+      };
+      User.find.mockReturnValue(chain);
+      User.countDocuments.mockResolvedValue(21);
+
+      const res = await request(app).get('/users?role=member&disabled=true&page=2');
+
+      expect(res.statusCode).toBe(200);
+      expect(User.find).toHaveBeenCalledWith({ role: 'member', disabledAt: { $ne: null } });
+      expect(chain.skip).toHaveBeenCalledWith(20);
+      expect(res.body.pagination).toEqual({ total: 21, limit: 20, page: 2, totalPages: 2 });
+      expect(res.body.data[0]).toMatchObject({ username: 'reader1', role: 'member' });
+      expect(res.body.data[0].password).toBeUndefined();
+    });
+
+    it('should return 403 for librarians', async () => {
+      mockUserRole = 'librarian';
+
+      const res = await request(app).get('/users');
+
+      expect(res.statusCode).toBe(403);
+      expect(User.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /users/:id/status', () => {
+    it('should disable an account and revoke its sessions', async () => {
+      const targetId = new mongoose.Types.ObjectId();
+      User.findOneAndUpdate.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue({ _id: targetId, username: 'reader1', disabledAt: new Date(), disabledReason: 'Spam' }),
+        }),
+      });
+      Session.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      const res = await request(app)
+        .patch(`/users/${targetId}/status`)
+        .send({ disabled: true, reason: 'Spam' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.disabledReason).toBe('Spam');
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: targetId.toString(), placeholder: { $ne: true } },
+        { $set: { disabledAt: expect.any(Date), disabledReason: 'Spam' } },
+        { new: true, runValidators: true }
+      );
+      expect(Session.updateMany).toHaveBeenCalledWith(
+        { user: targetId, revokedAt: null },
+        { $set: { revokedAt: expect.any(Date), revokedReason: 'account-disabled' } }
+      );
+    });
+
+    it('should re-enable an account', async () => {
+      const targetId = new mongoose.Types.ObjectId();
+      User.findOneAndUpdate.mockReturnValue({
+        select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue({ _id: targetId, username: 'reader1' }) }),
+      });
+
+      const res = await request(app).patch(`/users/${targetId}/status`).send({ disabled: false });
+
+      expect(res.statusCode).toBe(200);
+      expect(User.findOneAndUpdate.mock.calls[0][1]).toEqual({ $set: { disabledAt: null, disabledReason: null } });
+      expect(Session.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when admins try to disable themselves', async () => {
+      const res = await request(app).patch(`/users/${mockUserId}/status`).send({ disabled: true });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.detail).toBe('You cannot disable your own account');
+    });
+
+    it('should return 404 for the placeholder of deleted accounts', async () => {
+      User.findOneAndUpdate.mockReturnValue({ select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(null) }) });
+
+      const res = await request(app).patch(`/users/${new mongoose.Types.ObjectId()}/status`).send({ disabled: false });
+
+      expect(res.statusCode).toBe(404);
+      expect(User.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ placeholder: { $ne: true } });
+    });
+  });
+
+  describe('GET /users/me/holds', () => {
+    it('should list active holds with queue positions', async () => {
+      const createdAt = new Date();
+      const holds = [
+        { _id: new mongoose.Types.ObjectId(), book: new mongoose.Types.ObjectId(), status: 'ready', createdAt },
+        { _id: new mongoose.Types.ObjectId(), book: new mongoose.Types.ObjectId(), status: 'waiting', createdAt },
+      ];
+      const chain = {
+        sort: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockResolvedValue(holds),
+      };
+      Hold.find.mockResolvedValueOnce([]).mockReturnValueOnce(chain);
+      Hold.countDocuments.mockResolvedValue(4);
+
+      const res = await request(app).get('/users/me/holds');
+
+      expect(res.statusCode).toBe(200);
+      expect(Hold.find).toHaveBeenLastCalledWith({ user: mockUserId, status: { $in: ['waiting', 'ready'] } });
+      expect(res.body.data.map((hold) => hold.position)).toEqual([0, 5]);
+    });
+  });
+
+  describe('GET /users/me/fines', () => {
+    it('should return the balance and ledger entries', async () => {
+      const entries = [{ _id: new mongoose.Types.ObjectId(), type: 'fine', amount: 75 }];
+      Loan.find.mockResolvedValue([]);
+      User.findById.mockResolvedValue({ _id: mockUserId, fineBalance: 75 });
+      LedgerEntry.countDocuments.mockResolvedValue(1);
+      const chain = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue(entries),
+      };
+      LedgerEntry.find.mockReturnValue(chain);
+
+      const res = await request(app).get('/users/me/fines');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ balance: 75, currency: 'USD', pagination: { total: 1, limit: 20, page: 1, totalPages: 1 } });
+      expect(res.body.data).toHaveLength(1);
+      expect(LedgerEntry.find).toHaveBeenCalledWith({ user: mockUserId });
+      expect(chain.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    });
+  });
+
+  describe('POST /users/me/fines/payments', () => {
+    it('should record a payment and lower the balance', async () => {
+      User.findOneAndUpdate.mockResolvedValue({ _id: mockUserId, fineBalance: 25 });
+      LedgerEntry.create.mockImplementation(async ([data]) => [data]);
+
+      const res = await request(app).post('/users/me/fines/payments').send({ amount: 50 });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.balance).toBe(25);
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: mockUserId, fineBalance: { $gte: 50 } },
+        { $inc: { fineBalance: -50 } },
+        { new: true, session: 'mock-session' }
+      );
+      expect(LedgerEntry.create).toHaveBeenCalledWith([expect.objectContaining({ type: 'payment', amount: -50 })], { session: 'mock-session' });
+    });
+
+    it('should return 409 when paying more than the balance', async () => {
+      User.findOneAndUpdate.mockResolvedValue(null);
+      User.findOne.mockResolvedValue({ _id: mockUserId });
+
+      const res = await request(app).post('/users/me/fines/payments').send({ amount: 5000 });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.detail).toBe('Amount exceeds the outstanding balance');
+      expect(LedgerEntry.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a non-positive amount', async () => {
+      const res = await request(app).post('/users/me/fines/payments').send({ amount: 0 });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('POST /users/:id/fines/waivers', () => {
+    const targetId = new mongoose.Types.ObjectId();
+
+    it('should let an admin waive the whole balance', async () => {
+      User.findOne.mockResolvedValue({ _id: targetId, fineBalance: 300 });
+      User.findOneAndUpdate.mockResolvedValue({ _id: targetId, fineBalance: 0 });
+      LedgerEntry.create.mockImplementation(async ([data]) => [data]);
+
+      const res = await request(app)
+        .post(`/users/${targetId}/fines/waivers`)
+        .send({ reason: 'Book was damaged on arrival' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.balance).toBe(0);
+      expect(LedgerEntry.create).toHaveBeenCalledWith([expect.objectContaining({
+        user: targetId.toString(),
+        type: 'waiver',
+        amount: -300,
+        reason: 'Book was damaged on arrival',
+        createdBy: mockUserId,
+      })], { session: 'mock-session' });
+    });
+
+    it('should return 409 when there is nothing to waive', async () => {
+      User.findOne.mockResolvedValue({ _id: targetId, fineBalance: 0 });
+
+      const res = await request(app)
+        .post(`/users/${targetId}/fines/waivers`)
+        .send({ reason: 'Goodwill' });
+
+      expect(res.statusCode).toBe(409);
+    });
+
+    it('should require a reason', async () => {
+      const res = await request(app).post(`/users/${targetId}/fines/waivers`).send({ amount: 100 });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should return 403 for librarians', async () => {
+      mockUserRole = 'librarian';
+
+      const res = await request(app)
+        .post(`/users/${targetId}/fines/waivers`)
+        .send({ reason: 'Goodwill' });
+
+      expect(res.statusCode).toBe(403);
+      expect(LedgerEntry.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /users/:id/role', () => {
+    it('should let an admin change the role of a user', async () => {
+      const targetId = new mongoose.Types.ObjectId();
+      User.findOneAndUpdate.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: targetId, username: 'librarian1', role: 'librarian' })
+      });
+
+      const res = await request(app)
+        .patch(`/users/${targetId}/role`)
+        .send({ role: 'librarian' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ _id: targetId.toString(), username: 'librarian1', role: 'librarian' });
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: targetId.toString(), placeholder: { $ne: true } },
+        { $set: { role: 'librarian' } },
+        { new: true, runValidators: true }
+      );
+    });
+
+    it('should return 403 for users without the users:manage permission', async () => {
+      mockUserRole = 'librarian';
+
+      const res = await request(app)
+        .patch(`/users/${new mongoose.Types.ObjectId()}/role`)
+        .send({ role: 'admin' });
+
+      expect(res.statusCode).toBe(403);
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an unknown role', async () => {
+      const res = await request(app)
+        .patch(`/users/${new mongoose.Types.ObjectId()}/role`)
+        .send({ role: 'superuser' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors).toBeDefined();
+    });
+
+    it('should return 400 when admins try to change their own role', async () => {
+      const res = await request(app)
+        .patch(`/users/${mockUserId}/role`)
+        .send({ role: 'member' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.detail).toBe('You cannot change your own role');
+    });
+
+    it('should return 404 if the user does not exist', async () => {
+      User.findOneAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      const res = await request(app)
+        .patch(`/users/${new mongoose.Types.ObjectId()}/role`)
+        .send({ role: 'librarian' });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.detail).toBe('User not found');
+    });
+  });
+});